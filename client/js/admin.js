@@ -1,5 +1,5 @@
-const ADMIN_PASSWORD = 'henrique12';
-const STORAGE_KEY = 'crash-rocket-admin-token';
+const STORAGE_KEY = 'crash-rocket-admin-session';
+const ADMIN_ROLES = ['viewer', 'operator', 'superadmin'];
 const WAIT_FOR_SOCKET_TIMEOUT = 5000;
 const BOT_CONFIG_DEFAULTS = {
     maxBots: 200,
@@ -10,6 +10,7 @@ const BOT_CONFIG_DEFAULTS = {
 
 const html = {
     authForm: document.getElementById('auth-form'),
+    usernameInput: document.getElementById('username-input'),
     passwordInput: document.getElementById('password-input'),
     errorMessage: document.getElementById('auth-error'),
     adminSection: document.getElementById('admin-section'),
@@ -17,6 +18,7 @@ const html = {
     connectionStatus: document.getElementById('connection-status'),
     serverUrl: document.getElementById('server-url'),
     socketId: document.getElementById('socket-id'),
+    adminIdentity: document.getElementById('admin-identity'),
     forceCrashBtn: document.getElementById('force-crash-btn'),
     logoutBtn: document.getElementById('logout-btn'),
     lastResult: document.getElementById('last-result'),
@@ -27,12 +29,119 @@ const html = {
     botAutoMaxInput: document.getElementById('bot-auto-max'),
     startBotsBtn: document.getElementById('start-bots-btn'),
     stopBotsBtn: document.getElementById('stop-bots-btn'),
-    botsStatus: document.getElementById('bots-status')
+    botsStatus: document.getElementById('bots-status'),
+    settingInputs: document.querySelectorAll('[data-setting]'),
+    settingsReason: document.getElementById('settings-reason'),
+    saveSettingsBtn: document.getElementById('save-settings-btn'),
+    reloadSettingsBtn: document.getElementById('reload-settings-btn'),
+    settingsStatus: document.getElementById('settings-status'),
+    settingsHistory: document.getElementById('settings-history'),
+    auditFilters: document.getElementById('audit-filters'),
+    auditAction: document.getElementById('audit-action'),
+    auditActor: document.getElementById('audit-actor'),
+    auditTarget: document.getElementById('audit-target'),
+    auditSince: document.getElementById('audit-since'),
+    auditUntil: document.getElementById('audit-until'),
+    auditStatus: document.getElementById('audit-status'),
+    auditRows: document.getElementById('audit-rows'),
+    playersSearch: document.getElementById('players-search'),
+    playersSearchInput: document.getElementById('players-search-input'),
+    playersStatus: document.getElementById('players-status'),
+    playersRows: document.getElementById('players-rows'),
+    playerDetail: document.getElementById('player-detail'),
+    playerDetailTitle: document.getElementById('player-detail-title'),
+    playerDetailStats: document.getElementById('player-detail-stats'),
+    playerBalanceInput: document.getElementById('player-balance-input'),
+    playerActionReason: document.getElementById('player-action-reason'),
+    playerBalanceBtn: document.getElementById('player-balance-btn'),
+    playerResetBtn: document.getElementById('player-reset-btn'),
+    playerKickBtn: document.getElementById('player-kick-btn'),
+    playerExportBtn: document.getElementById('player-export-btn'),
+    playersInactiveMinutes: document.getElementById('players-inactive-minutes'),
+    playersCleanupBtn: document.getElementById('players-cleanup-btn'),
+    playerAccountBtn: document.getElementById('player-account-btn'),
+    accountsSearch: document.getElementById('accounts-search'),
+    accountsSearchInput: document.getElementById('accounts-search-input'),
+    accountsRestrictedOnly: document.getElementById('accounts-restricted-only'),
+    accountsStatus: document.getElementById('accounts-status'),
+    accountsRows: document.getElementById('accounts-rows'),
+    accountStatusForm: document.getElementById('account-status-form'),
+    accountStatusTitle: document.getElementById('account-status-title'),
+    accountState: document.getElementById('account-state'),
+    accountUntil: document.getElementById('account-until'),
+    accountReason: document.getElementById('account-reason'),
+    accountStatusBtn: document.getElementById('account-status-btn')
 };
 
+const SETTING_LABELS = {
+    'game.waitTime.min': 'Espera mínima',
+    'game.waitTime.max': 'Espera máxima',
+    'game.countdownTime': 'Contagem regressiva',
+    'growth.rate': 'Taxa de crescimento',
+    'bets.min': 'Aposta mínima',
+    'bets.max': 'Aposta máxima',
+    'players.startingBalance': 'Saldo inicial',
+    'responsibleGaming.limitIncreaseDelay': 'Espera para afrouxar limites (ms)',
+    'responsibleGaming.realityCheckMinutes': 'Lembrete de sessão padrão (min)',
+    'responsibleGaming.sessionBreakMinutes': 'Pausa que encerra a sessão (min)'
+};
+
+const AUDIT_ACTION_LABELS = {
+    admin_login: 'Login',
+    admin_login_failed: 'Login recusado',
+    admin_logout: 'Logout',
+    admin_sessions_revoked: 'Sessões revogadas',
+    config_change: 'Alteração de parâmetros',
+    config_applied: 'Parâmetros aplicados',
+    force_crash: 'Crash forçado',
+    void_round: 'Rodada anulada',
+    balance_edit: 'Ajuste de saldo',
+    player_stats_reset: 'Estatísticas zeradas',
+    player_kick: 'Jogador desconectado',
+    player_export: 'Dados exportados',
+    players_cleanup: 'Limpeza de inativos',
+    account_status_change: 'Estado da conta',
+    bots_start: 'Bots iniciados',
+    bots_stop: 'Bots parados'
+};
+
+const PLAYER_STAT_LABELS = {
+    gamesPlayed: 'Rodadas',
+    totalBets: 'Total apostado',
+    totalWinnings: 'Total ganho',
+    biggestWin: 'Maior ganho',
+    longestStreak: 'Maior sequência',
+    currentStreak: 'Sequência atual',
+    sessionGames: 'Rodadas na sessão',
+    sessionBets: 'Apostado na sessão',
+    sessionWinnings: 'Ganho na sessão'
+};
+const PLAYER_MONEY_STATS = ['totalBets', 'totalWinnings', 'biggestWin', 'sessionBets', 'sessionWinnings'];
+
+const PLAYER_LIMIT_LABELS = {
+    maxBetPerRound: 'Aposta por rodada',
+    maxSessionLoss: 'Perda na sessão',
+    maxDailyLoss: 'Perda em 24h',
+    maxSessionMinutes: 'Sessão',
+    realityCheckMinutes: 'Lembrete'
+};
+const PLAYER_MONEY_LIMITS = ['maxBetPerRound', 'maxSessionLoss', 'maxDailyLoss'];
+
+const ACCOUNT_STATE_LABELS = {
+    active: 'Ativa',
+    muted: 'Silenciada',
+    suspended: 'Suspensa',
+    banned: 'Banida',
+    self_excluded: 'Autoexcluída'
+};
+
+const currencyFormatter = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
 let connectionStatusListener = null;
 let reconnectListener = null;
 let botController = null;
+let selectedPlayerId = null;
+let selectedAccountId = null;
 
 class BotClient {
     constructor(id, controller) {
@@ -316,18 +425,76 @@ function safeLocalStorageRemove(key) {
     }
 }
 
-function isAuthenticated() {
-    return safeLocalStorageGet(STORAGE_KEY) === ADMIN_PASSWORD;
+// Sessão emitida pelo servidor em /admin/login: { token, username, role, expiresAt }
+function getAdminSession() {
+    try {
+        const session = JSON.parse(safeLocalStorageGet(STORAGE_KEY) || 'null');
+        if (session?.token && session.expiresAt > Date.now()) {
+            return session;
+        }
+    } catch (error) {
+        console.warn('Sessão administrativa inválida no localStorage:', error);
+    }
+    return null;
 }
 
-function setAuthenticated(authenticated) {
-    if (authenticated) {
-        safeLocalStorageSet(STORAGE_KEY, ADMIN_PASSWORD);
+function setAdminSession(session) {
+    if (session) {
+        safeLocalStorageSet(STORAGE_KEY, JSON.stringify(session));
     } else {
         safeLocalStorageRemove(STORAGE_KEY);
     }
 }
 
+function getAdminToken() {
+    return getAdminSession()?.token || null;
+}
+
+function isAuthenticated() {
+    return Boolean(getAdminSession());
+}
+
+function hasAdminRole(required) {
+    const level = ADMIN_ROLES.indexOf(getAdminSession()?.role);
+    return level >= 0 && level >= ADMIN_ROLES.indexOf(required);
+}
+
+// Esconde do painel o que o papel da sessão não pode executar (o servidor valida de novo)
+function applyAdminRole() {
+    const session = getAdminSession();
+    if (html.adminIdentity) {
+        html.adminIdentity.textContent = session ? `${session.username} (${session.role})` : '-';
+    }
+    if (html.forceCrashBtn) {
+        html.forceCrashBtn.disabled = !hasAdminRole('operator');
+    }
+    setBotsButtonsDisabled(false);
+    const canOperate = hasAdminRole('operator');
+    [html.playerResetBtn, html.playerKickBtn, html.playerExportBtn, html.playersCleanupBtn].forEach((button) => {
+        if (button) button.disabled = !canOperate;
+    });
+    if (html.playerBalanceBtn) html.playerBalanceBtn.disabled = !hasAdminRole('superadmin');
+    if (html.accountStatusBtn) html.accountStatusBtn.disabled = !canOperate;
+    const canEditSettings = hasAdminRole('superadmin');
+    html.settingInputs.forEach((input) => {
+        input.disabled = !canEditSettings;
+    });
+    if (html.settingsReason) html.settingsReason.disabled = !canEditSettings;
+    if (html.saveSettingsBtn) html.saveSettingsBtn.disabled = !canEditSettings;
+}
+
+// Token expirado ou revogado: volta para o login
+function handleAdminRequestError(error) {
+    if (error?.status !== 401) {
+        return false;
+    }
+    botController?.stopBots();
+    setAdminSession(null);
+    toggleAdminSection(false);
+    setError('Sessão expirada. Entre novamente.');
+    return true;
+}
+
 function showElement(element) {
     element?.classList.remove('hidden');
 }
@@ -375,12 +542,552 @@ function setBotsStatus(message, type = 'neutral') {
     }
 }
 
+function setSettingsStatus(message, type = 'neutral') {
+    if (!html.settingsStatus) return;
+    html.settingsStatus.textContent = message || '';
+    html.settingsStatus.classList.remove('success', 'error', 'info');
+    if (['success', 'error', 'info'].includes(type)) {
+        html.settingsStatus.classList.add(type);
+    }
+}
+
+function describeSettingChanges(changes = {}) {
+    return Object.entries(changes)
+        .map(([path, value]) => `${SETTING_LABELS[path] || path}: ${value}`)
+        .join(', ');
+}
+
+function renderSettingsHistory(history = []) {
+    if (!html.settingsHistory) return;
+    html.settingsHistory.innerHTML = '';
+
+    history.forEach((entry) => {
+        const item = document.createElement('li');
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        const when = new Date(entry.createdAt).toLocaleString('pt-BR');
+
+        if (entry.action === 'config_applied') {
+            meta.textContent = `${when} • aplicado na rodada #${entry.meta?.gameId ?? '?'}`;
+            item.append(meta, 'Novos parâmetros em vigor');
+        } else {
+            meta.textContent = `${when} • ${entry.actor || 'desconhecido'}${entry.ip ? ` (${entry.ip})` : ''}`;
+            const reason = entry.reason ? ` — ${entry.reason}` : '';
+            item.append(meta, `${describeSettingChanges(entry.after)}${reason}`);
+        }
+
+        html.settingsHistory.appendChild(item);
+    });
+}
+
+function renderGameSettings(data) {
+    const values = Object.fromEntries((data.options || []).map(option => [option.path, option]));
+    html.settingInputs.forEach((input) => {
+        const option = values[input.dataset.setting];
+        if (!option) return;
+        input.value = option.value;
+        input.dataset.current = String(option.value);
+        if (option.min !== null) input.min = String(option.min);
+        if (option.max !== null) input.max = String(option.max);
+    });
+
+    if (data.pending && Object.keys(data.pending).length > 0) {
+        setSettingsStatus(`Pendente para a próxima rodada: ${describeSettingChanges(data.pending)}.`, 'info');
+    } else {
+        setSettingsStatus('Parâmetros atuais carregados.', 'neutral');
+    }
+
+    renderSettingsHistory(data.history);
+}
+
+async function loadGameSettings() {
+    const socketManager = window.socketManager;
+    if (!socketManager) return;
+
+    try {
+        renderGameSettings(await socketManager.fetchGameSettings(getAdminToken()));
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha ao carregar parâmetros:', error);
+        setSettingsStatus(error.message || 'Falha ao carregar parâmetros.', 'error');
+    }
+}
+
+async function saveGameSettings() {
+    const socketManager = window.socketManager;
+    if (!socketManager) {
+        setSettingsStatus('SocketManager indisponível.', 'error');
+        return;
+    }
+
+    const changes = {};
+    html.settingInputs.forEach((input) => {
+        const value = Number(input.value);
+        if (input.value !== '' && String(value) !== input.dataset.current) {
+            changes[input.dataset.setting] = value;
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        setSettingsStatus('Nenhum parâmetro alterado.', 'info');
+        return;
+    }
+
+    html.saveSettingsBtn.disabled = true;
+    try {
+        const reason = html.settingsReason?.value.trim() || null;
+        const response = await socketManager.updateGameSettings(getAdminToken(), changes, reason);
+        renderGameSettings(response);
+        if (html.settingsReason) html.settingsReason.value = '';
+        refreshAuditLog();
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha ao salvar parâmetros:', error);
+        const details = error.problems?.length ? ` ${error.problems.join('; ')}` : '';
+        setSettingsStatus(`${error.message || 'Falha ao salvar parâmetros.'}${details}`, 'error');
+    } finally {
+        html.saveSettingsBtn.disabled = !hasAdminRole('superadmin');
+    }
+}
+
+function setAuditStatus(message, type = 'neutral') {
+    if (!html.auditStatus) return;
+    html.auditStatus.textContent = message || '';
+    html.auditStatus.classList.remove('success', 'error', 'info');
+    if (['success', 'error', 'info'].includes(type)) {
+        html.auditStatus.classList.add(type);
+    }
+}
+
+function formatAuditValues(values) {
+    if (values === null || values === undefined) return '—';
+    if (typeof values !== 'object') return String(values);
+    return Object.entries(values)
+        .map(([key, value]) => `${SETTING_LABELS[key] || key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+        .join('\n');
+}
+
+function populateAuditActions(actions = []) {
+    if (!html.auditAction || html.auditAction.options.length > 1) return;
+    actions.forEach((action) => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = AUDIT_ACTION_LABELS[action] || action;
+        html.auditAction.appendChild(option);
+    });
+}
+
+function renderAuditLog(entries = []) {
+    if (!html.auditRows) return;
+    html.auditRows.innerHTML = '';
+
+    entries.forEach((entry) => {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(entry.createdAt).toLocaleString('pt-BR'),
+            AUDIT_ACTION_LABELS[entry.action] || entry.action,
+            entry.actor || 'sistema',
+            entry.ip || '—',
+            entry.target ?? '—',
+            formatAuditValues(entry.before),
+            formatAuditValues(entry.after),
+            entry.reason || '—'
+        ];
+
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === 5 || index === 6) cell.className = 'audit-values';
+            row.appendChild(cell);
+        });
+        html.auditRows.appendChild(row);
+    });
+
+    setAuditStatus(entries.length > 0 ? `${entries.length} registro(s).` : 'Nenhum registro encontrado.', 'neutral');
+}
+
+// Valor de um input datetime-local convertido para ms (o servidor também aceita ISO)
+function readAuditDate(input) {
+    if (!input?.value) return null;
+    const time = new Date(input.value).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+async function loadAuditLog() {
+    const socketManager = window.socketManager;
+    if (!socketManager) return;
+
+    try {
+        const response = await socketManager.fetchAuditLog(getAdminToken(), {
+            action: html.auditAction?.value,
+            actor: html.auditActor?.value.trim(),
+            target: html.auditTarget?.value.trim(),
+            since: readAuditDate(html.auditSince),
+            until: readAuditDate(html.auditUntil),
+            limit: 200
+        });
+        populateAuditActions(response.actions);
+        renderAuditLog(response.entries);
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha ao carregar auditoria:', error);
+        setAuditStatus(error.message || 'Falha ao carregar auditoria.', 'error');
+    }
+}
+
+// Ações do painel mudam o log: recarrega a tabela com os filtros atuais
+function refreshAuditLog() {
+    if (isAuthenticated()) {
+        loadAuditLog();
+    }
+}
+
+function setPlayersStatus(message, type = 'neutral') {
+    if (!html.playersStatus) return;
+    html.playersStatus.textContent = message || '';
+    html.playersStatus.classList.remove('success', 'error', 'info');
+    if (['success', 'error', 'info'].includes(type)) {
+        html.playersStatus.classList.add(type);
+    }
+}
+
+function formatPlayerBets(bets = []) {
+    if (bets.length === 0) return '—';
+    return bets
+        .map(slot => `${currencyFormatter.format(slot.bet)}${slot.hasWon ? ' (retirada)' : ''}`)
+        .join(', ');
+}
+
+function formatPlayerLimits(limits) {
+    if (!limits) return '—';
+    const parts = Object.entries(PLAYER_LIMIT_LABELS)
+        .filter(([key]) => limits.limits[key] !== null)
+        .map(([key, label]) => `${label}: ${PLAYER_MONEY_LIMITS.includes(key)
+            ? currencyFormatter.format(limits.limits[key])
+            : `${limits.limits[key]} min`}`);
+    if (limits.coolingOffUntil) {
+        parts.push(`Intervalo até ${new Date(limits.coolingOffUntil).toLocaleString('pt-BR')}`);
+    }
+    return parts.join(' • ') || 'Sem limites';
+}
+
+function renderPlayers(players = [], total = players.length) {
+    if (!html.playersRows) return;
+    html.playersRows.innerHTML = '';
+
+    players.forEach((player) => {
+        const row = document.createElement('tr');
+        row.dataset.playerId = player.id;
+        row.classList.toggle('selected', player.id === selectedPlayerId);
+        [
+            player.name || player.id,
+            player.accountId || '—',
+            currencyFormatter.format(player.balance),
+            player.stats.gamesPlayed,
+            formatPlayerBets(player.currentBets),
+            new Date(player.lastSeenAt).toLocaleTimeString('pt-BR')
+        ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', () => selectPlayer(player.id));
+        html.playersRows.appendChild(row);
+    });
+
+    const hidden = total > players.length ? ` (mostrando ${players.length})` : '';
+    setPlayersStatus(total > 0 ? `${total} jogador(es) conectado(s)${hidden}.` : 'Nenhum jogador encontrado.', 'neutral');
+}
+
+function renderPlayerDetail(player) {
+    if (!html.playerDetail) return;
+    if (!player) {
+        selectedPlayerId = null;
+        hideElement(html.playerDetail);
+        return;
+    }
+
+    selectedPlayerId = player.id;
+    html.playerDetail.dataset.accountId = player.accountId || '';
+    html.playerDetailTitle.textContent = `${player.name || 'Sem nome'} • ${player.id}`;
+    html.playerDetailStats.innerHTML = '';
+
+    const entries = [
+        ['Saldo', currencyFormatter.format(player.balance)],
+        ['Conta', player.accountId || '—'],
+        ['Estado', ACCOUNT_STATE_LABELS[player.status?.state] || player.status?.state || '—'],
+        ['Aposta atual', formatPlayerBets(player.currentBets)],
+        ['Limites', formatPlayerLimits(player.limits)],
+        ...Object.entries(PLAYER_STAT_LABELS).map(([key, label]) => [
+            label,
+            PLAYER_MONEY_STATS.includes(key) ? currencyFormatter.format(player.stats[key] || 0) : player.stats[key]
+        ])
+    ];
+    entries.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const detail = document.createElement('dd');
+        term.textContent = label;
+        detail.textContent = value;
+        html.playerDetailStats.append(term, detail);
+    });
+
+    html.playerBalanceInput.value = player.balance;
+    showElement(html.playerDetail);
+}
+
+function getSelectedPlayerAccountId() {
+    return selectedPlayerId ? html.playerDetail?.dataset.accountId || null : null;
+}
+
+async function loadPlayers() {
+    const socketManager = window.socketManager;
+    if (!socketManager) return;
+
+    try {
+        const response = await socketManager.fetchPlayers(getAdminToken(), html.playersSearchInput?.value.trim());
+        renderPlayers(response.players, response.total);
+        if (selectedPlayerId && !response.players.some(player => player.id === selectedPlayerId)) {
+            renderPlayerDetail(null);
+        }
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha ao carregar jogadores:', error);
+        setPlayersStatus(error.message || 'Falha ao carregar jogadores.', 'error');
+    }
+}
+
+async function selectPlayer(playerId) {
+    try {
+        renderPlayerDetail(await window.socketManager.fetchPlayer(getAdminToken(), playerId));
+        html.playersRows?.querySelectorAll('tr').forEach((row) => {
+            row.classList.toggle('selected', row.dataset.playerId === playerId);
+        });
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        setPlayersStatus(error.message || 'Falha ao carregar jogador.', 'error');
+        if (error.status === 404) {
+            renderPlayerDetail(null);
+            loadPlayers();
+        }
+    }
+}
+
+// Executa uma ação sobre o jogador selecionado e atualiza a lista e a auditoria
+async function runPlayerAction(action, successMessage) {
+    if (!selectedPlayerId) return;
+
+    try {
+        await action(selectedPlayerId, html.playerActionReason?.value.trim() || null);
+        if (html.playerActionReason) html.playerActionReason.value = '';
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha na ação sobre o jogador:', error);
+        setPlayersStatus(error.message || 'Falha ao executar a ação.', 'error');
+        return;
+    }
+
+    refreshAuditLog();
+    await loadPlayers();
+    if (selectedPlayerId) {
+        await selectPlayer(selectedPlayerId);
+    }
+    setPlayersStatus(successMessage, 'success');
+}
+
+function adjustSelectedPlayerBalance() {
+    const balance = Number(html.playerBalanceInput?.value);
+    if (html.playerBalanceInput?.value === '' || !Number.isFinite(balance) || balance < 0) {
+        setPlayersStatus('Informe um saldo válido.', 'error');
+        return;
+    }
+    if (!html.playerActionReason?.value.trim()) {
+        setPlayersStatus('Informe o motivo do ajuste de saldo.', 'error');
+        return;
+    }
+
+    runPlayerAction(
+        (playerId, reason) => window.socketManager.adjustPlayerBalance(getAdminToken(), playerId, balance, reason),
+        'Saldo ajustado.'
+    );
+}
+
+function resetSelectedPlayerStats() {
+    if (!window.confirm('Zerar as estatísticas deste jogador?')) return;
+    runPlayerAction(
+        (playerId, reason) => window.socketManager.resetPlayerStats(getAdminToken(), playerId, reason),
+        'Estatísticas zeradas.'
+    );
+}
+
+function kickSelectedPlayer() {
+    if (!window.confirm('Desconectar este jogador?')) return;
+    runPlayerAction(
+        (playerId, reason) => window.socketManager.kickPlayer(getAdminToken(), playerId, reason),
+        'Jogador desconectado.'
+    );
+}
+
+async function exportSelectedPlayer() {
+    if (!selectedPlayerId) return;
+
+    try {
+        const data = await window.socketManager.exportPlayer(getAdminToken(), selectedPlayerId);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `player-${data.accountId || data.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        refreshAuditLog();
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        setPlayersStatus(error.message || 'Falha ao exportar dados.', 'error');
+    }
+}
+
+async function cleanupInactivePlayers() {
+    const minutes = Number(html.playersInactiveMinutes?.value);
+    if (!Number.isFinite(minutes) || minutes < 1) {
+        setPlayersStatus('Informe um tempo de inatividade válido (mínimo 1 min).', 'error');
+        return;
+    }
+
+    try {
+        const { removed } = await window.socketManager.cleanupInactivePlayers(getAdminToken(), minutes);
+        setPlayersStatus(`${removed} jogador(es) inativo(s) desconectado(s).`, 'success');
+        refreshAuditLog();
+        loadPlayers();
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        setPlayersStatus(error.message || 'Falha ao limpar inativos.', 'error');
+    }
+}
+
+function setAccountsStatus(message, type = 'neutral') {
+    if (!html.accountsStatus) return;
+    html.accountsStatus.textContent = message || '';
+    html.accountsStatus.classList.remove('success', 'error', 'info');
+    if (['success', 'error', 'info'].includes(type)) {
+        html.accountsStatus.classList.add(type);
+    }
+}
+
+function renderAccounts(accounts = []) {
+    if (!html.accountsRows) return;
+    html.accountsRows.innerHTML = '';
+
+    accounts.forEach((account) => {
+        const row = document.createElement('tr');
+        row.dataset.accountId = account.id;
+        row.classList.toggle('selected', account.id === selectedAccountId);
+        [
+            account.name || '—',
+            account.id,
+            ACCOUNT_STATE_LABELS[account.status.state] || account.status.state,
+            account.status.until ? new Date(account.status.until).toLocaleString('pt-BR') : '—',
+            account.status.reason || '—',
+            account.online ? 'Sim' : 'Não'
+        ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', () => selectAccount(account));
+        html.accountsRows.appendChild(row);
+    });
+
+    setAccountsStatus(accounts.length > 0 ? `${accounts.length} conta(s).` : 'Nenhuma conta encontrada.', 'neutral');
+}
+
+// datetime-local usa o horário local sem fuso; converte de/para ms
+function toLocalInputValue(time) {
+    const date = new Date(time);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+function selectAccount(account) {
+    selectedAccountId = account.id;
+    html.accountStatusTitle.textContent = `${account.name || 'Sem nome'} • ${account.id}`;
+    html.accountState.value = account.status.state;
+    html.accountUntil.value = account.status.until ? toLocalInputValue(account.status.until) : '';
+    html.accountReason.value = '';
+    html.accountsRows?.querySelectorAll('tr').forEach((row) => {
+        row.classList.toggle('selected', row.dataset.accountId === account.id);
+    });
+    showElement(html.accountStatusForm);
+}
+
+async function loadAccounts() {
+    const socketManager = window.socketManager;
+    if (!socketManager) return;
+
+    try {
+        const { accounts } = await socketManager.fetchAccounts(getAdminToken(), {
+            search: html.accountsSearchInput?.value.trim(),
+            restricted: Boolean(html.accountsRestrictedOnly?.checked)
+        });
+        renderAccounts(accounts);
+        const selected = accounts.find(account => account.id === selectedAccountId);
+        if (selected) {
+            selectAccount(selected);
+        } else {
+            selectedAccountId = null;
+            hideElement(html.accountStatusForm);
+        }
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        console.error('Falha ao carregar contas:', error);
+        setAccountsStatus(error.message || 'Falha ao carregar contas.', 'error');
+    }
+}
+
+// Abre a conta do jogador selecionado no painel de estados
+async function openSelectedPlayerAccount() {
+    const accountId = getSelectedPlayerAccountId();
+    if (!accountId) {
+        setPlayersStatus('Jogador sem conta vinculada.', 'error');
+        return;
+    }
+    html.accountsSearchInput.value = accountId;
+    html.accountsRestrictedOnly.checked = false;
+    selectedAccountId = accountId;
+    await loadAccounts();
+    html.accountStatusForm?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+async function applyAccountStatus() {
+    if (!selectedAccountId) return;
+
+    const state = html.accountState.value;
+    const until = html.accountUntil.value ? new Date(html.accountUntil.value).getTime() : null;
+    if (state === 'banned' && !window.confirm('Banir esta conta? O jogador será desconectado.')) {
+        return;
+    }
+
+    try {
+        await window.socketManager.setAccountStatus(getAdminToken(), selectedAccountId, {
+            state,
+            until,
+            reason: html.accountReason.value.trim() || null
+        });
+        await loadAccounts();
+        setAccountsStatus(`Estado aplicado: ${ACCOUNT_STATE_LABELS[state] || state}.`, 'success');
+        refreshAuditLog();
+        loadPlayers();
+    } catch (error) {
+        if (handleAdminRequestError(error)) return;
+        setAccountsStatus(error.message || 'Falha ao aplicar estado.', 'error');
+    }
+}
+
 function setBotsButtonsDisabled(disabled) {
+    const canRunBots = hasAdminRole('operator');
     if (html.startBotsBtn) {
-        html.startBotsBtn.disabled = disabled;
+        html.startBotsBtn.disabled = disabled || !canRunBots;
     }
     if (html.stopBotsBtn) {
-        html.stopBotsBtn.disabled = disabled;
+        html.stopBotsBtn.disabled = disabled || !canRunBots;
     }
 }
 
@@ -400,13 +1107,15 @@ function toggleAdminSection(show) {
         showElement(html.adminSection);
         html.passwordInput.value = '';
         setStatusMessage('Sessão administrativa ativa.', 'success');
+        applyAdminRole();
         html.forceCrashBtn?.focus();
     } else {
         showElement(html.authForm);
         hideElement(html.adminSection);
         setStatusMessage('');
         setLastResult('');
-        html.passwordInput.focus();
+        applyAdminRole();
+        html.usernameInput?.focus();
     }
 }
 
@@ -485,7 +1194,7 @@ function waitForSocketManager() {
 
 function setCrashButtonLoading(isLoading) {
     if (!html.forceCrashBtn) return;
-    html.forceCrashBtn.disabled = isLoading;
+    html.forceCrashBtn.disabled = isLoading || !hasAdminRole('operator');
     html.forceCrashBtn.textContent = isLoading ? 'Enviando comando...' : 'Forçar crash agora';
 }
 
@@ -500,11 +1209,13 @@ async function triggerForceCrash() {
     setLastResult('Enviando comando ao servidor...', 'neutral');
 
     try {
-        const response = await socketManager.forceCrash(ADMIN_PASSWORD, 'manual_admin_panel');
+        const response = await socketManager.forceCrash(getAdminToken(), 'manual_admin_panel');
         const multiplier = response?.crashMultiplier || response?.multiplier;
         const detail = multiplier ? `Multiplicador registrado: ${Number(multiplier).toFixed(2)}x.` : '';
         setLastResult(`Comando executado com sucesso. ${detail}`.trim(), 'success');
+        refreshAuditLog();
     } catch (error) {
+        if (handleAdminRequestError(error)) return;
         console.error('Falha ao forçar crash:', error);
         setLastResult(error.message || 'Falha ao enviar comando.', 'error');
     } finally {
@@ -512,33 +1223,71 @@ async function triggerForceCrash() {
     }
 }
 
-function handleAuthenticate(event) {
+async function handleAuthenticate(event) {
     event.preventDefault();
     clearError();
 
-    const password = html.passwordInput.value.trim();
-    if (!password) {
-        setError('Informe a senha.');
+    const username = html.usernameInput?.value.trim() || '';
+    const password = html.passwordInput.value;
+    if (!username || !password) {
+        setError('Informe usuário e senha.');
         return;
     }
 
-    if (password === ADMIN_PASSWORD) {
-        setAuthenticated(true);
+    const socketManager = window.socketManager;
+    if (!socketManager) {
+        setError('SocketManager indisponível.');
+        return;
+    }
+
+    try {
+        const session = await socketManager.adminLogin(username, password);
+        setAdminSession(session);
         toggleAdminSection(true);
-        setStatusMessage('Senha correta. Acesso liberado.');
+        setStatusMessage(`Acesso liberado como ${session.username} (${session.role}).`, 'success');
         updateConnectionDetails();
-    } else {
-        setAuthenticated(false);
-        setError('Senha incorreta. Tente novamente.');
+        loadGameSettings();
+        loadPlayers();
+        loadAccounts();
+        loadAuditLog();
+    } catch (error) {
+        setAdminSession(null);
+        setError(error.status === 401 ? 'Usuário ou senha incorretos.' : (error.message || 'Falha ao entrar.'));
         html.passwordInput.select();
     }
 }
 
-function handleLogout() {
+async function handleLogout() {
     botController?.stopBots();
-    setAuthenticated(false);
+    const token = getAdminToken();
+    setAdminSession(null);
     toggleAdminSection(false);
     setStatusMessage('Sessão encerrada.');
+
+    if (token && window.socketManager) {
+        // Revoga o token no servidor; falhas aqui não impedem a saída local
+        await window.socketManager.adminLogout(token).catch(error => {
+            console.warn('Falha ao encerrar a sessão no servidor:', error);
+        });
+    }
+}
+
+// Confere com o servidor se a sessão guardada ainda vale e atualiza o papel
+async function validateStoredSession(socketManager) {
+    const session = getAdminSession();
+    if (!session) return false;
+
+    try {
+        const current = await socketManager.fetchAdminSession(session.token);
+        setAdminSession({ ...session, role: current.role });
+        applyAdminRole();
+        return true;
+    } catch (error) {
+        if (!handleAdminRequestError(error)) {
+            console.warn('Não foi possível validar a sessão administrativa:', error);
+        }
+        return false;
+    }
 }
 
 function initializeUI() {
@@ -546,6 +1295,7 @@ function initializeUI() {
         toggleAdminSection(true);
         setStatusMessage('Sessão restaurada.');
     } else {
+        setAdminSession(null);
         toggleAdminSection(false);
     }
 }
@@ -569,6 +1319,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         const manager = await waitForSocketManager();
         attachSocketListeners(manager);
         updateConnectionDetails();
+        if (await validateStoredSession(manager)) {
+            loadGameSettings();
+            loadPlayers();
+            loadAccounts();
+            loadAuditLog();
+        }
+        // Atualiza o formulário quando as alterações pendentes entram em vigor
+        manager.on('game_settings', (data) => {
+            if (data?.appliedFrom && isAuthenticated()) {
+                loadGameSettings();
+                loadAuditLog();
+            }
+        });
     } catch (error) {
         console.error(error);
         setStatusMessage('Não foi possível inicializar a conexão automática.', 'error');
@@ -582,7 +1345,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     html.forceCrashBtn?.addEventListener('click', triggerForceCrash);
+    html.saveSettingsBtn?.addEventListener('click', saveGameSettings);
+    html.reloadSettingsBtn?.addEventListener('click', loadGameSettings);
     html.logoutBtn?.addEventListener('click', handleLogout);
+    html.playersSearch?.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadPlayers();
+    });
+    html.playerBalanceBtn?.addEventListener('click', adjustSelectedPlayerBalance);
+    html.playerResetBtn?.addEventListener('click', resetSelectedPlayerStats);
+    html.playerKickBtn?.addEventListener('click', kickSelectedPlayer);
+    html.playerExportBtn?.addEventListener('click', exportSelectedPlayer);
+    html.playersCleanupBtn?.addEventListener('click', cleanupInactivePlayers);
+    html.playerAccountBtn?.addEventListener('click', openSelectedPlayerAccount);
+    html.accountsSearch?.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadAccounts();
+    });
+    html.accountStatusBtn?.addEventListener('click', applyAccountStatus);
+    html.auditFilters?.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadAuditLog();
+    });
+    html.auditFilters?.addEventListener('reset', () => {
+        // O reset limpa os campos depois do evento
+        setTimeout(loadAuditLog, 0);
+    });
 
     html.startBotsBtn?.addEventListener('click', () => {
         try {
@@ -599,12 +1387,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             };
 
             setBotsButtonsDisabled(true);
-            botController.startBots(count, settings)
+            // O início fica registrado na auditoria do servidor antes de conectar os bots
+            window.socketManager.reportBots(getAdminToken(), 'start', { count, settings })
+                .then(() => botController.startBots(count, settings))
                 .then(() => {
+                    refreshAuditLog();
                     const stats = botController.getStats();
                     setBotsStatus(`Bots ativos: ${stats.connected}/${stats.total}.`, 'success');
                 })
                 .catch((error) => {
+                    if (handleAdminRequestError(error)) return;
                     console.error('Erro ao iniciar bots:', error);
                     setBotsStatus(error.message || 'Falha ao iniciar bots.', 'error');
                 })
@@ -618,8 +1410,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     html.stopBotsBtn?.addEventListener('click', () => {
         try {
+            const { total } = botController.getStats();
             botController.stopBots();
             setBotsStatus('Bots desligados.', 'info');
+            if (total > 0) {
+                window.socketManager?.reportBots(getAdminToken(), 'stop')
+                    .then(refreshAuditLog)
+                    .catch(error => console.warn('Falha ao registrar parada dos bots:', error));
+            }
         } catch (error) {
             console.error('Erro ao parar bots:', error);
             setBotsStatus(error.message || 'Falha ao parar bots.', 'error');
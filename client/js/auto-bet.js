@@ -0,0 +1,409 @@
+// Auto-bet strategy runner (Modo Auto)
+// Envia apostas comuns via place_bet a cada rodada; o servidor não sabe que a aposta é automática.
+
+const AUTO_BET_SLOT = 0;
+const AUTO_BET_STRATEGIES = ['reset', 'multiply', 'add'];
+
+class AutoBetRunner {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.elements = {};
+        this.config = null;
+        this.isRunning = false;
+        this.resetSession();
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.setupSocketEvents();
+        this.renderSummary();
+    }
+
+    resetSession() {
+        this.roundsPlayed = 0;
+        this.wins = 0;
+        this.losses = 0;
+        this.profit = 0;
+        this.nextBet = 0;
+        this.openBet = null; // { amount } enquanto a aposta da rodada estiver em jogo
+        this.isPlacingBet = false;
+        this.stopReason = null;
+    }
+
+    initializeElements() {
+        this.elements = {
+            panel: document.getElementById('auto-bet-panel'),
+            baseBet: document.getElementById('auto-bet-base'),
+            cashOut: document.getElementById('auto-bet-cashout'),
+            rounds: document.getElementById('auto-bet-rounds'),
+            winAction: document.getElementById('auto-bet-win-action'),
+            winValue: document.getElementById('auto-bet-win-value'),
+            lossAction: document.getElementById('auto-bet-loss-action'),
+            lossValue: document.getElementById('auto-bet-loss-value'),
+            stopProfit: document.getElementById('auto-bet-stop-profit'),
+            stopLoss: document.getElementById('auto-bet-stop-loss'),
+            toggleBtn: document.getElementById('auto-bet-toggle'),
+            status: document.getElementById('auto-bet-status'),
+            roundsPlayed: document.getElementById('auto-bet-rounds-played'),
+            record: document.getElementById('auto-bet-record'),
+            profitValue: document.getElementById('auto-bet-profit'),
+            currentBet: document.getElementById('auto-bet-current')
+        };
+    }
+
+    setupEventListeners() {
+        if (!this.elements.toggleBtn) {
+            return;
+        }
+
+        this.elements.toggleBtn.addEventListener('click', () => {
+            if (this.isRunning) {
+                this.stop('Parado pelo jogador');
+            } else {
+                this.start();
+            }
+        });
+    }
+
+    setupSocketEvents() {
+        const waitForSocket = () => {
+            if (!window.socketManager) {
+                setTimeout(waitForSocket, 100);
+                return;
+            }
+
+            window.socketManager.on('game_state', (data) => this.handleGameState(data));
+            window.socketManager.on('bet_placed', (data) => this.handleBetPlaced(data));
+            window.socketManager.on('bet_queued', (data) => this.handleBetQueued(data));
+            window.socketManager.on('bet_queue_cancelled', (data) => {
+                if (data && data.success) {
+                    this.handleBetQueueCancelled(data);
+                }
+            });
+            window.socketManager.on('rate_limited', (data) => this.handleRateLimited(data));
+            window.socketManager.on('player_cashed_out', (data) => this.handleCashedOut(data));
+            window.socketManager.on('bet_refunded', (data) => this.handleBetRefunded(data));
+            window.socketManager.on('bet_cancelled', (data) => {
+                if (data && data.success) {
+                    this.handleBetRefunded(data);
+                }
+            });
+            window.socketManager.on('server_error', () => {
+                this.isPlacingBet = false;
+            });
+            window.socketManager.on('connection_status', (data) => {
+                if (data && !data.connected && this.isRunning) {
+                    this.stop('Conexão perdida');
+                }
+            });
+        };
+
+        waitForSocket();
+    }
+
+    readConfig() {
+        const number = (input, fallback = 0) => {
+            const value = parseFloat(input?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const strategy = (select) => AUTO_BET_STRATEGIES.includes(select?.value) ? select.value : 'reset';
+
+        return {
+            baseBet: number(this.elements.baseBet),
+            cashOut: number(this.elements.cashOut),
+            rounds: Math.max(0, Math.floor(number(this.elements.rounds))),
+            onWin: { action: strategy(this.elements.winAction), value: number(this.elements.winValue) },
+            onLoss: { action: strategy(this.elements.lossAction), value: number(this.elements.lossValue) },
+            stopOnProfit: Math.max(0, number(this.elements.stopProfit)),
+            stopOnLoss: Math.max(0, number(this.elements.stopLoss))
+        };
+    }
+
+    validateConfig(config) {
+        const { min: minBet, max: maxBet } = this.getBetLimits();
+        if (config.baseBet < minBet) {
+            return `Aposta base mínima é ${this.uiManager.currencyFormatter.format(minBet)}`;
+        }
+        if (config.baseBet > maxBet) {
+            return `Aposta base máxima é ${this.uiManager.currencyFormatter.format(maxBet)}`;
+        }
+        if (config.cashOut < 1.01) {
+            return 'Retirar em deve ser no mínimo 1.01x';
+        }
+        if (config.onWin.action === 'multiply' && config.onWin.value <= 0) {
+            return 'Multiplicador de vitória inválido';
+        }
+        if (config.onLoss.action === 'multiply' && config.onLoss.value <= 0) {
+            return 'Multiplicador de derrota inválido';
+        }
+        if (config.baseBet > this.uiManager.playerBalance) {
+            return 'Saldo insuficiente para a aposta base';
+        }
+        return null;
+    }
+
+    start() {
+        const config = this.readConfig();
+        const error = this.validateConfig(config);
+        if (error) {
+            this.uiManager.showNotification(error, 'error');
+            return;
+        }
+
+        this.config = config;
+        this.resetSession();
+        this.nextBet = config.baseBet;
+        this.isRunning = true;
+        this.setFormDisabled(true);
+        this.renderSummary();
+        this.uiManager.showNotification('Auto aposta iniciada', 'info');
+
+        // Se a rodada ainda aceita apostas, entra já nela
+        const state = this.uiManager.gameState;
+        if (state === 'waiting' || state === 'starting') {
+            this.placeNextBet();
+        }
+    }
+
+    stop(reason = null) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        this.isPlacingBet = false;
+        this.stopReason = reason;
+        this.setFormDisabled(false);
+        this.renderSummary();
+
+        if (reason) {
+            this.uiManager.showNotification(`Auto aposta encerrada: ${reason}`, 'info');
+        }
+    }
+
+    placeNextBet() {
+        if (!this.isRunning || this.openBet || this.isPlacingBet) {
+            return;
+        }
+
+        const limitReason = this.checkLimits();
+        if (limitReason) {
+            this.stop(limitReason);
+            return;
+        }
+
+        if (!window.socketManager || !window.socketManager.isConnected) {
+            this.stop('Não conectado ao servidor');
+            return;
+        }
+
+        this.isPlacingBet = true;
+        window.socketManager.placeBet(this.nextBet, this.config.cashOut, AUTO_BET_SLOT);
+        this.renderSummary();
+    }
+
+    // Retorna o motivo da parada quando algum limite foi atingido
+    checkLimits() {
+        const { rounds, stopOnProfit, stopOnLoss } = this.config;
+
+        if (rounds > 0 && this.roundsPlayed >= rounds) {
+            return `${rounds} rodadas concluídas`;
+        }
+        if (stopOnProfit > 0 && this.profit >= stopOnProfit) {
+            return 'Meta de lucro atingida';
+        }
+        if (stopOnLoss > 0 && -this.profit >= stopOnLoss) {
+            return 'Limite de perda atingido';
+        }
+        if (this.nextBet > this.uiManager.playerBalance) {
+            return 'Saldo insuficiente';
+        }
+        return null;
+    }
+
+    applyStrategy(rule) {
+        let amount;
+        switch (rule.action) {
+            case 'multiply':
+                amount = this.nextBet * rule.value;
+                break;
+            case 'add':
+                amount = this.nextBet + rule.value;
+                break;
+            default:
+                amount = this.config.baseBet;
+        }
+
+        return Money.round(amount);
+    }
+
+    // Limites de aposta recebidos do servidor em game_settings
+    getBetLimits() {
+        const { min = 1, max = Infinity } = this.uiManager.betLimits || {};
+        return { min, max };
+    }
+
+    // Mantém a próxima aposta dentro dos limites do servidor, que recusaria o valor e zeraria a
+    // estratégia a cada rodada; devolve o motivo da parada quando foi preciso ajustar
+    clampNextBet() {
+        const { min, max } = this.getBetLimits();
+        const format = value => this.uiManager.currencyFormatter.format(value);
+
+        if (this.nextBet > max) {
+            this.nextBet = max;
+            return `Próxima aposta passaria do máximo de ${format(max)}`;
+        }
+        if (this.nextBet < min) {
+            this.nextBet = min;
+            return `Próxima aposta ficaria abaixo do mínimo de ${format(min)}`;
+        }
+        return null;
+    }
+
+    settleRound(won, payout = 0) {
+        const amount = this.openBet.amount;
+        const paidOut = Money.add(payout, this.openBet.paidOut || 0);
+        this.openBet = null;
+        this.roundsPlayed++;
+
+        if (won) {
+            this.wins++;
+            this.nextBet = this.applyStrategy(this.config.onWin);
+        } else {
+            this.losses++;
+            this.nextBet = this.applyStrategy(this.config.onLoss);
+        }
+        this.profit = Money.add(this.profit, Money.subtract(paidOut, amount));
+
+        const limitReason = this.clampNextBet() || this.checkLimits();
+        if (limitReason) {
+            this.stop(limitReason);
+        } else {
+            this.renderSummary();
+        }
+    }
+
+    // Socket handlers
+    handleGameState(data = {}) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        if (data.state === 'crashed' && this.openBet) {
+            this.settleRound(false);
+        } else if (data.state === 'waiting') {
+            this.placeNextBet();
+        }
+    }
+
+    handleBetPlaced(data = {}) {
+        if (!this.isRunning || !this.isPlacingBet || Number(data.slotId ?? 0) !== AUTO_BET_SLOT) {
+            return;
+        }
+
+        this.isPlacingBet = false;
+
+        if (data.success) {
+            this.openBet = { amount: typeof data.betAmount === 'number' ? data.betAmount : this.nextBet };
+            this.renderSummary();
+        } else {
+            this.stop(data.error || 'Aposta recusada');
+        }
+    }
+
+    // Aposta enviada depois da decolagem: o servidor a agenda para a próxima rodada e o bet_placed só
+    // chega quando ela for ativada, então nenhuma outra aposta é enviada até lá
+    handleBetQueued(data = {}) {
+        if (!this.isRunning || !this.isPlacingBet || Number(data.slotId ?? 0) !== AUTO_BET_SLOT) {
+            return;
+        }
+
+        if (!data.success) {
+            this.isPlacingBet = false;
+            this.stop(data.error || 'Aposta recusada');
+        }
+    }
+
+    handleBetQueueCancelled(data = {}) {
+        if (this.isPlacingBet && Number(data.slotId ?? 0) === AUTO_BET_SLOT) {
+            this.isPlacingBet = false;
+            this.renderSummary();
+        }
+    }
+
+    // O servidor descartou o place_bet; o aviso fica com o UIManager e a aposta é tentada de novo
+    // na próxima rodada
+    handleRateLimited(data = {}) {
+        if (!this.isRunning || !this.isPlacingBet || data.event !== 'place_bet') {
+            return;
+        }
+
+        this.isPlacingBet = false;
+        this.renderSummary();
+    }
+
+    handleCashedOut(data = {}) {
+        if (!this.isRunning || !this.openBet || !data.isCurrentPlayer || Number(data.slotId ?? 0) !== AUTO_BET_SLOT) {
+            return;
+        }
+
+        const payout = typeof data.amount === 'number' ? data.amount : 0;
+        if (data.partial) {
+            // Parte retirada; o restante segue em jogo até a próxima retirada ou o crash
+            this.openBet.paidOut = Money.add(this.openBet.paidOut || 0, payout);
+            return;
+        }
+
+        this.settleRound(true, payout);
+    }
+
+    // Rodada anulada: a aposta volta ao saldo e não conta como rodada jogada
+    handleBetRefunded(data = {}) {
+        if (this.openBet && Number(data.slotId ?? 0) === AUTO_BET_SLOT) {
+            this.openBet = null;
+            this.renderSummary();
+        }
+    }
+
+    // UI helpers
+    setFormDisabled(disabled) {
+        ['baseBet', 'cashOut', 'rounds', 'winAction', 'winValue', 'lossAction', 'lossValue', 'stopProfit', 'stopLoss']
+            .forEach(key => {
+                if (this.elements[key]) {
+                    this.elements[key].disabled = disabled;
+                }
+            });
+    }
+
+    renderSummary() {
+        const { toggleBtn, status, roundsPlayed, record, profitValue, currentBet } = this.elements;
+        if (!toggleBtn) {
+            return;
+        }
+
+        toggleBtn.textContent = this.isRunning ? 'Parar Auto Aposta' : 'Iniciar Auto Aposta';
+        toggleBtn.classList.toggle('running', this.isRunning);
+
+        if (this.isRunning) {
+            status.textContent = this.openBet ? 'Aposta em jogo' : 'Aguardando próxima rodada';
+        } else {
+            status.textContent = this.stopReason || 'Parado';
+        }
+
+        const totalRounds = this.config && this.config.rounds > 0 ? `/${this.config.rounds}` : '';
+        roundsPlayed.textContent = `${this.roundsPlayed}${totalRounds}`;
+        record.textContent = `${this.wins} / ${this.losses}`;
+        profitValue.textContent = this.uiManager.formatProfit(this.profit).text;
+        profitValue.classList.toggle('negative', this.profit < 0);
+        currentBet.textContent = this.uiManager.formatCurrency(this.openBet ? this.openBet.amount : this.nextBet);
+    }
+}
+
+// Initialize auto-bet runner after the UI manager
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.uiManager) {
+        window.autoBetRunner = new AutoBetRunner(window.uiManager);
+    }
+});
+
+// Export for use in other modules
+window.AutoBetRunner = AutoBetRunner;
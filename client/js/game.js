@@ -136,6 +136,16 @@ class Game {
         this.socketManager.on('game_history', (data) => {
             this.handleGameHistory(data);
         });
+
+        // A taxa de crescimento pode mudar entre rodadas; a predição usa a mais recente do servidor
+        this.socketManager.on('game_settings', (data) => {
+            if (typeof data?.growthRate === 'number' && data.growthRate > 0) {
+                this.defaultGrowthRate = data.growthRate;
+            }
+            if (typeof data?.capMultiplier === 'number' && data.capMultiplier > 1) {
+                this.multiplierCap = data.capMultiplier;
+            }
+        });
         
         this.socketManager.on('connection_status', (data) => {
             if (!data.connected) {
@@ -207,7 +217,7 @@ class Game {
     }
     
     handleGameState(data) {
-        const { state, multiplier, time, countdown, nextGameIn, finalMultiplier } = data;
+        const { state, multiplier, time, countdown, nextGameIn, finalMultiplier, gameId } = data;
         
         this.gameState = state;
         
@@ -225,7 +235,7 @@ class Game {
                 break;
                 
             case 'crashed':
-                this.handleCrashedState({ finalMultiplier });
+                this.handleCrashedState({ finalMultiplier, gameId });
                 break;
         }
     }
@@ -316,7 +326,7 @@ class Game {
         this.uiManager.setGameState('crashed', { finalMultiplier });
         
         // Add to history
-        this.uiManager.addToHistory(finalMultiplier);
+        this.uiManager.addToHistory({ gameId: data.gameId, multiplier: finalMultiplier, outcome: 'crashed' });
 
         this.clearPredictionSnapshot();
         
@@ -338,8 +348,9 @@ class Game {
             this.uiManager.elements.historyContainer.innerHTML = '';
             
             // Add each item
-            data.history.forEach(multiplier => {
-                this.uiManager.addToHistory(multiplier);
+            // Mais recente primeiro no servidor; addToHistory insere no início
+            data.history.slice().reverse().forEach(entry => {
+                this.uiManager.addToHistory(entry);
             });
         }
     }
@@ -397,20 +408,31 @@ class Game {
         }
     }
 
+    // Reserva do auto retirar do servidor, com a mesma regra de alvo: o primeiro vale até a primeira
+    // retirada e, depois dela, o do restante (sem alvo do restante, a retirada fica manual)
     checkAutoCashOut(currentMultiplier) {
-        if (!this.uiManager.isAutoCashOut || !this.uiManager.isPlaying) {
-            return;
-        }
-        
-        const autoCashOutValue = parseFloat(this.uiManager.elements.autoCashOutValue.value);
-        
-        if (currentMultiplier >= autoCashOutValue) {
-            this.socketManager.cashOut();
-            this.uiManager.isPlaying = false;
-            this.uiManager.updateStartButton();
+        this.uiManager.betSlots.forEach(slot => {
+            const plan = slot.autoCashOutPlan;
+            if (!plan || !slot.isPlaying) {
+                return;
+            }
             
-            console.log(`🤖 Auto cash out triggered at ${currentMultiplier.toFixed(2)}x`);
-        }
+            const isFirstLeg = slot.cashOutLegs === 0;
+            const target = isFirstLeg ? plan.autoCashOut : plan.remainderAutoCashOut;
+            
+            // A retirada parcial do primeiro alvo fica com o servidor: repeti-la daqui retiraria parte do restante
+            if (isFirstLeg && plan.autoCashOutFraction < 1) {
+                return;
+            }
+            
+            if (target && currentMultiplier >= target) {
+                this.socketManager.cashOut(slot.id);
+                slot.isPlaying = false;
+                this.uiManager.updateStartButton();
+                
+                console.log(`🤖 Auto cash out triggered on slot ${slot.id} at ${currentMultiplier.toFixed(2)}x`);
+            }
+        });
     }
     
     // Rendering and animation
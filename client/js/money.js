@@ -0,0 +1,39 @@
+// Aritmética de dinheiro em centavos inteiros, espelhando server/money.js. O servidor envia valores
+// em reais; as contas locais de saldo e os textos exibidos passam por aqui para não acumular o erro
+// de ponto flutuante (0.1 + 0.2 !== 0.3).
+
+const Money = {
+    toCents(amount) {
+        const value = Number(amount);
+        return Number.isFinite(value) ? Math.round(value * 100) : 0;
+    },
+
+    fromCents(cents) {
+        return cents / 100;
+    },
+
+    round(amount) {
+        return Money.fromCents(Money.toCents(amount));
+    },
+
+    add(...amounts) {
+        return Money.fromCents(amounts.reduce((total, amount) => total + Money.toCents(amount), 0));
+    },
+
+    subtract(amount, ...amounts) {
+        return Money.fromCents(amounts.reduce((total, value) => total - Money.toCents(value), Money.toCents(amount)));
+    },
+
+    // Mesma regra do servidor: pagamento truncado para o centavo de baixo
+    payout(stake, multiplier) {
+        const cents = Money.toCents(stake) * Number(multiplier);
+        return Number.isFinite(cents) && cents > 0 ? Money.fromCents(Math.floor(cents + 1e-6)) : 0;
+    },
+
+    // "12.34", para os campos numéricos e as mensagens com "R$"
+    format(amount) {
+        return Money.round(amount).toFixed(2);
+    }
+};
+
+window.Money = Money;
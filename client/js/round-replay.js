@@ -0,0 +1,227 @@
+// Round details modal with a replay of the multiplier curve from the stored round record
+
+const REPLAY_DURATION_MS = 2500;
+
+class RoundReplay {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.elements = {};
+        this.round = null;
+        this.animationFrameId = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    initializeElements() {
+        this.elements = {
+            modal: document.getElementById('round-modal'),
+            title: document.getElementById('round-modal-title'),
+            summary: document.getElementById('round-summary'),
+            canvas: document.getElementById('round-replay-canvas'),
+            cashouts: document.getElementById('round-cashouts'),
+            replayBtn: document.getElementById('round-replay-btn'),
+            closeBtn: document.getElementById('round-close-btn')
+        };
+    }
+
+    setupEventListeners() {
+        if (!this.elements.modal) {
+            return;
+        }
+
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.replayBtn.addEventListener('click', () => this.play());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.close();
+            }
+        });
+    }
+
+    async open(gameId) {
+        if (!this.elements.modal || !window.socketManager) {
+            return;
+        }
+
+        this.elements.title.textContent = `Rodada #${gameId}`;
+        this.elements.summary.textContent = 'Carregando...';
+        this.elements.cashouts.innerHTML = '';
+        this.elements.modal.classList.remove('hidden');
+
+        try {
+            this.round = await window.socketManager.fetchRound(gameId);
+            this.renderDetails();
+            this.play();
+        } catch (error) {
+            console.error('Falha ao carregar rodada:', error);
+            this.elements.summary.textContent = error.message || 'Não foi possível carregar a rodada';
+        }
+    }
+
+    close() {
+        this.stop();
+        this.round = null;
+        this.elements.modal.classList.add('hidden');
+    }
+
+    renderDetails() {
+        const round = this.round;
+        const format = (value) => this.uiManager.formatCurrency(value ?? 0);
+        const outcome = round.outcome === 'voided'
+            ? `Anulada (${round.reason || 'sem motivo'})`
+            : `Crash em ${Number(round.finalMultiplier).toFixed(2)}x${round.reason ? ` (forçado: ${round.reason})` : ''}`;
+
+        const rows = [
+            ['Resultado', outcome],
+            ['Crash point', round.crashPoint ? `${round.crashPoint.toFixed(2)}x` : '--'],
+            ['Início', round.startedAt ? new Date(round.startedAt).toLocaleTimeString('pt-BR') : '--'],
+            ['Apostas', `${round.totals.bets} (${format(round.totals.wagered)})`],
+            ['Pago', format(round.totals.paidOut)],
+            ['Seed', round.serverSeed || '--']
+        ];
+
+        this.elements.summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            const labelNode = document.createElement('span');
+            const valueNode = document.createElement('strong');
+            labelNode.textContent = label;
+            valueNode.textContent = value;
+            row.append(labelNode, valueNode);
+            this.elements.summary.appendChild(row);
+        });
+
+        this.elements.cashouts.innerHTML = '';
+        if (round.cashouts.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Nenhuma retirada nesta rodada';
+            this.elements.cashouts.appendChild(empty);
+        }
+        round.cashouts.forEach(cashout => {
+            const item = document.createElement('li');
+            const partial = cashout.fraction < 1 ? ` · ${Math.round(cashout.fraction * 100)}%` : '';
+            item.textContent = `${cashout.playerName} — ${cashout.multiplier.toFixed(2)}x · ${format(cashout.winAmount)}${partial}${cashout.isAuto ? ' · auto' : ''}`;
+            this.elements.cashouts.appendChild(item);
+        });
+    }
+
+    // Tempo (s) em que a curva exp(rate * t) atinge o multiplicador
+    timeAt(multiplier) {
+        return Math.log(Math.max(1, multiplier)) / this.round.growthRate;
+    }
+
+    play() {
+        this.stop();
+        if (!this.round) {
+            return;
+        }
+
+        if (!this.round.startedAt || !this.round.finalMultiplier) {
+            this.drawFrame(0);
+            return;
+        }
+
+        const startedAt = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, (now - startedAt) / REPLAY_DURATION_MS);
+            this.drawFrame(progress);
+            if (progress < 1) {
+                this.animationFrameId = requestAnimationFrame(step);
+            } else {
+                this.animationFrameId = null;
+            }
+        };
+        this.animationFrameId = requestAnimationFrame(step);
+    }
+
+    stop() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    drawFrame(progress) {
+        const canvas = this.elements.canvas;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 30;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#a0aec0';
+        ctx.font = '12px sans-serif';
+
+        const round = this.round;
+        if (!round.startedAt || !round.finalMultiplier) {
+            ctx.fillText('A rodada foi anulada antes da decolagem', padding, height / 2);
+            return;
+        }
+
+        const finalMultiplier = round.finalMultiplier;
+        const totalTime = Math.max(this.timeAt(finalMultiplier), 0.1);
+        const maxMultiplier = Math.max(finalMultiplier, 1.1);
+        const toX = (time) => padding + (time / totalTime) * (width - padding * 2);
+        const toY = (multiplier) => height - padding - ((multiplier - 1) / (maxMultiplier - 1)) * (height - padding * 2);
+
+        // Eixos
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.stroke();
+        ctx.fillText(`${maxMultiplier.toFixed(2)}x`, 2, padding);
+        ctx.fillText('1.00x', 2, height - padding);
+        ctx.fillText(`${totalTime.toFixed(1)}s`, width - padding - 20, height - padding + 16);
+
+        // Curva até o ponto atual da animação
+        const currentTime = totalTime * progress;
+        ctx.strokeStyle = '#e53e3e';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        const samples = 120;
+        for (let i = 0; i <= samples; i++) {
+            const time = (currentTime * i) / samples;
+            const multiplier = Math.min(Math.exp(round.growthRate * time), finalMultiplier);
+            const x = toX(time);
+            const y = toY(multiplier);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        // Retiradas já alcançadas pela animação
+        round.cashouts.forEach(cashout => {
+            const time = this.timeAt(cashout.multiplier);
+            if (time > currentTime) {
+                return;
+            }
+            ctx.fillStyle = '#38a169';
+            ctx.beginPath();
+            ctx.arc(toX(time), toY(cashout.multiplier), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        if (progress >= 1) {
+            ctx.fillStyle = round.outcome === 'voided' ? '#a0aec0' : '#e53e3e';
+            ctx.font = 'bold 14px sans-serif';
+            const label = round.outcome === 'voided' ? 'ANULADA' : `💥 ${finalMultiplier.toFixed(2)}x`;
+            ctx.fillText(label, Math.min(toX(totalTime) - 60, width - 90), toY(finalMultiplier) + 18);
+        }
+    }
+}
+
+// Initialize round details view after the UI manager
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.uiManager) {
+        window.roundReplay = new RoundReplay(window.uiManager);
+    }
+});
+
+// Export for use in other modules
+window.RoundReplay = RoundReplay;
@@ -1,6 +1,7 @@
 // Socket.IO client connection and event handling
 
 const DEFAULT_TUNNEL_URL = 'https://selection-flush-telecommunications-semiconductor.trycloudflare.com';
+const ACCOUNT_TOKEN_STORAGE_KEY = 'crash-rocket-account-token';
 
 class SocketManager {
     constructor() {
@@ -179,6 +180,11 @@ class SocketManager {
             console.log('🔧 Tentativa:', this.reconnectAttempts + 1);
             
             this.reconnectAttempts++;
+
+            // Conexões demais do mesmo IP: o servidor recusa o handshake com code rate_limited
+            if (error?.data?.code === 'rate_limited') {
+                this.emit('rate_limited', error.data);
+            }
             
             if (this.reconnectAttempts >= this.maxReconnectAttempts) {
                 console.error('🚨 FALHA TOTAL - Esgotadas as tentativas!');
@@ -210,6 +216,14 @@ class SocketManager {
         this.socket.on('player_bet', (data) => {
             this.emit('player_bet', data);
         });
+
+        this.socket.on('player_bet_cancelled', (data) => {
+            this.emit('player_bet_cancelled', data);
+        });
+
+        this.socket.on('bet_cancelled', (data) => {
+            this.emit('bet_cancelled', data);
+        });
         
         this.socket.on('player_cashed_out', (data) => {
             this.emit('player_cashed_out', data);
@@ -232,6 +246,83 @@ class SocketManager {
             this.emit('leaderboard_rank', data);
         });
 
+        // Conta durável: guarda o token para reenviar nas próximas conexões
+        this.socket.on('account_session', (data) => {
+            if (data && data.accountToken) {
+                this.persistAccountToken(data.accountToken);
+            }
+            this.emit('account_session', data);
+        });
+
+        this.socket.on('round_voided', (data) => {
+            this.emit('round_voided', data);
+        });
+
+        this.socket.on('bet_refunded', (data) => {
+            this.emit('bet_refunded', data);
+        });
+
+        this.socket.on('bet_queued', (data) => {
+            this.emit('bet_queued', data);
+        });
+
+        this.socket.on('bet_queue_cancelled', (data) => {
+            this.emit('bet_queue_cancelled', data);
+        });
+
+        // Parâmetros do jogo (curva, limites de aposta); reenviados quando o admin os altera
+        this.socket.on('game_settings', (data) => {
+            this.emit('game_settings', data);
+        });
+
+        this.socket.on('transaction_history', (data) => {
+            this.emit('transaction_history', data);
+        });
+
+        this.socket.on('account_status', (data) => {
+            this.emit('account_status', data);
+        });
+
+        this.socket.on('join_refused', (data) => {
+            console.warn('⚠️ Entrada recusada:', data?.state);
+            this.emit('join_refused', data);
+        });
+
+        this.socket.on('self_exclusion', (data) => {
+            this.emit('self_exclusion', data);
+        });
+
+        this.socket.on('player_name_updated', (data) => {
+            this.emit('player_name_updated', data);
+        });
+
+        this.socket.on('rate_limited', (data) => {
+            console.warn('🚦 Limite de eventos atingido:', data?.event, data?.retryAfter);
+            this.emit('rate_limited', data);
+        });
+
+        this.socket.on('responsible_limits', (data) => {
+            this.emit('responsible_limits', data);
+        });
+
+        this.socket.on('reality_check', (data) => {
+            this.emit('reality_check', data);
+        });
+
+        this.socket.on('balance_adjusted', (data) => {
+            this.emit('balance_adjusted', data);
+        });
+
+        this.socket.on('player_kicked', (data) => {
+            console.warn('⚠️ Desconectado por um administrador');
+            this.emit('player_kicked', data);
+        });
+
+        this.socket.on('session_replaced', (data) => {
+            console.warn('⚠️ Sessão aberta em outra aba ou dispositivo');
+            this.emit('session_replaced', data);
+        });
+
         this.socket.on('error', (data) => {
             console.error('🚨 Erro do servidor:', data);
             this.emit('server_error', data);
@@ -278,20 +369,60 @@ class SocketManager {
     }
     
     // Game specific methods
-    placeBet(amount, autoCashOut = null) {
+    selfExclude(days) {
+        this.send('self_exclude', { days });
+    }
+
+    requestLimits() {
+        this.send('get_limits');
+    }
+
+    // null em um campo remove o limite
+    setLimits(limits) {
+        this.send('set_limits', { limits });
+    }
+
+    startCoolingOff(hours) {
+        this.send('cooling_off', { hours });
+    }
+
+    // options: { autoCashOutFraction, remainderAutoCashOut } para a retirada automática parcial
+    placeBet(amount, autoCashOut = null, slotId = 0, options = {}) {
         this.send('place_bet', {
             amount: amount,
             autoCashOut: autoCashOut,
+            slotId: slotId,
+            ...options,
             timestamp: Date.now()
         });
     }
     
-    cashOut() {
+    cancelBet(slotId = 0) {
+        this.send('cancel_bet', {
+            slotId: slotId,
+            timestamp: Date.now()
+        });
+    }
+    
+    cancelQueuedBet(slotId = 0) {
+        this.send('cancel_queued_bet', {
+            slotId: slotId,
+            timestamp: Date.now()
+        });
+    }
+    
+    cashOut(slotId = 0, fraction = 1) {
         this.send('cash_out', {
+            slotId: slotId,
+            fraction: fraction,
             timestamp: Date.now()
         });
     }
     
+    requestTransactions(limit = 50) {
+        this.send('get_transactions', { limit });
+    }
+    
     joinGame(playerName = null) {
         try {
             // Usa o nome salvo no localStorage se existir
@@ -302,9 +433,27 @@ class SocketManager {
         } catch {}
         this.send('join_game', {
             playerName: playerName || this.generatePlayerName(),
+            accountToken: this.loadAccountToken(),
             timestamp: Date.now()
         });
     }
+
+    loadAccountToken() {
+        try {
+            return localStorage.getItem(ACCOUNT_TOKEN_STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Não foi possível ler o token da conta:', error);
+            return null;
+        }
+    }
+
+    persistAccountToken(token) {
+        try {
+            localStorage.setItem(ACCOUNT_TOKEN_STORAGE_KEY, token);
+        } catch (error) {
+            console.warn('⚠️ Não foi possível salvar o token da conta:', error);
+        }
+    }
     
     generatePlayerName() {
         const adjectives = ['Rápido', 'Sortudo', 'Corajoso', 'Esperto', 'Audaz'];
@@ -331,25 +480,154 @@ class SocketManager {
     }
 
     async forceCrash(token = null, reason = 'manual_override') {
+        return this.adminRequest('/admin/force-crash', {
+            token,
+            method: 'POST',
+            body: { reason }
+        });
+    }
+
+    async adminLogin(username, password) {
+        return this.adminRequest('/admin/login', {
+            method: 'POST',
+            body: { username, password }
+        });
+    }
+
+    async adminLogout(token) {
+        return this.adminRequest('/admin/logout', { token, method: 'POST' });
+    }
+
+    async fetchAdminSession(token) {
+        return this.adminRequest('/admin/session', { token });
+    }
+
+    async reportBots(token, action, details = {}) {
+        return this.adminRequest('/admin/bots', {
+            token,
+            method: 'POST',
+            body: { action, ...details }
+        });
+    }
+
+    async fetchAuditLog(token, filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                params.set(key, String(value));
+            }
+        });
+        const query = params.toString();
+        return this.adminRequest(`/admin/audit${query ? `?${query}` : ''}`, { token });
+    }
+
+    async fetchPlayers(token, search = '') {
+        const query = search ? `?search=${encodeURIComponent(search)}` : '';
+        return this.adminRequest(`/admin/players${query}`, { token });
+    }
+
+    async fetchPlayer(token, playerId) {
+        return this.adminRequest(`/admin/players/${encodeURIComponent(playerId)}`, { token });
+    }
+
+    async adjustPlayerBalance(token, playerId, balance, reason) {
+        return this.adminRequest(`/admin/players/${encodeURIComponent(playerId)}/balance`, {
+            token,
+            method: 'POST',
+            body: { balance, reason }
+        });
+    }
+
+    async resetPlayerStats(token, playerId, reason = null) {
+        return this.adminRequest(`/admin/players/${encodeURIComponent(playerId)}/reset-stats`, {
+            token,
+            method: 'POST',
+            body: { reason }
+        });
+    }
+
+    async kickPlayer(token, playerId, reason = null) {
+        return this.adminRequest(`/admin/players/${encodeURIComponent(playerId)}/kick`, {
+            token,
+            method: 'POST',
+            body: { reason }
+        });
+    }
+
+    async exportPlayer(token, playerId) {
+        return this.adminRequest(`/admin/players/${encodeURIComponent(playerId)}/export`, { token });
+    }
+
+    async cleanupInactivePlayers(token, inactiveMinutes) {
+        return this.adminRequest('/admin/players/cleanup', {
+            token,
+            method: 'POST',
+            body: { inactiveMinutes }
+        });
+    }
+
+    async fetchAccounts(token, { search = '', restricted = false } = {}) {
+        const params = new URLSearchParams();
+        if (search) params.set('search', search);
+        if (restricted) params.set('restricted', '1');
+        const query = params.toString();
+        return this.adminRequest(`/admin/accounts${query ? `?${query}` : ''}`, { token });
+    }
+
+    async setAccountStatus(token, accountId, { state, until = null, reason = null }) {
+        return this.adminRequest(`/admin/accounts/${encodeURIComponent(accountId)}/status`, {
+            token,
+            method: 'PUT',
+            body: { state, until, reason }
+        });
+    }
+
+    async fetchGameSettings(token = null) {
+        return this.adminRequest('/admin/settings', { token });
+    }
+
+    async updateGameSettings(token = null, changes = {}, reason = null) {
+        return this.adminRequest('/admin/settings', {
+            token,
+            method: 'PUT',
+            body: { changes, reason }
+        });
+    }
+
+    async adminRequest(path, { token = null, method = 'GET', body = null } = {}) {
         const baseUrl = this.resolveAdminBaseUrl();
-        const targetUrl = `${baseUrl}/admin/force-crash`;
-        const headers = { 'Content-Type': 'application/json' };
+        const headers = {};
         if (token) {
-            headers['X-Admin-Token'] = token;
+            headers.Authorization = `Bearer ${token}`;
+        }
+        if (body) {
+            headers['Content-Type'] = 'application/json';
         }
 
-        const payload = token ? { token, reason } : { reason };
-
-        const response = await fetch(targetUrl, {
-            method: 'POST',
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
             headers,
-            body: JSON.stringify(payload)
+            body: body ? JSON.stringify(body) : undefined
         });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(payload?.error || `Falha na requisição admin (${response.status})`);
+            error.status = response.status;
+            error.problems = payload?.problems || [];
+            throw error;
+        }
+
+        return payload;
+    }
+    
+    async fetchRound(gameId) {
+        const baseUrl = (this.currentServerUrl || '').trim().replace(/\/$/, '');
+        const response = await fetch(`${baseUrl}/rounds/${encodeURIComponent(gameId)}`);
 
         if (!response.ok) {
             const errorPayload = await response.json().catch(() => ({}));
-            const message = errorPayload?.error || `Falha ao forçar crash (${response.status})`;
-            throw new Error(message);
+            throw new Error(errorPayload?.error || `Falha ao carregar rodada (${response.status})`);
         }
 
         return response.json();
@@ -1,15 +1,36 @@
 // UI management and user interactions
 
+// Nomes dos campos usados nas mensagens de erro de validação do servidor (payload-schema.js)
+const PAYLOAD_FIELD_LABELS = {
+    amount: 'o valor da aposta',
+    autoCashOut: 'o saque automático',
+    autoCashOutFraction: 'a fração do saque automático',
+    remainderAutoCashOut: 'o saque automático do restante',
+    fraction: 'a fração do saque',
+    slotId: 'a aposta',
+    name: 'o nome',
+    playerName: 'o nome',
+    days: 'o número de dias',
+    hours: 'o número de horas',
+    limit: 'a quantidade de transações',
+    'limits.maxBetPerRound': 'o limite por rodada',
+    'limits.maxSessionLoss': 'o limite de perda da sessão',
+    'limits.maxDailyLoss': 'o limite de perda em 24 horas',
+    'limits.maxSessionMinutes': 'o limite de tempo de sessão',
+    'limits.realityCheckMinutes': 'o intervalo dos lembretes'
+};
+
+const MONEY_FIELDS = ['amount', 'limits.maxBetPerRound', 'limits.maxSessionLoss', 'limits.maxDailyLoss'];
+
 class UIManager {
     constructor() {
         this.elements = {};
         this.gameState = 'waiting';
         this.playerBalance = 1000.00;
-        this.currentBet = 0;
-        this.isAutoCashOut = false;
-        this.autoCashOutValue = 2.00;
-        this.isPlaying = false;
-        this.isPlacingBet = false;
+        this.betLimits = { min: 1, max: Infinity }; // Atualizados por game_settings
+        this.accountStatus = { state: 'active', reason: null, until: null, canBet: true, canRename: true };
+        this.responsibleLimits = null; // Limites de jogo responsável enviados pelo servidor
+        this.betSlots = []; // Um estado independente por painel de aposta
         // Visual counter
         this.multiplierCounter = { displayed: 1.0, target: 1.0 };
         this.currencyFormatter = new Intl.NumberFormat('pt-BR', {
@@ -30,6 +51,7 @@ class UIManager {
         this.leaderboardTimestampInterval = null;
         
         this.initializeElements();
+        this.initializeBetSlots();
         this.setupEventListeners();
         this.setupSocketEvents();
         this.loadPlayerName();
@@ -76,7 +98,7 @@ class UIManager {
                         const { socketId } = window.socketManager.getConnectionStatus();
                         if (data && data.playerId && socketId && data.playerId === socketId) {
                             console.log('🧾 Aposta do jogador atual confirmada via player_bet');
-                            this.handleBetPlaced({ success: true, amount: data.amount });
+                            this.handleBetPlaced({ success: true, amount: data.amount, slotId: data.slotId });
                         }
                     } catch (e) {
                         console.warn('Falha ao processar player_bet:', e);
@@ -96,6 +118,86 @@ class UIManager {
                     this.handleLeaderboardRank(data);
                 });
 
+                window.socketManager.on('round_voided', (data) => {
+                    this.handleRoundVoided(data);
+                });
+
+                window.socketManager.on('bet_refunded', (data) => {
+                    this.handleBetRefunded(data);
+                });
+
+                window.socketManager.on('bet_cancelled', (data) => {
+                    this.handleBetCancelled(data);
+                });
+
+                window.socketManager.on('bet_queued', (data) => {
+                    this.handleBetQueued(data);
+                });
+
+                window.socketManager.on('bet_queue_cancelled', (data) => {
+                    this.handleBetQueueCancelled(data);
+                });
+
+                window.socketManager.on('account_session', (data) => {
+                    this.handleAccountSession(data);
+                });
+
+                window.socketManager.on('game_settings', (data) => {
+                    this.handleGameSettings(data);
+                });
+
+                window.socketManager.on('account_status', (data) => {
+                    this.handleAccountStatus(data, { notify: true });
+                });
+
+                window.socketManager.on('join_refused', (data) => {
+                    this.handleAccountStatus(data);
+                    this.showNotification(this.describeAccountStatus(data), 'error');
+                });
+
+                window.socketManager.on('self_exclusion', (data) => {
+                    this.handleSelfExclusion(data);
+                });
+
+                window.socketManager.on('rate_limited', (data) => {
+                    this.handleRateLimited(data);
+                });
+
+                window.socketManager.on('player_name_updated', (data) => {
+                    if (data && !data.success) {
+                        this.showNotification(this.describePayloadError(data) || 'Não foi possível trocar o nome', 'error');
+                    }
+                });
+
+                // Erros genéricos só viram aviso quando são de validação (trazem um código)
+                window.socketManager.on('server_error', (data) => {
+                    const message = this.describePayloadError(data);
+                    if (message) {
+                        this.showNotification(message, 'error');
+                    }
+                });
+
+                window.socketManager.on('responsible_limits', (data) => {
+                    this.handleResponsibleLimits(data, { notify: true });
+                });
+
+                window.socketManager.on('reality_check', (data) => {
+                    this.handleRealityCheck(data);
+                });
+
+                window.socketManager.on('balance_adjusted', (data) => {
+                    this.handleBalanceAdjusted(data);
+                });
+
+                window.socketManager.on('player_kicked', (data) => {
+                    const reason = data?.reason ? `: ${data.reason}` : '';
+                    this.showNotification(`Você foi desconectado por um administrador${reason}`, 'error');
+                });
+
+                window.socketManager.on('session_replaced', () => {
+                    this.showNotification('Sua conta foi aberta em outra sessão', 'error');
+                });
+
                 window.socketManager.on('connection_status', (data) => {
                     console.log('🔗 Status conexão:', data);
                     this.handleConnectionStatus(data);
@@ -114,14 +216,9 @@ class UIManager {
         this.elements = {
             // Control panel
             modeToggle: document.querySelectorAll('.toggle-btn'),
-            betAmount: document.getElementById('bet-amount'),
-            betControlBtns: document.querySelectorAll('.bet-control-btn'),
-            autoCashOutToggle: document.getElementById('auto-cashout'),
-            autoCashOutValue: document.getElementById('auto-cashout-value'),
-            clearBtn: document.querySelector('.clear-btn'),
-            startBtn: document.getElementById('main-action-btn'),
-            btnText: document.querySelector('.btn-text'),
-            btnLoading: document.querySelector('.btn-loading'),
+            betPanels: document.querySelectorAll('.bet-panel'),
+            manualMode: document.querySelector('.manual-mode'),
+            autoBetPanel: document.getElementById('auto-bet-panel'),
             
             // Player info
             playerName: document.getElementById('player-name'),
@@ -131,6 +228,26 @@ class UIManager {
             confirmNameBtn: document.getElementById('confirm-name'),
             cancelNameBtn: document.getElementById('cancel-name'),
             playerBalance: document.getElementById('player-balance'),
+            accountStatus: document.getElementById('account-status'),
+            selfExcludeBtn: document.getElementById('self-exclude-btn'),
+            selfExclusionModal: document.getElementById('self-exclusion-modal'),
+            selfExclusionDays: document.getElementById('self-exclusion-days'),
+            confirmSelfExclusionBtn: document.getElementById('confirm-self-exclusion'),
+            cancelSelfExclusionBtn: document.getElementById('cancel-self-exclusion'),
+            limitsStatus: document.getElementById('limits-status'),
+            limitsBtn: document.getElementById('limits-btn'),
+            limitsModal: document.getElementById('limits-modal'),
+            limitInputs: document.querySelectorAll('#limits-modal [data-limit]'),
+            limitsUsage: document.getElementById('limits-usage'),
+            limitsPending: document.getElementById('limits-pending'),
+            saveLimitsBtn: document.getElementById('save-limits'),
+            closeLimitsBtn: document.getElementById('close-limits'),
+            coolingOffHours: document.getElementById('cooling-off-hours'),
+            startCoolingOffBtn: document.getElementById('start-cooling-off'),
+            realityCheckModal: document.getElementById('reality-check-modal'),
+            realityCheckText: document.getElementById('reality-check-text'),
+            realityCheckContinueBtn: document.getElementById('reality-check-continue'),
+            realityCheckLimitsBtn: document.getElementById('reality-check-limits'),
             lastWin: document.getElementById('last-win'),
             lastWinAmount: document.getElementById('last-win-amount'),
             
@@ -155,6 +272,55 @@ class UIManager {
         };
     }
     
+    initializeBetSlots() {
+        this.betSlots = Array.from(this.elements.betPanels, (panel, index) => ({
+            id: Number(panel.dataset.slot ?? index),
+            currentBet: 0,
+            isPlaying: false,
+            isPlacingBet: false,
+            isQueued: false, // Aposta aguardando a próxima rodada
+            isAutoCashOut: false,
+            autoCashOutPlan: null, // Alvos confirmados pelo servidor em bet_placed
+            cashOutLegs: 0, // Retiradas parciais já feitas na rodada
+            elements: {
+                panel,
+                betAmount: panel.querySelector('.bet-amount-input'),
+                betControlBtns: panel.querySelectorAll('.bet-control-btn'),
+                autoCashOutToggle: panel.querySelector('.auto-cashout'),
+                autoCashOutValue: panel.querySelector('.auto-cashout-value'),
+                autoCashOutFraction: panel.querySelector('.auto-cashout-fraction'),
+                autoCashOutRemainder: panel.querySelector('.auto-cashout-remainder'),
+                clearBtn: panel.querySelector('.clear-btn'),
+                startBtn: panel.querySelector('.bet-action-btn'),
+                partialBtn: panel.querySelector('.partial-cashout-btn'),
+                btnText: panel.querySelector('.btn-text'),
+                btnLoading: panel.querySelector('.btn-loading')
+            }
+        }));
+    }
+    
+    getBetSlot(slotId) {
+        const id = Number(slotId ?? 0);
+        return this.betSlots.find(slot => slot.id === id) || null;
+    }
+    
+    // Verdadeiro enquanto qualquer slot tiver aposta em jogo
+    get isPlaying() {
+        return this.betSlots.some(slot => slot.isPlaying);
+    }
+    
+    resetBetSlot(slot) {
+        slot.currentBet = 0;
+        slot.isPlaying = false;
+        slot.isPlacingBet = false;
+        slot.autoCashOutPlan = null;
+        slot.cashOutLegs = 0;
+    }
+    
+    resetBetSlots() {
+        this.betSlots.forEach(slot => this.resetBetSlot(slot));
+    }
+    
     setupEventListeners() {
         // Mode toggle
         this.elements.modeToggle.forEach(btn => {
@@ -163,38 +329,7 @@ class UIManager {
             });
         });
         
-        // Bet controls
-        this.elements.betControlBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.adjustBetAmount(e.target.dataset.action);
-            });
-        });
-        
-        // Auto cash out toggle
-        this.elements.autoCashOutToggle.addEventListener('change', (e) => {
-            this.toggleAutoCashOut(e.target.checked);
-        });
-        
-        // Clear button
-        this.elements.clearBtn.addEventListener('click', () => {
-            this.clearBet();
-        });
-        
-        // Start/Cash out button
-        this.elements.startBtn.addEventListener('click', () => {
-            this.handleMainAction();
-        });
-
-        
-        // Bet amount validation
-        this.elements.betAmount.addEventListener('input', (e) => {
-            this.validateBetAmount(e.target.value);
-        });
-        
-        // Auto cash out value validation
-        this.elements.autoCashOutValue.addEventListener('input', (e) => {
-            this.validateAutoCashOutValue(e.target.value);
-        });
+        this.betSlots.forEach(slot => this.setupBetSlotListeners(slot));
         
         // Name editing
         this.elements.editNameBtn.addEventListener('click', () => {
@@ -217,14 +352,6 @@ class UIManager {
             }
         });
         
-        // Prevent form submission
-        this.elements.betAmount.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.handleMainAction();
-            }
-        });
-        
         // Name editing
         this.elements.editNameBtn.addEventListener('click', () => {
             this.openNameModal();
@@ -246,6 +373,45 @@ class UIManager {
             }
         });
         
+        // Autoexclusão
+        this.elements.selfExcludeBtn?.addEventListener('click', () => {
+            this.elements.selfExclusionModal.classList.remove('hidden');
+        });
+
+        this.elements.cancelSelfExclusionBtn?.addEventListener('click', () => {
+            this.elements.selfExclusionModal.classList.add('hidden');
+        });
+
+        this.elements.confirmSelfExclusionBtn?.addEventListener('click', () => {
+            this.confirmSelfExclusion();
+        });
+
+        // Limites de jogo e lembretes de sessão
+        this.elements.limitsBtn?.addEventListener('click', () => {
+            this.openLimitsModal();
+        });
+
+        this.elements.closeLimitsBtn?.addEventListener('click', () => {
+            this.elements.limitsModal.classList.add('hidden');
+        });
+
+        this.elements.saveLimitsBtn?.addEventListener('click', () => {
+            this.saveLimits();
+        });
+
+        this.elements.startCoolingOffBtn?.addEventListener('click', () => {
+            this.startCoolingOff();
+        });
+
+        this.elements.realityCheckContinueBtn?.addEventListener('click', () => {
+            this.elements.realityCheckModal.classList.add('hidden');
+        });
+
+        this.elements.realityCheckLimitsBtn?.addEventListener('click', () => {
+            this.elements.realityCheckModal.classList.add('hidden');
+            this.openLimitsModal();
+        });
+
         // Close modal on outside click
         this.elements.nameModal.addEventListener('click', (e) => {
             if (e.target === this.elements.nameModal) {
@@ -257,97 +423,261 @@ class UIManager {
         this.loadPlayerName();
     }
     
+    setupBetSlotListeners(slot) {
+        const { elements } = slot;
+        
+        // Bet controls
+        elements.betControlBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.adjustBetAmount(slot, e.target.dataset.action);
+            });
+        });
+        
+        // Auto cash out toggle
+        elements.autoCashOutToggle.addEventListener('change', (e) => {
+            this.toggleAutoCashOut(slot, e.target.checked);
+        });
+        
+        // Clear button
+        elements.clearBtn.addEventListener('click', () => {
+            this.clearBet(slot);
+        });
+        
+        // Bet/Cash out button
+        elements.startBtn.addEventListener('click', () => {
+            this.handleMainAction(slot);
+        });
+        
+        // Partial cash out (parte da aposta continua em jogo)
+        elements.partialBtn?.addEventListener('click', (e) => {
+            this.cashOut(slot, parseFloat(e.currentTarget.dataset.fraction) || 0.5);
+        });
+        
+        // Bet amount validation
+        elements.betAmount.addEventListener('input', (e) => {
+            this.validateBetAmount(slot, e.target.value);
+        });
+        
+        // Auto cash out value validation
+        elements.autoCashOutValue.addEventListener('input', (e) => {
+            this.validateAutoCashOutValue(slot, e.target.value);
+            this.validateRemainderAutoCashOut(slot);
+        });
+        
+        // Retirada automática parcial: o alvo do restante só vale com fração abaixo de 100%
+        elements.autoCashOutFraction?.addEventListener('change', () => {
+            this.updateAutoCashOutSplit(slot);
+        });
+        
+        elements.autoCashOutRemainder?.addEventListener('input', () => {
+            this.validateRemainderAutoCashOut(slot);
+        });
+        
+        // Prevent form submission
+        elements.betAmount.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleMainAction(slot);
+            }
+        });
+    }
+    
     toggleMode(mode) {
         this.elements.modeToggle.forEach(btn => btn.classList.remove('active'));
         document.querySelector(`[data-mode="${mode}"]`).classList.add('active');
         
-        // Auto mode functionality would be implemented here
-        if (mode === 'auto') {
-            console.log('Modo automático ativado');
+        this.elements.manualMode?.classList.toggle('hidden', mode === 'auto');
+        this.elements.autoBetPanel?.classList.toggle('hidden', mode !== 'auto');
+        
+        // Voltar ao modo manual encerra a auto aposta em andamento
+        if (mode !== 'auto' && window.autoBetRunner?.isRunning) {
+            window.autoBetRunner.stop('Modo manual selecionado');
         }
     }
     
-    adjustBetAmount(action) {
-        const currentValue = parseFloat(this.elements.betAmount.value) || 0;
+    adjustBetAmount(slot, action) {
+        const currentValue = parseFloat(slot.elements.betAmount.value) || 0;
         let newValue;
         
         switch (action) {
             case 'half':
-                newValue = currentValue / 2;
+                newValue = Money.round(currentValue / 2);
                 break;
             case 'double':
-                newValue = currentValue * 2;
+                newValue = Money.round(currentValue * 2);
                 break;
         }
         
         // Ensure minimum bet
-        newValue = Math.max(newValue, 1);
+        newValue = Math.max(newValue, this.betLimits.min);
         
         // Ensure not exceeding balance
         newValue = Math.min(newValue, this.playerBalance);
         
-        this.elements.betAmount.value = newValue.toFixed(2);
-        this.validateBetAmount(newValue);
+        slot.elements.betAmount.value = Money.format(newValue);
+        this.validateBetAmount(slot, newValue);
     }
     
-    toggleAutoCashOut(enabled) {
-        this.isAutoCashOut = enabled;
-        this.elements.autoCashOutValue.disabled = !enabled;
+    toggleAutoCashOut(slot, enabled) {
+        slot.isAutoCashOut = enabled;
+        slot.elements.autoCashOutValue.disabled = !enabled;
+        this.updateAutoCashOutSplit(slot);
         
         if (enabled) {
-            this.elements.autoCashOutValue.focus();
+            slot.elements.autoCashOutValue.focus();
         }
     }
     
-    clearBet() {
-        this.elements.betAmount.value = '10.00';
-        this.elements.autoCashOutToggle.checked = false;
-        this.toggleAutoCashOut(false);
-        this.elements.autoCashOutValue.value = '2.00';
+    updateAutoCashOutSplit(slot) {
+        const { autoCashOutFraction, autoCashOutRemainder } = slot.elements;
+        if (!autoCashOutFraction || !autoCashOutRemainder) {
+            return;
+        }
+        
+        autoCashOutFraction.disabled = !slot.isAutoCashOut;
+        autoCashOutRemainder.disabled = !slot.isAutoCashOut || parseFloat(autoCashOutFraction.value) >= 1;
+        this.validateRemainderAutoCashOut(slot);
     }
     
-    validateBetAmount(value) {
+    clearBet(slot) {
+        slot.elements.betAmount.value = '10.00';
+        slot.elements.autoCashOutToggle.checked = false;
+        slot.elements.autoCashOutValue.value = '2.00';
+        if (slot.elements.autoCashOutFraction) {
+            slot.elements.autoCashOutFraction.value = '1';
+            slot.elements.autoCashOutRemainder.value = '';
+        }
+        this.toggleAutoCashOut(slot, false);
+    }
+    
+    validateBetAmount(slot, value) {
         const amount = parseFloat(value) || 0;
-        const isValid = amount >= 1 && amount <= this.playerBalance;
+        const isValid = amount >= this.betLimits.min &&
+            amount <= this.betLimits.max &&
+            amount <= this.playerBalance;
         
         console.log('🔍 Validando aposta:', {
+            slotId: slot.id,
             value,
             amount,
             playerBalance: this.playerBalance,
             isValid,
-            minAmount: 1
+            minAmount: this.betLimits.min
         });
         
-        this.elements.betAmount.style.borderColor = isValid ? '' : '#e53e3e';
+        slot.elements.betAmount.style.borderColor = isValid ? '' : '#e53e3e';
         
         return isValid;
     }
     
-    validateAutoCashOutValue(value) {
+    // Limites de aposta definidos pelo servidor (podem mudar entre rodadas pelo painel admin)
+    handleGameSettings(data) {
+        const bets = data?.bets;
+        if (!bets || !Number.isFinite(bets.min) || !Number.isFinite(bets.max)) {
+            return;
+        }
+
+        const changed = bets.min !== this.betLimits.min || bets.max !== this.betLimits.max;
+        this.betLimits = { min: bets.min, max: bets.max };
+        this.betSlots.forEach((slot) => {
+            slot.elements.betAmount.min = String(bets.min);
+            slot.elements.betAmount.max = String(bets.max);
+            this.validateBetAmount(slot, slot.elements.betAmount.value);
+        });
+
+        if (changed && data.appliedFrom) {
+            this.showNotification(
+                `Novos limites de aposta: ${this.currencyFormatter.format(bets.min)} a ${this.currencyFormatter.format(bets.max)}`,
+                'info'
+            );
+        }
+    }
+
+    validateAutoCashOutValue(slot, value) {
         const multiplier = parseFloat(value) || 0;
         const isValid = multiplier >= 1.01;
         
-        this.elements.autoCashOutValue.style.borderColor = isValid ? '' : '#e53e3e';
+        slot.elements.autoCashOutValue.style.borderColor = isValid ? '' : '#e53e3e';
         
         return isValid;
     }
     
-    handleMainAction() {
-        if (this.gameState === 'waiting' || this.gameState === 'starting') {
-            this.placeBet();
-        } else if (this.gameState === 'flying' && this.isPlaying) {
-            this.cashOut();
+    // Vazio deixa o restante para retirada manual; preenchido, precisa ficar acima do primeiro alvo
+    validateRemainderAutoCashOut(slot) {
+        const input = slot.elements.autoCashOutRemainder;
+        if (!input) {
+            return true;
         }
+        
+        const isValid = input.disabled || input.value === '' ||
+            parseFloat(input.value) > parseFloat(slot.elements.autoCashOutValue.value);
+        input.style.borderColor = isValid ? '' : '#e53e3e';
+        
+        return isValid;
     }
     
-    placeBet() {
-        const betAmount = parseFloat(this.elements.betAmount.value) || 0;
+    // Opções de retirada parcial enviadas com a aposta; vazio quando o alvo retira a aposta inteira
+    getAutoCashOutOptions(slot) {
+        const { autoCashOutFraction, autoCashOutRemainder } = slot.elements;
+        const fraction = autoCashOutFraction ? parseFloat(autoCashOutFraction.value) : 1;
+        if (!slot.isAutoCashOut || !(fraction < 1)) {
+            return {};
+        }
         
-        console.log('🎯 Tentando apostar:', betAmount);
+        const options = { autoCashOutFraction: fraction };
+        if (autoCashOutRemainder.value !== '') {
+            options.remainderAutoCashOut = parseFloat(autoCashOutRemainder.value);
+        }
+        return options;
+    }
+    
+    handleMainAction(slot) {
+        if ((this.gameState === 'waiting' || this.gameState === 'starting') && slot.isPlaying) {
+            this.cancelBet(slot);
+        } else if (this.gameState === 'waiting' || this.gameState === 'starting') {
+            this.placeBet(slot);
+        } else if (this.gameState === 'flying' && slot.isPlaying) {
+            this.cashOut(slot);
+        } else if (slot.isQueued) {
+            this.cancelQueuedBet(slot);
+        } else if (this.gameState === 'flying' || this.gameState === 'crashed') {
+            // Durante o voo a aposta vai para a fila da próxima rodada
+            this.placeBet(slot);
+        }
+    }
+    
+    // Antes da decolagem a aposta ainda pode ser desfeita
+    cancelBet(slot) {
+        if (!slot.isPlaying || !window.socketManager) return;
+        
+        window.socketManager.cancelBet(slot.id);
+    }
+    
+    cancelQueuedBet(slot) {
+        if (!slot.isQueued || !window.socketManager) return;
+        
+        window.socketManager.cancelQueuedBet(slot.id);
+    }
+    
+    placeBet(slot) {
+        const betAmount = parseFloat(slot.elements.betAmount.value) || 0;
+        
+        console.log(`🎯 Tentando apostar no slot ${slot.id}:`, betAmount);
         console.log('💰 Saldo atual:', this.playerBalance);
         console.log('🎮 Estado do jogo:', this.gameState);
         
-        if (!this.validateBetAmount(betAmount)) {
+        if (!this.accountStatus.canBet) {
+            this.showNotification(this.describeAccountStatus(this.accountStatus), 'error');
+            return;
+        }
+
+        const coolingOffUntil = this.responsibleLimits?.coolingOffUntil;
+        if (coolingOffUntil && coolingOffUntil > Date.now()) {
+            this.showNotification(this.describeLimitViolation({ code: 'cooling_off', until: coolingOffUntil }), 'error');
+            return;
+        }
+        
+        if (!this.validateBetAmount(slot, betAmount)) {
             console.log('❌ Valor de aposta inválido');
             this.showNotification('Valor de aposta inválido', 'error');
             return;
@@ -359,7 +689,13 @@ class UIManager {
             return;
         }
         
-        const autoCashOut = this.isAutoCashOut ? parseFloat(this.elements.autoCashOutValue.value) : null;
+        const autoCashOut = slot.isAutoCashOut ? parseFloat(slot.elements.autoCashOutValue.value) : null;
+        
+        if (!this.validateRemainderAutoCashOut(slot)) {
+            this.showNotification('O saque do restante precisa ficar acima do primeiro alvo', 'error');
+            return;
+        }
+        const autoCashOutOptions = this.getAutoCashOutOptions(slot);
         
         console.log('📡 Enviando aposta para servidor...');
         
@@ -367,7 +703,7 @@ class UIManager {
         if (window.socketManager) {
             if (window.socketManager.isConnected) {
                 console.log('✅ Conectado - enviando aposta');
-                window.socketManager.placeBet(betAmount, autoCashOut);
+                window.socketManager.placeBet(betAmount, autoCashOut, slot.id, autoCashOutOptions);
             } else {
                 console.log('❌ Não conectado ao servidor');
                 this.showNotification('Não conectado ao servidor', 'error');
@@ -377,45 +713,50 @@ class UIManager {
             this.showNotification('Erro de conexão', 'error');
         }
         
-    // Marcar como enviando aposta; aguardará confirmação do servidor
-    this.currentBet = betAmount;
-    this.isPlacingBet = true;
-    this.updateStartButton();
-    this.showNotification('Enviando aposta...', 'info');
+        // Marcar como enviando aposta; aguardará confirmação do servidor
+        slot.currentBet = betAmount;
+        slot.isPlacingBet = true;
+        this.updateStartButton();
+        this.showNotification('Enviando aposta...', 'info');
     }
     
-    cashOut() {
-        if (!this.isPlaying) return;
+    cashOut(slot, fraction = 1) {
+        if (!slot.isPlaying) return;
         
         // Send cash out to server
         if (window.socketManager) {
-            window.socketManager.cashOut();
+            window.socketManager.cashOut(slot.id, fraction);
         }
         
-        this.isPlaying = false;
+        // Retirada parcial: o slot continua jogando até a confirmação do servidor
+        if (fraction >= 1) {
+            slot.isPlaying = false;
+        }
         this.updateStartButton();
     }
     
     updateStartButton() {
-        const btn = this.elements.startBtn;
-        const btnText = this.elements.btnText;
-        const btnLoading = this.elements.btnLoading;
+        this.betSlots.forEach(slot => this.updateSlotButton(slot));
+    }
+    
+    updateSlotButton(slot) {
+        const btn = slot.elements.startBtn;
+        const btnText = slot.elements.btnText;
+        const btnLoading = slot.elements.btnLoading;
         
-        console.log('🔄 Atualizando botão:', {
-            gameState: this.gameState,
-            isPlaying: this.isPlaying
-        });
+        slot.elements.panel.classList.toggle('active', slot.isPlaying);
+        slot.elements.partialBtn?.classList.toggle('hidden', !(this.gameState === 'flying' && slot.isPlaying));
         
         if (this.gameState === 'waiting' || this.gameState === 'starting') {
             // SEMPRE permitir apostar em waiting/starting
-            const betAmount = parseFloat(this.elements.betAmount.value) || 0;
+            const betAmount = parseFloat(slot.elements.betAmount.value) || 0;
             // Calcular validade localmente para evitar recursão
-            const isValidBet = betAmount >= 1 && betAmount <= this.playerBalance;
+            const isValidBet = betAmount >= 1 && betAmount <= this.playerBalance && this.accountStatus.canBet;
             
-            if (this.isPlaying) {
-                btnText.textContent = 'Aposta Realizada';
-                btn.disabled = true; // Já apostou
-            } else if (this.isPlacingBet) {
+            if (slot.isPlaying) {
+                btnText.textContent = 'Cancelar aposta';
+                btn.disabled = false; // Pode cancelar até a decolagem
+            } else if (slot.isPlacingBet) {
                 btnText.textContent = 'Aguardando...';
                 btn.disabled = true;
             } else {
@@ -424,17 +765,26 @@ class UIManager {
             }
             btnLoading.classList.add('hidden');
             
-        } else if (this.gameState === 'flying') {
-            if (this.isPlaying) {
-                btnText.textContent = 'Retirar';
+        } else if (this.gameState === 'flying' && slot.isPlaying) {
+            btnText.textContent = 'Retirar';
+            btn.disabled = false;
+            btnLoading.classList.add('hidden');
+            btn.style.background = 'linear-gradient(135deg, #38a169 0%, #2f855a 100%)';
+        } else if (this.gameState === 'flying' || this.gameState === 'crashed') {
+            const betAmount = parseFloat(slot.elements.betAmount.value) || 0;
+            const isValidBet = betAmount >= 1 && betAmount <= this.playerBalance && this.accountStatus.canBet;
+            
+            if (slot.isQueued) {
+                btnText.textContent = 'Cancelar (próxima rodada)';
                 btn.disabled = false;
-                btnLoading.classList.add('hidden');
-                btn.style.background = 'linear-gradient(135deg, #38a169 0%, #2f855a 100%)';
-            } else {
-                btnText.textContent = 'Aguarde...';
+            } else if (slot.isPlacingBet) {
+                btnText.textContent = 'Aguardando...';
                 btn.disabled = true;
-                btnLoading.classList.add('hidden');
+            } else {
+                btnText.textContent = 'Apostar na próxima';
+                btn.disabled = !isValidBet;
             }
+            btnLoading.classList.add('hidden');
         } else {
             btnText.textContent = 'Aguarde...';
             btn.disabled = true;
@@ -442,17 +792,17 @@ class UIManager {
         }
         
         // Reset button style when not flying
-        if (this.gameState !== 'flying' || !this.isPlaying) {
+        if (this.gameState !== 'flying' || !slot.isPlaying) {
             btn.style.background = '';
         }
     }
     
     updateBalance() {
-        this.elements.playerBalance.textContent = this.playerBalance.toFixed(2);
+        this.elements.playerBalance.textContent = Money.format(this.playerBalance);
     }
     
     showLastWin(amount) {
-        this.elements.lastWinAmount.textContent = amount.toFixed(2);
+        this.elements.lastWinAmount.textContent = Money.format(amount);
         this.elements.lastWin.style.display = 'block';
         
         // Hide after 5 seconds
@@ -589,7 +939,7 @@ class UIManager {
         }
         
         // Reset playing state
-        this.isPlaying = false;
+        this.resetBetSlots();
         
         // Hide crash status after 3 seconds
         setTimeout(() => {
@@ -677,12 +1027,17 @@ class UIManager {
         requestAnimationFrame(step);
     }
     
-    addToHistory(multiplier) {
+    addToHistory(entry) {
+        const multiplier = typeof entry === 'number' ? entry : Number(entry?.multiplier || 0);
+        const isVoided = typeof entry === 'object' && entry !== null && entry.outcome === 'voided';
         const historyItem = document.createElement('div');
         historyItem.className = 'history-item slide-in';
         
         // Determine color based on multiplier
-        if (multiplier >= 10) {
+        if (isVoided) {
+            historyItem.classList.add('voided');
+            historyItem.title = 'Rodada anulada';
+        } else if (multiplier >= 10) {
             historyItem.classList.add('purple');
         } else if (multiplier >= 2) {
             historyItem.classList.add('green');
@@ -690,7 +1045,17 @@ class UIManager {
             historyItem.classList.add('red');
         }
         
-        historyItem.textContent = `${multiplier.toFixed(2)}x`;
+        historyItem.textContent = isVoided ? 'Anulada' : `${multiplier.toFixed(2)}x`;
+        
+        // Rodadas com id abrem o detalhe/replay gravado no servidor
+        const gameId = typeof entry === 'object' && entry !== null ? entry.gameId : null;
+        if (gameId) {
+            historyItem.dataset.gameId = gameId;
+            historyItem.classList.add('clickable');
+            historyItem.addEventListener('click', () => {
+                window.roundReplay?.open(gameId);
+            });
+        }
         
         // Add to beginning of history
         this.elements.historyContainer.insertBefore(historyItem, this.elements.historyContainer.firstChild);
@@ -706,16 +1071,17 @@ class UIManager {
     
     handlePlayerCashedOut(data) {
         const isCurrentPlayer = !!(data && data.isCurrentPlayer);
+        const slot = isCurrentPlayer ? this.getBetSlot(data.slotId) : null;
         const totalPayout = typeof data?.amount === 'number' ? data.amount : 0;
-        const betAmount = typeof data?.betAmount === 'number' ? data.betAmount : this.currentBet;
+        const betAmount = typeof data?.betAmount === 'number' ? data.betAmount : (slot ? slot.currentBet : 0);
         const providedBalance = typeof data?.balance === 'number' ? data.balance : null;
-        const profit = Math.max(0, totalPayout - (betAmount || 0));
+        const profit = Math.max(0, Money.subtract(totalPayout, betAmount || 0));
 
         if (isCurrentPlayer) {
             if (providedBalance !== null) {
                 this.playerBalance = providedBalance;
             } else if (totalPayout > 0) {
-                this.playerBalance += totalPayout;
+                this.playerBalance = Money.add(this.playerBalance, totalPayout);
             }
             this.updateBalance();
 
@@ -723,23 +1089,66 @@ class UIManager {
                 this.showLastWin(profit || totalPayout);
             }
 
-            const formattedPayout = totalPayout > 0 ? totalPayout.toFixed(2) : null;
-            const formattedProfit = profit.toFixed(2);
-            const message = formattedPayout
+            const formattedPayout = totalPayout > 0 ? Money.format(totalPayout) : null;
+            const formattedProfit = Money.format(profit);
+            let message = formattedPayout
                 ? (profit > 0
                     ? `Você retirou R$ ${formattedPayout} (lucro R$ ${formattedProfit})!`
                     : `Você retirou R$ ${formattedPayout}!`)
                 : 'Retirada realizada!';
+            if (data.partial && formattedPayout) {
+                message = `Você retirou R$ ${formattedPayout}; R$ ${Money.format(data.remainingBet || 0)} seguem em jogo`;
+            }
             this.showNotification(message, 'success');
 
-            this.currentBet = 0;
-            this.isPlaying = false;
-            this.isPlacingBet = false;
+            if (slot && data.partial) {
+                slot.currentBet = Money.round(data.remainingBet || 0);
+                slot.isPlaying = true;
+                slot.cashOutLegs++;
+            } else if (slot) {
+                this.resetBetSlot(slot);
+            }
         }
         
         this.updateStartButton();
     }
 
+    handleRoundVoided(data = {}) {
+        this.resetBetSlots();
+
+        if (this.elements.crashStatus) {
+            this.elements.crashStatus.style.display = 'none';
+        }
+
+        this.addToHistory({ gameId: data.gameId, multiplier: data.multiplier || 1, outcome: 'voided' });
+        this.showNotification('Rodada anulada. Apostas em aberto foram reembolsadas.', 'info');
+        this.updateStartButton();
+    }
+
+    handleBetRefunded(data = {}) {
+        if (typeof data.balance === 'number') {
+            this.playerBalance = data.balance;
+            this.updateBalance();
+        }
+
+        if (typeof data.amount === 'number') {
+            this.showNotification(`Aposta de R$ ${Money.format(data.amount)} reembolsada`, 'success');
+        }
+
+        const slot = this.getBetSlot(data.slotId);
+        if (slot) {
+            this.resetBetSlot(slot);
+        }
+        this.updateStartButton();
+    }
+
+    handleBalanceAdjusted(data = {}) {
+        if (typeof data.balance !== 'number') return;
+        this.playerBalance = data.balance;
+        this.updateBalance();
+        this.showNotification(`Saldo ajustado pela administração: ${this.currencyFormatter.format(data.balance)}`, 'info');
+    }
+
     handleLeaderboardUpdate(data = {}) {
         const entries = this.normalizeLeaderboardEntries(data.entries, 10);
         this.leaderboardState.lastUpdate = data.updatedAt || Date.now();
@@ -1126,12 +1535,12 @@ class UIManager {
 
     formatCurrency(value) {
         const safeValue = Number.isFinite(value) ? value : 0;
-        return this.currencyFormatter.format(safeValue);
+        return this.currencyFormatter.format(Money.round(safeValue));
     }
 
     formatProfit(value) {
         const profit = Number.isFinite(value) ? value : 0;
-        const absolute = this.currencyFormatter.format(Math.abs(profit));
+        const absolute = this.currencyFormatter.format(Math.abs(Money.round(profit)));
         const isNegative = profit < 0;
         const text = `${isNegative ? '-' : '+'}${absolute}`;
         return { text, isNegative };
@@ -1144,9 +1553,7 @@ class UIManager {
         
         // Reset isPlaying quando começar novo jogo
         if (data.state === 'waiting') {
-            this.isPlaying = false; // IMPORTANTE: Reset para poder apostar no próximo
-            this.isPlacingBet = false;
-            this.currentBet = 0;
+            this.resetBetSlots(); // IMPORTANTE: Reset para poder apostar no próximo
             this.elements.countdown.style.display = 'none';
             this.elements.waitingScreen.style.display = 'block';
             const nextIn = typeof data.nextGameIn === 'number' ? data.nextGameIn : (typeof data.timeLeft === 'number' ? data.timeLeft / 1000 : null);
@@ -1187,9 +1594,7 @@ class UIManager {
         }
         
         // Reset player state
-        this.isPlaying = false;
-        this.isPlacingBet = false;
-        this.currentBet = 0;
+        this.resetBetSlots();
         this.updateStartButton();
         
         // Esconder multiplicador
@@ -1199,35 +1604,53 @@ class UIManager {
     }
     
     handleBetPlaced(data) {
+        const slot = this.getBetSlot(data?.slotId);
+        if (!slot) {
+            return;
+        }
+
         // Limpa estado de envio
-        this.isPlacingBet = false;
+        slot.isPlacingBet = false;
 
         const success = !!(data && data.success);
         const providedBalance = typeof data?.balance === 'number' ? data.balance : null;
         const betAmountRaw = typeof data?.betAmount === 'number'
             ? data.betAmount
-            : (typeof data?.amount === 'number' ? data.amount : this.currentBet);
+            : (typeof data?.amount === 'number' ? data.amount : slot.currentBet);
         const hasValidBetAmount = typeof betAmountRaw === 'number' && Number.isFinite(betAmountRaw);
 
+        if (data.queued) {
+            slot.isQueued = false;
+        }
+
         if (success) {
-            const wasPlaying = this.isPlaying;
-            this.isPlaying = true;
+            const wasPlaying = slot.isPlaying;
+            slot.isPlaying = true;
+            // Só o bet_placed traz os alvos; a confirmação via player_bet não os altera
+            if (data.autoCashOut !== undefined) {
+                slot.autoCashOutPlan = data.autoCashOut ? {
+                    autoCashOut: data.autoCashOut,
+                    autoCashOutFraction: data.autoCashOutFraction ?? 1,
+                    remainderAutoCashOut: data.remainderAutoCashOut ?? null
+                } : null;
+                slot.cashOutLegs = 0;
+            }
 
             if (hasValidBetAmount) {
-                this.currentBet = betAmountRaw;
+                slot.currentBet = betAmountRaw;
             }
 
             if (providedBalance !== null) {
                 this.playerBalance = providedBalance;
             } else if (!wasPlaying && hasValidBetAmount) {
-                this.playerBalance = Math.max(0, this.playerBalance - betAmountRaw);
+                this.playerBalance = Math.max(0, Money.subtract(this.playerBalance, betAmountRaw));
             }
 
             this.updateBalance();
 
-            const displayAmount = typeof this.currentBet === 'number' ? this.currentBet : betAmountRaw;
+            const displayAmount = typeof slot.currentBet === 'number' ? slot.currentBet : betAmountRaw;
             if (typeof displayAmount === 'number' && Number.isFinite(displayAmount)) {
-                this.showNotification(`Aposta de R$ ${displayAmount.toFixed(2)} realizada!`, 'success');
+                this.showNotification(`Aposta de R$ ${Money.format(displayAmount)} realizada!`, 'success');
             } else {
                 this.showNotification('Aposta realizada!', 'success');
             }
@@ -1239,13 +1662,341 @@ class UIManager {
                 this.updateBalance();
             }
 
-            this.isPlaying = false;
-            this.currentBet = 0;
+            this.resetBetSlot(slot);
             this.updateStartButton();
-            this.showNotification((data && data.error) || 'Erro ao fazer aposta', 'error');
+            const message = data?.limit ? this.describeLimitViolation(data.limit) : (this.describePayloadError(data) || data?.error);
+            this.showNotification(message || 'Erro ao fazer aposta', 'error');
         }
     }
     
+    handleBetCancelled(data = {}) {
+        if (!data.success) {
+            this.showNotification(this.describePayloadError(data) || data.error || 'Não foi possível cancelar a aposta', 'error');
+            this.updateStartButton();
+            return;
+        }
+
+        if (typeof data.balance === 'number') {
+            this.playerBalance = data.balance;
+            this.updateBalance();
+        }
+
+        const slot = this.getBetSlot(data.slotId);
+        if (slot) {
+            this.resetBetSlot(slot);
+        }
+
+        this.showNotification(`Aposta de R$ ${Money.format(data.amount)} cancelada`, 'info');
+        this.updateStartButton();
+    }
+
+    handleBetQueued(data = {}) {
+        const slot = this.getBetSlot(data.slotId);
+        if (!slot) {
+            return;
+        }
+
+        slot.isPlacingBet = false;
+
+        if (data.success) {
+            slot.isQueued = true;
+            this.showNotification(`Aposta de R$ ${Money.format(data.amount)} agendada para a próxima rodada`, 'info');
+        } else {
+            if (typeof data.balance === 'number') {
+                this.playerBalance = data.balance;
+                this.updateBalance();
+            }
+            this.showNotification(data.error || 'Erro ao agendar aposta', 'error');
+        }
+
+        this.updateStartButton();
+    }
+
+    handleBetQueueCancelled(data = {}) {
+        const slot = this.getBetSlot(data.slotId);
+        if (slot && data.success) {
+            slot.isQueued = false;
+            this.showNotification('Aposta da próxima rodada cancelada', 'info');
+        } else if (!data.success) {
+            this.showNotification(this.describePayloadError(data) || data.error || 'Não foi possível cancelar a aposta', 'error');
+        }
+
+        this.updateStartButton();
+    }
+
+    handleAccountSession(data = {}) {
+        if (typeof data.balance === 'number') {
+            this.playerBalance = data.balance;
+            this.updateBalance();
+            this.updateStartButton();
+        }
+
+        if (data.name) {
+            this.elements.playerName.textContent = data.name;
+        }
+
+        if (data.limits) {
+            this.handleResponsibleLimits(data.limits);
+        }
+
+        if (data.status) {
+            this.handleAccountStatus(data.status);
+        }
+
+        if (data.isNew) {
+            console.log('🆕 Nova conta criada:', data.accountId);
+        } else {
+            this.showNotification('Conta restaurada!', 'success');
+        }
+    }
+    
+    describeAccountStatus(status = {}) {
+        const until = status.until ? ` até ${new Date(status.until).toLocaleString('pt-BR')}` : '';
+        const reason = status.reason && status.reason !== 'self_exclusion' ? ` (${status.reason})` : '';
+        switch (status.state) {
+            case 'muted':
+                return `Troca de nome bloqueada${until}${reason}`;
+            case 'suspended':
+                return `Conta suspensa: apostas bloqueadas${until}${reason}`;
+            case 'banned':
+                return `Conta banida${until}${reason}`;
+            case 'self_excluded':
+                return `Pausa no jogo ativa${until}`;
+            default:
+                return '';
+        }
+    }
+
+    handleAccountStatus(status = {}, { notify = false } = {}) {
+        const blocked = status.state === 'banned' || status.state === 'self_excluded';
+        this.accountStatus = {
+            state: status.state || 'active',
+            reason: status.reason || null,
+            until: status.until || null,
+            canBet: status.canBet ?? !blocked,
+            canRename: status.canRename ?? !blocked
+        };
+
+        const message = this.describeAccountStatus(this.accountStatus);
+        if (this.elements.accountStatus) {
+            this.elements.accountStatus.textContent = message;
+            this.elements.accountStatus.classList.toggle('hidden', !message);
+        }
+        this.elements.editNameBtn.disabled = !this.accountStatus.canRename;
+        this.elements.selfExcludeBtn?.classList.toggle('hidden', blocked);
+        this.updateStartButton();
+
+        if (notify) {
+            this.showNotification(message || 'Restrições da conta removidas', message ? 'error' : 'success');
+        }
+    }
+
+    confirmSelfExclusion() {
+        const days = Number(this.elements.selfExclusionDays?.value);
+        this.elements.selfExclusionModal.classList.add('hidden');
+        if (!window.socketManager?.isConnected) {
+            this.showNotification('Sem conexão com o servidor', 'error');
+            return;
+        }
+        window.socketManager.selfExclude(days);
+    }
+
+    handleSelfExclusion(data = {}) {
+        if (!data.success) {
+            const messages = { 'Settle your open bets first': 'Encerre suas apostas em aberto antes da pausa' };
+            this.showNotification(messages[data.error] || this.describePayloadError(data) || data.error || 'Falha ao ativar a pausa', 'error');
+            return;
+        }
+        this.handleAccountStatus(data);
+        this.showNotification(this.describeAccountStatus(data), 'info');
+    }
+
+    // O servidor descarta eventos acima do limite de taxa sem responder; slots que esperavam a
+    // confirmação da aposta voltam ao normal
+    handleRateLimited(data = {}) {
+        if (data.scope === 'connections') {
+            this.showNotification('Conexões demais a partir deste endereço. Feche outras abas e tente de novo.', 'error');
+            return;
+        }
+
+        if (data.event === 'place_bet') {
+            this.betSlots.forEach((slot) => {
+                slot.isPlacingBet = false;
+            });
+            this.updateStartButton();
+        }
+
+        const seconds = Math.max(1, Math.ceil((data.retryAfter || 0) / 1000));
+        this.showNotification(`Muitas ações seguidas. Aguarde ${seconds}s e tente de novo.`, 'error');
+    }
+
+    // Mensagem para o limite que bloqueou a aposta (código enviado pelo servidor em bet_placed.limit)
+    describeLimitViolation(limit = {}) {
+        const format = value => this.currencyFormatter.format(Number(value) || 0);
+        const detail = limit.limit !== undefined ? ` (limite ${format(limit.limit)}, disponível ${format(limit.available)})` : '';
+        switch (limit.code) {
+            case 'cooling_off':
+                return `Intervalo nas apostas ativo até ${new Date(limit.until).toLocaleString('pt-BR')}`;
+            case 'session_time':
+                return `Você atingiu o limite de ${limit.limit} minutos de sessão. Que tal uma pausa?`;
+            case 'bet_per_round':
+                return `Aposta acima do seu limite por rodada${detail}`;
+            case 'session_loss':
+                return `Essa aposta pode ultrapassar seu limite de perda da sessão${detail}`;
+            case 'daily_loss':
+                return `Essa aposta pode ultrapassar seu limite de perda em 24 horas${detail}`;
+            default:
+                return limit.error || 'Aposta bloqueada por um limite de jogo';
+        }
+    }
+
+    // Mensagem para erros de validação do servidor a partir do código e do campo; null quando o erro
+    // não tem código (aí vale a mensagem do próprio servidor)
+    describePayloadError(data = {}) {
+        const label = PAYLOAD_FIELD_LABELS[data.field] || (data.field ? `o campo "${data.field}"` : 'o pedido');
+        const format = value => (MONEY_FIELDS.includes(data.field) ? this.currencyFormatter.format(value) : value);
+        switch (data.code) {
+            case 'invalid_payload':
+                return 'Pedido inválido enviado ao servidor';
+            case 'unknown_field':
+                return `O servidor não reconhece o campo "${data.field}"`;
+            case 'required':
+                return `Informe ${label}`;
+            case 'invalid_type':
+            case 'invalid_value':
+                return `Valor inválido para ${label}`;
+            case 'out_of_range':
+                if (data.min !== null && data.min !== undefined && data.max !== null && data.max !== undefined) {
+                    return `Escolha ${label} entre ${format(data.min)} e ${format(data.max)}`;
+                }
+                return data.min !== null && data.min !== undefined
+                    ? `Escolha ${label} a partir de ${format(data.min)}`
+                    : `Escolha ${label} até ${format(data.max)}`;
+            case 'too_long':
+                return `Texto longo demais para ${label} (máximo ${data.maxLength} caracteres)`;
+            default:
+                return null;
+        }
+    }
+
+    openLimitsModal() {
+        if (!window.socketManager?.isConnected) {
+            this.showNotification('Sem conexão com o servidor', 'error');
+            return;
+        }
+        window.socketManager.requestLimits();
+        this.renderResponsibleLimits();
+        this.elements.limitsModal.classList.remove('hidden');
+    }
+
+    handleResponsibleLimits(data = {}, { notify = false } = {}) {
+        if (data.success === false) {
+            this.showNotification(this.describePayloadError(data) || data.error || 'Não foi possível atualizar os limites', 'error');
+            return;
+        }
+
+        this.responsibleLimits = data;
+        this.renderResponsibleLimits();
+
+        if (!notify) return;
+        if (data.coolingOff) {
+            this.elements.limitsModal.classList.add('hidden');
+            this.showNotification(this.describeLimitViolation({ code: 'cooling_off', until: data.coolingOffUntil }), 'info');
+        } else if (data.pendingFields?.length) {
+            this.showNotification('Limites salvos. Aumentos e remoções valem depois do prazo de espera', 'info');
+        } else if (data.applied?.length) {
+            this.showNotification('Limites atualizados', 'success');
+        }
+    }
+
+    renderResponsibleLimits() {
+        const data = this.responsibleLimits;
+        if (!data) return;
+
+        const labels = {};
+        this.elements.limitInputs.forEach((input) => {
+            const value = data.limits?.[input.dataset.limit];
+            input.value = value ?? '';
+            labels[input.dataset.limit] = input.labels?.[0]?.textContent || input.dataset.limit;
+            if (input.dataset.limit === 'realityCheckMinutes') {
+                input.placeholder = data.defaultRealityCheckMinutes ? `Padrão: ${data.defaultRealityCheckMinutes}` : 'Sem lembretes';
+            }
+        });
+
+        if (this.elements.limitsUsage && data.usage) {
+            this.elements.limitsUsage.textContent = `Sessão: ${data.usage.sessionMinutes} min • ` +
+                `Perda na sessão: ${this.currencyFormatter.format(data.usage.sessionLoss)} • ` +
+                `Perda em 24 horas: ${this.currencyFormatter.format(data.usage.dailyLoss)}`;
+        }
+
+        if (this.elements.limitsPending) {
+            this.elements.limitsPending.innerHTML = '';
+            (data.pending || []).forEach((change) => {
+                const item = document.createElement('li');
+                const value = change.value === null ? 'sem limite' : change.value;
+                item.textContent = `${labels[change.field] || change.field}: ${value} a partir de ${new Date(change.effectiveAt).toLocaleString('pt-BR')}`;
+                this.elements.limitsPending.appendChild(item);
+            });
+        }
+
+        if (this.elements.limitsStatus) {
+            const message = data.coolingOffUntil
+                ? this.describeLimitViolation({ code: 'cooling_off', until: data.coolingOffUntil })
+                : '';
+            this.elements.limitsStatus.textContent = message;
+            this.elements.limitsStatus.classList.toggle('hidden', !message);
+        }
+    }
+
+    // Envia só os campos alterados; campo vazio remove o limite
+    saveLimits() {
+        const limits = {};
+        for (const input of this.elements.limitInputs) {
+            if (!input.checkValidity()) {
+                input.reportValidity();
+                return;
+            }
+            const field = input.dataset.limit;
+            const value = input.value.trim() === '' ? null : Number(input.value);
+            if (value !== (this.responsibleLimits?.limits?.[field] ?? null)) {
+                limits[field] = value;
+            }
+        }
+
+        if (Object.keys(limits).length === 0) {
+            this.showNotification('Nenhuma alteração nos limites', 'info');
+            return;
+        }
+        if (!window.socketManager?.isConnected) {
+            this.showNotification('Sem conexão com o servidor', 'error');
+            return;
+        }
+        window.socketManager.setLimits(limits);
+    }
+
+    startCoolingOff() {
+        const hours = Number(this.elements.coolingOffHours?.value);
+        if (!window.socketManager?.isConnected) {
+            this.showNotification('Sem conexão com o servidor', 'error');
+            return;
+        }
+        window.socketManager.startCoolingOff(hours);
+    }
+
+    handleRealityCheck(data = {}) {
+        const result = Number(data.sessionResult || 0);
+        const outcome = result >= 0
+            ? `ganho de ${this.currencyFormatter.format(result)}`
+            : `perda de ${this.currencyFormatter.format(Math.abs(result))}`;
+        this.elements.realityCheckText.textContent = `Você está jogando há ${data.sessionMinutes} minutos. ` +
+            `Nesta sessão você apostou ${this.currencyFormatter.format(data.sessionBets || 0)}, com ${outcome}.`;
+
+        if (data.limits) {
+            this.handleResponsibleLimits(data.limits);
+        }
+        this.elements.realityCheckModal.classList.remove('hidden');
+    }
+
     handleConnectionStatus(data) {
         if (data.connected) {
             this.ensureCurrentPlayerId(true);
@@ -1258,6 +2009,10 @@ class UIManager {
     
     // Name management methods
     openNameModal() {
+        if (!this.accountStatus.canRename) {
+            this.showNotification(this.describeAccountStatus(this.accountStatus), 'error');
+            return;
+        }
         this.elements.nameInput.value = this.elements.playerName.textContent || '';
         this.elements.nameModal.classList.remove('hidden');
         setTimeout(() => {
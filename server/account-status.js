@@ -0,0 +1,88 @@
+// Estados de conta e o que cada um bloqueia. O estado fica salvo na conta (campo durável `status`)
+// como { state, reason, until, since, by }; `until` (ms) encerra o estado sozinho.
+
+const ACCOUNT_STATES = {
+    ACTIVE: 'active',
+    MUTED: 'muted',
+    SUSPENDED: 'suspended',
+    BANNED: 'banned',
+    SELF_EXCLUDED: 'self_excluded'
+};
+
+// join: entrar no jogo; bet: apostar; rename: trocar o nome exibido aos outros jogadores
+const RESTRICTIONS = {
+    [ACCOUNT_STATES.ACTIVE]: { join: true, bet: true, rename: true },
+    [ACCOUNT_STATES.MUTED]: { join: true, bet: true, rename: false },
+    [ACCOUNT_STATES.SUSPENDED]: { join: true, bet: false, rename: false },
+    [ACCOUNT_STATES.BANNED]: { join: false, bet: false, rename: false },
+    [ACCOUNT_STATES.SELF_EXCLUDED]: { join: false, bet: false, rename: false }
+};
+
+const ACTIVE_STATUS = Object.freeze({ state: ACCOUNT_STATES.ACTIVE, reason: null, until: null, since: null, by: null });
+
+const MAX_SELF_EXCLUSION_DAYS = 5 * 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Estado em vigor: ausente, desconhecido ou vencido vale como ativo
+function resolveStatus(status, now = Date.now()) {
+    if (!status || !RESTRICTIONS[status.state] || status.state === ACCOUNT_STATES.ACTIVE) {
+        return ACTIVE_STATUS;
+    }
+    if (status.until !== null && status.until !== undefined && status.until <= now) {
+        return ACTIVE_STATUS;
+    }
+    return status;
+}
+
+function isAllowed(status, action, now = Date.now()) {
+    return RESTRICTIONS[resolveStatus(status, now).state][action];
+}
+
+// Devolve a mensagem de erro ou null
+function validateStatusChange({ state, until = null } = {}, now = Date.now()) {
+    if (!RESTRICTIONS[state]) {
+        return `State must be one of: ${Object.values(ACCOUNT_STATES).join(', ')}`;
+    }
+    if (until !== null && (!Number.isFinite(until) || until <= now)) {
+        return 'until must be a future timestamp';
+    }
+    if (state === ACCOUNT_STATES.ACTIVE && until !== null) {
+        return 'The active state has no end date';
+    }
+    if (state === ACCOUNT_STATES.SELF_EXCLUDED && until === null) {
+        return 'Self-exclusion needs an end date';
+    }
+    if (state === ACCOUNT_STATES.SELF_EXCLUDED && until > now + MAX_SELF_EXCLUSION_DAYS * DAY) {
+        return `Self-exclusion cannot exceed ${MAX_SELF_EXCLUSION_DAYS} days`;
+    }
+    return null;
+}
+
+function createStatus({ state, until = null, reason = null, by = null }, now = Date.now()) {
+    if (state === ACCOUNT_STATES.ACTIVE) {
+        return null;
+    }
+    return { state, reason, until, since: now, by };
+}
+
+// Mensagem para o jogador, sem dados internos (quem aplicou)
+function describeStatus(status, now = Date.now()) {
+    const current = resolveStatus(status, now);
+    return {
+        state: current.state,
+        reason: current.reason,
+        until: current.until,
+        canBet: RESTRICTIONS[current.state].bet,
+        canRename: RESTRICTIONS[current.state].rename
+    };
+}
+
+module.exports = {
+    ACCOUNT_STATES,
+    MAX_SELF_EXCLUSION_DAYS,
+    resolveStatus,
+    isAllowed,
+    validateStatusChange,
+    createStatus,
+    describeStatus
+};
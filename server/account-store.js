@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { resolveStatus, ACCOUNT_STATES } = require('./account-status');
+const { toCents } = require('./money');
+
+const ACCOUNTS_COLLECTION = 'accounts';
+const TOKENS_COLLECTION = 'account_tokens';
+
+// Campos do jogador que sobrevivem a reconexões e reinícios do servidor
+const DURABLE_FIELDS = [
+    'name',
+    'balance',
+    'gamesPlayed',
+    'totalBets',
+    'totalWinnings',
+    'biggestWin',
+    'longestStreak',
+    'currentStreak',
+    'status',
+    'limits',
+    'sessionStartedAt',
+    'sessionLastSeenAt'
+];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class AccountStore {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    // startingBalance em centavos
+    createAccount({ name = null, startingBalance = toCents(1000) } = {}) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+
+        const account = {
+            id: crypto.randomUUID(),
+            name,
+            balance: startingBalance,
+            gamesPlayed: 0,
+            totalBets: 0,
+            totalWinnings: 0,
+            biggestWin: 0,
+            longestStreak: 0,
+            currentStreak: 0,
+            status: null,
+            limits: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.storage.set(ACCOUNTS_COLLECTION, account.id, account);
+        this.storage.set(TOKENS_COLLECTION, hashToken(token), account.id);
+
+        return { account, token };
+    }
+
+    getAccount(accountId) {
+        return this.storage.get(ACCOUNTS_COLLECTION, accountId);
+    }
+
+    findByToken(token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const accountId = this.storage.get(TOKENS_COLLECTION, hashToken(token));
+        return accountId ? this.getAccount(accountId) : null;
+    }
+
+    // Busca por id ou nome; `restrictedOnly` devolve só contas com um estado em vigor além de ativo
+    findAccounts({ search = '', restrictedOnly = false, limit = 50 } = {}) {
+        const term = String(search || '').trim().toLowerCase();
+        return this.storage.getAll(ACCOUNTS_COLLECTION)
+            .filter(account => !restrictedOnly || resolveStatus(account.status).state !== ACCOUNT_STATES.ACTIVE)
+            .filter(account => !term || [account.id, account.name]
+                .some(value => typeof value === 'string' && value.toLowerCase().includes(term)))
+            .slice(0, limit);
+    }
+
+    setStatus(accountId, status) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            return null;
+        }
+        return this.storage.set(ACCOUNTS_COLLECTION, accountId, { ...account, status, updatedAt: Date.now() });
+    }
+
+    saveFromPlayer(player) {
+        if (!player || !player.accountId) {
+            return null;
+        }
+
+        const account = this.getAccount(player.accountId);
+        if (!account) {
+            return null;
+        }
+
+        const updated = { ...account, updatedAt: Date.now() };
+        DURABLE_FIELDS.forEach(field => {
+            if (player[field] !== undefined) {
+                updated[field] = player[field];
+            }
+        });
+
+        return this.storage.set(ACCOUNTS_COLLECTION, account.id, updated);
+    }
+}
+
+module.exports = AccountStore;
+module.exports.DURABLE_FIELDS = DURABLE_FIELDS;
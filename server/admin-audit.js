@@ -0,0 +1,94 @@
+const AUDIT_COLLECTION = 'admin_audit';
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+const AUDIT_ACTIONS = {
+    LOGIN: 'admin_login',
+    LOGIN_FAILED: 'admin_login_failed',
+    LOGOUT: 'admin_logout',
+    SESSIONS_REVOKED: 'admin_sessions_revoked',
+    CONFIG_CHANGE: 'config_change',
+    CONFIG_APPLIED: 'config_applied',
+    FORCE_CRASH: 'force_crash',
+    VOID_ROUND: 'void_round',
+    BALANCE_EDIT: 'balance_edit',
+    PLAYER_STATS_RESET: 'player_stats_reset',
+    PLAYER_KICK: 'player_kick',
+    PLAYER_EXPORT: 'player_export',
+    PLAYERS_CLEANUP: 'players_cleanup',
+    ACCOUNT_STATUS_CHANGE: 'account_status_change',
+    BOTS_START: 'bots_start',
+    BOTS_STOP: 'bots_stop'
+};
+
+// Trilha de auditoria das ações administrativas: quem fez, de onde, sobre o quê e os valores
+// antes/depois. As entradas são anexadas a um log e nunca reescritas.
+class AdminAuditLog {
+    constructor(storage) {
+        this.storage = storage;
+        this.entries = [];
+        this.sequence = 0;
+
+        this.load();
+    }
+
+    load() {
+        const entries = this.storage.readLog(AUDIT_COLLECTION);
+        entries.forEach(entry => this.index(Object.freeze(entry)));
+
+        if (entries.length > 0) {
+            console.log(`🧾 Admin audit log loaded: ${entries.length} entries`);
+        }
+    }
+
+    index(entry) {
+        this.entries.push(entry);
+        this.sequence = Math.max(this.sequence, entry.id);
+    }
+
+    record({ action, actor = null, ip = null, target = null, before = null, after = null, reason = null, meta = null }) {
+        if (!action) {
+            throw new Error('Audit entry requires an action');
+        }
+
+        const entry = Object.freeze({
+            id: ++this.sequence,
+            action,
+            actor,
+            ip,
+            target,
+            before,
+            after,
+            reason,
+            meta,
+            createdAt: Date.now()
+        });
+
+        this.storage.append(AUDIT_COLLECTION, entry);
+        this.index(entry);
+
+        return entry;
+    }
+
+    // Mais recentes primeiro. Filtros: action (uma ou várias), actor, target e intervalo [since, until] em ms
+    query({ action = null, actor = null, target = null, since = null, until = null, limit = DEFAULT_QUERY_LIMIT } = {}) {
+        const size = Math.min(Math.max(1, Math.floor(Number(limit)) || DEFAULT_QUERY_LIMIT), MAX_QUERY_LIMIT);
+        const actions = action ? [].concat(action) : null;
+        const result = [];
+
+        for (let i = this.entries.length - 1; i >= 0 && result.length < size; i--) {
+            const entry = this.entries[i];
+            if (actions && !actions.includes(entry.action)) continue;
+            if (actor !== null && entry.actor !== actor) continue;
+            if (target !== null && String(entry.target) !== String(target)) continue;
+            if (since !== null && entry.createdAt < since) continue;
+            if (until !== null && entry.createdAt > until) continue;
+            result.push(entry);
+        }
+
+        return result;
+    }
+}
+
+module.exports = AdminAuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
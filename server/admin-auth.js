@@ -0,0 +1,262 @@
+// Autenticação do painel administrativo. As credenciais ficam no config como hashes scrypt; o login
+// emite um token de sessão assinado (HMAC-SHA256) com expiração, que pode ser revogado no logout
+// ou em massa por usuário. Papéis, do menor para o maior: viewer < operator < superadmin.
+//
+// Para gerar o hash de uma senha: npm run admin:hash-password (lê a senha da entrada padrão)
+
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+const REVOCATIONS_COLLECTION = 'admin_revocations';
+
+const ADMIN_ROLES = ['viewer', 'operator', 'superadmin'];
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_HASH_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+function scrypt(password, salt, { N, r, p }, keyLength) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, keyLength, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+// Formato: scrypt$N$r$p$<salt base64>$<hash base64>
+async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new Error('Password must have at least 8 characters');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_PARAMS, SCRYPT_KEY_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && PASSWORD_HASH_PATTERN.test(value);
+}
+
+async function verifyPassword(password, encoded) {
+    const match = PASSWORD_HASH_PATTERN.exec(encoded || '');
+    if (!match || typeof password !== 'string') {
+        return false;
+    }
+
+    const [, N, r, p, salt, hash] = match;
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) }, expected.length);
+    return crypto.timingSafeEqual(key, expected);
+}
+
+function hasRole(role, required) {
+    const level = ADMIN_ROLES.indexOf(role);
+    return level >= 0 && level >= ADMIN_ROLES.indexOf(required);
+}
+
+// Validação usada pelo config.js para admin.users; devolve a mensagem de erro ou null
+function validateAdminUsers(users) {
+    if (!Array.isArray(users)) {
+        return 'must be a JSON list of { username, passwordHash, role }';
+    }
+
+    const seen = new Set();
+    for (const [index, user] of users.entries()) {
+        if (!user || typeof user !== 'object' || typeof user.username !== 'string' || !user.username.trim()) {
+            return `entry ${index} needs a username`;
+        }
+        if (seen.has(user.username)) {
+            return `has the username "${user.username}" more than once`;
+        }
+        if (!isPasswordHash(user.passwordHash)) {
+            return `entry "${user.username}" needs a scrypt passwordHash (npm run admin:hash-password)`;
+        }
+        if (!ADMIN_ROLES.includes(user.role)) {
+            return `entry "${user.username}" needs a role: ${ADMIN_ROLES.join(', ')}`;
+        }
+        const unknown = Object.keys(user).filter(key => !['username', 'passwordHash', 'role'].includes(key));
+        if (unknown.length > 0) {
+            return `entry "${user.username}" has unknown fields: ${unknown.join(', ')}`;
+        }
+        seen.add(user.username);
+    }
+
+    return null;
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+class AdminAuth {
+    // options.users: [{ username, passwordHash, role }]
+    // options.sessionSecret: chave HMAC dos tokens; sem ela uma chave aleatória vale até o reinício
+    // options.sessionTtl: validade do token em ms
+    constructor({ users = [], sessionSecret = null, sessionTtl = 8 * 60 * 60 * 1000, storage, clock = systemClock } = {}) {
+        this.users = new Map(users.map(user => [user.username, user]));
+        this.sessionTtl = sessionTtl;
+        this.storage = storage;
+        this.clock = clock;
+        this.ephemeralSecret = !sessionSecret;
+        this.secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+        // Hash de referência para que usuários inexistentes levem o mesmo tempo que senhas erradas
+        this.dummyHash = null;
+
+        this.pruneRevocations();
+    }
+
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    // Resolve a sessão ou null quando usuário/senha não conferem
+    async login(username, password) {
+        const user = typeof username === 'string' ? this.users.get(username) : null;
+        if (!user && !this.dummyHash) {
+            this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+        }
+
+        const valid = await verifyPassword(password, user ? user.passwordHash : this.dummyHash);
+        if (!user || !valid) {
+            return null;
+        }
+
+        return this.issue(user);
+    }
+
+    issue(user) {
+        const now = this.clock.now();
+        const session = {
+            sid: crypto.randomUUID(),
+            username: user.username,
+            role: user.role,
+            issuedAt: now,
+            expiresAt: now + this.sessionTtl
+        };
+
+        const payload = encodeSegment({ sid: session.sid, sub: user.username, iat: now, exp: session.expiresAt });
+        return { token: `${payload}.${this.sign(payload)}`, session };
+    }
+
+    // Sessão válida ou null (assinatura, expiração, revogação e usuário ainda configurado)
+    verify(token) {
+        if (typeof token !== 'string') {
+            return null;
+        }
+
+        const [payload, signature, extra] = token.split('.');
+        if (!payload || !signature || extra !== undefined) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const user = this.users.get(claims.sub);
+        if (!user || !Number.isFinite(claims.exp) || claims.exp <= this.clock.now()) {
+            return null;
+        }
+        if (this.storage.get(REVOCATIONS_COLLECTION, `session:${claims.sid}`)) {
+            return null;
+        }
+        const userRevocation = this.storage.get(REVOCATIONS_COLLECTION, `user:${user.username}`);
+        if (userRevocation && claims.iat <= userRevocation.revokedBefore) {
+            return null;
+        }
+
+        // O papel vem sempre do config atual: rebaixar um usuário vale para as sessões abertas
+        return {
+            sid: claims.sid,
+            username: user.username,
+            role: user.role,
+            issuedAt: claims.iat,
+            expiresAt: claims.exp
+        };
+    }
+
+    revoke(session) {
+        const key = `session:${session.sid}`;
+        this.storage.set(REVOCATIONS_COLLECTION, key, {
+            key,
+            username: session.username,
+            expiresAt: session.expiresAt,
+            revokedAt: this.clock.now()
+        });
+    }
+
+    // Derruba todas as sessões do usuário emitidas até agora
+    revokeUser(username) {
+        const now = this.clock.now();
+        const key = `user:${username}`;
+        this.storage.set(REVOCATIONS_COLLECTION, key, {
+            key,
+            username,
+            revokedBefore: now,
+            expiresAt: now + this.sessionTtl,
+            revokedAt: now
+        });
+    }
+
+    // Revogações de tokens já expirados não precisam mais ser guardadas
+    pruneRevocations() {
+        const now = this.clock.now();
+        this.storage.getAll(REVOCATIONS_COLLECTION).forEach((revocation) => {
+            if (revocation.expiresAt <= now) {
+                this.storage.delete(REVOCATIONS_COLLECTION, revocation.key);
+            }
+        });
+    }
+}
+
+function readStdin() {
+    return new Promise((resolve) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => resolve(input.replace(/\r?\n$/, '')));
+    });
+}
+
+if (require.main === module) {
+    const [command] = process.argv.slice(2);
+    if (command !== 'hash-password') {
+        console.error('Usage: echo -n "<password>" | node admin-auth.js hash-password');
+        process.exit(1);
+    }
+
+    if (process.stdin.isTTY) {
+        console.error('🔑 Type the password and press Ctrl+D:');
+    }
+    readStdin()
+        .then(hashPassword)
+        .then((hash) => console.log(hash))
+        .catch((error) => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = AdminAuth;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.isPasswordHash = isPasswordHash;
+module.exports.hasRole = hasRole;
+module.exports.validateAdminUsers = validateAdminUsers;
@@ -0,0 +1,96 @@
+// Relógio e agendador usados pelo GameEngine. O systemClock delega para o relógio real do Node;
+// o VirtualClock só avança quando alguém pede, o que permite simular rodadas sem esperar.
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (handle) => clearTimeout(handle),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (handle) => clearInterval(handle)
+};
+
+class VirtualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = new Map(); // id -> { at, interval, callback }
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    setInterval(callback, delay = 0) {
+        return this.addTimer(callback, delay, Math.max(1, delay));
+    }
+
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    addTimer(callback, delay, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.time + Math.max(0, delay), interval, callback });
+        return id;
+    }
+
+    pendingTimers() {
+        return this.timers.size;
+    }
+
+    // Próximo timer a disparar (empates na ordem de criação, como no Node)
+    peekNext() {
+        let nextId = null;
+        let next = null;
+        for (const [id, timer] of this.timers) {
+            if (!next || timer.at < next.at) {
+                nextId = id;
+                next = timer;
+            }
+        }
+        return next ? { id: nextId, timer: next } : null;
+    }
+
+    // Pula direto para o próximo timer e o executa; retorna false se não há nada agendado
+    runNext() {
+        const next = this.peekNext();
+        if (!next) {
+            return false;
+        }
+
+        const { id, timer } = next;
+        this.time = Math.max(this.time, timer.at);
+        if (timer.interval) {
+            timer.at += timer.interval;
+        } else {
+            this.timers.delete(id);
+        }
+
+        timer.callback();
+        return true;
+    }
+
+    // Avança `ms` executando, em ordem, todos os timers que vencem no caminho
+    advance(ms) {
+        const target = this.time + Math.max(0, ms);
+        let next = this.peekNext();
+        while (next && next.timer.at <= target) {
+            this.runNext();
+            next = this.peekNext();
+        }
+        this.time = target;
+    }
+}
+
+module.exports = {
+    systemClock,
+    VirtualClock
+};
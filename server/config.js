@@ -0,0 +1,401 @@
+// Configuração central do servidor. Cada opção é declarada uma única vez no SCHEMA, com tipo,
+// limites, default e variável de ambiente. A ordem de precedência é:
+// defaults < arquivo JSON (CONFIG_FILE) < variáveis de ambiente < overrides passados pelo código.
+// O resultado é validado por inteiro e congelado; erros são reunidos em um único ConfigError.
+// Opções marcadas com `runtime` podem ser alteradas com o servidor no ar (updateConfig), o que gera
+// uma nova configuração validada; as demais exigem reinício.
+
+const fs = require('fs');
+const path = require('path');
+const { getCrashModels } = require('./crash-distribution');
+const { validateAdminUsers } = require('./admin-auth');
+const { validateEventLimits } = require('./rate-limiter');
+
+const REDACTED = '********';
+
+const SCHEMA = [
+    // Servidor
+    { path: 'server.port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3001 },
+    { path: 'server.host', env: 'HOST', type: 'string', nullable: true, default: null },
+    { path: 'server.nodeEnv', env: 'NODE_ENV', type: 'string', default: 'development' },
+    { path: 'server.corsOrigin', env: 'CORS_ORIGIN', type: 'list', default: ['*'] },
+    { path: 'server.adminSecret', env: 'ADMIN_SECRET', type: 'string', nullable: true, secret: true, default: null },
+    // Atrás de um proxy (Railway, Nginx): o IP do cliente vem do X-Forwarded-For
+    { path: 'server.trustProxy', env: 'TRUST_PROXY', type: 'boolean', default: false },
+
+    // Painel administrativo: usuários com hash scrypt e papel, chave e validade dos tokens de sessão
+    {
+        path: 'admin.users',
+        env: 'ADMIN_USERS',
+        type: 'json',
+        validate: validateAdminUsers,
+        describe: users => users.map(user => ({ username: user.username, role: user.role, passwordHash: REDACTED })),
+        default: []
+    },
+    { path: 'admin.sessionSecret', env: 'ADMIN_SESSION_SECRET', type: 'string', nullable: true, secret: true, minLength: 32, default: null },
+    { path: 'admin.sessionTtl', env: 'ADMIN_SESSION_TTL', type: 'integer', min: 60000, default: 8 * 60 * 60 * 1000 },
+
+    // Limitação de taxa (token bucket): eventos de socket por conexão e por IP, rotas HTTP e login por IP,
+    // conexões simultâneas por IP. IPs em exemptIps (ex.: máquinas de teste de carga) não são limitados.
+    { path: 'rateLimit.enabled', env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: true },
+    { path: 'rateLimit.events', env: 'RATE_LIMIT_EVENTS', type: 'json', validate: validateEventLimits, default: {} },
+    { path: 'rateLimit.ip.burst', env: 'RATE_LIMIT_IP_BURST', type: 'integer', min: 1, default: 200 },
+    { path: 'rateLimit.ip.perSecond', env: 'RATE_LIMIT_IP_PER_SECOND', type: 'number', min: 0.001, default: 50 },
+    { path: 'rateLimit.http.burst', env: 'RATE_LIMIT_HTTP_BURST', type: 'integer', min: 1, default: 60 },
+    { path: 'rateLimit.http.perSecond', env: 'RATE_LIMIT_HTTP_PER_SECOND', type: 'number', min: 0.001, default: 10 },
+    { path: 'rateLimit.login.burst', env: 'RATE_LIMIT_LOGIN_BURST', type: 'integer', min: 1, default: 5 },
+    { path: 'rateLimit.login.perSecond', env: 'RATE_LIMIT_LOGIN_PER_SECOND', type: 'number', min: 0.001, default: 0.1 },
+    { path: 'rateLimit.maxConnectionsPerIp', env: 'RATE_LIMIT_MAX_CONNECTIONS_PER_IP', type: 'integer', min: 1, default: 20 },
+    // Eventos recusados seguidos (recupera 1 por segundo) antes de derrubar a conexão; 0 = nunca derruba
+    { path: 'rateLimit.maxViolations', env: 'RATE_LIMIT_MAX_VIOLATIONS', type: 'integer', min: 0, default: 50 },
+    { path: 'rateLimit.exemptIps', env: 'RATE_LIMIT_EXEMPT_IPS', type: 'list', nullable: true, default: null },
+
+    // Persistência
+    { path: 'storage.driver', env: 'STORAGE_DRIVER', type: 'string', values: ['file', 'memory'], default: 'file' },
+    { path: 'storage.directory', env: 'STORAGE_DIR', type: 'string', nullable: true, default: null },
+
+    // Ciclo da rodada (ms)
+    { path: 'game.waitTime.min', env: 'GAME_MIN_WAIT_TIME', type: 'integer', min: 0, runtime: true, default: 3000 },
+    { path: 'game.waitTime.max', env: 'GAME_MAX_WAIT_TIME', type: 'integer', min: 0, runtime: true, default: 7000 },
+    { path: 'game.countdownTime', env: 'GAME_COUNTDOWN_TIME', type: 'integer', min: 0, runtime: true, default: 3000 },
+    { path: 'game.updateInterval', env: 'GAME_UPDATE_INTERVAL', type: 'integer', min: 10, max: 1000, default: 100 },
+    { path: 'game.predictionInterval', env: 'GAME_PREDICTION_INTERVAL', type: 'integer', min: 100, default: 1000 },
+    { path: 'game.maxGameTime', env: 'GAME_MAX_TIME', type: 'integer', min: 1000, default: 90000 },
+    { path: 'game.historySize', env: 'HISTORY_SIZE', type: 'integer', min: 1, max: 500, default: 20 },
+    { path: 'game.maxBetSlots', env: 'GAME_MAX_BET_SLOTS', type: 'integer', min: 1, max: 10, default: 2 },
+
+    // Curva do multiplicador
+    { path: 'growth.rate', env: 'GROWTH_RATE', type: 'number', min: 0.001, max: 10, runtime: true, default: 0.2 },
+    { path: 'growth.minMultiplier', env: 'GROWTH_MIN_MULTIPLIER', type: 'number', min: 1, default: 1.0 },
+    { path: 'growth.capMultiplier', env: 'GROWTH_CAP_MULTIPLIER', type: 'number', min: 1.01, max: 1000000, default: 250 },
+
+    // Distribuição do crash point (maxMultiplier nulo = teto da curva)
+    { path: 'crash.model', env: 'CRASH_MODEL', type: 'string', values: () => getCrashModels(), default: 'inverse' },
+    { path: 'crash.houseEdge', env: 'CRASH_HOUSE_EDGE', type: 'number', min: 0, max: 0.99, default: 0.01 },
+    { path: 'crash.instantCrash', env: 'CRASH_INSTANT_PROBABILITY', type: 'number', min: 0, max: 0.99, default: 0 },
+    { path: 'crash.maxMultiplier', env: 'CRASH_MAX_MULTIPLIER', type: 'number', min: 1.01, nullable: true, default: null },
+
+    // Provably fair
+    { path: 'fairness.clientSeed', env: 'FAIRNESS_CLIENT_SEED', type: 'string', nullable: true, default: null },
+
+    // Apostas e carteira
+    { path: 'bets.min', env: 'BET_MIN', type: 'number', min: 0.01, runtime: true, default: 1 },
+    { path: 'bets.max', env: 'BET_MAX', type: 'number', min: 0.01, runtime: true, default: 1000000000 },
+    { path: 'players.startingBalance', env: 'STARTING_BALANCE', type: 'number', min: 0, runtime: true, default: 1000 },
+
+    // Jogo responsável: espera para afrouxar um limite (ms), intervalo padrão dos lembretes (min, 0 = sem lembretes)
+    // e tempo longe do jogo que encerra a sessão (min)
+    { path: 'responsibleGaming.limitIncreaseDelay', env: 'RG_LIMIT_INCREASE_DELAY', type: 'integer', min: 0, runtime: true, default: 24 * 60 * 60 * 1000 },
+    { path: 'responsibleGaming.realityCheckMinutes', env: 'RG_REALITY_CHECK_MINUTES', type: 'integer', min: 0, max: 240, runtime: true, default: 60 },
+    { path: 'responsibleGaming.sessionBreakMinutes', env: 'RG_SESSION_BREAK_MINUTES', type: 'integer', min: 1, max: 24 * 60, runtime: true, default: 30 }
+];
+
+const SOURCES = {
+    DEFAULT: 'default',
+    FILE: 'file',
+    ENV: 'env',
+    OVERRIDE: 'override',
+    RUNTIME: 'runtime'
+};
+
+// Origem de cada valor de uma configuração carregada (para a rota administrativa)
+const configSources = new WeakMap();
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n - ${problems.join('\n - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function getPath(target, keyPath) {
+    return keyPath.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), target);
+}
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        return node[key];
+    }, target);
+    parent[last] = value;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+// Variáveis de ambiente chegam como texto; o arquivo JSON e os overrides já vêm tipados
+function fromEnv(entry, raw) {
+    const text = String(raw).trim();
+    if (entry.nullable && text === '') {
+        return null;
+    }
+
+    switch (entry.type) {
+        case 'integer':
+        case 'number':
+            return text === '' ? NaN : Number(text);
+        case 'list':
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+            return text;
+        case 'json':
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        default:
+            return text;
+    }
+}
+
+function checkValue(entry, value, label) {
+    if (value === null) {
+        return entry.nullable ? null : `${label} is required`;
+    }
+
+    switch (entry.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `${label} must be an integer`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+            break;
+        case 'list':
+            if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string' || !item)) {
+                return `${label} must be a non-empty list of strings`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${label} must be true or false`;
+            break;
+        case 'json':
+            break;
+        default:
+            if (typeof value !== 'string' || value === '') return `${label} must be a non-empty string`;
+            if (entry.minLength !== undefined && value.length < entry.minLength) {
+                return `${label} must have at least ${entry.minLength} characters`;
+            }
+    }
+
+    if (entry.min !== undefined && value < entry.min) return `${label} must be >= ${entry.min}`;
+    if (entry.max !== undefined && value > entry.max) return `${label} must be <= ${entry.max}`;
+
+    const allowed = typeof entry.values === 'function' ? entry.values() : entry.values;
+    if (allowed && !allowed.includes(value)) {
+        return `${label} must be one of: ${allowed.join(', ')}`;
+    }
+
+    const problem = entry.validate ? entry.validate(value) : null;
+    return problem ? `${label} ${problem}` : null;
+}
+
+// Regras que envolvem mais de uma opção
+function checkRelations(config) {
+    const problems = [];
+    if (config.game.waitTime.min > config.game.waitTime.max) {
+        problems.push('game.waitTime.min must not exceed game.waitTime.max');
+    }
+    if (config.bets.min > config.bets.max) {
+        problems.push('bets.min must not exceed bets.max');
+    }
+    if (config.growth.minMultiplier >= config.growth.capMultiplier) {
+        problems.push('growth.minMultiplier must be below growth.capMultiplier');
+    }
+    if (config.crash.maxMultiplier !== null && config.crash.maxMultiplier > config.growth.capMultiplier) {
+        problems.push(`crash.maxMultiplier cannot exceed the growth cap (${config.growth.capMultiplier}x)`);
+    }
+    // A curva precisa alcançar o teto do crash antes de maxGameTime; senão o limite de tempo derruba rodadas
+    // antes do crash point comprometido
+    const crashCap = config.crash.maxMultiplier ?? config.growth.capMultiplier;
+    const reachable = Math.exp(config.growth.rate * config.game.maxGameTime / 1000);
+    if (reachable < crashCap) {
+        problems.push(`game.maxGameTime is too short for growth.rate ${config.growth.rate}: the curve reaches ${reachable.toFixed(2)}x, below the crash cap (${crashCap}x)`);
+    }
+    if (config.game.updateInterval > config.game.predictionInterval) {
+        problems.push('game.updateInterval must not exceed game.predictionInterval');
+    }
+    return problems;
+}
+
+function readConfigFile(file) {
+    const resolved = path.resolve(file);
+    try {
+        return { resolved, values: JSON.parse(fs.readFileSync(resolved, 'utf8')) };
+    } catch (error) {
+        throw new ConfigError([`Could not read config file ${resolved}: ${error.message}`]);
+    }
+}
+
+// Chaves do arquivo/overrides que não existem no schema (erros de digitação)
+function findUnknownKeys(values, prefix = '') {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return [];
+    }
+    return Object.entries(values).flatMap(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (SCHEMA.some(entry => entry.path === keyPath)) {
+            return [];
+        }
+        if (SCHEMA.some(entry => entry.path.startsWith(`${keyPath}.`))) {
+            return findUnknownKeys(value, keyPath);
+        }
+        return [keyPath];
+    });
+}
+
+// options.env: variáveis de ambiente (padrão process.env)
+// options.file: arquivo JSON com a mesma estrutura do config (padrão env.CONFIG_FILE)
+// options.overrides: valores do código (ex.: createServer({ port })), já tipados
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const file = options.file !== undefined ? options.file : env.CONFIG_FILE;
+    const overrides = options.overrides || {};
+    const fileConfig = file ? readConfigFile(file) : null;
+
+    const problems = [
+        ...findUnknownKeys(fileConfig?.values).map(key => `Unknown option "${key}" in ${fileConfig.resolved}`),
+        ...findUnknownKeys(overrides).map(key => `Unknown option "${key}" in overrides`)
+    ];
+    const config = {};
+    const sources = {};
+
+    SCHEMA.forEach((entry) => {
+        let value = entry.default;
+        let source = SOURCES.DEFAULT;
+        let label = entry.path;
+
+        const fromFile = fileConfig ? getPath(fileConfig.values, entry.path) : undefined;
+        if (fromFile !== undefined) {
+            value = fromFile;
+            source = SOURCES.FILE;
+        }
+        if (entry.env && env[entry.env] !== undefined) {
+            value = fromEnv(entry, env[entry.env]);
+            source = SOURCES.ENV;
+            label = `${entry.path} (${entry.env})`;
+        }
+        const fromOverrides = getPath(overrides, entry.path);
+        if (fromOverrides !== undefined) {
+            value = fromOverrides;
+            source = SOURCES.OVERRIDE;
+            label = entry.path;
+        }
+
+        const problem = checkValue(entry, value, label);
+        if (problem) {
+            problems.push(problem);
+        }
+
+        setPath(config, entry.path, value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+        sources[entry.path] = source;
+    });
+
+    if (problems.length === 0) {
+        problems.push(...checkRelations(config));
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    configSources.set(config, sources);
+    return deepFreeze(config);
+}
+
+// Nova configuração com `changes` ({ 'growth.rate': 0.25, ... }) aplicadas sobre `config`.
+// Só aceita opções `runtime` e revalida as regras entre opções; `config` não é alterada.
+function updateConfig(config, changes = {}) {
+    const problems = [];
+    const next = JSON.parse(JSON.stringify(config));
+    const sources = { ...configSources.get(config) };
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+        throw new ConfigError(['No changes given']);
+    }
+
+    Object.entries(changes).forEach(([keyPath, value]) => {
+        const entry = SCHEMA.find(candidate => candidate.path === keyPath);
+        if (!entry) {
+            problems.push(`Unknown option "${keyPath}"`);
+            return;
+        }
+        if (!entry.runtime) {
+            problems.push(`${keyPath} cannot be changed at runtime`);
+            return;
+        }
+
+        const problem = checkValue(entry, value, keyPath);
+        if (problem) {
+            problems.push(problem);
+            return;
+        }
+
+        setPath(next, keyPath, value);
+        sources[keyPath] = SOURCES.RUNTIME;
+    });
+
+    if (problems.length === 0) {
+        problems.push(...checkRelations(next));
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    configSources.set(next, sources);
+    return deepFreeze(next);
+}
+
+// Opções alteráveis em tempo de execução, com os limites para o formulário do painel
+function getRuntimeOptions(config) {
+    return SCHEMA.filter(entry => entry.runtime).map(entry => ({
+        path: entry.path,
+        type: entry.type,
+        min: entry.min ?? null,
+        max: entry.max ?? null,
+        value: getPath(config, entry.path)
+    }));
+}
+
+// Visão somente leitura para operadores: valores efetivos (segredos mascarados) e a origem de cada um
+function describeConfig(config) {
+    const values = {};
+    const options = SCHEMA.map((entry) => {
+        const value = getPath(config, entry.path);
+        let shown = entry.secret && value !== null ? REDACTED : value;
+        if (entry.describe) {
+            shown = entry.describe(value);
+        }
+        setPath(values, entry.path, shown);
+        return {
+            path: entry.path,
+            env: entry.env || null,
+            type: entry.type,
+            value: shown,
+            default: entry.default,
+            source: configSources.get(config)?.[entry.path] || SOURCES.OVERRIDE
+        };
+    });
+    return { values, options };
+}
+
+module.exports = {
+    loadConfig,
+    describeConfig,
+    updateConfig,
+    getRuntimeOptions,
+    ConfigError,
+    SCHEMA,
+    SOURCES
+};
@@ -0,0 +1,108 @@
+// Modelos de distribuição do crash point. Cada modelo converte o número uniforme derivado da
+// cadeia de seeds (provably fair) em um crash point e declara o RTP teórico resultante.
+
+const DEFAULT_MODEL = 'inverse';
+const DEFAULT_HOUSE_EDGE = 0.01;
+const DEFAULT_INSTANT_CRASH = 0;
+const MIN_MULTIPLIER = 1;
+
+function floorCents(value) {
+    return Math.floor(value * 100) / 100;
+}
+
+// Razões (RTP, taxas) com 6 casas; null continua null para estatísticas sem amostras
+function roundRatio(value) {
+    return value === null ? null : Math.round(value * 1e6) / 1e6;
+}
+
+// Modelo padrão: crash = (1 − houseEdge) / (1 − u), com uma fração `instantCrash` das rodadas
+// explodindo em 1.00x antes de qualquer coisa. P(crash ≥ x) = (1 − instantCrash)(1 − houseEdge) / x,
+// então o retorno esperado é o mesmo para qualquer alvo de retirada até maxMultiplier.
+function inverseModel({ houseEdge, instantCrash, maxMultiplier }) {
+    return {
+        crashPoint(uniform) {
+            if (uniform < instantCrash) {
+                return MIN_MULTIPLIER;
+            }
+
+            const rescaled = (uniform - instantCrash) / (1 - instantCrash);
+            const crashPoint = floorCents((1 - houseEdge) / (1 - rescaled));
+            return Math.min(Math.max(MIN_MULTIPLIER, crashPoint), maxMultiplier);
+        },
+
+        // Probabilidade de a rodada alcançar `multiplier` (retirada em `multiplier` é paga)
+        survival(multiplier) {
+            if (multiplier <= MIN_MULTIPLIER) return 1;
+            if (multiplier > maxMultiplier) return 0;
+            return Math.min(1, (1 - instantCrash) * (1 - houseEdge) / multiplier);
+        },
+
+        theoreticalRtp() {
+            return (1 - instantCrash) * (1 - houseEdge);
+        }
+    };
+}
+
+const MODELS = new Map([
+    ['inverse', inverseModel]
+]);
+
+// Permite plugar modelos adicionais: factory(params) -> { crashPoint(u), survival(x), theoreticalRtp() }
+function registerCrashModel(name, factory) {
+    if (typeof name !== 'string' || !name || typeof factory !== 'function') {
+        throw new Error('Crash model needs a name and a factory function');
+    }
+    MODELS.set(name, factory);
+}
+
+function getCrashModels() {
+    return Array.from(MODELS.keys());
+}
+
+function createCrashDistribution(options = {}) {
+    const model = options.model || DEFAULT_MODEL;
+    const params = {
+        houseEdge: options.houseEdge ?? DEFAULT_HOUSE_EDGE,
+        instantCrash: options.instantCrash ?? DEFAULT_INSTANT_CRASH,
+        maxMultiplier: options.maxMultiplier ?? Infinity
+    };
+
+    if (!MODELS.has(model)) {
+        throw new Error(`Unknown crash model "${model}" (available: ${getCrashModels().join(', ')})`);
+    }
+    if (!Number.isFinite(params.houseEdge) || params.houseEdge < 0 || params.houseEdge >= 1) {
+        throw new Error('houseEdge must be a number in [0, 1)');
+    }
+    if (!Number.isFinite(params.instantCrash) || params.instantCrash < 0 || params.instantCrash >= 1) {
+        throw new Error('instantCrash must be a number in [0, 1)');
+    }
+    if (Number.isNaN(params.maxMultiplier) || params.maxMultiplier <= MIN_MULTIPLIER) {
+        throw new Error('maxMultiplier must be greater than 1');
+    }
+
+    const implementation = MODELS.get(model)(params);
+
+    return {
+        model,
+        ...params,
+        crashPoint: (uniform) => implementation.crashPoint(uniform),
+        survival: (multiplier) => implementation.survival(multiplier),
+        theoreticalRtp: () => implementation.theoreticalRtp(),
+        describe() {
+            return {
+                model,
+                houseEdge: params.houseEdge,
+                instantCrash: params.instantCrash,
+                maxMultiplier: Number.isFinite(params.maxMultiplier) ? params.maxMultiplier : null,
+                theoreticalRtp: roundRatio(implementation.theoreticalRtp())
+            };
+        }
+    };
+}
+
+module.exports = {
+    createCrashDistribution,
+    registerCrashModel,
+    getCrashModels,
+    roundRatio
+};
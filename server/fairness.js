@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { createCrashDistribution } = require('./crash-distribution');
+const { systemClock } = require('./clock');
+const { systemRandom } = require('./random');
+
+const DEFAULT_CHAIN_LENGTH = 10000;
+const DEFAULT_REVEALED_LIMIT = 1000;
+const CHAINS_COLLECTION = 'fairness_chains';
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Converte HMAC(serverSeed, clientSeed) em um número uniforme em [0, 1) usando 52 bits
+function hashToUniform(serverSeed, clientSeed) {
+    const hmac = crypto.createHmac('sha256', String(serverSeed))
+        .update(String(clientSeed))
+        .digest('hex');
+    const value = parseInt(hmac.slice(0, 13), 16);
+    return value / Math.pow(2, 52);
+}
+
+// `distribution` é um modelo de crash-distribution.js ou as opções para criar um
+function crashPointFromSeed(serverSeed, clientSeed, distribution = {}) {
+    const model = typeof distribution.crashPoint === 'function'
+        ? distribution
+        : createCrashDistribution(distribution);
+
+    return model.crashPoint(hashToUniform(serverSeed, clientSeed));
+}
+
+// Com `options.storage`, o commitment de cada cadeia (nunca as seeds) é anexado a um log para que
+// rodadas de antes de um reinício continuem verificáveis contra a cadeia publicada
+class FairnessManager {
+    constructor(options = {}) {
+        this.chainLength = options.chainLength || DEFAULT_CHAIN_LENGTH;
+        this.revealedLimit = options.revealedLimit || DEFAULT_REVEALED_LIMIT;
+        this.fixedClientSeed = options.clientSeed || null;
+        this.generateSeed = options.random ? options.random.seed : systemRandom.seed;
+        this.clock = options.clock || systemClock;
+        this.logger = options.logger || console;
+        this.distribution = options.distribution || createCrashDistribution({
+            houseEdge: options.houseEdge,
+            maxMultiplier: options.maxMultiplier
+        });
+
+        this.storage = options.storage || null;
+
+        this.chain = null;
+        this.previousChains = this.loadCommitments(); // { terminatingHash, clientSeed, chainLength }
+        this.revealed = new Map(); // gameId -> revealed round
+
+        this.createChain();
+    }
+
+    // Gera uma nova cadeia: seed[i] = sha256(seed[i - 1]). As rodadas consomem a cadeia de trás para
+    // frente, então o hash da seed de cada rodada é a seed da rodada anterior e a primeira rodada
+    // encadeia no terminatingHash publicado antecipadamente.
+    createChain() {
+        if (this.chain) {
+            this.previousChains.push(this.getChainCommitment(this.chain));
+        }
+
+        const seeds = new Array(this.chainLength);
+        seeds[0] = this.generateSeed();
+        for (let i = 1; i < this.chainLength; i++) {
+            seeds[i] = sha256(seeds[i - 1]);
+        }
+
+        this.chain = {
+            seeds,
+            nextIndex: this.chainLength - 1,
+            terminatingHash: sha256(seeds[this.chainLength - 1]),
+            clientSeed: this.fixedClientSeed || this.generateSeed(),
+            createdAt: this.clock.now()
+        };
+
+        if (this.storage) {
+            this.storage.append(CHAINS_COLLECTION, { ...this.getChainCommitment(), createdAt: this.chain.createdAt });
+        }
+
+        this.logger.log(`🔐 New seed chain committed: ${this.chain.terminatingHash}`);
+    }
+
+    loadCommitments() {
+        if (!this.storage) {
+            return [];
+        }
+
+        return this.storage.readLog(CHAINS_COLLECTION)
+            .map(({ terminatingHash, clientSeed, chainLength }) => ({ terminatingHash, clientSeed, chainLength }));
+    }
+
+    nextRound(gameId) {
+        if (this.chain.nextIndex < 0) {
+            this.createChain();
+        }
+
+        const serverSeed = this.chain.seeds[this.chain.nextIndex];
+        this.chain.nextIndex--;
+
+        return {
+            gameId,
+            serverSeed,
+            seedHash: sha256(serverSeed),
+            clientSeed: this.chain.clientSeed,
+            crashPoint: crashPointFromSeed(serverSeed, this.chain.clientSeed, this.distribution),
+            distribution: this.distribution.describe()
+        };
+    }
+
+    reveal(round, details = {}) {
+        if (!round) return null;
+
+        const revealed = {
+            gameId: round.gameId,
+            serverSeed: round.serverSeed,
+            seedHash: round.seedHash,
+            clientSeed: round.clientSeed,
+            crashPoint: round.crashPoint,
+            distribution: round.distribution,
+            finalMultiplier: typeof details.finalMultiplier === 'number' ? details.finalMultiplier : round.crashPoint,
+            forced: Boolean(details.forced),
+            voided: Boolean(details.voided),
+            revealedAt: this.clock.now()
+        };
+
+        this.revealed.set(round.gameId, revealed);
+        if (this.revealed.size > this.revealedLimit) {
+            const oldestKey = this.revealed.keys().next().value;
+            this.revealed.delete(oldestKey);
+        }
+
+        return revealed;
+    }
+
+    getRevealedRound(gameId) {
+        return this.revealed.get(gameId) || null;
+    }
+
+    // Recalcula o crash point a partir de uma seed revelada e confirma que ela pertence a uma cadeia publicada.
+    // `distribution` são os parâmetros (describe()) vigentes na rodada; sem eles vale a distribuição atual.
+    verify(serverSeed, clientSeed = null, distribution = null) {
+        const commitment = this.findCommitment(serverSeed);
+        const effectiveClientSeed = clientSeed || commitment?.clientSeed || this.chain.clientSeed;
+        const model = distribution ? createCrashDistribution(distribution) : this.distribution;
+
+        return {
+            serverSeed,
+            seedHash: sha256(serverSeed),
+            clientSeed: effectiveClientSeed,
+            crashPoint: crashPointFromSeed(serverSeed, effectiveClientSeed, model),
+            distribution: model.describe(),
+            chainVerified: Boolean(commitment),
+            terminatingHash: commitment ? commitment.terminatingHash : null
+        };
+    }
+
+    findCommitment(serverSeed) {
+        const commitments = [this.getChainCommitment(this.chain), ...this.previousChains];
+        const byHash = new Map(commitments.map(commitment => [commitment.terminatingHash, commitment]));
+        const maxSteps = Math.max(...commitments.map(commitment => commitment.chainLength));
+
+        let hash = String(serverSeed);
+        for (let i = 0; i < maxSteps; i++) {
+            hash = sha256(hash);
+            if (byHash.has(hash)) {
+                return byHash.get(hash);
+            }
+        }
+
+        return null;
+    }
+
+    getChainCommitment(chain = this.chain) {
+        return {
+            terminatingHash: chain.terminatingHash,
+            clientSeed: chain.clientSeed,
+            chainLength: chain.seeds.length
+        };
+    }
+
+    getCommitment() {
+        return {
+            ...this.getChainCommitment(),
+            roundsRemaining: this.chain.nextIndex + 1,
+            createdAt: this.chain.createdAt,
+            previousChains: this.previousChains.slice()
+        };
+    }
+}
+
+module.exports = FairnessManager;
+module.exports.sha256 = sha256;
+module.exports.hashToUniform = hashToUniform;
+module.exports.crashPointFromSeed = crashPointFromSeed;
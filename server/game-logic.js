@@ -1,4 +1,10 @@
 const EventEmitter = require('events');
+const FairnessManager = require('./fairness');
+const { createCrashDistribution } = require('./crash-distribution');
+const { loadConfig } = require('./config');
+const { systemClock } = require('./clock');
+const { systemRandom } = require('./random');
+const { payout, splitStake, formatMoney } = require('./money');
 
 // Game states
 const GAME_STATES = {
@@ -8,10 +14,28 @@ const GAME_STATES = {
     CRASHED: 'crashed'
 };
 
+// Round outcomes recorded in history
+const ROUND_OUTCOMES = {
+    CRASHED: 'crashed',
+    VOIDED: 'voided'
+};
+
+// Espera antes de agendar a próxima rodada depois de um erro interno
+const RECOVERY_DELAY = 2000;
+
 class GameEngine extends EventEmitter {
-    constructor(io) {
+    // options.clock: { now, setTimeout, clearTimeout, setInterval, clearInterval } (ex.: VirtualClock)
+    // options.random: { random, seed } (ex.: createSeededRandom) para rodadas reproduzíveis
+    // options.config: configuração carregada por loadConfig() (padrão: defaults + ambiente)
+    // options.storage: storage (storage.js) onde os commitments das cadeias de seeds são guardados
+    // options.logger: objeto com log/error no lugar do console (ex.: o simulador em modo silencioso)
+    constructor(io, options = {}) {
         super();
+        const settings = options.config || loadConfig();
         this.io = io;
+        this.clock = options.clock || systemClock;
+        this.random = options.random || systemRandom;
+        this.logger = options.logger || console;
         
         // Game state
         this.state = GAME_STATES.WAITING;
@@ -19,93 +43,157 @@ class GameEngine extends EventEmitter {
         this.startTime = null;
         this.gameId = 0;
         this.history = [];
+        this.round = null; // Rodada atual pré-comprometida pela cadeia de seeds
         
         // Active players and bets
-        this.activePlayers = new Map(); // playerId -> { bet, autoCashOut, hasWon }
-        this.cashedOutPlayers = new Set();
+        this.activePlayers = new Map(); // playerId -> Map(slotId -> { slotId, stake, bet, autoCashOut, hasWon, legs })
+        this.queuedBets = new Map(); // playerId -> Map(slotId -> { slotId, bet, autoCashOut, queuedAt }) para a próxima rodada
         
-        // Timers
+        // Timers (agendados pelo this.clock)
         this.gameLoopInterval = null;
         this.stateTimeout = null;
         
-        // Configuration
-        this.config = {
-            waitTime: { min: 3000, max: 7000 }, // 3-7 seconds
-            countdownTime: 3000, // 3 seconds
-            updateInterval: 100, // 100ms para lógica interna responsiva
-            predictionInterval: 1000, // Snapshot de predição a cada 1s
-            maxGameTime: 90000,  // 90 seconds max para suportar curvas longas
-            historySize: 20
-        };
-        // Growth configuration (exponencial simples)
-        this.growth = {
-            mode: 'exponential',
-            rate: 0.2,          // Crescimento ~exp(0.065 * t)
-            minMultiplier: 1.0,
-            capMultiplier: 250    // Limite de segurança para evitar overflow
-        };
+        // Configuration (config/growth são cópias mutáveis: o simulador e os testes ajustam estes valores)
+        this.settings = null;
+        this.pendingSettings = null; // Aplicada na próxima fronteira de rodada
+        this.applySettings(settings);
+
+        // Distribuição do crash point: house edge declarado, chance de crash instantâneo e teto
+        this.crashDistribution = createCrashDistribution({
+            ...settings.crash,
+            maxMultiplier: settings.crash.maxMultiplier ?? this.growth.capMultiplier
+        });
+        if (this.crashDistribution.maxMultiplier > this.growth.capMultiplier) {
+            throw new Error(`Crash maxMultiplier cannot exceed the growth cap (${this.growth.capMultiplier}x)`);
+        }
+
+        // Provably fair: crash point de cada rodada derivado da cadeia de seeds
+        this.fairness = new FairnessManager({
+            clientSeed: settings.fairness.clientSeed,
+            distribution: this.crashDistribution,
+            clock: this.clock,
+            random: this.random,
+            storage: options.storage,
+            logger: this.logger
+        });
         
         // Statistics
         this.stats = {
             totalGames: 0,
-            totalBets: 0,
+            totalBets: 0, // em centavos
             totalPayouts: 0,
             averageMultiplier: 0,
-            uptime: Date.now()
+            uptime: this.clock.now()
         };
 
         this._lastPredictionBroadcast = 0;
     }
     
     start() {
-        console.log('🎮 Game engine starting...');
+        this.logger.log('🎮 Game engine starting...');
         this.scheduleNextGame();
     }
     
     stop() {
-        console.log('🛑 Game engine stopping...');
+        this.logger.log('🛑 Game engine stopping...');
         this.clearTimers();
         this.state = GAME_STATES.WAITING;
     }
     
     scheduleNextGame() {
+        this.applyPendingSettings();
         const waitTime = this.getRandomWaitTime();
-        console.log(`⏰ Next game in ${waitTime / 1000}s`);
+        this.logger.log(`⏰ Next game in ${waitTime / 1000}s`);
         
         this.state = GAME_STATES.WAITING;
+        this.prepareRound();
         this.emit('game_state_changed', {
             state: this.state,
-            nextGameIn: waitTime / 1000
+            nextGameIn: waitTime / 1000,
+            ...this.getRoundCommitment()
         });
         
-        this.stateTimeout = setTimeout(() => {
-            this.startCountdown();
+        this.stateTimeout = this.clock.setTimeout(() => {
+            this.runSafely(() => this.startCountdown());
         }, waitTime);
     }
     
     startCountdown() {
-        console.log('🚦 Starting countdown...');
+        this.logger.log('🚦 Starting countdown...');
         
         this.state = GAME_STATES.STARTING;
-        this.cashedOutPlayers.clear();
         
         this.emit('game_state_changed', {
             state: this.state,
-            countdown: this.config.countdownTime / 1000
+            countdown: this.config.countdownTime / 1000,
+            ...this.getRoundCommitment()
         });
         
-        this.stateTimeout = setTimeout(() => {
-            this.startGame();
+        this.releaseQueuedBets();
+        
+        this.stateTimeout = this.clock.setTimeout(() => {
+            this.runSafely(() => this.startGame());
         }, this.config.countdownTime);
     }
     
+    applySettings(settings) {
+        this.settings = settings;
+        this.config = {
+            ...settings.game,
+            waitTime: { ...settings.game.waitTime }
+        };
+        // Growth configuration (exponencial simples)
+        this.growth = {
+            mode: 'exponential',
+            ...settings.growth
+        };
+    }
+
+    // Novos parâmetros nunca mudam uma rodada em andamento: ficam pendentes até a próxima rodada
+    queueSettings(settings) {
+        this.pendingSettings = settings;
+    }
+
+    applyPendingSettings() {
+        if (!this.pendingSettings) {
+            return;
+        }
+
+        const settings = this.pendingSettings;
+        this.pendingSettings = null;
+        this.applySettings(settings);
+        this.logger.log(`⚙️ New game settings applied from round ${this.gameId + 1}`);
+        this.emit('settings_applied', { settings, gameId: this.gameId + 1 });
+    }
+
+    // O crash point é decidido antes da rodada; apenas o hash da seed é publicado até o crash
+    prepareRound() {
+        this.gameId++;
+        this.round = this.fairness.nextRound(this.gameId);
+    }
+
+    getRoundCommitment() {
+        if (!this.round) {
+            return {};
+        }
+
+        return {
+            gameId: this.round.gameId,
+            seedHash: this.round.seedHash,
+            clientSeed: this.round.clientSeed
+        };
+    }
+
     startGame() {
-        console.log(`🚀 Game ${++this.gameId} started with ${this.activePlayers.size} players`);
+        if (!this.round) {
+            this.prepareRound();
+        }
+
+        this.logger.log(`🚀 Game ${this.gameId} started with ${this.activePlayers.size} players`);
         
         this.state = GAME_STATES.FLYING;
         this.multiplier = 1.00;
-        this.startTime = Date.now();
-        this.cashedOutPlayers.clear();
+        this.startTime = this.clock.now();
         this._lastPredictionBroadcast = 0;
         
         this.emit('game_state_changed', this.buildMultiplierPayload(0));
@@ -114,18 +202,45 @@ class GameEngine extends EventEmitter {
     }
     
     startGameLoop() {
-        this.gameLoopInterval = setInterval(() => {
-            this.updateGame();
+        this.gameLoopInterval = this.clock.setInterval(() => {
+            this.runSafely(() => this.updateGame());
         }, this.config.updateInterval);
     }
+
+    // Um erro interno no meio da rodada anula a rodada e reembolsa as apostas em aberto
+    runSafely(step) {
+        try {
+            step();
+        } catch (error) {
+            this.logger.error('💥 Game loop error:', error);
+            this.recoverFromError();
+        }
+    }
+
+    // A próxima rodada é agendada por timer, nunca de dentro do catch: se o agendamento também
+    // falhar, o erro é registrado e tentado de novo depois, sem virar uma exceção não tratada
+    recoverFromError() {
+        try {
+            this.voidRound('internal_error', { scheduleNext: false });
+        } catch (error) {
+            this.logger.error('💥 Failed to void round after error:', error);
+        }
+
+        this.clearTimers();
+        this.state = GAME_STATES.WAITING;
+        this.stateTimeout = this.clock.setTimeout(() => {
+            this.runSafely(() => this.scheduleNextGame());
+        }, RECOVERY_DELAY);
+    }
     
     updateGame() {
         if (this.state !== GAME_STATES.FLYING) return;
         
-        const now = Date.now();
+        const now = this.clock.now();
         const elapsed = (now - this.startTime) / 1000;
         const newMultiplier = this.calculateMultiplier(elapsed);
-        this.multiplier = newMultiplier;
+        const reachedCrashPoint = this.shouldCrash(newMultiplier);
+        this.multiplier = reachedCrashPoint ? this.round.crashPoint : newMultiplier;
 
         if (!this._lastPredictionBroadcast || (now - this._lastPredictionBroadcast) >= this.config.predictionInterval) {
             this._lastPredictionBroadcast = now;
@@ -133,15 +248,17 @@ class GameEngine extends EventEmitter {
             this.emit('multiplier_update', predictionPayload);
         }
         
-        // Check for crash
-        if (this.shouldCrash(this.multiplier)) {
+        // Check for crash (auto cash outs alvo até o crash point ainda são pagos)
+        if (reachedCrashPoint) {
+            this.checkAutoCashOuts();
             this.crashGame();
             return;
         }
         
-        // Check for max game time
+        // Check for max game time (a config válida nunca chega aqui antes do crash point; se chegar, a
+        // rodada é registrada como forçada)
         if (elapsed >= this.config.maxGameTime / 1000) {
-            this.crashGame();
+            this.crashGame('max_game_time');
             return;
         }
         
@@ -149,7 +266,7 @@ class GameEngine extends EventEmitter {
         this.checkAutoCashOuts();
         
         // Emit game state
-    this.emit('game_state_changed', this.buildMultiplierPayload(elapsed, now));
+        this.emit('game_state_changed', this.buildMultiplierPayload(elapsed, now));
     }
     
     calculateMultiplier(timeInSeconds) {
@@ -159,65 +276,81 @@ class GameEngine extends EventEmitter {
     }
     
     shouldCrash(multiplier) {
-        const elapsedSeconds = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
-
-        // Probabilidade base muito baixa para permitir crescimento longo
-        let crashChance = 0.0008; // 0.08% por tick (~0.8% por segundo a 10 FPS)
-
-        // Aumenta lentamente após 30 segundos
-        if (elapsedSeconds > 30) {
-            crashChance += (elapsedSeconds - 30) * 0.0006;
-        }
-
-        // Multiplicadores muito altos elevam chance de crash progressivamente
-        if (multiplier > 5) {
-            crashChance += (multiplier - 5) * 0.0015;
-        }
-
-        // Limite superior de 8%
-        crashChance = Math.min(crashChance, 0.08);
-
-        return Math.random() < crashChance;
+        return Boolean(this.round) && multiplier >= this.round.crashPoint;
     }
     
+    // Um mesmo tick pode passar do primeiro alvo e do alvo do restante; cada um vira uma retirada
     checkAutoCashOuts() {
-        for (const [playerId, playerData] of this.activePlayers) {
-            if (playerData.autoCashOut && 
-                !this.cashedOutPlayers.has(playerId) && 
-                this.multiplier >= playerData.autoCashOut) {
+        for (const [playerId, slotData] of this.getActiveBets()) {
+            let target = this.getAutoCashOutTarget(slotData);
+            while (target && 
+                !slotData.hasWon && 
+                this.multiplier >= target) {
                 
-                this.performAutoCashOut(playerId, playerData);
+                this.performAutoCashOut(playerId, slotData, target);
+                target = this.getAutoCashOutTarget(slotData);
             }
         }
     }
     
-    performAutoCashOut(playerId, playerData) {
-        const winAmount = playerData.bet * this.multiplier;
-        
-        this.cashedOutPlayers.add(playerId);
-        playerData.hasWon = true;
-        
-        this.stats.totalPayouts += winAmount;
+    // O primeiro alvo vale até a primeira retirada; depois dela o restante segue remainderAutoCashOut
+    getAutoCashOutTarget(slotData) {
+        return slotData.legs.length === 0 ? slotData.autoCashOut : slotData.remainderAutoCashOut;
+    }
+    
+    // O multiplicador cresce em saltos de um tick, então a retirada automática é paga no alvo do
+    // jogador, nunca no multiplicador do tick que passou dele (nem no crash point)
+    performAutoCashOut(playerId, slotData, target) {
+        const fraction = slotData.legs.length === 0 ? slotData.autoCashOutFraction : 1;
+        const leg = this.settleLeg(slotData, fraction, true, Math.min(target, this.multiplier));
         
-        console.log(`🤖 Auto cash out: Player ${playerId} at ${this.multiplier.toFixed(2)}x = R$ ${winAmount.toFixed(2)}`);
+        this.logger.log(`🤖 Auto cash out: Player ${playerId} slot ${slotData.slotId} at ${leg.multiplier.toFixed(2)}x = ${formatMoney(leg.winAmount)}`);
         
         this.emit('player_auto_cashed_out', {
             playerId: playerId,
-            multiplier: this.multiplier,
-            winAmount: winAmount,
-            betAmount: playerData.bet
+            slotId: slotData.slotId,
+            multiplier: leg.multiplier,
+            winAmount: leg.winAmount,
+            betAmount: leg.betAmount,
+            fraction: leg.fraction,
+            remainingBet: slotData.bet,
+            partial: !slotData.hasWon
         });
     }
     
+    // Paga uma parte (ou todo) o valor ainda em jogo do slot em `multiplier` (padrão: o atual); o
+    // pagamento é truncado para o centavo (money.js)
+    settleLeg(slotData, fraction = 1, isAuto = false, multiplier = this.multiplier) {
+        const openStake = slotData.bet;
+        const betAmount = splitStake(openStake, fraction);
+        const winAmount = payout(betAmount, multiplier);
+        const leg = {
+            fraction: Number((betAmount / openStake).toFixed(4)),
+            betAmount,
+            multiplier,
+            winAmount,
+            isAuto,
+            cashedOutAt: this.clock.now()
+        };
+        
+        slotData.legs.push(leg);
+        slotData.bet = openStake - betAmount;
+        slotData.hasWon = slotData.bet <= 0;
+        
+        this.stats.totalPayouts += winAmount;
+        
+        return leg;
+    }
+    
     crashGame(trigger = null) {
         const reasonSuffix = trigger ? ` (${trigger})` : '';
-        console.log(`💥 Game ${this.gameId} crashed${reasonSuffix} at ${this.multiplier.toFixed(2)}x`);
+        this.logger.log(`💥 Game ${this.gameId} crashed${reasonSuffix} at ${this.multiplier.toFixed(2)}x`);
         
         this.clearTimers();
         this.state = GAME_STATES.CRASHED;
 
         if (this.startTime) {
-            const now = Date.now();
+            const now = this.clock.now();
             const elapsed = (now - this.startTime) / 1000;
             const finalSnapshot = this.buildMultiplierPayload(elapsed, now);
             this.emit('multiplier_update', finalSnapshot);
@@ -228,14 +361,36 @@ class GameEngine extends EventEmitter {
         this.updateAverageMultiplier();
         
         // Add to history
-        this.addToHistory(this.multiplier);
+        this.addToHistory(this.multiplier, ROUND_OUTCOMES.CRASHED);
         
         // Calculate payouts for players who didn't cash out
         const settlement = this.finalizeBets();
+
+        // Revela a seed para que qualquer um possa recalcular o crash point
+        const revealed = this.fairness.reveal(this.round, {
+            finalMultiplier: this.multiplier,
+            forced: Boolean(trigger)
+        });
+        this.round = null;
+
+        this.emit('round_recorded', this.buildRoundRecord({
+            outcome: ROUND_OUTCOMES.CRASHED,
+            reason: trigger,
+            startedAt: this.startTime,
+            revealed,
+            participants: settlement.participants
+        }));
         
         this.emit('game_state_changed', {
             state: this.state,
-            finalMultiplier: this.multiplier
+            finalMultiplier: this.multiplier,
+            ...(revealed ? {
+                gameId: revealed.gameId,
+                serverSeed: revealed.serverSeed,
+                seedHash: revealed.seedHash,
+                clientSeed: revealed.clientSeed,
+                crashPoint: revealed.crashPoint
+            } : {})
         });
 
         this.emit('round_settled', {
@@ -245,8 +400,8 @@ class GameEngine extends EventEmitter {
         });
         
         // Schedule next game
-        this.stateTimeout = setTimeout(() => {
-            this.scheduleNextGame();
+        this.stateTimeout = this.clock.setTimeout(() => {
+            this.runSafely(() => this.scheduleNextGame());
         }, 2000); // Show crash for 2 seconds
     }
 
@@ -258,7 +413,7 @@ class GameEngine extends EventEmitter {
             };
         }
 
-        console.log(`🛑 Force crash requested (${reason})`);
+        this.logger.log(`🛑 Force crash requested (${reason})`);
         this.crashGame(reason);
 
         return {
@@ -267,35 +422,152 @@ class GameEngine extends EventEmitter {
         };
     }
     
-    finalizeBets() {
-        const participants = [];
-        const losers = [];
-
-        for (const [playerId, playerData] of this.activePlayers.entries()) {
-            const record = {
-                playerId,
-                betAmount: playerData.bet,
-                autoCashOut: playerData.autoCashOut,
-                hasWon: this.cashedOutPlayers.has(playerId)
+    // Anula a rodada atual: apostas não retiradas são devolvidas e a rodada entra no histórico como anulada
+    voidRound(reason = 'admin_void', { scheduleNext = true } = {}) {
+        if (this.state === GAME_STATES.CRASHED) {
+            return {
+                success: false,
+                error: 'Round already settled'
             };
-            participants.push(record);
+        }
 
-            if (!record.hasWon) {
-                losers.push({
-                    playerId,
-                    betAmount: playerData.bet
-                });
+        const wasFlying = this.state === GAME_STATES.FLYING;
+        this.logger.log(`⛔ Game ${this.gameId} voided (${reason})${wasFlying ? ` at ${this.multiplier.toFixed(2)}x` : ''}`);
+
+        this.clearTimers();
+
+        const participants = this.snapshotBets();
+        const refunds = [];
+        for (const [playerId, slotData] of this.getActiveBets()) {
+            if (slotData.hasWon) {
+                continue;
             }
+
+            refunds.push({
+                playerId,
+                slotId: slotData.slotId,
+                betAmount: slotData.bet
+            });
+            this.stats.totalBets -= slotData.bet;
         }
 
         this.activePlayers.clear();
-        this.cashedOutPlayers.clear();
+
+        const revealed = this.fairness.reveal(this.round, {
+            finalMultiplier: this.multiplier,
+            forced: true,
+            voided: true
+        });
+        this.round = null;
+
+        this.addToHistory(this.multiplier, ROUND_OUTCOMES.VOIDED);
+
+        this.emit('round_recorded', this.buildRoundRecord({
+            outcome: ROUND_OUTCOMES.VOIDED,
+            reason,
+            startedAt: wasFlying ? this.startTime : null,
+            revealed,
+            participants
+        }));
+
+        const payload = {
+            gameId: this.gameId,
+            reason,
+            multiplier: wasFlying ? this.multiplier : null,
+            refunds,
+            serverSeed: revealed ? revealed.serverSeed : null
+        };
+
+        this.emit('round_voided', payload);
+
+        if (scheduleNext) {
+            this.scheduleNextGame();
+        } else {
+            this.state = GAME_STATES.WAITING;
+        }
+
+        return {
+            success: true,
+            ...payload
+        };
+    }
+    
+    snapshotBets() {
+        return Array.from(this.getActiveBets(), ([playerId, slotData]) => ({
+            playerId,
+            slotId: slotData.slotId,
+            betAmount: slotData.stake,
+            autoCashOut: slotData.autoCashOut,
+            placedAt: slotData.placedAt,
+            hasWon: slotData.legs.length > 0,
+            legs: slotData.legs.map(leg => ({ ...leg })),
+            lostAmount: slotData.bet
+        }));
+    }
+    
+    finalizeBets() {
+        const participants = this.snapshotBets();
+        const losers = participants
+            .filter(record => record.lostAmount > 0)
+            .map(({ playerId, slotId, lostAmount }) => ({
+                playerId,
+                slotId,
+                betAmount: lostAmount
+            }));
+
+        this.activePlayers.clear();
 
         return { participants, losers };
     }
     
-    addToHistory(multiplier) {
-        this.history.unshift(parseFloat(multiplier.toFixed(2)));
+    // Registro completo da rodada para auditoria e replay da curva
+    buildRoundRecord({ outcome, reason = null, startedAt = null, revealed = null, participants = [] }) {
+        const cashouts = [];
+        participants.forEach(({ playerId, slotId, legs }) => {
+            legs.forEach(leg => cashouts.push({
+                playerId,
+                slotId,
+                betAmount: leg.betAmount,
+                fraction: leg.fraction,
+                multiplier: Number(leg.multiplier.toFixed(4)),
+                winAmount: leg.winAmount,
+                isAuto: leg.isAuto,
+                cashedOutAt: leg.cashedOutAt
+            }));
+        });
+
+        return {
+            gameId: this.gameId,
+            outcome,
+            reason,
+            startedAt,
+            endedAt: this.clock.now(),
+            crashPoint: revealed ? revealed.crashPoint : null,
+            finalMultiplier: startedAt ? Number(this.multiplier.toFixed(2)) : null,
+            growthRate: this.growth.rate,
+            distribution: revealed?.distribution || this.crashDistribution.describe(),
+            seedHash: revealed ? revealed.seedHash : null,
+            serverSeed: revealed ? revealed.serverSeed : null,
+            clientSeed: revealed ? revealed.clientSeed : null,
+            bets: participants.map(({ playerId, slotId, betAmount, autoCashOut, placedAt, lostAmount }) => ({
+                playerId,
+                slotId,
+                amount: betAmount,
+                autoCashOut,
+                placedAt,
+                lostAmount: outcome === ROUND_OUTCOMES.VOIDED ? 0 : lostAmount,
+                refundedAmount: outcome === ROUND_OUTCOMES.VOIDED ? lostAmount : 0
+            })),
+            cashouts: cashouts.sort((a, b) => a.cashedOutAt - b.cashedOutAt)
+        };
+    }
+    
+    addToHistory(multiplier, outcome = ROUND_OUTCOMES.CRASHED) {
+        this.history.unshift({
+            gameId: this.gameId,
+            multiplier: parseFloat(multiplier.toFixed(2)),
+            outcome
+        });
         
         if (this.history.length > this.config.historySize) {
             this.history.pop();
@@ -303,14 +575,15 @@ class GameEngine extends EventEmitter {
     }
     
     updateAverageMultiplier() {
-        if (this.history.length > 0) {
-            const sum = this.history.reduce((a, b) => a + b, 0);
-            this.stats.averageMultiplier = sum / this.history.length;
+        const crashed = this.history.filter(entry => entry.outcome === ROUND_OUTCOMES.CRASHED);
+        if (crashed.length > 0) {
+            const sum = crashed.reduce((total, entry) => total + entry.multiplier, 0);
+            this.stats.averageMultiplier = sum / crashed.length;
         }
     }
 
     buildMultiplierPayload(explicitElapsed = null, explicitTimestamp = null) {
-        const timestamp = explicitTimestamp !== null ? explicitTimestamp : Date.now();
+        const timestamp = explicitTimestamp !== null ? explicitTimestamp : this.clock.now();
         const elapsed = explicitElapsed !== null
             ? explicitElapsed
             : (this.startTime ? (timestamp - this.startTime) / 1000 : 0);
@@ -329,76 +602,295 @@ class GameEngine extends EventEmitter {
         return this.state === GAME_STATES.WAITING || this.state === GAME_STATES.STARTING;
     }
     
-    placeBet(playerId, amount, autoCashOut = null) {
-        if (!this.canPlaceBet()) {
-            return false;
+    // Apostas para a próxima rodada são aceitas enquanto a rodada atual voa ou acabou de explodir
+    canQueueBet() {
+        return this.state === GAME_STATES.FLYING || this.state === GAME_STATES.CRASHED;
+    }
+    
+    queueBet(playerId, amount, autoCashOut = null, slotId = 0, options = {}) {
+        if (!this.canQueueBet()) {
+            return { success: false, error: 'Cannot queue bet at this time' };
         }
         
-        // Validate auto cash out
-        if (autoCashOut && autoCashOut < 1.01) {
-            return false;
+        if (!this.isValidSlot(slotId)) {
+            return { success: false, error: 'Invalid bet slot' };
+        }
+        
+        const validationError = this.validateAutoCashOut(autoCashOut, options);
+        if (validationError) {
+            return { success: false, error: validationError };
         }
         
-        this.activePlayers.set(playerId, {
+        const slots = this.queuedBets.get(playerId) || new Map();
+        if (slots.has(slotId)) {
+            return { success: false, error: 'Bet already queued for this slot' };
+        }
+        
+        slots.set(slotId, {
+            slotId,
             bet: amount,
             autoCashOut: autoCashOut,
+            options: { ...options },
+            queuedAt: this.clock.now()
+        });
+        this.queuedBets.set(playerId, slots);
+        
+        return { success: true, slotId, gameId: this.gameId + 1 };
+    }
+    
+    cancelQueuedBet(playerId, slotId = 0) {
+        const slots = this.queuedBets.get(playerId);
+        if (!slots || !slots.has(slotId)) {
+            return { success: false, error: 'No queued bet found' };
+        }
+        
+        const queued = slots.get(slotId);
+        slots.delete(slotId);
+        if (slots.size === 0) {
+            this.queuedBets.delete(playerId);
+        }
+        
+        return { success: true, slotId, amount: queued.bet };
+    }
+    
+    hasQueuedBet(playerId, slotId) {
+        const slots = this.queuedBets.get(playerId);
+        return Boolean(slots && slots.has(slotId));
+    }
+    
+    getQueuedBets(playerId) {
+        const slots = this.queuedBets.get(playerId);
+        return slots ? Array.from(slots.values(), queued => ({ ...queued })) : [];
+    }
+    
+    // Entrega as apostas enfileiradas no início do countdown; o servidor debita e ativa cada uma via placeBet
+    releaseQueuedBets() {
+        if (this.queuedBets.size === 0) {
+            return;
+        }
+        
+        const bets = [];
+        for (const [playerId, slots] of this.queuedBets) {
+            for (const queued of slots.values()) {
+                bets.push({
+                    playerId,
+                    slotId: queued.slotId,
+                    amount: queued.bet,
+                    autoCashOut: queued.autoCashOut,
+                    options: queued.options
+                });
+            }
+        }
+        this.queuedBets.clear();
+        
+        this.emit('queued_bets_released', {
+            gameId: this.gameId,
+            bets
+        });
+    }
+    
+    isValidSlot(slotId) {
+        return Number.isInteger(slotId) && slotId >= 0 && slotId < this.config.maxBetSlots;
+    }
+    
+    isValidFraction(fraction) {
+        return typeof fraction === 'number' && Number.isFinite(fraction) && fraction > 0 && fraction <= 1;
+    }
+    
+    validateAutoCashOut(autoCashOut, options = {}) {
+        if (autoCashOut && autoCashOut < 1.01) {
+            return 'Invalid auto cash out';
+        }
+        
+        const { autoCashOutFraction = 1, remainderAutoCashOut = null } = options;
+        if (!this.isValidFraction(autoCashOutFraction)) {
+            return 'Invalid cash out fraction';
+        }
+        
+        if (remainderAutoCashOut !== null && !(remainderAutoCashOut > (autoCashOut || 1.01))) {
+            return 'Remainder auto cash out must be above the first target';
+        }
+        
+        return null;
+    }
+    
+    // amount em centavos; o servidor converte o valor recebido do jogador
+    placeBet(playerId, amount, autoCashOut = null, slotId = 0, options = {}) {
+        if (!this.canPlaceBet()) {
+            return { success: false, error: 'Cannot place bet at this time' };
+        }
+        
+        if (!this.isValidSlot(slotId)) {
+            return { success: false, error: 'Invalid bet slot' };
+        }
+        
+        // Validate auto cash out (autoCashOutFraction < 1 retira só parte da aposta no primeiro alvo)
+        const validationError = this.validateAutoCashOut(autoCashOut, options);
+        if (validationError) {
+            return { success: false, error: validationError };
+        }
+        
+        const slots = this.activePlayers.get(playerId) || new Map();
+        if (slots.has(slotId)) {
+            return { success: false, error: 'Bet slot already in use' };
+        }
+        
+        if (this.hasQueuedBet(playerId, slotId)) {
+            return { success: false, error: 'Bet already queued for this slot' };
+        }
+        
+        const stake = amount;
+        slots.set(slotId, {
+            slotId,
+            stake,
+            bet: stake, // Valor ainda em jogo; diminui a cada retirada parcial
+            autoCashOut: autoCashOut,
+            autoCashOutFraction: options.autoCashOutFraction ?? 1,
+            remainderAutoCashOut: options.remainderAutoCashOut ?? null,
             hasWon: false,
-            placedAt: Date.now()
+            legs: [],
+            placedAt: this.clock.now()
         });
+        this.activePlayers.set(playerId, slots);
         
-        this.stats.totalBets += amount;
+        this.stats.totalBets += stake;
         
-        return true;
+        return { success: true, slotId };
     }
     
-    cashOut(playerId) {
+    // Cancela uma aposta antes da decolagem; depois de startGame() a aposta não pode mais ser desfeita
+    cancelBet(playerId, slotId = 0) {
+        if (!this.canPlaceBet()) {
+            return { success: false, error: 'Cannot cancel bet after liftoff' };
+        }
+        
+        const slots = this.activePlayers.get(playerId);
+        if (!slots || !slots.has(slotId)) {
+            return { success: false, error: 'No active bet found' };
+        }
+        
+        const slotData = slots.get(slotId);
+        slots.delete(slotId);
+        if (slots.size === 0) {
+            this.activePlayers.delete(playerId);
+        }
+        
+        this.stats.totalBets -= slotData.bet;
+        
+        return {
+            success: true,
+            slotId,
+            betAmount: slotData.bet
+        };
+    }
+    
+    // fraction < 1 retira só parte do valor em jogo; o restante continua ativo na rodada
+    cashOut(playerId, slotId = 0, { fraction = 1, remainderAutoCashOut } = {}) {
         if (this.state !== GAME_STATES.FLYING) {
             return { success: false, error: 'Cannot cash out at this time' };
         }
         
-        if (!this.activePlayers.has(playerId)) {
+        const slots = this.activePlayers.get(playerId);
+        if (!slots || !slots.has(slotId)) {
             return { success: false, error: 'No active bet found' };
         }
         
-        if (this.cashedOutPlayers.has(playerId)) {
+        const slotData = slots.get(slotId);
+        if (slotData.hasWon) {
             return { success: false, error: 'Already cashed out' };
         }
         
-        const playerData = this.activePlayers.get(playerId);
-        const winAmount = playerData.bet * this.multiplier;
+        if (!this.isValidFraction(fraction)) {
+            return { success: false, error: 'Invalid cash out fraction' };
+        }
+        
+        if (fraction < 1 && slotData.bet * fraction < 1) {
+            return { success: false, error: 'Cash out amount too small' };
+        }
         
-        this.cashedOutPlayers.add(playerId);
-        playerData.hasWon = true;
+        if (remainderAutoCashOut !== undefined && remainderAutoCashOut !== null &&
+            !(remainderAutoCashOut > this.multiplier && remainderAutoCashOut >= 1.01)) {
+            return { success: false, error: 'Remainder auto cash out must be above the current multiplier' };
+        }
         
-        this.stats.totalPayouts += winAmount;
+        const leg = this.settleLeg(slotData, fraction, false);
+        if (remainderAutoCashOut !== undefined) {
+            slotData.remainderAutoCashOut = remainderAutoCashOut;
+        }
         
         return {
             success: true,
+            slotId,
             multiplier: this.multiplier,
-            winAmount: winAmount,
-            betAmount: playerData.bet
+            winAmount: leg.winAmount,
+            betAmount: leg.betAmount,
+            fraction: leg.fraction,
+            remainingBet: slotData.bet,
+            partial: !slotData.hasWon
         };
     }
     
+    // Jogador desconectado: as apostas da fila são descartadas (ainda não foram debitadas). Antes da
+    // decolagem as apostas ativas saem da rodada e voltam em `refunds`; em voo elas continuam na rodada e
+    // são liquidadas no auto retirar ou no crash. `openBets` conta as que ainda aguardam liquidação.
     removePlayer(playerId) {
-        this.activePlayers.delete(playerId);
-        this.cashedOutPlayers.delete(playerId);
+        this.queuedBets.delete(playerId);
+        
+        const refunds = [];
+        if (this.canPlaceBet()) {
+            this.getPlayerBets(playerId).forEach(({ slotId }) => {
+                const result = this.cancelBet(playerId, slotId);
+                refunds.push({ slotId, betAmount: result.betAmount });
+            });
+        }
+        
+        const openBets = this.getPlayerBets(playerId).filter(slotData => !slotData.hasWon).length;
+        return { refunds, openBets };
+    }
+    
+    // A conta reconectou por outro socket: apostas da rodada e da fila passam para o novo id
+    transferPlayer(fromId, toId) {
+        const slots = this.activePlayers.get(fromId);
+        const queued = this.queuedBets.get(fromId);
+        if (slots) {
+            this.activePlayers.delete(fromId);
+            this.activePlayers.set(toId, slots);
+        }
+        if (queued) {
+            this.queuedBets.delete(fromId);
+            this.queuedBets.set(toId, queued);
+        }
+        return (slots ? slots.size : 0) + (queued ? queued.size : 0);
+    }
+    
+    // Percorre todas as apostas da rodada como pares [playerId, slotData]
+    *getActiveBets() {
+        for (const [playerId, slots] of this.activePlayers) {
+            for (const slotData of slots.values()) {
+                yield [playerId, slotData];
+            }
+        }
+    }
+    
+    getPlayerBets(playerId) {
+        const slots = this.activePlayers.get(playerId);
+        return slots ? Array.from(slots.values(), slotData => ({ ...slotData })) : [];
     }
     
     // Utility methods
     getRandomWaitTime() {
         const { min, max } = this.config.waitTime;
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(this.random.random() * (max - min + 1)) + min;
     }
     
     clearTimers() {
         if (this.gameLoopInterval) {
-            clearInterval(this.gameLoopInterval);
+            this.clock.clearInterval(this.gameLoopInterval);
             this.gameLoopInterval = null;
         }
         
         if (this.stateTimeout) {
-            clearTimeout(this.stateTimeout);
+            this.clock.clearTimeout(this.stateTimeout);
             this.stateTimeout = null;
         }
     }
@@ -412,24 +904,31 @@ class GameEngine extends EventEmitter {
         
         switch (this.state) {
             case GAME_STATES.WAITING:
-                return baseState;
+                return { ...baseState, ...this.getRoundCommitment() };
                 
             case GAME_STATES.STARTING:
-                return baseState;
+                return { ...baseState, ...this.getRoundCommitment() };
                 
             case GAME_STATES.FLYING:
-                const elapsed = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+                const elapsed = this.startTime ? (this.clock.now() - this.startTime) / 1000 : 0;
                 return {
                     ...baseState,
                     multiplier: this.multiplier,
                     time: elapsed
                 };
                 
-            case GAME_STATES.CRASHED:
+            case GAME_STATES.CRASHED: {
+                const revealed = this.fairness.getRevealedRound(this.gameId);
                 return {
                     ...baseState,
-                    finalMultiplier: this.multiplier
+                    finalMultiplier: this.multiplier,
+                    ...(revealed ? {
+                        serverSeed: revealed.serverSeed,
+                        seedHash: revealed.seedHash,
+                        clientSeed: revealed.clientSeed
+                    } : {})
                 };
+            }
                 
             default:
                 return baseState;
@@ -441,7 +940,7 @@ class GameEngine extends EventEmitter {
     }
     
     getHistory() {
-        return [...this.history];
+        return this.history.map(entry => ({ ...entry }));
     }
     
     getStats() {
@@ -450,13 +949,64 @@ class GameEngine extends EventEmitter {
             currentMultiplier: this.multiplier,
             gameState: this.state,
             activePlayers: this.activePlayers.size,
-            uptime: Date.now() - this.stats.uptime
+            activeBets: Array.from(this.getActiveBets()).length,
+            uptime: this.clock.now() - this.stats.uptime
         };
     }
     
     getActivePlayers() {
         return Array.from(this.activePlayers.keys());
     }
+
+    getFairnessInfo() {
+        return {
+            ...this.fairness.getCommitment(),
+            distribution: this.crashDistribution.describe()
+        };
+    }
+
+    getCrashDistribution() {
+        return this.crashDistribution;
+    }
+
+    // `record` é o registro gravado da rodada (RoundStore), usado quando ela não está mais entre as
+    // reveladas em memória, por exemplo depois de um reinício
+    verifyRound({ gameId = null, serverSeed = null, clientSeed = null, record = null } = {}) {
+        let revealed = gameId !== null ? this.fairness.getRevealedRound(gameId) : null;
+        if (!revealed && record && record.gameId === gameId && record.serverSeed) {
+            revealed = {
+                gameId: record.gameId,
+                serverSeed: record.serverSeed,
+                clientSeed: record.clientSeed,
+                crashPoint: record.crashPoint,
+                distribution: record.distribution,
+                finalMultiplier: record.finalMultiplier,
+                forced: Boolean(record.reason),
+                voided: record.outcome === ROUND_OUTCOMES.VOIDED
+            };
+        }
+
+        if (!revealed && !serverSeed) {
+            return { success: false, error: 'Round not found or seed not revealed yet' };
+        }
+
+        const seed = serverSeed || revealed.serverSeed;
+        // A rodada é recalculada com a distribuição em que foi sorteada, mesmo que a configuração tenha mudado
+        const verification = this.fairness.verify(seed, clientSeed || revealed?.clientSeed || null, revealed?.distribution || null);
+
+        return {
+            success: true,
+            gameId: revealed ? revealed.gameId : null,
+            ...verification,
+            recordedCrashPoint: revealed ? revealed.crashPoint : null,
+            finalMultiplier: revealed ? revealed.finalMultiplier : null,
+            forced: revealed ? revealed.forced : false,
+            voided: revealed ? revealed.voided : false,
+            matches: revealed ? revealed.crashPoint === verification.crashPoint : null
+        };
+    }
 }
 
 module.exports = GameEngine;
+module.exports.GAME_STATES = GAME_STATES;
+module.exports.ROUND_OUTCOMES = ROUND_OUTCOMES;
@@ -0,0 +1,71 @@
+// Dinheiro em centavos inteiros. Saldos, apostas, pagamentos, o ledger, as contas e o registro de
+// rodadas guardam valores em centavos; reais aparecem só na fronteira: payloads dos sockets, corpos
+// e respostas HTTP e textos de log. A conversão é feita com toCents (entrada) e fromCents (saída).
+//
+// Regras de arredondamento:
+// - valores vindos de fora (apostas, ajustes, limites) vão para o centavo mais próximo (toCents)
+// - pagamentos (aposta x multiplicador) são truncados para o centavo de baixo (payout)
+// - frações de uma aposta vão para o centavo mais próximo, sem passar do valor em jogo (splitStake)
+
+const CENTS_PER_UNIT = 100;
+
+// Ruído de ponto flutuante tolerado antes de truncar um pagamento (ex.: 1000 * 2.51 = 2509.9999999999995)
+const PAYOUT_EPSILON = 1e-6;
+
+// Reais -> centavos
+function toCents(amount) {
+    const value = Number(amount);
+    return Number.isFinite(value) ? Math.round(value * CENTS_PER_UNIT) : 0;
+}
+
+// Centavos -> reais
+function fromCents(cents) {
+    return Number(cents || 0) / CENTS_PER_UNIT;
+}
+
+// Valor em reais normalizado para centavos exatos
+function roundMoney(amount) {
+    return fromCents(toCents(amount));
+}
+
+// Cópia de `source` com os campos numéricos de `fields` convertidos (toCents ou fromCents)
+function convertFields(source, fields, convert) {
+    if (!source) {
+        return source;
+    }
+    const converted = { ...source };
+    fields.forEach(field => {
+        if (typeof converted[field] === 'number') {
+            converted[field] = convert(converted[field]);
+        }
+    });
+    return converted;
+}
+
+// Pagamento de uma aposta (em centavos) no multiplicador, truncado para o centavo de baixo
+function payout(stake, multiplier) {
+    const cents = stake * Number(multiplier);
+    return Number.isFinite(cents) && cents > 0 ? Math.floor(cents + PAYOUT_EPSILON) : 0;
+}
+
+// Parte `fraction` da aposta (em centavos); o que sobraria abaixo de um centavo vai junto
+function splitStake(stake, fraction) {
+    const part = fraction >= 1 ? stake : Math.min(stake, Math.round(stake * fraction));
+    return stake - part < 1 ? stake : part;
+}
+
+// Texto para logs a partir de centavos: "R$ 12.34"
+function formatMoney(cents) {
+    return `R$ ${fromCents(cents).toFixed(2)}`;
+}
+
+module.exports = {
+    CENTS_PER_UNIT,
+    toCents,
+    fromCents,
+    roundMoney,
+    convertFields,
+    payout,
+    splitStake,
+    formatMoney
+};
@@ -0,0 +1,311 @@
+// Esquemas dos payloads recebidos dos clientes: eventos de socket e corpos das rotas HTTP.
+// Cada payload é conferido campo a campo antes de chegar ao handler; campos desconhecidos são
+// recusados e valores em reais são arredondados para centavos. Os erros trazem um `code` estável
+// (PAYLOAD_ERRORS) e o `field` afetado para que o cliente traduza a mensagem.
+//
+// Tipos de campo:
+// - amount: valor em reais, arredondado para centavos (min padrão 0.01, max padrão MAX_AMOUNT)
+// - multiplier: multiplicador, arredondado para duas casas
+// - number / integer: com min e max opcionais
+// - string: aparada, sem caracteres de controle, até maxLength (trim: false mantém os espaços)
+// - boolean, enum (values), timestamp (ms ou data ISO, normalizado para ms)
+// - object: com `fields` confere cada chave; sem `fields` aceita qualquer objeto (validado adiante)
+// Todo campo aceita required, nullable (null explícito) e default.
+
+const { ACCOUNT_STATES, MAX_SELF_EXCLUSION_DAYS } = require('./account-status');
+const { LIMIT_FIELDS, MAX_COOLING_OFF_HOURS } = require('./responsible-gaming');
+
+const PAYLOAD_ERRORS = {
+    INVALID_PAYLOAD: 'invalid_payload',
+    UNKNOWN_FIELD: 'unknown_field',
+    REQUIRED: 'required',
+    INVALID_TYPE: 'invalid_type',
+    OUT_OF_RANGE: 'out_of_range',
+    TOO_LONG: 'too_long',
+    INVALID_VALUE: 'invalid_value'
+};
+
+const MAX_AMOUNT = 1e9;
+const MAX_STRING_LENGTH = 200;
+
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+const TYPE_NAMES = {
+    amount: 'a number',
+    multiplier: 'a number',
+    number: 'a number',
+    integer: 'an integer',
+    string: 'a string',
+    boolean: 'true or false',
+    enum: 'a string',
+    timestamp: 'a timestamp (ms or ISO date)',
+    object: 'an object'
+};
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fail(code, field, message, details = {}) {
+    return { error: { code, field, message, ...details } };
+}
+
+function describeRange(min, max) {
+    if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+    return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+function checkRange(value, spec, field) {
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return fail(PAYLOAD_ERRORS.OUT_OF_RANGE, field, `"${field}" must be ${describeRange(spec.min, spec.max)}`, {
+            min: spec.min ?? null,
+            max: spec.max ?? null
+        });
+    }
+    return { value };
+}
+
+function parseNumber(value, spec, field, decimals = null) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES[spec.type]}`);
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES.integer}`);
+    }
+    return checkRange(decimals === null ? value : roundTo(value, decimals), spec, field);
+}
+
+// { value } com o valor normalizado, ou { error }. `undefined` no valor devolvido = campo ausente.
+function parseValue(value, spec, field) {
+    // Texto vazio conta como campo ausente
+    if (spec.type === 'string' && typeof value === 'string') {
+        value = spec.trim === false ? value : value.trim();
+        if (value === '') value = undefined;
+    }
+    if (value === undefined) {
+        if (spec.required) {
+            return fail(PAYLOAD_ERRORS.REQUIRED, field, `"${field}" is required`);
+        }
+        return { value: spec.default };
+    }
+    if (value === null) {
+        if (spec.nullable) return { value: null };
+        if (spec.required) return fail(PAYLOAD_ERRORS.REQUIRED, field, `"${field}" is required`);
+        return fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES[spec.type]}`);
+    }
+
+    switch (spec.type) {
+        case 'amount':
+            return parseNumber(value, { min: 0.01, max: MAX_AMOUNT, ...spec }, field, 2);
+        case 'multiplier':
+            return parseNumber(value, spec, field, 2);
+        case 'number':
+        case 'integer':
+            return parseNumber(value, spec, field);
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? { value }
+                : fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES.boolean}`);
+        case 'enum':
+            return spec.values.includes(value)
+                ? { value }
+                : fail(PAYLOAD_ERRORS.INVALID_VALUE, field, `"${field}" must be one of: ${spec.values.join(', ')}`, { values: spec.values });
+        case 'timestamp': {
+            const timestamp = typeof value === 'string' ? Date.parse(value) : value;
+            return typeof timestamp === 'number' && Number.isInteger(timestamp) && timestamp >= 0
+                ? { value: timestamp }
+                : fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES.timestamp}`);
+        }
+        case 'string': {
+            if (typeof value !== 'string') {
+                return fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES.string}`);
+            }
+            const maxLength = spec.maxLength ?? MAX_STRING_LENGTH;
+            if (value.length > maxLength) {
+                return fail(PAYLOAD_ERRORS.TOO_LONG, field, `"${field}" must be at most ${maxLength} characters`, { maxLength });
+            }
+            if (CONTROL_CHARS.test(value)) {
+                return fail(PAYLOAD_ERRORS.INVALID_VALUE, field, `"${field}" must not contain control characters`);
+            }
+            return { value };
+        }
+        case 'object':
+            return spec.fields ? parseObject(value, spec.fields, field) : (isPlainObject(value)
+                ? { value }
+                : fail(PAYLOAD_ERRORS.INVALID_TYPE, field, `"${field}" must be ${TYPE_NAMES.object}`));
+        default:
+            throw new Error(`Unknown payload field type "${spec.type}"`);
+    }
+}
+
+function parseObject(data, fields, prefix = null) {
+    const path = key => (prefix ? `${prefix}.${key}` : key);
+    if (!isPlainObject(data)) {
+        return prefix
+            ? fail(PAYLOAD_ERRORS.INVALID_TYPE, prefix, `"${prefix}" must be ${TYPE_NAMES.object}`)
+            : fail(PAYLOAD_ERRORS.INVALID_PAYLOAD, null, 'Payload must be an object');
+    }
+
+    const unknown = Object.keys(data).find(key => !Object.prototype.hasOwnProperty.call(fields, key));
+    if (unknown !== undefined) {
+        return fail(PAYLOAD_ERRORS.UNKNOWN_FIELD, path(unknown), `Unknown field "${path(unknown)}"`);
+    }
+
+    const value = {};
+    for (const [key, spec] of Object.entries(fields)) {
+        const result = parseValue(data[key], spec, path(key));
+        if (result.error) {
+            return result;
+        }
+        if (result.value !== undefined) {
+            value[key] = result.value;
+        }
+    }
+    return { value };
+}
+
+// Confere um payload contra o esquema: { value } normalizado ou { error: { code, field, message } }.
+// Esquemas de objeto tratam payload ausente como {} (eventos sem dados, corpo vazio).
+function parsePayload(schema, data) {
+    if (schema.type === 'object') {
+        return parseObject(data ?? {}, schema.fields);
+    }
+    return parseValue(data, { ...schema, required: schema.required ?? true }, schema.field || 'payload');
+}
+
+// Clientes mandam o horário do envio junto com as ações; o servidor não usa, mas aceita
+const CLIENT_TIMESTAMP = { type: 'timestamp' };
+const SLOT_ID = { type: 'integer', min: 0, max: 99, default: 0 };
+const PLAYER_NAME = { type: 'string', maxLength: 20 };
+
+// Limites de jogo responsável: null remove o limite
+const LIMIT_SCHEMA = Object.fromEntries(Object.entries(LIMIT_FIELDS).map(([key, field]) => [
+    key,
+    field.type === 'amount'
+        ? { type: 'amount', nullable: true }
+        : { type: 'integer', min: field.min, max: field.max, nullable: true }
+]));
+
+// Eventos de socket: `reply` é o evento em que o erro de validação volta ao cliente ({ success: false, ... });
+// sem `reply`, o erro vai no evento genérico 'error' ({ message, ... })
+const EVENT_SCHEMAS = {
+    join_game: {
+        payload: {
+            type: 'object',
+            fields: {
+                playerName: { ...PLAYER_NAME, nullable: true },
+                accountToken: { type: 'string', maxLength: 512, trim: false, nullable: true },
+                timestamp: CLIENT_TIMESTAMP
+            }
+        }
+    },
+    update_player_name: {
+        reply: 'player_name_updated',
+        payload: { ...PLAYER_NAME, field: 'name' }
+    },
+    place_bet: {
+        reply: 'bet_placed',
+        payload: {
+            type: 'object',
+            fields: {
+                amount: { type: 'amount', required: true },
+                autoCashOut: { type: 'multiplier', min: 1.01, nullable: true, default: null },
+                autoCashOutFraction: { type: 'number', min: 0.01, max: 1 },
+                remainderAutoCashOut: { type: 'multiplier', min: 1.01 },
+                slotId: SLOT_ID,
+                timestamp: CLIENT_TIMESTAMP
+            }
+        }
+    },
+    cancel_bet: {
+        reply: 'bet_cancelled',
+        payload: { type: 'object', fields: { slotId: SLOT_ID, timestamp: CLIENT_TIMESTAMP } }
+    },
+    cancel_queued_bet: {
+        reply: 'bet_queue_cancelled',
+        payload: { type: 'object', fields: { slotId: SLOT_ID, timestamp: CLIENT_TIMESTAMP } }
+    },
+    cash_out: {
+        payload: {
+            type: 'object',
+            fields: {
+                slotId: SLOT_ID,
+                fraction: { type: 'number', min: 0.01, max: 1, nullable: true },
+                remainderAutoCashOut: { type: 'multiplier', min: 1.01, nullable: true },
+                timestamp: CLIENT_TIMESTAMP
+            }
+        }
+    },
+    get_transactions: {
+        payload: { type: 'object', fields: { limit: { type: 'integer', min: 1, max: 200, default: 50 } } }
+    },
+    self_exclude: {
+        reply: 'self_exclusion',
+        payload: {
+            type: 'object',
+            fields: { days: { type: 'integer', min: 1, max: MAX_SELF_EXCLUSION_DAYS, required: true } }
+        }
+    },
+    get_limits: {
+        reply: 'responsible_limits',
+        payload: { type: 'object', fields: {} }
+    },
+    set_limits: {
+        reply: 'responsible_limits',
+        payload: {
+            type: 'object',
+            fields: { limits: { type: 'object', fields: LIMIT_SCHEMA, required: true } }
+        }
+    },
+    cooling_off: {
+        reply: 'responsible_limits',
+        payload: {
+            type: 'object',
+            fields: { hours: { type: 'integer', min: 1, max: MAX_COOLING_OFF_HOURS, required: true } }
+        }
+    }
+};
+
+// Campos aceitos em todas as rotas de admin (o token vem só nos cabeçalhos)
+const ADMIN_FIELDS = {
+    reason: { type: 'string', maxLength: 200 }
+};
+
+const adminBody = (fields = {}) => ({ type: 'object', fields: { ...ADMIN_FIELDS, ...fields } });
+
+// Corpos das rotas HTTP
+const BODY_SCHEMAS = {
+    adminLogin: {
+        type: 'object',
+        fields: {
+            username: { type: 'string', maxLength: 64, required: true },
+            password: { type: 'string', maxLength: 256, trim: false, required: true }
+        }
+    },
+    adminAction: adminBody(),
+    revokeSessions: adminBody({ username: { type: 'string', maxLength: 64, required: true } }),
+    playerBalance: adminBody({ balance: { type: 'amount', min: 0, required: true } }),
+    playersCleanup: adminBody({ inactiveMinutes: { type: 'integer', min: 1, max: 7 * 24 * 60, default: 5 } }),
+    accountStatus: adminBody({
+        state: { type: 'enum', values: Object.values(ACCOUNT_STATES), required: true },
+        until: { type: 'timestamp', nullable: true, default: null }
+    }),
+    settings: adminBody({ changes: { type: 'object', required: true } }),
+    bots: adminBody({
+        action: { type: 'enum', values: ['start', 'stop'], required: true },
+        count: { type: 'integer', min: 1, max: 10000, nullable: true, default: null },
+        settings: { type: 'object', nullable: true, default: null }
+    })
+};
+
+module.exports = {
+    PAYLOAD_ERRORS,
+    EVENT_SCHEMAS,
+    BODY_SCHEMAS,
+    parsePayload
+};
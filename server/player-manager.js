@@ -1,7 +1,18 @@
+const { DURABLE_FIELDS } = require('./account-store');
+const { ENTRY_REASONS } = require('./wallet-ledger');
+const { isAllowed } = require('./account-status');
+const { toCents, payout, formatMoney } = require('./money');
+
 class PlayerManager {
-    constructor() {
+    constructor(options = {}) {
         this.players = new Map(); // playerId -> player data
         this.sockets = new Map(); // playerId -> socket reference
+        this.accountStore = options.accountStore || null;
+        this.ledger = options.ledger || null;
+        // Valores de dinheiro dos jogadores (saldo, apostas, ganhos) ficam em centavos
+        this.startingBalance = typeof options.startingBalance === 'number' ? options.startingBalance : toCents(1000);
+        // Tempo longe do jogo (ms) que encerra a sessão de jogo responsável da conta
+        this.sessionBreak = typeof options.sessionBreak === 'number' ? options.sessionBreak : 30 * 60 * 1000;
         
         // Statistics
         this.stats = {
@@ -15,12 +26,17 @@ class PlayerManager {
     addPlayer(playerId, socket) {
         const player = {
             id: playerId,
+            accountId: null,
             name: null,
             socket: socket,
-            balance: 1000.00, // Starting balance
+            balance: this.startingBalance, // Starting balance
             currentBet: 0,
             isPlaying: false,
             autoCashOut: null,
+            status: null, // estado da conta (account-status.js); null = ativa
+            limits: null, // limites de jogo responsável (responsible-gaming.js); null = sem limites
+            sessionStartedAt: null, // início da sessão da conta; sobrevive a reconexões (resumeSession)
+            sessionLastSeenAt: null,
             
             // Statistics
             joinedAt: Date.now(),
@@ -54,7 +70,9 @@ class PlayerManager {
         
         if (player) {
             // Log session statistics
-            console.log(`📊 Player ${playerId} session: ${player.sessionGames} games, R$ ${player.sessionWinnings.toFixed(2)} winnings`);
+            console.log(`📊 Player ${playerId} session: ${player.sessionGames} games, ${formatMoney(player.sessionWinnings)} winnings`);
+            
+            this.persistPlayer(playerId);
             
             this.players.delete(playerId);
             this.sockets.delete(playerId);
@@ -63,14 +81,200 @@ class PlayerManager {
         }
     }
     
+    // Jogador desconectado com apostas em voo: fica no manager, sem socket, até a rodada liquidar
+    // as apostas (removeDetachedPlayers)
+    detachPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return null;
+        }
+
+        this.sockets.delete(playerId);
+        player.disconnectedAt = Date.now();
+        this.persistPlayer(playerId);
+        console.log(`👤 Player ${playerId} detached until the round settles`);
+
+        return player;
+    }
+
+    removeDetachedPlayers() {
+        const detached = this.getAllPlayers().filter(player => player.disconnectedAt);
+        detached.forEach(player => this.removePlayer(player.id));
+        return detached.length;
+    }
+
+    // Reconexão durante a rodada: o valor em jogo do jogador anterior passa para a nova sessão
+    transferOpenBets(fromId, toId) {
+        const from = this.players.get(fromId);
+        const to = this.players.get(toId);
+        if (!from || !to || !from.isPlaying) {
+            return;
+        }
+
+        to.currentBet += from.currentBet;
+        to.autoCashOut = from.autoCashOut ?? to.autoCashOut ?? null;
+        to.isPlaying = true;
+        from.currentBet = 0;
+        from.isPlaying = false;
+        from.autoCashOut = null;
+    }
+
     getPlayer(playerId) {
         return this.players.get(playerId);
     }
+
+    // Accounts
+    // Vincula o jogador conectado a uma conta durável. Um token desconhecido ou ausente cria
+    // uma nova conta; o token em texto puro só é devolvido aqui, o armazenamento guarda o hash.
+    attachAccount(playerId, token = null, { name = null } = {}) {
+        const player = this.players.get(playerId);
+        if (!player || !this.accountStore) {
+            return null;
+        }
+
+        let account = this.accountStore.findByToken(token);
+        let accountToken = token;
+        let isNew = false;
+
+        if (!account) {
+            const created = this.accountStore.createAccount({
+                name,
+                startingBalance: this.startingBalance
+            });
+            account = created.account;
+            accountToken = created.token;
+            isNew = true;
+        }
+
+        // Conta banida ou em autoexclusão não chega a ser vinculada nem derruba a sessão aberta
+        if (!isAllowed(account.status, 'join')) {
+            return { player, accountId: account.id, blocked: true, status: account.status };
+        }
+
+        // Uma conta só pode estar ativa em uma conexão por vez
+        const previousPlayer = this.findPlayerByAccount(account.id);
+        let replacedPlayerId = null;
+        if (previousPlayer && previousPlayer.id !== playerId) {
+            this.persistPlayer(previousPlayer.id);
+            account = this.accountStore.getAccount(account.id);
+            previousPlayer.accountId = null;
+            replacedPlayerId = previousPlayer.id;
+        }
+
+        DURABLE_FIELDS.forEach(field => {
+            if (account[field] !== undefined && account[field] !== null) {
+                player[field] = account[field];
+            }
+        });
+        player.accountId = account.id;
+        this.syncLedgerBalance(player);
+        this.resumeSession(player);
+
+        if (name && isAllowed(player.status, 'rename')) {
+            player.name = name;
+        }
+        this.persistPlayer(playerId);
+
+        return {
+            player,
+            accountId: account.id,
+            accountToken,
+            isNew,
+            replacedPlayerId
+        };
+    }
+
+    // Contas sem histórico no ledger recebem uma entrada de abertura com o saldo armazenado
+    syncLedgerBalance(player) {
+        if (!this.ledger || !player.accountId) return;
+
+        if (!this.ledger.hasAccount(player.accountId) && player.balance > 0) {
+            this.ledger.credit(player.accountId, player.balance, ENTRY_REASONS.OPENING_BALANCE);
+        }
+
+        player.balance = this.ledger.getBalance(player.accountId);
+    }
+
+    // Grava o estado na conta e, se o jogador estiver conectado, também na sessão atual
+    setAccountStatus(accountId, status) {
+        const player = this.findPlayerByAccount(accountId);
+        if (player) {
+            player.status = status;
+        }
+        const account = this.accountStore ? this.accountStore.setStatus(accountId, status) : null;
+        return { account, player };
+    }
+
+    setLimits(playerId, limits) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return null;
+        }
+        player.limits = limits;
+        this.persistPlayer(playerId);
+        return player;
+    }
+
+    // A sessão pertence à conta, não à conexão: reconectar continua a sessão salva, que só
+    // recomeça depois de `sessionBreak` sem atividade da conta
+    resumeSession(player, now = Date.now()) {
+        const expired = !player.sessionStartedAt
+            || !player.sessionLastSeenAt
+            || now - player.sessionLastSeenAt >= this.sessionBreak;
+
+        if (expired) {
+            player.sessionStartedAt = now;
+        }
+        player.sessionLastSeenAt = now;
+    }
+
+    // Consumo usado pelos limites: perdas líquidas da sessão da conta e das últimas 24 horas
+    getLimitUsage(playerId, now = Date.now()) {
+        const player = this.players.get(playerId);
+        if (!player || !player.accountId || !this.ledger) {
+            return { sessionLoss: 0, dailyLoss: 0, sessionStartedAt: player ? player.joinedAt : null };
+        }
+
+        const sessionStartedAt = player.sessionStartedAt || player.joinedAt;
+        const lossSince = since => Math.max(0, -this.ledger.getNetResult(player.accountId, since));
+        return {
+            sessionLoss: lossSince(sessionStartedAt),
+            dailyLoss: lossSince(now - 24 * 60 * 60 * 1000),
+            sessionStartedAt
+        };
+    }
+
+    findPlayerByAccount(accountId) {
+        if (!accountId) return null;
+        return this.getAllPlayers().find(player => player.accountId === accountId) || null;
+    }
+
+    persistPlayer(playerId) {
+        if (!this.accountStore) return;
+        const player = this.players.get(playerId);
+        if (player && player.accountId) {
+            // Toda gravação vem de atividade da conta e adia o fim da sessão
+            player.sessionLastSeenAt = Date.now();
+            this.accountStore.saveFromPlayer(player);
+        }
+    }
     
     getAllPlayers() {
         return Array.from(this.players.values());
     }
 
+    // Busca por id do socket, id da conta ou nome (sem diferenciar maiúsculas)
+    searchPlayers(query = '') {
+        const term = String(query || '').trim().toLowerCase();
+        const players = this.getAllPlayers();
+        if (!term) {
+            return players;
+        }
+
+        return players.filter(player => [player.id, player.accountId, player.name]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(term)));
+    }
+
     getPlayerSocket(playerId) {
         return this.sockets.get(playerId);
     }
@@ -82,10 +286,60 @@ class PlayerManager {
         }
     }
     
-    updatePlayerBalance(playerId, amount) {
+    // Wallet
+    // Toda movimentação de saldo de jogadores com conta passa pelo ledger; o saldo é o resultado da entrada.
+    // `amount` em centavos; zero não movimenta nada.
+    applyBalanceChange(player, amount, reason, details = {}) {
+        if (!amount) {
+            return { success: true, entry: null };
+        }
+
+        if (!this.ledger || !player.accountId) {
+            player.balance += amount;
+            return { success: true, entry: null };
+        }
+
+        const result = amount > 0
+            ? this.ledger.credit(player.accountId, amount, reason, details)
+            : this.ledger.debit(player.accountId, -amount, reason, details);
+
+        if (result.success) {
+            player.balance = result.entry.balanceAfter;
+        } else {
+            console.warn(`📒 Ledger rejected ${reason} for player ${player.id}: ${result.error}`);
+        }
+
+        return result;
+    }
+
+    getTransactionHistory(playerId, limit = 50) {
+        const player = this.players.get(playerId);
+        if (!player || !player.accountId || !this.ledger) {
+            return [];
+        }
+        return this.ledger.getTransactions(player.accountId, { limit });
+    }
+
+    reconcileBalances() {
+        if (!this.ledger) {
+            return null;
+        }
+        return this.ledger.reconcile(this.getAllPlayers());
+    }
+    
+    // Credita (ou debita) o valor; a sequência de vitórias só anda quando `details.settled` indica que a
+    // aposta terminou, para que as várias retiradas de uma mesma aposta contem uma vez só
+    updatePlayerBalance(playerId, amount, details = {}) {
         const player = this.players.get(playerId);
         if (player) {
-            player.balance += amount;
+            const reason = details.reason || (amount > 0 ? ENTRY_REASONS.CASHOUT : ENTRY_REASONS.ADMIN_ADJUSTMENT);
+            const result = this.applyBalanceChange(player, amount, reason, {
+                roundId: details.roundId ?? null,
+                meta: details.meta || null
+            });
+            if (!result.success) {
+                return;
+            }
             
             if (amount > 0) {
                 player.totalWinnings += amount;
@@ -94,29 +348,48 @@ class PlayerManager {
                 if (amount > player.biggestWin) {
                     player.biggestWin = amount;
                 }
-                
-                player.currentStreak++;
-                if (player.currentStreak > player.longestStreak) {
-                    player.longestStreak = player.currentStreak;
-                }
-            } else {
-                player.currentStreak = 0;
+            }
+            
+            if (details.settled !== false) {
+                this.recordStreak(player, amount > 0);
             }
             
             this.stats.totalWinnings += Math.max(0, amount);
+            this.persistPlayer(playerId);
         }
     }
     
-    placeBet(playerId, amount) {
+    recordStreak(player, won) {
+        if (!won) {
+            player.currentStreak = 0;
+            return;
+        }
+        
+        player.currentStreak++;
+        if (player.currentStreak > player.longestStreak) {
+            player.longestStreak = player.currentStreak;
+        }
+    }
+    
+    placeBet(playerId, amount, details = {}) {
         const player = this.players.get(playerId);
         if (player && player.balance >= amount) {
-            player.balance -= amount;
-            player.currentBet = amount;
+            const result = this.applyBalanceChange(player, -amount, ENTRY_REASONS.BET, {
+                roundId: details.roundId ?? null
+            });
+            if (!result.success) {
+                return false;
+            }
+
+            // currentBet soma as apostas em aberto de todos os slots da rodada
+            player.currentBet += amount;
+            player.autoCashOut = details.autoCashOut ?? player.autoCashOut ?? null;
             player.isPlaying = true;
             player.totalBets += amount;
             player.sessionBets += amount;
             
             this.stats.totalBetsPlaced++;
+            this.persistPlayer(playerId);
             
             return true;
         }
@@ -124,44 +397,85 @@ class PlayerManager {
         return false;
     }
     
-    recordWin(playerId, winAmount = 0, metadata = {}) {
+    recordWin(playerId, amount = 0, metadata = {}) {
         const player = this.players.get(playerId);
         if (!player) {
             return null;
         }
 
-        const amount = Number(winAmount) || 0;
-        this.updatePlayerBalance(playerId, amount);
+        this.updatePlayerBalance(playerId, amount, {
+            reason: metadata.reason || ENTRY_REASONS.CASHOUT,
+            roundId: metadata.roundId ?? null,
+            settled: !metadata.partial,
+            meta: {
+                multiplier: Number(metadata.multiplier || 0),
+                betAmount: Number(metadata.betAmount || 0),
+                ...(metadata.partial ? { partial: true } : {})
+            }
+        });
+
+        this.releaseBet(player, metadata.betAmount);
+        player.lastSeenAt = Date.now();
 
-        player.currentBet = 0;
-        player.isPlaying = false;
-        player.autoCashOut = null;
-    player.lastSeenAt = Date.now();
-        player.gamesPlayed++;
-        player.sessionGames++;
+        // Retiradas parciais não encerram a aposta; a partida conta quando o restante é retirado ou perdido
+        if (!metadata.partial) {
+            player.gamesPlayed++;
+            player.sessionGames++;
+        }
         player.lastWinAmount = amount;
         player.lastBetAmount = Number(metadata.betAmount || 0);
         player.lastMultiplier = Number(metadata.multiplier || 0);
+        this.persistPlayer(playerId);
 
         return {
-            balance: Number(player.balance.toFixed(2)),
+            balance: player.balance,
             biggestWin: Number(player.biggestWin || 0),
             longestStreak: Number(player.longestStreak || 0),
             currentStreak: Number(player.currentStreak || 0)
         };
     }
 
+    // Devolve a aposta de uma rodada anulada ou cancelada, desfazendo as estatísticas da aposta
+    refundBet(playerId, amount, details = {}) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return null;
+        }
+
+        const result = this.applyBalanceChange(player, amount, ENTRY_REASONS.REFUND, {
+            roundId: details.roundId ?? null,
+            meta: details.reason ? { reason: details.reason } : null
+        });
+        if (!result.success) {
+            return null;
+        }
+
+        player.totalBets = Math.max(0, player.totalBets - amount);
+        player.sessionBets = Math.max(0, player.sessionBets - amount);
+        this.releaseBet(player, amount);
+        this.persistPlayer(playerId);
+
+        return {
+            balance: player.balance,
+            amount
+        };
+    }
+
     cashOut(playerId, multiplier) {
         const player = this.players.get(playerId);
         if (player && player.isPlaying) {
-            const winAmount = player.currentBet * multiplier;
+            const winAmount = payout(player.currentBet, multiplier);
             
-            this.updatePlayerBalance(playerId, winAmount);
+            this.updatePlayerBalance(playerId, winAmount, {
+                reason: ENTRY_REASONS.CASHOUT,
+                meta: { multiplier, betAmount: player.currentBet }
+            });
             
             player.isPlaying = false;
             player.currentBet = 0;
             player.gamesPlayed++;
             player.sessionGames++;
+            this.persistPlayer(playerId);
             
             return {
                 success: true,
@@ -173,7 +487,21 @@ class PlayerManager {
         return { success: false };
     }
     
-    resetPlayerGame(playerId) {
+    // Libera o valor de uma aposta encerrada; sem valor informado, libera todas as apostas em aberto
+    releaseBet(player, betAmount = null) {
+        const amount = Number(betAmount);
+        const remaining = betAmount === null || !Number.isFinite(amount)
+            ? 0
+            : Math.max(0, player.currentBet - amount);
+
+        player.currentBet = remaining;
+        player.isPlaying = remaining > 0;
+        if (!player.isPlaying) {
+            player.autoCashOut = null;
+        }
+    }
+    
+    resetPlayerGame(playerId, betAmount = null) {
         const player = this.players.get(playerId);
         if (player) {
             if (player.isPlaying) {
@@ -181,11 +509,10 @@ class PlayerManager {
                 player.currentStreak = 0;
             }
             
-            player.isPlaying = false;
-            player.currentBet = 0;
-            player.autoCashOut = null;
+            this.releaseBet(player, betAmount);
             player.gamesPlayed++;
             player.sessionGames++;
+            this.persistPlayer(playerId);
         }
     }
     
@@ -254,13 +581,11 @@ class PlayerManager {
         const players = Array.from(this.players.values());
         if (players.length === 0) return 0;
         
-        const totalBalance = players.reduce((sum, player) => sum + player.balance, 0);
-        return totalBalance / players.length;
+        return Math.round(this.getTotalBalance() / players.length);
     }
     
     getTotalBalance() {
-        return this.getAllPlayers()
-            .reduce((sum, player) => sum + player.balance, 0);
+        return this.getAllPlayers().reduce((sum, player) => sum + player.balance, 0);
     }
     
     getSessionStats() {
@@ -292,15 +617,21 @@ class PlayerManager {
         const cutoffTime = Date.now() - inactiveThreshold;
         const inactivePlayers = [];
         
+        // Jogadores com aposta em jogo não são inativos: a aposta ainda precisa ser liquidada
         for (const [playerId, player] of this.players) {
-            if (player.lastSeenAt < cutoffTime) {
+            if (player.lastSeenAt < cutoffTime && !player.isPlaying) {
                 inactivePlayers.push(playerId);
             }
         }
         
         inactivePlayers.forEach(playerId => {
             console.log(`🧹 Cleaning up inactive player: ${playerId}`);
+            const socket = this.sockets.get(playerId);
             this.removePlayer(playerId);
+            // Sem o socket o jogador ficaria conectado sem estado no manager
+            if (socket) {
+                socket.disconnect(true);
+            }
         });
         
         return inactivePlayers.length;
@@ -328,10 +659,16 @@ class PlayerManager {
     }
     
     // Admin methods
-    setPlayerBalance(playerId, newBalance) {
+    setPlayerBalance(playerId, newBalance, details = {}) {
         const player = this.players.get(playerId);
         if (player) {
-            player.balance = newBalance;
+            const result = this.applyBalanceChange(player, newBalance - player.balance, ENTRY_REASONS.ADMIN_ADJUSTMENT, {
+                meta: { note: details.reason || null, previousBalance: player.balance }
+            });
+            if (!result.success) {
+                return false;
+            }
+            this.persistPlayer(playerId);
             return true;
         }
         return false;
@@ -349,6 +686,7 @@ class PlayerManager {
             player.sessionBets = 0;
             player.sessionWinnings = 0;
             player.sessionGames = 0;
+            this.persistPlayer(playerId);
             return true;
         }
         return false;
@@ -360,6 +698,7 @@ class PlayerManager {
         if (player) {
             return {
                 id: player.id,
+                accountId: player.accountId,
                 name: player.name,
                 balance: player.balance,
                 statistics: {
@@ -382,9 +721,8 @@ class PlayerManager {
     }
 
     formatLeaderboardEntry(player, rankIndex) {
-        const balance = Number(player.balance || 0);
-        const startingBalance = 1000;
-        const profit = balance - startingBalance;
+        const balance = player.balance || 0;
+        const profit = balance - this.startingBalance;
 
         return {
             id: player.id,
@@ -392,8 +730,8 @@ class PlayerManager {
             name: player.name || `Player${player.id.substr(0, 4)}`,
             balance,
             profit,
-            totalWinnings: Number(player.totalWinnings || 0),
-            biggestWin: Number(player.biggestWin || 0),
+            totalWinnings: player.totalWinnings || 0,
+            biggestWin: player.biggestWin || 0,
             longestStreak: Number(player.longestStreak || 0),
             gamesPlayed: Number(player.gamesPlayed || 0)
         };
@@ -404,11 +742,11 @@ class PlayerManager {
             .slice()
             .sort((a, b) => {
                 const diff = this.getPlayerPoints(b) - this.getPlayerPoints(a);
-                if (Math.abs(diff) > 0.001) {
+                if (diff !== 0) {
                     return diff;
                 }
                 const winningsDiff = (b.totalWinnings || 0) - (a.totalWinnings || 0);
-                if (Math.abs(winningsDiff) > 0.001) {
+                if (winningsDiff !== 0) {
                     return winningsDiff;
                 }
                 return (a.joinedAt || 0) - (b.joinedAt || 0);
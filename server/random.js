@@ -0,0 +1,34 @@
+// Fontes de aleatoriedade do GameEngine: `random()` em [0, 1) para tempos de espera e `seed()` para
+// as seeds da cadeia provably fair. A fonte com semente reproduz exatamente a mesma sequência de
+// rodadas, o que os testes e o simulador usam; em produção vale sempre a systemRandom.
+
+const crypto = require('crypto');
+
+const systemRandom = {
+    random: () => Math.random(),
+    seed: () => crypto.randomBytes(32).toString('hex')
+};
+
+// mulberry32: PRNG de 32 bits, suficiente para testes e simulações (não para produção)
+function createSeededRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    let seedCounter = 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        random: next,
+        seed: () => crypto.createHash('sha256').update(`${seed}:${seedCounter++}`).digest('hex')
+    };
+}
+
+module.exports = {
+    systemRandom,
+    createSeededRandom
+};
@@ -0,0 +1,102 @@
+// Limitação de taxa por token bucket. Cada dono (socket, IP) tem um balde por nome (evento, rota):
+// o balde guarda até `burst` fichas e recupera `perSecond` fichas por segundo; cada chamada gasta
+// uma ficha e é recusada quando o balde está vazio.
+
+const { systemClock } = require('./clock');
+
+// Limites padrão por evento de socket; RATE_LIMIT_EVENTS sobrescreve evento a evento.
+// "*" vale para os eventos sem regra própria.
+const DEFAULT_EVENT_LIMITS = {
+    '*': { burst: 20, perSecond: 10 },
+    join_game: { burst: 3, perSecond: 0.2 },
+    update_player_name: { burst: 3, perSecond: 0.1 },
+    place_bet: { burst: 10, perSecond: 4 },
+    cash_out: { burst: 10, perSecond: 4 },
+    cancel_bet: { burst: 10, perSecond: 4 },
+    cancel_queued_bet: { burst: 10, perSecond: 4 },
+    get_transactions: { burst: 5, perSecond: 1 },
+    set_limits: { burst: 5, perSecond: 0.5 },
+    cooling_off: { burst: 3, perSecond: 0.1 },
+    self_exclude: { burst: 3, perSecond: 0.1 }
+};
+
+// Baldes cheios são descartados a cada tantas chamadas para que IPs de passagem não se acumulem
+const PRUNE_EVERY = 1000;
+
+function isValidRule(rule) {
+    return Boolean(rule) && typeof rule === 'object'
+        && Number.isInteger(rule.burst) && rule.burst >= 1
+        && typeof rule.perSecond === 'number' && Number.isFinite(rule.perSecond) && rule.perSecond > 0
+        && Object.keys(rule).every(key => key === 'burst' || key === 'perSecond');
+}
+
+// Validação usada pelo config.js para rateLimit.events; devolve a mensagem de erro ou null
+function validateEventLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return 'must be a JSON object of { "<event>": { burst, perSecond } }';
+    }
+    const invalid = Object.keys(limits).find(event => !isValidRule(limits[event]));
+    return invalid ? `entry "${invalid}" needs an integer burst >= 1 and a perSecond > 0` : null;
+}
+
+class RateLimiter {
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+        this.buckets = new Map(); // dono -> Map(nome -> { tokens, updatedAt, rule })
+        this.calls = 0;
+    }
+
+    // { allowed, remaining, retryAfter (ms até a próxima ficha; 0 quando permitido) }
+    consume(owner, name, rule) {
+        if (++this.calls % PRUNE_EVERY === 0) {
+            this.prune();
+        }
+
+        const now = this.clock.now();
+        if (!this.buckets.has(owner)) {
+            this.buckets.set(owner, new Map());
+        }
+        const buckets = this.buckets.get(owner);
+        const bucket = buckets.get(name) || { tokens: rule.burst, updatedAt: now };
+
+        bucket.tokens = Math.min(rule.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.perSecond);
+        bucket.updatedAt = now;
+        bucket.rule = rule;
+        buckets.set(name, bucket);
+
+        if (bucket.tokens < 1) {
+            return {
+                allowed: false,
+                remaining: 0,
+                retryAfter: Math.ceil(((1 - bucket.tokens) / rule.perSecond) * 1000)
+            };
+        }
+
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    // Esquece os baldes de um dono (ex.: socket desconectado)
+    forget(owner) {
+        this.buckets.delete(owner);
+    }
+
+    prune() {
+        const now = this.clock.now();
+        for (const [owner, buckets] of this.buckets) {
+            for (const [name, bucket] of buckets) {
+                const tokens = bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rule.perSecond;
+                if (tokens >= bucket.rule.burst) {
+                    buckets.delete(name);
+                }
+            }
+            if (buckets.size === 0) {
+                this.buckets.delete(owner);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
+module.exports.DEFAULT_EVENT_LIMITS = DEFAULT_EVENT_LIMITS;
+module.exports.validateEventLimits = validateEventLimits;
@@ -0,0 +1,212 @@
+// Limites de jogo responsável definidos pelo próprio jogador. Ficam salvos na conta (campo durável
+// `limits`) como { maxBetPerRound, maxSessionLoss, maxDailyLoss, maxSessionMinutes,
+// realityCheckMinutes, coolingOffUntil, pending }. Apertar um limite vale na hora; afrouxar ou
+// remover fica em `pending` até o fim do prazo de espera (responsibleGaming.limitIncreaseDelay).
+// Os limites de valor são guardados em centavos; o jogador os envia e recebe em reais.
+
+const { fromCents } = require('./money');
+
+const LIMIT_FIELDS = {
+    maxBetPerRound: { type: 'amount' },
+    maxSessionLoss: { type: 'amount' },
+    maxDailyLoss: { type: 'amount' },
+    maxSessionMinutes: { type: 'minutes', min: 5, max: 24 * 60 },
+    // Intervalo dos lembretes; é uma preferência, não uma restrição, e muda sem espera
+    realityCheckMinutes: { type: 'minutes', min: 5, max: 4 * 60, preference: true }
+};
+
+const LIMIT_CODES = {
+    COOLING_OFF: 'cooling_off',
+    SESSION_TIME: 'session_time',
+    BET_PER_ROUND: 'bet_per_round',
+    SESSION_LOSS: 'session_loss',
+    DAILY_LOSS: 'daily_loss'
+};
+
+const MAX_COOLING_OFF_HOURS = 6 * 7 * 24;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function emptyLimits() {
+    const limits = {};
+    Object.keys(LIMIT_FIELDS).forEach(field => { limits[field] = null; });
+    return { ...limits, coolingOffUntil: null, pending: {} };
+}
+
+// Limites em vigor: aumentos cujo prazo já passou são incorporados e pausas vencidas somem
+function resolveLimits(limits, now = Date.now()) {
+    const resolved = emptyLimits();
+    if (!limits || typeof limits !== 'object') {
+        return resolved;
+    }
+
+    Object.keys(LIMIT_FIELDS).forEach((field) => {
+        resolved[field] = limits[field] ?? null;
+        const pending = limits.pending?.[field];
+        if (!pending) return;
+        if (pending.effectiveAt <= now) {
+            resolved[field] = pending.value;
+        } else {
+            resolved.pending[field] = { ...pending };
+        }
+    });
+    resolved.coolingOffUntil = limits.coolingOffUntil > now ? limits.coolingOffUntil : null;
+
+    return resolved;
+}
+
+// Cópia dos limites com os campos de valor (inclusive os pendentes) convertidos por `convert`
+// (toCents ao receber do jogador, fromCents ao responder)
+function convertLimitAmounts(limits, convert) {
+    if (!limits || typeof limits !== 'object') {
+        return limits;
+    }
+
+    const converted = { ...limits };
+    Object.keys(LIMIT_FIELDS)
+        .filter(field => LIMIT_FIELDS[field].type === 'amount')
+        .forEach(field => {
+            if (typeof converted[field] === 'number') {
+                converted[field] = convert(converted[field]);
+            }
+            const pending = limits.pending?.[field];
+            if (pending && typeof pending.value === 'number') {
+                converted.pending = { ...converted.pending, [field]: { ...pending, value: convert(pending.value) } };
+            }
+        });
+    return converted;
+}
+
+// Valida as alterações em reais. Devolve a mensagem de erro ou null; null em um campo remove o limite
+function validateLimitChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return 'Limits must be an object';
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+        return 'No limits given';
+    }
+
+    for (const field of fields) {
+        const rule = LIMIT_FIELDS[field];
+        const value = changes[field];
+        if (!rule) {
+            return `Unknown limit "${field}"`;
+        }
+        if (value === null) {
+            continue;
+        }
+        if (rule.type === 'amount' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0.01)) {
+            return `${field} must be an amount of at least 0.01`;
+        }
+        if (rule.type === 'minutes' && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+            return `${field} must be a whole number of minutes between ${rule.min} and ${rule.max}`;
+        }
+    }
+
+    return null;
+}
+
+// Aplica as alterações já validadas, com os valores em centavos. Devolve os limites a salvar e quais campos mudaram na hora
+// (`applied`) ou ficaram aguardando o prazo (`pending`).
+function applyLimitChanges(limits, changes, { now = Date.now(), increaseDelay = 0 } = {}) {
+    const next = resolveLimits(limits, now);
+    const applied = [];
+    const pending = [];
+
+    Object.entries(changes).forEach(([field, value]) => {
+        const current = next[field];
+        const tighter = value !== null && (current === null || value <= current);
+
+        delete next.pending[field];
+        if (LIMIT_FIELDS[field].preference || tighter || increaseDelay <= 0) {
+            next[field] = value;
+            applied.push(field);
+        } else if (value !== current) {
+            next.pending[field] = { value, effectiveAt: now + increaseDelay };
+            pending.push(field);
+        }
+    });
+
+    return { limits: next, applied, pending };
+}
+
+function validateCoolingOff(hours) {
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_COOLING_OFF_HOURS) {
+        return `Hours must be between 1 and ${MAX_COOLING_OFF_HOURS}`;
+    }
+    return null;
+}
+
+// Uma pausa nova nunca encurta a que já está em andamento
+function startCoolingOff(limits, hours, now = Date.now()) {
+    const next = resolveLimits(limits, now);
+    next.coolingOffUntil = Math.max(next.coolingOffUntil || 0, now + hours * HOUR);
+    return next;
+}
+
+// usage: { roundStake, sessionLoss, dailyLoss, sessionStartedAt }, valores em centavos. Devolve null quando a aposta
+// cabe nos limites ou { code, error, limit, ... } com o primeiro limite que a bloqueia. As perdas
+// contam a aposta como perdida, então o limite nunca é ultrapassado mesmo no pior caso.
+function checkBet(limits, amount, usage = {}, now = Date.now()) {
+    const current = resolveLimits(limits, now);
+
+    if (current.coolingOffUntil) {
+        return { code: LIMIT_CODES.COOLING_OFF, error: 'Betting is paused until the cooling-off period ends', until: current.coolingOffUntil };
+    }
+
+    if (current.maxSessionMinutes !== null && usage.sessionStartedAt) {
+        const endsAt = usage.sessionStartedAt + current.maxSessionMinutes * MINUTE;
+        if (now >= endsAt) {
+            return { code: LIMIT_CODES.SESSION_TIME, error: 'Session time limit reached', limit: current.maxSessionMinutes };
+        }
+    }
+
+    const checks = [
+        { code: LIMIT_CODES.BET_PER_ROUND, limit: current.maxBetPerRound, used: usage.roundStake, error: 'Bet exceeds your limit per round' },
+        { code: LIMIT_CODES.SESSION_LOSS, limit: current.maxSessionLoss, used: usage.sessionLoss, error: 'Bet could exceed your session loss limit' },
+        { code: LIMIT_CODES.DAILY_LOSS, limit: current.maxDailyLoss, used: usage.dailyLoss, error: 'Bet could exceed your daily loss limit' }
+    ];
+
+    for (const { code, limit, used = 0, error } of checks) {
+        if (limit !== null && used + amount > limit) {
+            return { code, error, limit, used, available: Math.max(0, limit - used) };
+        }
+    }
+
+    return null;
+}
+
+function isRealityCheckDue({ limits, defaultMinutes = 0, lastCheckAt }, now = Date.now()) {
+    const minutes = resolveLimits(limits, now).realityCheckMinutes ?? defaultMinutes;
+    return minutes > 0 && Boolean(lastCheckAt) && now - lastCheckAt >= minutes * MINUTE;
+}
+
+// Visão para o jogador, em reais: limites em vigor, mudanças aguardando o prazo e o consumo atual
+// (o consumo já chega convertido)
+function describeLimits(limits, usage = null, now = Date.now()) {
+    const current = convertLimitAmounts(resolveLimits(limits, now), fromCents);
+    const { pending, coolingOffUntil, ...values } = current;
+    return {
+        limits: values,
+        pending: Object.entries(pending).map(([field, change]) => ({ field, ...change })),
+        coolingOffUntil,
+        usage
+    };
+}
+
+module.exports = {
+    LIMIT_FIELDS,
+    LIMIT_CODES,
+    MAX_COOLING_OFF_HOURS,
+    resolveLimits,
+    convertLimitAmounts,
+    validateLimitChanges,
+    applyLimitChanges,
+    validateCoolingOff,
+    startCoolingOff,
+    checkBet,
+    isRealityCheckDue,
+    describeLimits
+};
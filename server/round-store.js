@@ -0,0 +1,210 @@
+const { fromCents, convertFields } = require('./money');
+const { roundRatio } = require('./crash-distribution');
+
+const ROUNDS_COLLECTION = 'rounds';
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+const DEFAULT_MAX_ROUNDS = 10000;
+
+// Campos de valor dos registros, guardados em centavos
+const BET_MONEY_FIELDS = ['amount', 'lostAmount', 'refundedAmount'];
+const CASHOUT_MONEY_FIELDS = ['betAmount', 'winAmount'];
+const TOTALS_MONEY_FIELDS = ['wagered', 'paidOut'];
+
+function convertRecord(record, convert) {
+    return {
+        ...record,
+        bets: record.bets.map(bet => convertFields(bet, BET_MONEY_FIELDS, convert)),
+        cashouts: record.cashouts.map(cashout => convertFields(cashout, CASHOUT_MONEY_FIELDS, convert)),
+        totals: convertFields(record.totals, TOTALS_MONEY_FIELDS, convert)
+    };
+}
+
+// Registro autoritativo de cada rodada encerrada: apostas, retiradas, crash point e motivo de
+// crash forçado/anulação. Os registros são anexados a um log e nunca reescritos. Os valores ficam em
+// centavos; toPublic e summarize devolvem reais.
+// Em memória fica só a janela das `maxRounds` rodadas mais recentes (consultas por id e intervalo);
+// as estatísticas de RTP são acumuladas sobre todas as rodadas gravadas.
+class RoundStore {
+    constructor(storage, { maxRounds = DEFAULT_MAX_ROUNDS } = {}) {
+        this.storage = storage;
+        this.maxRounds = maxRounds;
+        this.rounds = new Map(); // gameId -> record
+        this.order = []; // gameIds da janela em ordem crescente
+        this.lastRoundId = 0;
+        this.totals = {
+            rounds: 0,
+            forcedRounds: 0,
+            voidedRounds: 0,
+            wagered: 0,
+            paidOut: 0,
+            instantCrashes: 0
+        };
+        this.crashCounts = new Map(); // crash point em centavos -> rodadas (só rodadas não forçadas)
+
+        this.load();
+    }
+
+    load() {
+        const records = this.storage.readLog(ROUNDS_COLLECTION);
+        records.forEach(record => this.index(record));
+
+        if (records.length > 0) {
+            console.log(`🗂️ Round store loaded: ${records.length} rounds (last #${this.lastRoundId})`);
+        }
+    }
+
+    index(record) {
+        if (!this.rounds.has(record.gameId)) {
+            this.insertOrdered(record.gameId);
+            this.accumulate(record);
+        }
+        this.rounds.set(record.gameId, Object.freeze(record));
+        this.lastRoundId = Math.max(this.lastRoundId, record.gameId);
+
+        while (this.order.length > this.maxRounds) {
+            this.rounds.delete(this.order.shift());
+        }
+    }
+
+    // Os ids chegam em ordem crescente; a busca só roda para registros fora de ordem no log
+    insertOrdered(gameId) {
+        let position = this.order.length;
+        while (position > 0 && this.order[position - 1] > gameId) {
+            position--;
+        }
+        this.order.splice(position, 0, gameId);
+    }
+
+    accumulate(record) {
+        const totals = this.totals;
+        if (record.outcome !== 'crashed') {
+            totals.voidedRounds++;
+            return;
+        }
+
+        totals.wagered += record.bets.reduce((sum, bet) => sum + bet.amount - (bet.refundedAmount || 0), 0);
+        totals.paidOut += record.totals.paidOut;
+
+        // Crashes forçados pelo admin não seguem a distribuição
+        if (record.reason) {
+            totals.forcedRounds++;
+            return;
+        }
+
+        totals.rounds++;
+        if (record.crashPoint < 1.01) totals.instantCrashes++;
+        const cents = Math.round(record.crashPoint * 100);
+        this.crashCounts.set(cents, (this.crashCounts.get(cents) || 0) + 1);
+    }
+
+    getLastRoundId() {
+        return this.lastRoundId;
+    }
+
+    // Recebe o registro bruto do GameEngine e resolve os jogadores para contas/nomes duráveis
+    record(round, resolvePlayer = () => null) {
+        const players = new Map();
+        const playerInfo = (playerId) => {
+            if (!players.has(playerId)) {
+                const player = resolvePlayer(playerId);
+                players.set(playerId, {
+                    accountId: player?.accountId || null,
+                    playerName: player?.name || 'Anonymous'
+                });
+            }
+            return players.get(playerId);
+        };
+
+        const bets = round.bets.map(bet => ({ ...playerInfo(bet.playerId), ...bet }));
+        const cashouts = round.cashouts.map(cashout => ({ ...playerInfo(cashout.playerId), ...cashout }));
+
+        const record = {
+            ...round,
+            bets,
+            cashouts,
+            totals: {
+                bets: bets.length,
+                wagered: bets.reduce((sum, bet) => sum + bet.amount, 0),
+                paidOut: cashouts.reduce((sum, cashout) => sum + cashout.winAmount, 0)
+            },
+            recordedAt: Date.now()
+        };
+
+        this.storage.append(ROUNDS_COLLECTION, record);
+        this.index(record);
+
+        return record;
+    }
+
+    getRound(gameId) {
+        return this.rounds.get(Number(gameId)) || null;
+    }
+
+    // Busca por intervalo de tempo (início da rodada, ou encerramento para rodadas que não decolaram),
+    // das mais recentes para as mais antigas
+    query({ from = null, to = null, limit = DEFAULT_QUERY_LIMIT } = {}) {
+        const max = Math.min(Math.max(Number(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+        const results = [];
+
+        for (let i = this.order.length - 1; i >= 0; i--) {
+            const record = this.rounds.get(this.order[i]);
+            const timestamp = record.startedAt || record.endedAt;
+            if (from !== null && timestamp < from) continue;
+            if (to !== null && timestamp > to) continue;
+
+            results.push(record);
+            if (results.length >= max) break;
+        }
+
+        return results;
+    }
+
+    // Retorno observado nas rodadas gravadas. O RTP financeiro considera o que foi apostado e pago;
+    // o RTP da distribuição mede, só pelos crash points, quanto retiradas fixas em `target` teriam devolvido.
+    getRtpStats({ target = 2 } = {}) {
+        const { rounds, forcedRounds, voidedRounds, wagered, paidOut, instantCrashes } = this.totals;
+        let reachedTarget = 0;
+        for (const [cents, count] of this.crashCounts) {
+            if (cents / 100 >= target) reachedTarget += count;
+        }
+
+        return {
+            rounds,
+            forcedRounds,
+            voidedRounds,
+            wagered: fromCents(wagered),
+            paidOut: fromCents(paidOut),
+            rtp: roundRatio(wagered > 0 ? paidOut / wagered : null),
+            target,
+            targetRtp: roundRatio(rounds > 0 ? (reachedTarget / rounds) * target : null),
+            instantCrashRate: roundRatio(rounds > 0 ? instantCrashes / rounds : null)
+        };
+    }
+
+    summarize(record) {
+        return {
+            gameId: record.gameId,
+            outcome: record.outcome,
+            reason: record.reason,
+            crashPoint: record.crashPoint,
+            finalMultiplier: record.finalMultiplier,
+            startedAt: record.startedAt,
+            endedAt: record.endedAt,
+            totals: convertFields(record.totals, TOTALS_MONEY_FIELDS, fromCents)
+        };
+    }
+
+    // Versão pública, em reais: sem ids de socket nem de conta
+    toPublic(record) {
+        const strip = ({ playerId, accountId, ...rest }) => rest;
+        const publicRecord = convertRecord(record, fromCents);
+        return {
+            ...publicRecord,
+            bets: publicRecord.bets.map(strip),
+            cashouts: publicRecord.cashouts.map(strip)
+        };
+    }
+}
+
+module.exports = RoundStore;
@@ -5,38 +5,136 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const GameEngine = require('./game-logic');
 const PlayerManager = require('./player-manager');
+const AccountStore = require('./account-store');
+const WalletLedger = require('./wallet-ledger');
+const RoundStore = require('./round-store');
+const AdminAuditLog = require('./admin-audit');
+const AdminAuth = require('./admin-auth');
+const RateLimiter = require('./rate-limiter');
+const { ENTRY_REASONS, toPublicEntry, toPublicReport } = WalletLedger;
+const { createStorage } = require('./storage');
+const { loadConfig, describeConfig, updateConfig, getRuntimeOptions, ConfigError } = require('./config');
 
+const { AUDIT_ACTIONS } = AdminAuditLog;
+const { hasRole } = AdminAuth;
+const { DEFAULT_EVENT_LIMITS } = RateLimiter;
+const { roundRatio } = require('./crash-distribution');
+const {
+    ACCOUNT_STATES,
+    resolveStatus,
+    isAllowed,
+    validateStatusChange,
+    createStatus,
+    describeStatus
+} = require('./account-status');
+const {
+    validateLimitChanges,
+    applyLimitChanges,
+    convertLimitAmounts,
+    validateCoolingOff,
+    startCoolingOff,
+    checkBet,
+    isRealityCheckDue,
+    describeLimits
+} = require('./responsible-gaming');
+const { PAYLOAD_ERRORS, EVENT_SCHEMAS, BODY_SCHEMAS, parsePayload } = require('./payload-schema');
+const { toCents, fromCents, convertFields, formatMoney } = require('./money');
+
+const BOT_SETTING_KEYS = ['betMin', 'betMax', 'autoMin', 'autoMax'];
+
+// Filtro de data da auditoria: vazio -> null, número em ms ou data ISO; inválido -> NaN
+function parseTimeFilter(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// IPv4 mapeado em IPv6 (::ffff:1.2.3.4) vira o IPv4 puro, para casar com a lista de isentos
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Guarda só os campos numéricos conhecidos da configuração dos bots
+function sanitizeBotSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return null;
+    }
+    return Object.fromEntries(BOT_SETTING_KEYS
+        .filter(key => Number.isFinite(settings[key]))
+        .map(key => [key, settings[key]]));
+}
+
+// Opções (todas opcionais; sem elas vale o config.js: defaults, CONFIG_FILE e variáveis de ambiente):
+// - config: configuração já carregada por loadConfig()
+// - port / host / adminSecret / startingBalance: sobrescrevem as opções equivalentes do config
+// - server: http.Server já existente; o Socket.IO se acopla a ele e start() não chama listen()
+// - storage, gameEngine ou engineOptions ({ clock, random }) para injetar dependências
 class CrashRocketServer {
-    constructor() {
+    constructor(options = {}) {
+        this.config = options.config || loadConfig({
+            overrides: {
+                server: { port: options.port, host: options.host, adminSecret: options.adminSecret },
+                players: { startingBalance: options.startingBalance }
+            }
+        });
         this.app = express();
-        this.server = http.createServer(this.app);
+        this.ownsServer = !options.server;
+        this.server = options.server || http.createServer(this.app);
         this.io = socketIo(this.server, {
             cors: {
-                origin: "*",
+                origin: this.getCorsOrigin(),
                 methods: ["GET", "POST"],
                 credentials: true
             },
             transports: ['websocket', 'polling']
         });
         
-        this.gameEngine = new GameEngine(this.io);
-        this.playerManager = new PlayerManager();
+        this.storage = options.storage || createStorage(this.config.storage);
+        this.accountStore = new AccountStore(this.storage);
+        this.ledger = new WalletLedger(this.storage);
+        this.roundStore = new RoundStore(this.storage);
+        this.auditLog = new AdminAuditLog(this.storage);
+        this.adminAuth = new AdminAuth({ ...this.config.admin, storage: this.storage });
+        this.rateLimiter = new RateLimiter();
+        this.eventLimits = { ...DEFAULT_EVENT_LIMITS, ...this.config.rateLimit.events };
+        this.connectionsByIp = new Map(); // ip -> conexões de socket abertas
+        this.pendingConfig = null; // Alterações do painel aguardando a próxima rodada
+        this.pendingChanges = {};
+        this.gameEngine = options.gameEngine || new GameEngine(this.io, { ...options.engineOptions, config: this.config, storage: this.storage });
+        // Continua a numeração das rodadas já gravadas para que os ids não se repitam entre reinícios
+        this.gameEngine.gameId = Math.max(this.gameEngine.gameId, this.roundStore.getLastRoundId());
+        this.playerManager = new PlayerManager({
+            accountStore: this.accountStore,
+            ledger: this.ledger,
+            startingBalance: this.getStartingBalance(),
+            sessionBreak: this.config.responsibleGaming.sessionBreakMinutes * 60000
+        });
         
-    this.port = process.env.PORT || 3001;
-    this.adminSecret = process.env.ADMIN_SECRET || null;
+        this.port = this.config.server.port;
+        this.host = this.config.server.host || undefined;
+        this.adminSecret = this.config.server.adminSecret;
+        this.isRunning = false;
         
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
-        this.startServer();
     }
 
+    // Saldo inicial em centavos (o config guarda reais)
     getStartingBalance() {
-        return 1000;
+        return toCents(this.config.players.startingBalance);
+    }
+
+    // "*" libera qualquer origem; senão a lista de origens permitidas
+    getCorsOrigin() {
+        const origins = this.config.server.corsOrigin;
+        return origins.includes('*') ? '*' : origins;
     }
 
     buildLeaderboardSnapshot() {
@@ -49,10 +147,10 @@ class CrashRocketServer {
                     rank: entry.rank,
                     playerId: entry.id,
                     name: entry.name,
-                    balance: Number(entry.balance.toFixed(2)),
-                    profit: Number(entry.profit.toFixed(2)),
-                    totalWinnings: Number(entry.totalWinnings.toFixed(2)),
-                    biggestWin: Number(entry.biggestWin.toFixed(2)),
+                    balance: fromCents(entry.balance),
+                    profit: fromCents(entry.profit),
+                    totalWinnings: fromCents(entry.totalWinnings),
+                    biggestWin: fromCents(entry.biggestWin),
                     longestStreak: entry.longestStreak,
                     gamesPlayed: entry.gamesPlayed
                 })),
@@ -92,16 +190,15 @@ class CrashRocketServer {
                 return;
             }
 
-            const balance = Number((player.balance || 0).toFixed(2));
-            const profit = Number((balance - baseBalance).toFixed(2));
+            const balance = player.balance || 0;
 
             socket.emit('leaderboard_rank', {
                 rank: index + 1,
                 totalPlayers,
-                balance,
-                profit,
-                totalWinnings: Number((player.totalWinnings || 0).toFixed(2)),
-                biggestWin: Number((player.biggestWin || 0).toFixed(2)),
+                balance: fromCents(balance),
+                profit: fromCents(balance - baseBalance),
+                totalWinnings: fromCents(player.totalWinnings),
+                biggestWin: fromCents(player.biggestWin),
                 longestStreak: Number(player.longestStreak || 0),
                 gamesPlayed: Number(player.gamesPlayed || 0),
                 updatedAt: timestamp
@@ -110,15 +207,20 @@ class CrashRocketServer {
     }
     
     setupMiddleware() {
+        if (this.config.server.trustProxy) {
+            this.app.set('trust proxy', true);
+        }
+
         // Security and optimization
         this.app.use(helmet({
             contentSecurityPolicy: false // Disable for Socket.IO
         }));
         this.app.use(compression());
         this.app.use(cors({
-            origin: "*",
+            origin: this.getCorsOrigin(),
             credentials: true
         }));
+        this.app.use((req, res, next) => this.limitHttpRequest(req, res, next));
         this.app.use(express.json());
         
         // Servir arquivos do socket.io
@@ -154,6 +256,8 @@ class CrashRocketServer {
                 endpoints: {
                     health: '/health',
                     stats: '/stats',
+                    fairness: '/fairness',
+                    verify: '/fairness/verify?gameId=',
                     websocket: 'ws://' + req.get('host')
                 }
             });
@@ -162,31 +266,168 @@ class CrashRocketServer {
         // Game stats
         this.app.get('/stats', (req, res) => {
             res.json({
-                gameStats: this.gameEngine.getStats(),
-                players: this.playerManager.getStats()
+                gameStats: convertFields(this.gameEngine.getStats(), ['totalBets', 'totalPayouts'], fromCents),
+                players: convertFields(this.playerManager.getStats(), ['totalWinnings', 'averageBalance', 'totalBalance'], fromCents)
             });
         });
 
-        // Admin: force crash endpoint
-        this.app.post('/admin/force-crash', (req, res) => {
+        // RTP teórico do modelo de crash configurado vs. retorno observado nas rodadas gravadas
+        this.app.get('/stats/rtp', (req, res) => {
+            const target = req.query.target !== undefined ? Number(req.query.target) : 2;
+            if (!Number.isFinite(target) || target < 1.01) {
+                return res.status(400).json({ error: 'Invalid target multiplier' });
+            }
+
+            const distribution = this.gameEngine.getCrashDistribution();
+            res.json({
+                distribution: distribution.describe(),
+                theoretical: {
+                    rtp: roundRatio(distribution.theoreticalRtp()),
+                    targetRtp: roundRatio(distribution.survival(target) * target),
+                    instantCrashRate: roundRatio(1 - distribution.survival(1.01))
+                },
+                observed: this.roundStore.getRtpStats({ target })
+            });
+        });
+
+        // Provably fair: commitment da cadeia de seeds atual
+        this.app.get('/fairness', (req, res) => {
+            res.json(this.gameEngine.getFairnessInfo());
+        });
+
+        // Provably fair: recalcula o crash point de uma rodada a partir da seed revelada
+        this.app.get('/fairness/verify', (req, res) => {
             try {
-                const token = req.body?.token || req.query?.token || req.headers['x-admin-token'];
+                const gameId = req.query.gameId !== undefined ? Number(req.query.gameId) : null;
+                const serverSeed = req.query.serverSeed ? String(req.query.serverSeed) : null;
+                const clientSeed = req.query.clientSeed ? String(req.query.clientSeed) : null;
 
-                if (this.adminSecret) {
-                    if (!token || token !== this.adminSecret) {
-                        return res.status(401).json({ error: 'Unauthorized' });
-                    }
-                } else {
-                    console.warn('⚠️ ADMIN_SECRET not configured; accepting force crash without token (development mode).');
+                if (gameId === null && !serverSeed) {
+                    return res.status(400).json({ error: 'Provide gameId or serverSeed' });
                 }
 
-                const reason = req.body?.reason || 'admin_api';
+                if (gameId !== null && !Number.isInteger(gameId)) {
+                    return res.status(400).json({ error: 'Invalid gameId' });
+                }
+
+                const record = gameId !== null ? this.roundStore.getRound(gameId) : null;
+                const result = this.gameEngine.verifyRound({ gameId, serverSeed, clientSeed, record });
+                if (!result.success) {
+                    return res.status(404).json(result);
+                }
+
+                return res.json(result);
+            } catch (error) {
+                console.error('Error verifying round:', error);
+                res.status(500).json({ error: 'Failed to verify round' });
+            }
+        });
+
+        // Registro de rodadas: detalhes completos de uma rodada encerrada
+        this.app.get('/rounds/:id', (req, res) => {
+            const gameId = Number(req.params.id);
+            if (!Number.isInteger(gameId) || gameId < 1) {
+                return res.status(400).json({ error: 'Invalid round id' });
+            }
+
+            const record = this.roundStore.getRound(gameId);
+            if (!record) {
+                return res.status(404).json({ error: 'Round not found' });
+            }
+
+            res.json(this.roundStore.toPublic(record));
+        });
+
+        // Registro de rodadas: resumo por intervalo de tempo (from/to em ms ou data ISO)
+        this.app.get('/rounds', (req, res) => {
+            const from = this.parseTimestamp(req.query.from);
+            const to = this.parseTimestamp(req.query.to);
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({ error: 'Invalid from/to timestamp' });
+            }
+
+            const rounds = this.roundStore.query({ from, to, limit: req.query.limit });
+            res.json({
+                from,
+                to,
+                count: rounds.length,
+                rounds: rounds.map(record => this.roundStore.summarize(record))
+            });
+        });
+
+        // Admin: login com usuário e senha do config; devolve um token de sessão assinado
+        this.app.post('/admin/login', this.validateBody(BODY_SCHEMAS.adminLogin), async (req, res) => {
+            try {
+                const { username, password } = req.body;
+                const result = await this.adminAuth.login(username, password);
+                if (!result) {
+                    this.auditLog.record({ action: AUDIT_ACTIONS.LOGIN_FAILED, actor: username.slice(0, 64), ip: req.ip });
+                    return res.status(401).json({ error: 'Invalid credentials' });
+                }
+
+                this.auditLog.record({ action: AUDIT_ACTIONS.LOGIN, actor: result.session.username, ip: req.ip });
+                return res.json({
+                    token: result.token,
+                    username: result.session.username,
+                    role: result.session.role,
+                    expiresAt: result.session.expiresAt
+                });
+            } catch (error) {
+                console.error('Error handling admin login:', error);
+                res.status(500).json({ error: 'Failed to log in' });
+            }
+        });
+
+        // Admin: dados da sessão atual (o painel usa para validar o token guardado)
+        this.app.get('/admin/session', this.requireAdmin('viewer'), (req, res) => {
+            const { username, role, expiresAt = null } = req.admin;
+            res.json({ username, role, expiresAt });
+        });
+
+        // Admin: encerra a sessão atual; o token deixa de valer imediatamente
+        this.app.post('/admin/logout', this.requireAdmin('viewer'), this.validateBody(BODY_SCHEMAS.adminAction), (req, res) => {
+            if (req.admin.sid) {
+                this.adminAuth.revoke(req.admin);
+                this.recordAdminAction(req, { action: AUDIT_ACTIONS.LOGOUT });
+            }
+            res.json({ success: true });
+        });
+
+        // Admin: derruba todas as sessões abertas de um usuário (ex.: senha vazada)
+        this.app.post('/admin/sessions/revoke', this.requireAdmin('superadmin'), this.validateBody(BODY_SCHEMAS.revokeSessions), (req, res) => {
+            const { username } = req.body;
+            if (!this.config.admin.users.some(user => user.username === username)) {
+                return res.status(404).json({ error: 'Admin user not found' });
+            }
+
+            this.adminAuth.revokeUser(username);
+            this.recordAdminAction(req, { action: AUDIT_ACTIONS.SESSIONS_REVOKED, target: username });
+            res.json({ success: true });
+        });
+
+        // Admin: force crash endpoint
+        this.app.post('/admin/force-crash', this.requireAdmin('operator'), this.validateBody(BODY_SCHEMAS.adminAction), (req, res) => {
+            try {
+                const reason = this.getAdminReason(req) || 'admin_api';
+                const gameId = this.gameEngine.gameId;
+                const before = {
+                    multiplier: this.gameEngine.multiplier,
+                    crashPoint: this.gameEngine.round ? this.gameEngine.round.crashPoint : null
+                };
                 const result = this.gameEngine.forceCrash(reason);
 
                 if (!result.success) {
                     return res.status(400).json(result);
                 }
 
+                this.recordAdminAction(req, {
+                    action: AUDIT_ACTIONS.FORCE_CRASH,
+                    target: `round:${gameId}`,
+                    before,
+                    after: { crashMultiplier: result.multiplier },
+                    reason
+                });
+
                 return res.json({
                     success: true,
                     multiplier: result.multiplier,
@@ -198,30 +439,692 @@ class CrashRocketServer {
             }
         });
         
+        // Admin: anula a rodada atual e reembolsa as apostas em aberto
+        this.app.post('/admin/void-round', this.requireAdmin('operator'), this.validateBody(BODY_SCHEMAS.adminAction), (req, res) => {
+            try {
+                const reason = this.getAdminReason(req) || 'admin_void';
+                const before = { state: this.gameEngine.state, multiplier: this.gameEngine.multiplier };
+                const result = this.gameEngine.voidRound(reason);
+
+                if (!result.success) {
+                    return res.status(400).json(result);
+                }
+
+                this.recordAdminAction(req, {
+                    action: AUDIT_ACTIONS.VOID_ROUND,
+                    target: `round:${result.gameId}`,
+                    before,
+                    after: {
+                        refundedBets: result.refunds.length,
+                        refundedAmount: fromCents(result.refunds.reduce((sum, refund) => sum + refund.betAmount, 0))
+                    },
+                    reason
+                });
+
+                return res.json({
+                    success: true,
+                    gameId: result.gameId,
+                    refundedBets: result.refunds.length,
+                    state: this.gameEngine.getCurrentState()
+                });
+            } catch (error) {
+                console.error('Error handling admin void round:', error);
+                res.status(500).json({ error: 'Failed to void round' });
+            }
+        });
+
+        // Admin: confere se o saldo em memória de cada jogador bate com o ledger
+        this.app.get('/admin/ledger/reconcile', this.requireAdmin('viewer'), (req, res) => {
+            try {
+                return res.json(toPublicReport(this.playerManager.reconcileBalances()));
+            } catch (error) {
+                console.error('Error reconciling ledger:', error);
+                res.status(500).json({ error: 'Failed to reconcile ledger' });
+            }
+        });
+        
+        // Admin: jogadores conectados, com busca por nome, id do socket ou id da conta
+        this.app.get('/admin/players', this.requireAdmin('viewer'), (req, res) => {
+            const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+            const players = this.playerManager.searchPlayers(req.query.search);
+            res.json({
+                players: players.slice(0, limit).map(player => this.getAdminPlayerView(player)),
+                total: players.length
+            });
+        });
+
+        // Admin: detalhes de um jogador e as últimas movimentações da carteira
+        this.app.get('/admin/players/:id', this.requireAdmin('viewer'), this.requirePlayer(), (req, res) => {
+            res.json({
+                ...this.getAdminPlayerView(req.player),
+                transactions: this.playerManager.getTransactionHistory(req.player.id, 20).map(toPublicEntry)
+            });
+        });
+
+        // Admin: ajusta o saldo para um valor absoluto; o ajuste entra no ledger com o motivo
+        this.app.post('/admin/players/:id/balance', this.requireAdmin('superadmin'), this.requirePlayer(), this.validateBody(BODY_SCHEMAS.playerBalance), (req, res) => {
+            const { balance: newBalance } = req.body;
+            const reason = this.getAdminReason(req);
+            if (!reason) {
+                return res.status(400).json({
+                    error: 'A reason is required for balance adjustments',
+                    code: PAYLOAD_ERRORS.REQUIRED,
+                    field: 'reason'
+                });
+            }
+
+            const player = req.player;
+            const previousBalance = fromCents(player.balance);
+            if (!this.playerManager.setPlayerBalance(player.id, toCents(newBalance), { reason })) {
+                return res.status(409).json({ error: 'Balance adjustment rejected' });
+            }
+
+            const entry = this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.BALANCE_EDIT,
+                target: `player:${player.id}`,
+                before: { balance: previousBalance },
+                after: { balance: fromCents(player.balance) },
+                reason,
+                meta: { accountId: player.accountId, name: player.name }
+            });
+            this.playerManager.broadcastToPlayer(player.id, 'balance_adjusted', {
+                balance: fromCents(player.balance),
+                previousBalance
+            });
+            console.log(`💼 Balance of ${player.id} set to ${formatMoney(player.balance)} by ${req.admin.username}`);
+
+            res.json({ success: true, auditId: entry.id, player: this.getAdminPlayerView(player) });
+        });
+
+        // Admin: zera as estatísticas do jogador (o saldo não muda)
+        this.app.post('/admin/players/:id/reset-stats', this.requireAdmin('operator'), this.requirePlayer(), this.validateBody(BODY_SCHEMAS.adminAction), (req, res) => {
+            const player = req.player;
+            const before = this.getAdminPlayerView(player).stats;
+            this.playerManager.resetPlayerStats(player.id);
+
+            const entry = this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.PLAYER_STATS_RESET,
+                target: `player:${player.id}`,
+                before,
+                after: this.getAdminPlayerView(player).stats,
+                reason: this.getAdminReason(req),
+                meta: { accountId: player.accountId, name: player.name }
+            });
+            res.json({ success: true, auditId: entry.id, player: this.getAdminPlayerView(player) });
+        });
+
+        // Admin: desconecta o jogador; apostas em aberto seguem a regra de desconexão
+        this.app.post('/admin/players/:id/kick', this.requireAdmin('operator'), this.requirePlayer(), this.validateBody(BODY_SCHEMAS.adminAction), (req, res) => {
+            const player = req.player;
+            const reason = this.getAdminReason(req);
+            const view = this.getAdminPlayerView(player);
+            const entry = this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.PLAYER_KICK,
+                target: `player:${player.id}`,
+                before: { balance: view.balance, currentBets: view.currentBets.length },
+                reason,
+                meta: { accountId: player.accountId, name: player.name }
+            });
+
+            const socket = this.playerManager.getPlayerSocket(player.id);
+            if (socket) {
+                socket.emit('player_kicked', { reason });
+                socket.disconnect(true);
+            } else {
+                this.releasePlayer(player.id);
+            }
+            console.log(`👢 Player ${player.id} kicked by ${req.admin.username}${reason ? ` (${reason})` : ''}`);
+
+            res.json({ success: true, auditId: entry.id });
+        });
+
+        // Admin: dados exportados do jogador, como arquivo JSON
+        this.app.get('/admin/players/:id/export', this.requireAdmin('operator'), this.requirePlayer(), (req, res) => {
+            const player = req.player;
+            const exported = this.playerManager.exportPlayerData(player.id);
+            const data = {
+                ...exported,
+                balance: fromCents(exported.balance),
+                statistics: convertFields(exported.statistics, ['totalBets', 'totalWinnings', 'biggestWin'], fromCents),
+                transactions: this.playerManager.getTransactionHistory(player.id, 200).map(toPublicEntry),
+                exportedAt: new Date().toISOString()
+            };
+            this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.PLAYER_EXPORT,
+                target: `player:${player.id}`,
+                meta: { accountId: player.accountId, name: player.name }
+            });
+
+            res.setHeader('Content-Disposition', `attachment; filename="player-${player.accountId || player.id}.json"`);
+            res.json(data);
+        });
+
+        // Admin: desconecta jogadores sem atividade há mais de `inactiveMinutes`
+        this.app.post('/admin/players/cleanup', this.requireAdmin('operator'), this.validateBody(BODY_SCHEMAS.playersCleanup), (req, res) => {
+            const minutes = req.body.inactiveMinutes;
+            const removed = this.playerManager.cleanupInactivePlayers(minutes * 60000);
+            const entry = this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.PLAYERS_CLEANUP,
+                target: 'players',
+                after: { removed },
+                meta: { inactiveMinutes: minutes }
+            });
+            res.json({ success: true, removed, auditId: entry.id });
+        });
+
+        // Admin: contas (inclusive offline); ?restricted=1 lista só as com restrição em vigor
+        this.app.get('/admin/accounts', this.requireAdmin('viewer'), (req, res) => {
+            const accounts = this.accountStore.findAccounts({
+                search: req.query.search,
+                restrictedOnly: req.query.restricted === '1' || req.query.restricted === 'true',
+                limit: Math.min(Math.max(Number(req.query.limit) || 50, 1), 500)
+            });
+            res.json({
+                accounts: accounts.map(account => ({
+                    id: account.id,
+                    name: account.name,
+                    balance: fromCents(account.balance),
+                    status: resolveStatus(account.status),
+                    online: Boolean(this.playerManager.findPlayerByAccount(account.id)),
+                    updatedAt: account.updatedAt
+                })),
+                states: Object.values(ACCOUNT_STATES)
+            });
+        });
+
+        // Admin: muda o estado da conta (active, muted, suspended, banned, self_excluded)
+        this.app.put('/admin/accounts/:id/status', this.requireAdmin('operator'), this.validateBody(BODY_SCHEMAS.accountStatus), (req, res) => {
+            const account = this.accountStore.getAccount(req.params.id);
+            if (!account) {
+                return res.status(404).json({ error: 'Account not found' });
+            }
+
+            const { state, until } = req.body;
+            const reason = this.getAdminReason(req);
+            const problem = validateStatusChange({ state, until });
+            if (problem) {
+                return res.status(400).json({ error: problem, code: PAYLOAD_ERRORS.INVALID_VALUE, field: 'until' });
+            }
+
+            // Só um superadmin encerra uma autoexclusão antes da data escolhida pelo jogador
+            const before = resolveStatus(account.status);
+            if (before.state === ACCOUNT_STATES.SELF_EXCLUDED && state !== ACCOUNT_STATES.SELF_EXCLUDED && !hasRole(req.admin.role, 'superadmin')) {
+                return res.status(403).json({ error: 'Only a superadmin can lift a self-exclusion early' });
+            }
+
+            const status = createStatus({ state, until, reason, by: req.admin.username });
+            const { player } = this.playerManager.setAccountStatus(account.id, status);
+            const entry = this.recordAdminAction(req, {
+                action: AUDIT_ACTIONS.ACCOUNT_STATUS_CHANGE,
+                target: `account:${account.id}`,
+                before: { state: before.state, until: before.until },
+                after: { state, until },
+                reason,
+                meta: { name: account.name }
+            });
+
+            if (player) {
+                const socket = this.playerManager.getPlayerSocket(player.id);
+                if (socket) {
+                    socket.emit('account_status', describeStatus(status));
+                    if (!isAllowed(status, 'join')) {
+                        socket.disconnect(true);
+                    }
+                }
+            }
+            console.log(`🔒 Account ${account.id} set to ${state} by ${req.admin.username}`);
+
+            res.json({ success: true, auditId: entry.id, status: resolveStatus(status) });
+        });
+
+        // Admin: parâmetros do jogo alteráveis em tempo de execução, alterações pendentes e histórico
+        this.app.get('/admin/settings', this.requireAdmin('viewer'), (req, res) => {
+            res.json(this.getAdminSettings());
+        });
+
+        // Admin: altera parâmetros do jogo; valem a partir da próxima rodada
+        this.app.put('/admin/settings', this.requireAdmin('superadmin'), this.validateBody(BODY_SCHEMAS.settings), (req, res) => {
+            try {
+                const result = this.queueSettingsChange(req.body.changes, {
+                    actor: req.admin.username,
+                    ip: req.ip,
+                    reason: this.getAdminReason(req)
+                });
+
+                return res.status(202).json({ success: true, ...result, ...this.getAdminSettings() });
+            } catch (error) {
+                if (error instanceof ConfigError) {
+                    return res.status(400).json({ error: 'Invalid settings', problems: error.problems });
+                }
+                console.error('Error updating game settings:', error);
+                res.status(500).json({ error: 'Failed to update settings' });
+            }
+        });
+
+        // Admin: os bots de carga rodam no navegador do painel; o painel avisa início e fim para a auditoria
+        this.app.post('/admin/bots', this.requireAdmin('operator'), this.validateBody(BODY_SCHEMAS.bots), (req, res) => {
+            const { action, count, settings } = req.body;
+            if (action === 'start' && count === null) {
+                return res.status(400).json({ error: 'Bot count is required to start bots', code: PAYLOAD_ERRORS.REQUIRED, field: 'count' });
+            }
+
+            const entry = this.recordAdminAction(req, {
+                action: action === 'start' ? AUDIT_ACTIONS.BOTS_START : AUDIT_ACTIONS.BOTS_STOP,
+                target: 'bots',
+                after: action === 'start' ? { count, settings: sanitizeBotSettings(settings) } : null,
+                reason: this.getAdminReason(req)
+            });
+            res.json({ success: true, auditId: entry.id });
+        });
+
+        // Admin: trilha de auditoria, mais recentes primeiro
+        // Filtros: ?action=a,b&actor=&target=&since=&until= (ms ou data ISO) &limit=
+        this.app.get('/admin/audit', this.requireAdmin('viewer'), (req, res) => {
+            const since = parseTimeFilter(req.query.since);
+            const until = parseTimeFilter(req.query.until);
+            if (Number.isNaN(since) || Number.isNaN(until)) {
+                return res.status(400).json({ error: 'Invalid since/until' });
+            }
+
+            const entries = this.auditLog.query({
+                action: req.query.action ? String(req.query.action).split(',').filter(Boolean) : null,
+                actor: req.query.actor ? String(req.query.actor) : null,
+                target: req.query.target ? String(req.query.target) : null,
+                since,
+                until,
+                limit: req.query.limit
+            });
+            res.json({ entries, actions: Object.values(AUDIT_ACTIONS) });
+        });
+
+        // Admin: configuração efetiva (somente leitura, segredos mascarados) e a origem de cada valor
+        this.app.get('/admin/config', this.requireAdmin('viewer'), (req, res) => {
+            res.json(describeConfig(this.config));
+        });
+        
         // Serve static files in production
-        if (process.env.NODE_ENV === 'production') {
+        if (this.config.server.nodeEnv === 'production') {
             this.app.use(express.static('../client'));
             
             this.app.get('*', (req, res) => {
                 res.sendFile(path.join(__dirname, '../client/index.html'));
             });
         }
-        
-        // 404 handler
-        this.app.use('*', (req, res) => {
-            res.status(404).json({ error: 'Route not found' });
-        });
-        
-        // Error handler
-        this.app.use((err, req, res, next) => {
-            console.error('Server error:', err);
-            res.status(500).json({ error: 'Internal server error' });
-        });
+        
+        // 404 handler
+        this.app.use('*', (req, res) => {
+            res.status(404).json({ error: 'Route not found' });
+        });
+        
+        // Error handler
+        this.app.use((err, req, res, next) => {
+            // Corpo que não é JSON válido: erro do cliente, não do servidor
+            if (err.type === 'entity.parse.failed') {
+                return res.status(400).json({ error: 'Invalid JSON body', code: PAYLOAD_ERRORS.INVALID_PAYLOAD, field: null });
+            }
+            console.error('Server error:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+    }
+    
+    // Valores que os clientes usam para prever a curva e validar apostas
+    getPublicSettings() {
+        return {
+            growthRate: this.gameEngine.growth.rate,
+            capMultiplier: this.gameEngine.growth.capMultiplier,
+            waitTime: { ...this.gameEngine.config.waitTime },
+            countdownTime: this.gameEngine.config.countdownTime,
+            maxBetSlots: this.gameEngine.config.maxBetSlots,
+            bets: { ...this.config.bets },
+            startingBalance: this.config.players.startingBalance
+        };
+    }
+
+    getAdminSettings() {
+        return {
+            options: getRuntimeOptions(this.config),
+            pending: this.pendingConfig ? { ...this.pendingChanges } : null,
+            history: this.auditLog.query({
+                action: [AUDIT_ACTIONS.CONFIG_CHANGE, AUDIT_ACTIONS.CONFIG_APPLIED],
+                limit: 20
+            })
+        };
+    }
+
+    // Valida as alterações sobre o que já estiver pendente e as agenda para a próxima rodada
+    queueSettingsChange(changes, { actor = null, ip = null, reason = null } = {}) {
+        const base = this.pendingConfig || this.config;
+        const next = updateConfig(base, changes);
+        const valuesOf = (config) => Object.fromEntries(getRuntimeOptions(config).map(option => [option.path, option.value]));
+        const previous = valuesOf(base);
+        const updated = valuesOf(next);
+
+        const before = {};
+        const after = {};
+        Object.keys(changes).forEach((keyPath) => {
+            before[keyPath] = previous[keyPath];
+            after[keyPath] = updated[keyPath];
+        });
+
+        this.pendingConfig = next;
+        this.pendingChanges = { ...this.pendingChanges, ...after };
+        this.gameEngine.queueSettings(next);
+
+        const entry = this.auditLog.record({
+            action: AUDIT_ACTIONS.CONFIG_CHANGE,
+            actor,
+            ip,
+            target: 'game_settings',
+            before,
+            after,
+            reason
+        });
+        console.log(`⚙️ Game settings change queued by ${actor || 'unknown'}: ${JSON.stringify(after)}`);
+
+        return { auditId: entry.id, appliesAt: 'next_round' };
+    }
+
+    applyConfig(config, gameId) {
+        const before = this.getPublicSettings();
+        this.config = config;
+        if (this.pendingConfig === config) {
+            this.pendingConfig = null;
+            this.pendingChanges = {};
+        }
+        this.playerManager.startingBalance = this.getStartingBalance();
+        this.playerManager.sessionBreak = config.responsibleGaming.sessionBreakMinutes * 60000;
+
+        const settings = this.getPublicSettings();
+        this.auditLog.record({
+            action: AUDIT_ACTIONS.CONFIG_APPLIED,
+            target: 'game_settings',
+            before,
+            after: settings,
+            meta: { gameId }
+        });
+        this.io.emit('game_settings', { ...settings, appliedFrom: gameId });
+    }
+
+    // Middleware das rotas /admin/players/:id; precisa vir depois do requireAdmin
+    requirePlayer() {
+        return (req, res, next) => {
+            const player = this.playerManager.getPlayer(req.params.id);
+            if (!player) {
+                return res.status(404).json({ error: 'Player not found' });
+            }
+            req.player = player;
+            next();
+        };
+    }
+
+    // Visão administrativa de um jogador conectado: saldo, estatísticas e apostas da rodada atual
+    getAdminPlayerView(player) {
+        return {
+            id: player.id,
+            accountId: player.accountId,
+            name: player.name,
+            balance: fromCents(player.balance),
+            joinedAt: player.joinedAt,
+            lastSeenAt: player.lastSeenAt,
+            status: resolveStatus(player.status),
+            limits: this.describePlayerLimits(player),
+            stats: {
+                gamesPlayed: player.gamesPlayed,
+                totalBets: fromCents(player.totalBets),
+                totalWinnings: fromCents(player.totalWinnings),
+                biggestWin: fromCents(player.biggestWin),
+                longestStreak: player.longestStreak,
+                currentStreak: player.currentStreak,
+                sessionGames: player.sessionGames,
+                sessionBets: fromCents(player.sessionBets),
+                sessionWinnings: fromCents(player.sessionWinnings)
+            },
+            currentBets: this.gameEngine.getPlayerBets(player.id).map(slot => ({
+                slotId: slot.slotId,
+                bet: fromCents(slot.bet),
+                autoCashOut: slot.autoCashOut,
+                hasWon: slot.hasWon
+            }))
+        };
+    }
+
+    // Limites em vigor do jogador com o consumo da sessão e do dia
+    describePlayerLimits(player) {
+        const now = Date.now();
+        const { sessionLoss, dailyLoss, sessionStartedAt } = this.playerManager.getLimitUsage(player.id, now);
+        return {
+            ...describeLimits(player.limits, {
+                sessionLoss: fromCents(sessionLoss),
+                dailyLoss: fromCents(dailyLoss),
+                sessionMinutes: sessionStartedAt ? Math.floor((now - sessionStartedAt) / 60000) : 0
+            }, now),
+            increaseDelay: this.config.responsibleGaming.limitIncreaseDelay,
+            defaultRealityCheckMinutes: this.config.responsibleGaming.realityCheckMinutes
+        };
+    }
+
+    // Motivo opcional informado pelo admin
+    getAdminReason(req) {
+        const reason = req.body?.reason;
+        return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : null;
+    }
+
+    // Registra uma ação privilegiada com a identidade e o IP do admin autenticado
+    recordAdminAction(req, entry) {
+        return this.auditLog.record({ actor: req.admin.username, ip: req.ip, ...entry });
+    }
+
+    warnAboutAdminAccess() {
+        if (!this.adminAuth.hasUsers() && !this.adminSecret) {
+            console.warn('⚠️ No admin users (ADMIN_USERS) or ADMIN_SECRET configured; admin routes will reject every request.');
+        } else if (this.adminAuth.hasUsers() && this.adminAuth.ephemeralSecret) {
+            console.warn('⚠️ ADMIN_SESSION_SECRET not configured; admin sessions will not survive a restart.');
+        }
+    }
+
+    // Token de sessão (Authorization: Bearer) ou o token de serviço ADMIN_SECRET
+    extractAdminToken(req) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim();
+        }
+        // Só cabeçalhos: tokens na URL ou no corpo acabam em logs de acesso e no histórico do navegador
+        return req.headers['x-admin-token'] || null;
+    }
+
+    // Sessão do administrador ou null. O ADMIN_SECRET vale como superadmin para scripts e automações.
+    authenticateAdmin(req) {
+        const token = this.extractAdminToken(req);
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        if (this.adminSecret) {
+            const expected = Buffer.from(this.adminSecret);
+            const received = Buffer.from(token);
+            if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+                return { sid: null, username: 'admin_token', role: 'superadmin', service: true };
+            }
+        }
+
+        return this.adminAuth.verify(token);
+    }
+
+    // Middleware das rotas administrativas: 401 sem sessão válida, 403 sem o papel mínimo
+    requireAdmin(role) {
+        return (req, res, next) => {
+            const admin = this.authenticateAdmin(req);
+            if (!admin) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            if (!hasRole(admin.role, role)) {
+                return res.status(403).json({ error: 'Forbidden', requiredRole: role });
+            }
+
+            req.admin = admin;
+            next();
+        };
+    }
+
+    // Confere o corpo da requisição contra o esquema (payload-schema.js) e o troca pela versão
+    // normalizada; erros viram 400 com { error, code, field }
+    validateBody(schema) {
+        return (req, res, next) => {
+            const { value, error } = parsePayload(schema, req.body);
+            if (error) {
+                const { message, ...details } = error;
+                return res.status(400).json({ error: message, ...details });
+            }
+            req.body = value;
+            next();
+        };
+    }
+
+    checkLedgerReconciliation() {
+        const report = this.playerManager.reconcileBalances();
+        if (report && !report.balanced) {
+            report.drifts.forEach(drift => {
+                console.warn(`📒 Ledger drift for player ${drift.playerId}: balance ${formatMoney(drift.playerBalance)} vs ledger ${formatMoney(drift.ledgerBalance)}`);
+            });
+        }
+        return report;
+    }
+    
+    isRateLimitExempt(ip) {
+        const { enabled, exemptIps } = this.config.rateLimit;
+        return !enabled || Boolean(exemptIps && exemptIps.includes(ip));
+    }
+
+    getSocketIp(socket) {
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        if (this.config.server.trustProxy && forwarded) {
+            return normalizeIp(String(forwarded).split(',')[0].trim());
+        }
+        return normalizeIp(socket.handshake.address);
+    }
+
+    // Resposta padrão de limite excedido: HTTP 429 ou o evento `rate_limited` no socket
+    buildRateLimitError(scope, retryAfter, extra = {}) {
+        return { error: 'Too many requests', code: 'rate_limited', scope, retryAfter, ...extra };
+    }
+
+    // Rotas HTTP: um balde por IP; o login do painel tem um balde próprio, mais estreito
+    limitHttpRequest(req, res, next) {
+        const ip = normalizeIp(req.ip);
+        if (this.isRateLimitExempt(ip)) {
+            return next();
+        }
+
+        const { http: httpRule, login } = this.config.rateLimit;
+        const isLogin = req.method === 'POST' && req.path === '/admin/login';
+        const result = this.rateLimiter.consume(`http:${ip}`, isLogin ? 'admin_login' : 'requests', isLogin ? login : httpRule);
+        if (result.allowed) {
+            return next();
+        }
+
+        console.warn(`🚦 HTTP rate limit for ${ip} on ${req.method} ${req.path}`);
+        res.set('Retry-After', String(Math.ceil(result.retryAfter / 1000)));
+        res.status(429).json(this.buildRateLimitError(isLogin ? 'login' : 'http', result.retryAfter));
+    }
+
+    // Middleware do Socket.IO: limita as conexões simultâneas por IP
+    limitConnection(socket, next) {
+        const ip = this.getSocketIp(socket);
+        socket.data.ip = ip;
+        if (this.isRateLimitExempt(ip)) {
+            return next();
+        }
+
+        const max = this.config.rateLimit.maxConnectionsPerIp;
+        const open = this.connectionsByIp.get(ip) || 0;
+        if (open >= max) {
+            console.warn(`🚦 Connection refused for ${ip}: ${open} connections open`);
+            const error = new Error('Too many connections');
+            error.data = this.buildRateLimitError('connections', null, { limit: max });
+            return next(error);
+        }
+
+        this.connectionsByIp.set(ip, open + 1);
+        socket.data.countsTowardIpLimit = true;
+        next();
+    }
+
+    releaseConnection(socket) {
+        this.rateLimiter.forget(`socket:${socket.id}`);
+        if (!socket.data.countsTowardIpLimit) {
+            return;
+        }
+
+        const open = (this.connectionsByIp.get(socket.data.ip) || 1) - 1;
+        if (open > 0) {
+            this.connectionsByIp.set(socket.data.ip, open);
+        } else {
+            this.connectionsByIp.delete(socket.data.ip);
+        }
+    }
+
+    // Cada evento gasta uma ficha do balde da conexão (por evento) e uma do balde do IP (todos os
+    // eventos). Eventos recusados não chegam aos handlers; quem insiste acaba desconectado.
+    limitSocketEvent(socket, [event], next) {
+        const ip = socket.data.ip;
+        if (this.isRateLimitExempt(ip)) {
+            return next();
+        }
+
+        let scope = 'socket';
+        let result = this.rateLimiter.consume(`socket:${socket.id}`, event, this.eventLimits[event] || this.eventLimits['*']);
+        if (result.allowed) {
+            scope = 'ip';
+            result = this.rateLimiter.consume(`ip:${ip}`, 'events', this.config.rateLimit.ip);
+        }
+        if (result.allowed) {
+            return next();
+        }
+
+        socket.emit('rate_limited', this.buildRateLimitError(scope, result.retryAfter, { event }));
+
+        const maxViolations = this.config.rateLimit.maxViolations;
+        const violation = maxViolations > 0
+            ? this.rateLimiter.consume(`socket:${socket.id}`, 'violations', { burst: maxViolations, perSecond: 1 })
+            : null;
+        if (violation && !violation.allowed) {
+            console.warn(`🚦 Socket ${socket.id} (${ip}) disconnected after repeated rate limit violations`);
+            socket.disconnect(true);
+        }
     }
-    
+
+    // Confere o payload do evento contra EVENT_SCHEMAS antes de ele chegar ao handler, que recebe
+    // a versão normalizada. Payloads inválidos são respondidos no evento de resposta do próprio
+    // evento (ou em 'error') com o código e o campo do problema.
+    validateSocketEvent(socket, packet, next) {
+        const [event, data] = packet;
+        const spec = EVENT_SCHEMAS[event];
+        if (!spec) {
+            return next();
+        }
+
+        const { value, error } = parsePayload(spec.payload, data);
+        if (!error) {
+            packet[1] = value;
+            return next();
+        }
+
+        const { message, ...details } = error;
+        if (!spec.reply) {
+            socket.emit('error', { message, event, ...details });
+            return;
+        }
+        const slot = spec.payload.fields?.slotId ? { slotId: Number.isInteger(data?.slotId) ? data.slotId : 0 } : {};
+        socket.emit(spec.reply, { success: false, error: message, event, ...details, ...slot });
+    }
+
     setupSocketHandlers() {
+        this.io.use((socket, next) => this.limitConnection(socket, next));
+
         this.io.on('connection', (socket) => {
             console.log(`✅ Player connected: ${socket.id}`);
+            socket.use((packet, next) => this.limitSocketEvent(socket, packet, next));
+            socket.use((packet, next) => this.validateSocketEvent(socket, packet, next));
             
             // Add player
             this.playerManager.addPlayer(socket.id, socket);
@@ -234,17 +1137,62 @@ class CrashRocketServer {
             // Send game history
             const history = this.gameEngine.getHistory();
             socket.emit('game_history', { history });
+            socket.emit('game_settings', this.getPublicSettings());
             
             // Handle join game
             socket.on('join_game', (data) => {
                 try {
                     const player = this.playerManager.getPlayer(socket.id);
                     if (player) {
-                        // Prefer saved name from localStorage if sent
-                        player.name = data.playerName || player.name || `Player${socket.id.substr(0, 4)}`;
+                        // Conta durável: o token emitido no primeiro join é reenviado nas reconexões
+                        const session = this.playerManager.attachAccount(socket.id, data.accountToken || null, {
+                            name: data.playerName || null
+                        });
+
+                        if (session?.blocked) {
+                            console.log(`🚫 Join refused for account ${session.accountId} (${resolveStatus(session.status).state})`);
+                            socket.emit('join_refused', describeStatus(session.status));
+                            socket.disconnect(true);
+                            return;
+                        }
+
+                        if (session?.replacedPlayerId) {
+                            // As apostas da rodada seguem a conta antes de a sessão anterior ser encerrada
+                            this.transferOpenBets(session.replacedPlayerId, socket.id);
+                            const previousSocket = this.playerManager.getPlayerSocket(session.replacedPlayerId);
+                            if (previousSocket) {
+                                previousSocket.emit('session_replaced', { message: 'Account opened in another session' });
+                                previousSocket.disconnect(true);
+                            } else {
+                                this.playerManager.removePlayer(session.replacedPlayerId);
+                            }
+                        }
+
+                        // Prefer saved name from localStorage if sent (contas silenciadas mantêm o nome salvo)
+                        const requestedName = isAllowed(player.status, 'rename') ? data.playerName : null;
+                        player.name = requestedName || player.name || `Player${socket.id.substr(0, 4)}`;
                         player.joinedAt = Date.now();
+                        player.lastRealityCheckAt = player.joinedAt;
+                        this.playerManager.persistPlayer(socket.id);
+
+                        if (session) {
+                            socket.emit('account_session', {
+                                accountId: session.accountId,
+                                accountToken: session.accountToken,
+                                isNew: session.isNew,
+                                name: player.name,
+                                balance: fromCents(player.balance),
+                                totalWinnings: fromCents(player.totalWinnings),
+                                biggestWin: fromCents(player.biggestWin),
+                                longestStreak: Number(player.longestStreak || 0),
+                                gamesPlayed: Number(player.gamesPlayed || 0),
+                                status: describeStatus(player.status),
+                                limits: this.describePlayerLimits(player)
+                            });
+                            this.sendLeaderboardToSocket(socket);
+                        }
                         
-                        console.log(`🎮 Player ${player.name} joined the game`);
+                        console.log(`🎮 Player ${player.name} joined the game${session?.isNew ? ' (new account)' : ''}`);
                         
                         // Notify other players
                         socket.broadcast.emit('player_joined', {
@@ -259,13 +1207,16 @@ class CrashRocketServer {
             });
 
             // Handle update name
-            socket.on('update_player_name', (newName) => {
+            socket.on('update_player_name', (name) => {
                 try {
-                    const name = String(newName).trim().slice(0, 20);
-                    if (!name) return;
                     const player = this.playerManager.getPlayer(socket.id);
+                    if (player && !isAllowed(player.status, 'rename')) {
+                        socket.emit('player_name_updated', { success: false, error: 'Name changes are blocked for this account' });
+                        return;
+                    }
                     if (player) {
                         player.name = name;
+                        this.playerManager.persistPlayer(socket.id);
                         socket.emit('player_name_updated', { success: true, name });
                     }
                 } catch (error) {
@@ -277,11 +1228,43 @@ class CrashRocketServer {
             // Handle place bet
             socket.on('place_bet', (data) => {
                 try {
-                    const { amount, autoCashOut } = data;
-                    
-                                    // socket.broadcast.emit('player_cashed_out', {
+                    const { amount, autoCashOut, slotId } = data;
+                    const options = this.parseBetOptions(data);
+
                     if (!this.isValidBet(amount)) {
-                        socket.emit('error', { message: 'Invalid bet amount' });
+                        const { min, max } = this.config.bets;
+                        socket.emit('bet_placed', {
+                            success: false,
+                            slotId,
+                            error: 'Invalid bet amount',
+                            code: PAYLOAD_ERRORS.OUT_OF_RANGE,
+                            field: 'amount',
+                            min,
+                            max
+                        });
+                        return;
+                    }
+                    
+                    const player = this.playerManager.getPlayer(socket.id);
+                    if (!player || !player.accountId) {
+                        socket.emit('bet_placed', { success: false, slotId, error: 'Join the game before betting' });
+                        return;
+                    }
+                    if (!isAllowed(player.status, 'bet')) {
+                        socket.emit('bet_placed', { success: false, slotId, error: 'Betting is blocked for this account' });
+                        return;
+                    }
+                    // Daqui em diante a aposta segue em centavos
+                    const stake = toCents(amount);
+                    const violation = this.checkBetLimits(player, stake, { queued: this.gameEngine.canQueueBet() });
+                    if (violation) {
+                        socket.emit('bet_placed', { success: false, slotId, error: violation.error, limit: violation });
+                        return;
+                    }
+                    
+                    // Durante o voo ou o crash, a aposta fica na fila da próxima rodada
+                    if (this.gameEngine.canQueueBet()) {
+                        this.queueBet(socket, player, stake, autoCashOut, slotId, options);
                         return;
                     }
                     
@@ -291,70 +1274,101 @@ class CrashRocketServer {
                         return;
                     }
                     
-                    // Place bet
-                    const success = this.gameEngine.placeBet(socket.id, amount, autoCashOut);
-                    
-                    if (success) {
-                        const player = this.playerManager.getPlayer(socket.id);
-                        if (player) {
-                            // Debitar saldo e marcar jogando
-                            if (player.balance >= amount) {
-                                player.balance -= amount;
-                                player.currentBet = amount;
-                                player.autoCashOut = autoCashOut;
-                                player.isPlaying = true;
-                                player.totalBets += amount;
-                            }
-                        }
-                        
-                        console.log(`💰 Player ${socket.id} placed bet: R$ ${amount}`);
-                        
-                        // Confirm bet to this player com saldo atualizado
-                        const playerBalance = player ? player.balance : null;
-                        socket.emit('bet_placed', {
-                            success: true,
-                            amount,
-                            betAmount: amount,
-                            balance: playerBalance,
-                            autoCashOut: player?.autoCashOut ?? null
-                        });
-
-                        // Notify other players
-                        this.io.emit('player_bet', {
-                            playerId: socket.id,
-                            playerName: player?.name || 'Anonymous',
-                            amount: amount
-                        });
-                    } else {
-                        socket.emit('bet_placed', { success: false, error: 'Failed to place bet' });
-                    }
+                    this.activateBet(socket.id, stake, autoCashOut, slotId, { options });
                 } catch (error) {
                     console.error('Error handling place bet:', error);
                     socket.emit('bet_placed', { success: false, error: 'Failed to place bet' });
                 }
             });
             
+            // Cancela uma aposta da rodada atual enquanto o foguete ainda não decolou
+            socket.on('cancel_bet', ({ slotId }) => {
+                try {
+                    const roundId = this.gameEngine.gameId;
+                    const result = this.gameEngine.cancelBet(socket.id, slotId);
+                    
+                    if (!result.success) {
+                        socket.emit('bet_cancelled', { success: false, slotId, error: result.error });
+                        return;
+                    }
+                    
+                    const refund = this.playerManager.refundBet(socket.id, result.betAmount, {
+                        roundId,
+                        reason: 'cancelled'
+                    });
+                    const player = this.playerManager.getPlayer(socket.id);
+                    
+                    console.log(`↩️ Player ${socket.id} cancelled bet on slot ${slotId}: ${formatMoney(result.betAmount)}`);
+                    
+                    socket.emit('bet_cancelled', {
+                        success: true,
+                        slotId,
+                        amount: fromCents(result.betAmount),
+                        balance: refund ? fromCents(refund.balance) : (player ? fromCents(player.balance) : null)
+                    });
+                    
+                    this.io.emit('player_bet_cancelled', {
+                        playerId: socket.id,
+                        playerName: player?.name || 'Anonymous',
+                        slotId,
+                        amount: fromCents(result.betAmount)
+                    });
+                } catch (error) {
+                    console.error('Error cancelling bet:', error);
+                    socket.emit('bet_cancelled', { success: false, error: 'Failed to cancel bet' });
+                }
+            });
+            
+            // Cancela uma aposta enfileirada antes do próximo countdown
+            socket.on('cancel_queued_bet', ({ slotId }) => {
+                try {
+                    const result = this.gameEngine.cancelQueuedBet(socket.id, slotId);
+                    
+                    socket.emit('bet_queue_cancelled', result.success
+                        ? { success: true, slotId, amount: fromCents(result.amount) }
+                        : { success: false, slotId, error: result.error });
+                } catch (error) {
+                    console.error('Error cancelling queued bet:', error);
+                    socket.emit('bet_queue_cancelled', { success: false, error: 'Failed to cancel queued bet' });
+                }
+            });
+            
             // Handle cash out
-            socket.on('cash_out', (data) => {
+            socket.on('cash_out', ({ slotId, fraction, remainderAutoCashOut }) => {
                 try {
-                    const result = this.gameEngine.cashOut(socket.id);
+                    const cashOutOptions = {};
+                    if (fraction !== undefined && fraction !== null) {
+                        cashOutOptions.fraction = fraction;
+                    }
+                    if (remainderAutoCashOut !== undefined) {
+                        cashOutOptions.remainderAutoCashOut = remainderAutoCashOut;
+                    }
+                    const result = this.gameEngine.cashOut(socket.id, slotId, cashOutOptions);
                     
                     if (result.success) {
-                        const winStats = this.playerManager.recordWin(socket.id, result.winAmount, {
+                        this.playerManager.recordWin(socket.id, result.winAmount, {
                             betAmount: result.betAmount,
-                            multiplier: result.multiplier
+                            multiplier: result.multiplier,
+                            reason: ENTRY_REASONS.CASHOUT,
+                            roundId: this.gameEngine.gameId,
+                            partial: result.partial
                         });
                         const player = this.playerManager.getPlayer(socket.id);
                         
-                        console.log(`💸 Player ${socket.id} cashed out: ${result.multiplier.toFixed(2)}x = R$ ${result.winAmount.toFixed(2)}`);
+                        const partialLabel = result.partial ? ` (${Math.round(result.fraction * 100)}%)` : '';
+                        console.log(`💸 Player ${socket.id} cashed out slot ${slotId}${partialLabel}: ${result.multiplier.toFixed(2)}x = ${formatMoney(result.winAmount)}`);
                         
                         // Notify player com saldo atualizado
-                        const playerBalance = winStats ? winStats.balance : (player ? Number(player.balance.toFixed(2)) : null);
+                        const playerBalance = player ? fromCents(player.balance) : null;
                         socket.emit('player_cashed_out', {
                             success: true,
+                            slotId,
                             multiplier: result.multiplier,
-                            amount: result.winAmount,
-                            betAmount: result.betAmount,
+                            amount: fromCents(result.winAmount),
+                            betAmount: fromCents(result.betAmount),
+                            fraction: result.fraction,
+                            remainingBet: fromCents(result.remainingBet),
+                            partial: result.partial,
                             balance: playerBalance,
                             isCurrentPlayer: true
                         });
@@ -363,9 +1377,13 @@ class CrashRocketServer {
                         socket.broadcast.emit('player_cashed_out', {
                             playerId: socket.id,
                             playerName: player?.name || 'Anonymous',
+                            slotId,
                             multiplier: result.multiplier,
-                            amount: result.winAmount,
-                            betAmount: result.betAmount,
+                            amount: fromCents(result.winAmount),
+                            betAmount: fromCents(result.betAmount),
+                            fraction: result.fraction,
+                            remainingBet: fromCents(result.remainingBet),
+                            partial: result.partial,
                             balance: playerBalance,
                             isCurrentPlayer: false
                         });
@@ -378,15 +1396,119 @@ class CrashRocketServer {
                 }
             });
             
+            // Histórico de transações do ledger do jogador
+            socket.on('get_transactions', ({ limit }) => {
+                try {
+                    const player = this.playerManager.getPlayer(socket.id);
+                    socket.emit('transaction_history', {
+                        entries: this.playerManager.getTransactionHistory(socket.id, limit).map(toPublicEntry),
+                        balance: player ? fromCents(player.balance) : null
+                    });
+                } catch (error) {
+                    console.error('Error fetching transactions:', error);
+                    socket.emit('error', { message: 'Failed to load transactions' });
+                }
+            });
+            
+            // Autoexclusão pedida pelo próprio jogador: a conta fica fora do jogo até a data escolhida
+            socket.on('self_exclude', ({ days }) => {
+                try {
+                    const player = this.playerManager.getPlayer(socket.id);
+                    if (!player || !player.accountId) {
+                        socket.emit('self_exclusion', { success: false, error: 'Join the game first' });
+                        return;
+                    }
+                    if (this.gameEngine.getPlayerBets(socket.id).some(slot => !slot.hasWon)) {
+                        socket.emit('self_exclusion', { success: false, error: 'Settle your open bets first' });
+                        return;
+                    }
+
+                    const status = createStatus({
+                        state: ACCOUNT_STATES.SELF_EXCLUDED,
+                        until: Date.now() + days * 24 * 60 * 60 * 1000,
+                        reason: 'self_exclusion',
+                        by: 'player'
+                    });
+                    this.gameEngine.removePlayer(socket.id);
+                    this.playerManager.setAccountStatus(player.accountId, status);
+                    console.log(`🛑 Account ${player.accountId} self-excluded for ${days} day(s)`);
+
+                    socket.emit('self_exclusion', { success: true, ...describeStatus(status) });
+                    socket.disconnect(true);
+                } catch (error) {
+                    console.error('Error handling self-exclusion:', error);
+                    socket.emit('self_exclusion', { success: false, error: 'Failed to self-exclude' });
+                }
+            });
+
+            // Limites de jogo responsável do próprio jogador
+            socket.on('get_limits', () => {
+                const player = this.playerManager.getPlayer(socket.id);
+                if (!player || !player.accountId) {
+                    socket.emit('responsible_limits', { success: false, error: 'Join the game first' });
+                    return;
+                }
+                socket.emit('responsible_limits', { success: true, ...this.describePlayerLimits(player) });
+            });
+
+            // Apertar um limite vale na hora; afrouxar ou remover espera responsibleGaming.limitIncreaseDelay
+            socket.on('set_limits', (data) => {
+                try {
+                    const player = this.playerManager.getPlayer(socket.id);
+                    if (!player || !player.accountId) {
+                        socket.emit('responsible_limits', { success: false, error: 'Join the game first' });
+                        return;
+                    }
+                    const problem = validateLimitChanges(data.limits);
+                    if (problem) {
+                        socket.emit('responsible_limits', { success: false, error: problem, code: PAYLOAD_ERRORS.INVALID_VALUE, field: 'limits' });
+                        return;
+                    }
+
+                    const { limits, applied, pending } = applyLimitChanges(player.limits, convertLimitAmounts(data.limits, toCents), {
+                        increaseDelay: this.config.responsibleGaming.limitIncreaseDelay
+                    });
+                    this.playerManager.setLimits(socket.id, limits);
+                    console.log(`🧭 Account ${player.accountId} limits updated (applied: ${applied.join(', ') || '-'}; pending: ${pending.join(', ') || '-'})`);
+
+                    socket.emit('responsible_limits', { success: true, applied, pendingFields: pending, ...this.describePlayerLimits(player) });
+                } catch (error) {
+                    console.error('Error updating limits:', error);
+                    socket.emit('responsible_limits', { success: false, error: 'Failed to update limits' });
+                }
+            });
+
+            // Pausa curta nas apostas; ao contrário da autoexclusão, o jogador continua conectado
+            socket.on('cooling_off', ({ hours }) => {
+                try {
+                    const player = this.playerManager.getPlayer(socket.id);
+                    if (!player || !player.accountId) {
+                        socket.emit('responsible_limits', { success: false, error: 'Join the game first' });
+                        return;
+                    }
+                    const problem = validateCoolingOff(hours);
+                    if (problem) {
+                        socket.emit('responsible_limits', { success: false, error: problem, code: PAYLOAD_ERRORS.OUT_OF_RANGE, field: 'hours' });
+                        return;
+                    }
+
+                    this.playerManager.setLimits(socket.id, startCoolingOff(player.limits, hours));
+                    console.log(`⏸️ Account ${player.accountId} started a ${hours}h cooling-off period`);
+
+                    socket.emit('responsible_limits', { success: true, coolingOff: true, ...this.describePlayerLimits(player) });
+                } catch (error) {
+                    console.error('Error starting cooling-off:', error);
+                    socket.emit('responsible_limits', { success: false, error: 'Failed to start cooling-off' });
+                }
+            });
+
             // Handle disconnect
             socket.on('disconnect', (reason) => {
                 console.log(`❌ Player disconnected: ${socket.id} (${reason})`);
+                this.releaseConnection(socket);
                 
-                // Remove from active game if playing
-                this.gameEngine.removePlayer(socket.id);
-                
-                // Remove player
-                this.playerManager.removePlayer(socket.id);
+                // Remove from the game (apostas em voo continuam até a liquidação)
+                this.releasePlayer(socket.id);
                 
                 // Notify other players
                 socket.broadcast.emit('player_left', {
@@ -410,20 +1532,27 @@ class CrashRocketServer {
         });
         
         this.gameEngine.on('player_auto_cashed_out', (data) => {
-            const winStats = this.playerManager.recordWin(data.playerId, data.winAmount, {
+            this.playerManager.recordWin(data.playerId, data.winAmount, {
                 betAmount: data.betAmount,
-                multiplier: data.multiplier
+                multiplier: data.multiplier,
+                reason: ENTRY_REASONS.AUTO_CASHOUT,
+                roundId: this.gameEngine.gameId,
+                partial: data.partial
             });
             const player = this.playerManager.getPlayer(data.playerId);
-            const playerBalance = winStats ? winStats.balance : (player ? Number(player.balance.toFixed(2)) : null);
+            const playerBalance = player ? fromCents(player.balance) : null;
             
             // Notify all players
             this.io.emit('player_cashed_out', {
                 playerId: data.playerId,
                 playerName: player?.name || 'Anonymous',
+                slotId: data.slotId,
                 multiplier: data.multiplier,
-                amount: data.winAmount,
-                betAmount: data.betAmount,
+                amount: fromCents(data.winAmount),
+                betAmount: fromCents(data.betAmount),
+                fraction: data.fraction,
+                remainingBet: fromCents(data.remainingBet),
+                partial: data.partial,
                 balance: playerBalance,
                 success: true,
                 isAuto: true,
@@ -436,9 +1565,13 @@ class CrashRocketServer {
                 socket.emit('player_cashed_out', {
                     success: true,
                     playerId: data.playerId,
+                    slotId: data.slotId,
                     multiplier: data.multiplier,
-                    amount: data.winAmount,
-                    betAmount: data.betAmount,
+                    amount: fromCents(data.winAmount),
+                    betAmount: fromCents(data.betAmount),
+                    fraction: data.fraction,
+                    remainingBet: fromCents(data.remainingBet),
+                    partial: data.partial,
                     balance: playerBalance,
                     isAuto: true,
                     isCurrentPlayer: true
@@ -447,58 +1580,389 @@ class CrashRocketServer {
 
         });
 
+        this.gameEngine.on('round_recorded', (round) => {
+            try {
+                this.roundStore.record(round, (playerId) => this.playerManager.getPlayer(playerId));
+            } catch (error) {
+                console.error('Error recording round:', error);
+            }
+        });
+
+        // Apostas enfileiradas só são debitadas quando a próxima rodada entra em countdown
+        this.gameEngine.on('queued_bets_released', (data) => {
+            data.bets.forEach(({ playerId, slotId, amount, autoCashOut, options }) => {
+                this.activateBet(playerId, amount, autoCashOut, slotId, { queued: true, options });
+            });
+        });
+
         this.gameEngine.on('round_settled', (settlement) => {
             if (settlement?.losers?.length) {
-                settlement.losers.forEach(({ playerId }) => {
-                    this.playerManager.resetPlayerGame(playerId);
+                settlement.losers.forEach(({ playerId, betAmount }) => {
+                    this.playerManager.resetPlayerGame(playerId, betAmount);
                 });
             }
+            this.playerManager.removeDetachedPlayers();
+
+            this.checkLedgerReconciliation();
+            this.broadcastLeaderboard();
+            this.sendRealityChecks();
+        });
+
+        // Parâmetros alterados pelo painel entram em vigor na fronteira da rodada
+        this.gameEngine.on('settings_applied', ({ settings, gameId }) => {
+            this.applyConfig(settings, gameId);
+        });
+
+        this.gameEngine.on('round_voided', (data) => {
+            let totalRefunded = 0;
+
+            data.refunds.forEach(({ playerId, slotId, betAmount }) => {
+                const refund = this.playerManager.refundBet(playerId, betAmount, {
+                    roundId: data.gameId,
+                    reason: data.reason
+                });
+                if (!refund) {
+                    return;
+                }
+
+                totalRefunded += betAmount;
+                this.playerManager.broadcastToPlayer(playerId, 'bet_refunded', {
+                    gameId: data.gameId,
+                    reason: data.reason,
+                    slotId,
+                    amount: fromCents(betAmount),
+                    balance: fromCents(refund.balance)
+                });
+            });
+
+            this.io.emit('round_voided', {
+                gameId: data.gameId,
+                reason: data.reason,
+                multiplier: data.multiplier,
+                refundedBets: data.refunds.length,
+                totalRefunded: fromCents(totalRefunded),
+                serverSeed: data.serverSeed
+            });
+            this.playerManager.removeDetachedPlayers();
 
             this.broadcastLeaderboard();
         });
     }
     
-    isValidBet(amount) {
-        return typeof amount === 'number' && 
-               amount >= 1 && 
-               amount <= 1000000000 && 
-               Number.isFinite(amount);
+    // Desconexão: apostas feitas antes da decolagem são devolvidas; apostas em voo continuam na rodada
+    // (auto retirar ou perda no crash) e o jogador fica no manager, sem socket, até a liquidação
+    releasePlayer(playerId) {
+        const roundId = this.gameEngine.gameId;
+        const { refunds, openBets } = this.gameEngine.removePlayer(playerId);
+        const player = this.playerManager.getPlayer(playerId);
+
+        refunds.forEach(({ slotId, betAmount }) => {
+            this.playerManager.refundBet(playerId, betAmount, { roundId, reason: 'disconnected' });
+            console.log(`↩️ Refunded bet of disconnected player ${playerId} on slot ${slotId}: ${formatMoney(betAmount)}`);
+            this.io.emit('player_bet_cancelled', {
+                playerId,
+                playerName: player?.name || 'Anonymous',
+                slotId,
+                amount: fromCents(betAmount)
+            });
+        });
+
+        if (openBets > 0) {
+            this.playerManager.detachPlayer(playerId);
+        } else {
+            this.playerManager.removePlayer(playerId);
+        }
     }
-    
-    startServer() {
-        this.server.listen(this.port, () => {
-            console.log(`🚀 Crash Rocket Server running on port ${this.port}`);
-            console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`🌐 CORS origin: *`);
-            console.log(`🔗 Server URL: http://localhost:${this.port}`);
-            console.log(`💡 Health check: http://localhost:${this.port}/health`);
+
+    // A conta reabriu em outro socket: apostas da rodada (e da fila) passam para a nova sessão
+    transferOpenBets(fromId, toId) {
+        if (this.gameEngine.transferPlayer(fromId, toId) > 0) {
+            this.playerManager.transferOpenBets(fromId, toId);
+        }
+    }
+
+    // Debita a aposta (em centavos) via ledger e a registra na rodada atual
+    activateBet(playerId, amount, autoCashOut, slotId, { queued = false, options = {} } = {}) {
+        const player = this.playerManager.getPlayer(playerId);
+        if (!player || !player.accountId) {
+            return false;
+        }
+
+        // Apostas da fila também param se a conta foi suspensa depois de enfileirá-las
+        if (!isAllowed(player.status, 'bet')) {
+            this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+                success: false,
+                slotId,
+                queued,
+                error: 'Betting is blocked for this account'
+            });
+            return false;
+        }
+
+        // Limites reavaliados na ativação: apostas da fila podem ter ficado acima deles
+        const violation = this.checkBetLimits(player, amount);
+        if (violation) {
+            this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+                success: false,
+                slotId,
+                queued,
+                error: violation.error,
+                limit: violation
+            });
+            return false;
+        }
+        
+        if (player.balance < amount) {
+            this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+                success: false,
+                slotId,
+                queued,
+                error: 'Insufficient balance',
+                balance: fromCents(player.balance)
+            });
+            return false;
+        }
+        
+        const result = this.gameEngine.placeBet(playerId, amount, autoCashOut, slotId, options);
+        if (!result.success) {
+            this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+                success: false,
+                slotId,
+                queued,
+                error: result.error || 'Failed to place bet'
+            });
+            return false;
+        }
+        
+        // Debitar saldo via ledger e marcar jogando; sem o débito a aposta sai da rodada, senão uma
+        // retirada pagaria ganhos de uma aposta que nunca foi cobrada
+        const debited = this.playerManager.placeBet(playerId, amount, {
+            roundId: this.gameEngine.gameId,
+            autoCashOut
         });
+        if (!debited) {
+            this.gameEngine.cancelBet(playerId, slotId);
+            this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+                success: false,
+                slotId,
+                queued,
+                error: 'Failed to debit bet',
+                balance: fromCents(player.balance)
+            });
+            return false;
+        }
         
-        // Start game engine
-        this.gameEngine.start();
+        console.log(`💰 Player ${playerId} placed ${queued ? 'queued ' : ''}bet on slot ${slotId}: ${formatMoney(amount)}`);
         
-        // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log('🛑 SIGTERM received, shutting down gracefully');
-            this.gameEngine.stop();
-            this.server.close(() => {
-                console.log('✅ Server closed');
-                process.exit(0);
+        // Confirm bet to this player com saldo atualizado
+        this.playerManager.broadcastToPlayer(playerId, 'bet_placed', {
+            success: true,
+            slotId,
+            queued,
+            amount: fromCents(amount),
+            betAmount: fromCents(amount),
+            balance: fromCents(player.balance),
+            autoCashOut,
+            ...options
+        });
+        
+        // Notify other players
+        this.io.emit('player_bet', {
+            playerId,
+            playerName: player.name || 'Anonymous',
+            slotId,
+            amount: fromCents(amount)
+        });
+        
+        return true;
+    }
+    
+    // Primeiro limite de jogo responsável que a aposta violaria, ou null. `queued` soma a aposta às
+    // que já estão na fila da próxima rodada em vez das da rodada atual. Os valores da violação
+    // (limit, used, available) voltam em reais.
+    checkBetLimits(player, amount, { queued = false } = {}) {
+        const bets = queued ? this.gameEngine.getQueuedBets(player.id) : this.gameEngine.getPlayerBets(player.id);
+        const roundStake = bets.reduce((sum, slot) => sum + (queued ? slot.bet : slot.stake), 0);
+        const usage = { ...this.playerManager.getLimitUsage(player.id), roundStake };
+        const violation = checkBet(player.limits, amount, usage);
+        return violation && violation.used !== undefined
+            ? convertFields(violation, ['limit', 'used', 'available'], fromCents)
+            : violation;
+    }
+
+    // Lembrete periódico (reality check) com o tempo e o resultado da sessão, enviado entre rodadas
+    sendRealityChecks() {
+        const now = Date.now();
+        this.playerManager.getAllPlayers().forEach((player) => {
+            if (!player.accountId || !isRealityCheckDue({
+                limits: player.limits,
+                defaultMinutes: this.config.responsibleGaming.realityCheckMinutes,
+                lastCheckAt: player.lastRealityCheckAt
+            }, now)) {
+                return;
+            }
+
+            player.lastRealityCheckAt = now;
+            this.playerManager.broadcastToPlayer(player.id, 'reality_check', {
+                sessionMinutes: Math.floor((now - player.joinedAt) / 60000),
+                sessionBets: fromCents(player.sessionBets),
+                sessionResult: fromCents(this.ledger.getNetResult(player.accountId, player.joinedAt)),
+                limits: this.describePlayerLimits(player)
             });
         });
+    }
+
+    queueBet(socket, player, amount, autoCashOut, slotId, options = {}) {
+        if (player.balance < amount) {
+            socket.emit('bet_queued', { success: false, slotId, error: 'Insufficient balance', balance: fromCents(player.balance) });
+            return;
+        }
         
-        process.on('SIGINT', () => {
-            console.log('🛑 SIGINT received, shutting down gracefully');
-            this.gameEngine.stop();
-            this.server.close(() => {
+        const result = this.gameEngine.queueBet(socket.id, amount, autoCashOut, slotId, options);
+        if (!result.success) {
+            socket.emit('bet_queued', { success: false, slotId, error: result.error });
+            return;
+        }
+        
+        console.log(`🕒 Player ${socket.id} queued bet on slot ${slotId} for game ${result.gameId}: ${formatMoney(amount)}`);
+        
+        socket.emit('bet_queued', {
+            success: true,
+            slotId,
+            gameId: result.gameId,
+            amount: fromCents(amount),
+            autoCashOut,
+            ...options
+        });
+    }
+    
+    persistAllPlayers() {
+        this.playerManager.getAllPlayers().forEach(player => {
+            this.playerManager.persistPlayer(player.id);
+        });
+        this.storage.close();
+    }
+    
+    // null quando ausente, undefined quando inválido
+    parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const timestamp = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+        return Number.isFinite(timestamp) ? timestamp : undefined;
+    }
+    
+    // Retirada automática parcial: fração retirada no primeiro alvo e alvo opcional para o restante
+    parseBetOptions(data = {}) {
+        const options = {};
+        if (data.autoCashOutFraction !== undefined && data.autoCashOutFraction !== null) {
+            options.autoCashOutFraction = Number(data.autoCashOutFraction);
+        }
+        if (data.remainderAutoCashOut !== undefined && data.remainderAutoCashOut !== null) {
+            options.remainderAutoCashOut = Number(data.remainderAutoCashOut);
+        }
+        return options;
+    }
+    
+    isValidBet(amount) {
+        const { min, max } = this.config.bets;
+        return typeof amount === 'number' && 
+               amount >= min && 
+               amount <= max && 
+               Number.isFinite(amount);
+    }
+    
+    // Começa a escutar (se o http.Server for nosso) e inicia o game engine
+    start() {
+        if (this.isRunning) {
+            return Promise.resolve(this.getAddress());
+        }
+
+        const startEngine = () => {
+            this.warnAboutAdminAccess();
+            this.gameEngine.start();
+            this.isRunning = true;
+            return this.getAddress();
+        };
+
+        if (!this.ownsServer) {
+            return Promise.resolve(startEngine());
+        }
+
+        return new Promise((resolve, reject) => {
+            const onError = (error) => reject(error);
+            this.server.once('error', onError);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', onError);
+                const { port } = this.getAddress();
+                console.log(`🚀 Crash Rocket Server running on port ${port}`);
+                console.log(`📊 Environment: ${this.config.server.nodeEnv}`);
+                console.log(`🌐 CORS origin: ${this.config.server.corsOrigin.join(', ')}`);
+                console.log(`🔗 Server URL: http://localhost:${port}`);
+                console.log(`💡 Health check: http://localhost:${port}/health`);
+                resolve(startEngine());
+            });
+        });
+    }
+
+    // Anula a rodada em andamento, persiste os jogadores e fecha os sockets (e o http.Server, se for nosso)
+    stop({ reason = 'server_shutdown' } = {}) {
+        if (!this.isRunning) {
+            return Promise.resolve();
+        }
+        this.isRunning = false;
+
+        this.gameEngine.voidRound(reason, { scheduleNext: false });
+        this.gameEngine.stop();
+        this.persistAllPlayers();
+
+        if (!this.ownsServer) {
+            this.io.disconnectSockets(true);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            this.io.close(() => {
                 console.log('✅ Server closed');
-                process.exit(0);
+                resolve();
             });
         });
+    }
+
+    getAddress() {
+        const address = this.server.address();
+        const port = address && typeof address === 'object' ? address.port : Number(this.port);
+        return {
+            port,
+            host: this.host || 'localhost',
+            url: `http://${this.host || 'localhost'}:${port}`
+        };
+    }
+
+    // Hooks globais do processo: só a entrada de linha de comando os instala
+    installProcessHooks() {
+        const shutdown = (signal) => {
+            console.log(`🛑 ${signal} received, shutting down gracefully`);
+            this.stop()
+                .then(() => process.exit(0))
+                .catch((error) => {
+                    console.error('💥 Failed to shut down cleanly:', error);
+                    process.exit(1);
+                });
+        };
+
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
         
         // Error handling
         process.on('uncaughtException', (error) => {
             console.error('💥 Uncaught exception:', error);
+            try {
+                this.gameEngine.voidRound('internal_error', { scheduleNext: false });
+                this.persistAllPlayers();
+            } catch (shutdownError) {
+                console.error('💥 Failed to void round during crash shutdown:', shutdownError);
+            }
             process.exit(1);
         });
         
@@ -509,5 +1973,26 @@ class CrashRocketServer {
     }
 }
 
-// Start server
-new CrashRocketServer();
+function createServer(options = {}) {
+    return new CrashRocketServer(options);
+}
+
+module.exports = createServer;
+module.exports.createServer = createServer;
+module.exports.CrashRocketServer = CrashRocketServer;
+
+// Start server (somente quando executado como `node server.js`)
+if (require.main === module) {
+    let crashServer;
+    try {
+        crashServer = createServer();
+    } catch (error) {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    }
+    crashServer.installProcessHooks();
+    crashServer.start().catch((error) => {
+        console.error('💥 Failed to start server:', error);
+        process.exit(1);
+    });
+}
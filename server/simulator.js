@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+// Simulador Monte Carlo offline: roda o GameEngine real com um VirtualClock (sem esperar timers)
+// e apostadores sintéticos com estratégias de auto retirada, para avaliar mudanças na curva,
+// na distribuição do crash ou na taxa de crescimento antes de colocá-las no ar.
+
+const fs = require('fs');
+const GameEngine = require('./game-logic');
+const { VirtualClock } = require('./clock');
+const { createSeededRandom } = require('./random');
+const { createCrashDistribution, roundRatio } = require('./crash-distribution');
+const { toCents, fromCents } = require('./money');
+
+const { GAME_STATES } = GameEngine;
+
+const DEFAULT_STRATEGIES = [
+    { name: 'cashout-1.5x', bet: 10, autoCashOut: 1.5 },
+    { name: 'cashout-2x', bet: 10, autoCashOut: 2 },
+    { name: 'cashout-10x', bet: 10, autoCashOut: 10 },
+    { name: 'half-1.5x-rest-3x', bet: 10, autoCashOut: 1.5, autoCashOutFraction: 0.5, remainderAutoCashOut: 3 }
+];
+
+// Faixas do histograma de crash points: [de, até)
+const CRASH_BUCKETS = [1, 1.01, 1.5, 2, 3, 5, 10, 20, 50, 100, Infinity];
+const PERCENTILES = [0.1, 0.25, 0.5, 0.75, 0.9, 0.99];
+
+// Modo silencioso: descarta os logs de cada rodada, mas erros do engine continuam no stderr
+const QUIET_LOGGER = {
+    log: () => {},
+    error: (...args) => console.error(...args)
+};
+
+// Média e variância incrementais (Welford) do retorno por aposta (pagamento / aposta)
+function createAccumulator() {
+    return { count: 0, mean: 0, m2: 0 };
+}
+
+function accumulate(acc, value) {
+    acc.count++;
+    const delta = value - acc.mean;
+    acc.mean += delta / acc.count;
+    acc.m2 += delta * (value - acc.mean);
+}
+
+function variance(acc) {
+    return acc.count > 1 ? acc.m2 / (acc.count - 1) : 0;
+}
+
+function createEngine(options) {
+    const engine = new GameEngine(null, {
+        clock: new VirtualClock(),
+        random: options.seed !== undefined ? createSeededRandom(options.seed) : undefined,
+        logger: options.quiet !== false ? QUIET_LOGGER : console
+    });
+
+    if (options.growthRate !== undefined) {
+        engine.growth.rate = options.growthRate;
+    }
+    if (options.updateInterval !== undefined) {
+        engine.config.updateInterval = options.updateInterval;
+    }
+
+    const crashOptions = options.crash || {};
+    if (Object.keys(crashOptions).length > 0) {
+        engine.crashDistribution = createCrashDistribution({
+            ...engine.crashDistribution.describe(),
+            maxMultiplier: engine.growth.capMultiplier,
+            ...crashOptions
+        });
+        engine.fairness.distribution = engine.crashDistribution;
+    }
+
+    return engine;
+}
+
+function normalizeStrategies(strategies) {
+    return strategies.map((strategy, index) => {
+        const bet = Number(strategy.bet ?? 10);
+        const bettors = Math.max(1, Math.floor(Number(strategy.bettors ?? 1)));
+        if (!Number.isFinite(bet) || bet <= 0) {
+            throw new Error(`Strategy ${index}: bet must be a positive number`);
+        }
+
+        return {
+            name: strategy.name || `strategy-${index + 1}`,
+            bet,
+            bettors,
+            autoCashOut: strategy.autoCashOut ?? null,
+            options: {
+                ...(strategy.autoCashOutFraction !== undefined ? { autoCashOutFraction: strategy.autoCashOutFraction } : {}),
+                ...(strategy.remainderAutoCashOut !== undefined ? { remainderAutoCashOut: strategy.remainderAutoCashOut } : {})
+            }
+        };
+    });
+}
+
+// Roda `rounds` rodadas e devolve o relatório. Com `quiet` os logs do engine são suprimidos.
+function runSimulation(options = {}) {
+    const rounds = Math.max(1, Math.floor(Number(options.rounds) || 10000));
+    const strategies = normalizeStrategies(options.strategies || DEFAULT_STRATEGIES);
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const engine = createEngine(options);
+
+    const validationErrors = strategies
+        .map(strategy => {
+            const error = engine.validateAutoCashOut(strategy.autoCashOut, strategy.options);
+            return error ? `${strategy.name}: ${error}` : null;
+        })
+        .filter(Boolean);
+    if (validationErrors.length > 0) {
+        throw new Error(`Invalid strategies:\n${validationErrors.join('\n')}`);
+    }
+
+    // Apostadores sintéticos: playerId -> estratégia
+    const bettors = new Map();
+    strategies.forEach((strategy, strategyIndex) => {
+        for (let i = 0; i < strategy.bettors; i++) {
+            bettors.set(`sim-${strategyIndex}-${i}`, strategy);
+        }
+    });
+
+    const results = new Map(strategies.map(strategy => [strategy.name, {
+        bets: 0,
+        wins: 0,
+        wagered: 0, // em centavos
+        paidOut: 0,
+        returns: createAccumulator()
+    }]));
+
+    const crash = {
+        buckets: new Array(CRASH_BUCKETS.length - 1).fill(0),
+        cents: new Map(), // crash point em centavos -> ocorrências (para percentis exatos)
+        sum: 0,
+        max: 0,
+        ticks: 0
+    };
+    let completedRounds = 0;
+    let voidedRounds = 0;
+    const houseRounds = createAccumulator(); // lucro da casa por rodada, em centavos
+
+    engine.on('game_state_changed', (state) => {
+        if (state.state === GAME_STATES.WAITING) {
+            for (const [playerId, strategy] of bettors) {
+                engine.placeBet(playerId, toCents(strategy.bet), strategy.autoCashOut, 0, strategy.options);
+            }
+        } else if (state.state === GAME_STATES.FLYING) {
+            crash.ticks++;
+        }
+    });
+
+    engine.on('round_settled', ({ finalMultiplier, participants }) => {
+        let roundProfit = 0;
+        participants.forEach(participant => {
+            const strategy = bettors.get(participant.playerId);
+            const result = results.get(strategy.name);
+            const payout = participant.legs.reduce((sum, leg) => sum + leg.winAmount, 0);
+
+            result.bets++;
+            result.wagered += participant.betAmount;
+            result.paidOut += payout;
+            if (payout > participant.betAmount) result.wins++;
+            accumulate(result.returns, payout / participant.betAmount);
+            roundProfit += participant.betAmount - payout;
+        });
+
+        const bucket = CRASH_BUCKETS.findIndex((limit, i) => finalMultiplier >= limit && finalMultiplier < CRASH_BUCKETS[i + 1]);
+        crash.buckets[bucket]++;
+        const cents = Math.round(finalMultiplier * 100);
+        crash.cents.set(cents, (crash.cents.get(cents) || 0) + 1);
+        crash.sum += finalMultiplier;
+        crash.max = Math.max(crash.max, finalMultiplier);
+
+        accumulate(houseRounds, roundProfit);
+        completedRounds++;
+
+        if (onProgress && completedRounds < rounds && completedRounds % 10000 === 0) {
+            onProgress(completedRounds, rounds);
+        }
+    });
+
+    engine.on('round_voided', () => {
+        voidedRounds++;
+    });
+
+    const startedAt = Date.now();
+    try {
+        engine.start();
+        while (completedRounds < rounds && engine.clock.runNext()) {
+            // O VirtualClock salta direto para o próximo timer do engine
+        }
+    } finally {
+        engine.stop();
+    }
+
+    return buildReport({
+        engine,
+        strategies,
+        results,
+        crash,
+        completedRounds,
+        voidedRounds,
+        houseRounds,
+        durationMs: Date.now() - startedAt
+    });
+}
+
+function percentile(cents, total, fraction) {
+    const target = Math.ceil(total * fraction);
+    let seen = 0;
+    for (const [value, count] of Array.from(cents).sort((a, b) => a[0] - b[0])) {
+        seen += count;
+        if (seen >= target) {
+            return value / 100;
+        }
+    }
+    return null;
+}
+
+function buildReport({ engine, strategies, results, crash, completedRounds, voidedRounds, houseRounds, durationMs }) {
+    const distribution = engine.crashDistribution;
+
+    const strategyReports = strategies.map(strategy => {
+        const result = results.get(strategy.name);
+        const stdDev = Math.sqrt(variance(result.returns));
+        return {
+            name: strategy.name,
+            bet: strategy.bet,
+            bettors: strategy.bettors,
+            autoCashOut: strategy.autoCashOut,
+            ...strategy.options,
+            bets: result.bets,
+            winRate: roundRatio(result.bets > 0 ? result.wins / result.bets : 0),
+            wagered: fromCents(result.wagered),
+            paidOut: fromCents(result.paidOut),
+            playerProfit: fromCents(result.paidOut - result.wagered),
+            rtp: roundRatio(result.wagered > 0 ? result.paidOut / result.wagered : 0),
+            theoreticalRtp: strategy.autoCashOut ? roundRatio(theoreticalRtp(distribution, strategy)) : null,
+            returnVariance: roundRatio(variance(result.returns)),
+            returnStdDev: roundRatio(stdDev),
+            rtpStdError: roundRatio(result.bets > 0 ? stdDev / Math.sqrt(result.bets) : 0)
+        };
+    });
+
+    // Totais em centavos
+    const wagered = Array.from(results.values()).reduce((sum, result) => sum + result.wagered, 0);
+    const paidOut = Array.from(results.values()).reduce((sum, result) => sum + result.paidOut, 0);
+    const crashRounds = crash.buckets.reduce((sum, count) => sum + count, 0);
+
+    return {
+        rounds: completedRounds,
+        voidedRounds,
+        durationMs,
+        engine: {
+            growthRate: engine.growth.rate,
+            capMultiplier: engine.growth.capMultiplier,
+            updateInterval: engine.config.updateInterval,
+            distribution: distribution.describe()
+        },
+        crashPoints: {
+            mean: roundRatio(crashRounds > 0 ? crash.sum / crashRounds : 0),
+            max: crash.max,
+            instantCrashRate: roundRatio(crashRounds > 0 ? crash.buckets[0] / crashRounds : 0),
+            averageTicks: roundRatio(crashRounds > 0 ? crash.ticks / crashRounds : 0),
+            percentiles: Object.fromEntries(PERCENTILES.map(fraction => [
+                `p${Math.round(fraction * 100)}`,
+                percentile(crash.cents, crashRounds, fraction)
+            ])),
+            histogram: crash.buckets.map((count, i) => ({
+                from: CRASH_BUCKETS[i],
+                to: Number.isFinite(CRASH_BUCKETS[i + 1]) ? CRASH_BUCKETS[i + 1] : null,
+                count,
+                share: roundRatio(crashRounds > 0 ? count / crashRounds : 0)
+            }))
+        },
+        house: {
+            wagered: fromCents(wagered),
+            paidOut: fromCents(paidOut),
+            profit: fromCents(wagered - paidOut),
+            edge: roundRatio(wagered > 0 ? (wagered - paidOut) / wagered : 0),
+            profitPerRoundStdDev: fromCents(Math.round(Math.sqrt(variance(houseRounds))))
+        },
+        strategies: strategyReports
+    };
+}
+
+// RTP esperado de uma estratégia pela curva de sobrevivência do modelo (retirada parcial inclusa)
+function theoreticalRtp(distribution, strategy) {
+    const fraction = strategy.options.autoCashOutFraction ?? 1;
+    const first = fraction * strategy.autoCashOut * distribution.survival(strategy.autoCashOut);
+    const remainderTarget = strategy.options.remainderAutoCashOut;
+    if (fraction >= 1 || !remainderTarget) {
+        return first;
+    }
+
+    const reachTarget = Math.max(strategy.autoCashOut, remainderTarget);
+    return first + (1 - fraction) * remainderTarget * distribution.survival(reachTarget);
+}
+
+function toCsv(report) {
+    const columns = ['name', 'bet', 'bettors', 'autoCashOut', 'autoCashOutFraction', 'remainderAutoCashOut',
+        'bets', 'winRate', 'wagered', 'paidOut', 'playerProfit', 'rtp', 'theoreticalRtp',
+        'returnVariance', 'returnStdDev', 'rtpStdError'];
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.join(','),
+        ...report.strategies.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const [key, inlineValue] = arg.slice(2).split('=');
+        if (inlineValue !== undefined) {
+            args[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+    return args;
+}
+
+function printUsage() {
+    console.log(`Uso: node simulator.js [opções]
+
+  --rounds N               Rodadas a simular (padrão 10000)
+  --strategies arquivo     JSON com [{ name, bet, bettors, autoCashOut, autoCashOutFraction, remainderAutoCashOut }]
+  --growth-rate R          Sobrescreve growth.rate
+  --update-interval MS     Sobrescreve o intervalo do loop (ticks)
+  --house-edge E           House edge do modelo de crash
+  --instant-crash P        Probabilidade de crash instantâneo
+  --max-multiplier M       Crash point máximo
+  --seed S                 Semente para repetir exatamente as mesmas rodadas
+  --format json|csv        Formato do relatório (padrão json)
+  --out arquivo            Grava o relatório em arquivo em vez do stdout`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help !== undefined) {
+        printUsage();
+        return;
+    }
+
+    const number = (value) => (value === undefined ? undefined : Number(value));
+    const crash = {};
+    if (args['house-edge'] !== undefined) crash.houseEdge = number(args['house-edge']);
+    if (args['instant-crash'] !== undefined) crash.instantCrash = number(args['instant-crash']);
+    if (args['max-multiplier'] !== undefined) crash.maxMultiplier = number(args['max-multiplier']);
+
+    const report = runSimulation({
+        rounds: number(args.rounds),
+        strategies: args.strategies ? JSON.parse(fs.readFileSync(args.strategies, 'utf8')) : undefined,
+        growthRate: number(args['growth-rate']),
+        updateInterval: number(args['update-interval']),
+        seed: args.seed,
+        crash,
+        onProgress: (done, total) => process.stderr.write(`\r⏳ ${done}/${total} rodadas`)
+    });
+    process.stderr.write('\n');
+
+    const output = args.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+        console.error(`📄 Relatório gravado em ${args.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    runSimulation,
+    toCsv,
+    DEFAULT_STRATEGIES
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+// Camada de persistência plugável. Cada driver expõe coleções chave/valor
+// (get/set/delete/getAll) e logs somente-anexação (append/readLog).
+class MemoryStorage {
+    constructor() {
+        this.collections = new Map(); // collection -> Map(key -> value)
+        this.logs = new Map(); // collection -> array of records
+    }
+
+    getCollection(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, this.loadCollection(collection));
+        }
+        return this.collections.get(collection);
+    }
+
+    getLogCollection(collection) {
+        if (!this.logs.has(collection)) {
+            this.logs.set(collection, this.loadLog(collection));
+        }
+        return this.logs.get(collection);
+    }
+
+    loadCollection() {
+        return new Map();
+    }
+
+    loadLog() {
+        return [];
+    }
+
+    get(collection, key) {
+        const value = this.getCollection(collection).get(key);
+        return value === undefined ? null : value;
+    }
+
+    getAll(collection) {
+        return Array.from(this.getCollection(collection).values());
+    }
+
+    set(collection, key, value) {
+        this.getCollection(collection).set(key, value);
+        return value;
+    }
+
+    delete(collection, key) {
+        return this.getCollection(collection).delete(key);
+    }
+
+    append(collection, record) {
+        this.getLogCollection(collection).push(record);
+        return record;
+    }
+
+    readLog(collection) {
+        return this.getLogCollection(collection).slice();
+    }
+
+    flush() {}
+
+    close() {
+        this.flush();
+    }
+}
+
+// Persiste cada coleção em <dir>/<collection>.json e cada log em <dir>/<collection>.jsonl.
+// Funciona offline e sem dependências nativas.
+class FileStorage extends MemoryStorage {
+    constructor(options = {}) {
+        super();
+        this.directory = path.resolve(options.directory || path.join(__dirname, 'data'));
+        this.flushDelay = typeof options.flushDelay === 'number' ? options.flushDelay : 500;
+        this.dirtyCollections = new Set();
+        this.flushTimeout = null;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    collectionPath(collection) {
+        return path.join(this.directory, `${collection}.json`);
+    }
+
+    logPath(collection) {
+        return path.join(this.directory, `${collection}.jsonl`);
+    }
+
+    loadCollection(collection) {
+        const filePath = this.collectionPath(collection);
+        if (!fs.existsSync(filePath)) {
+            return new Map();
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return new Map(Object.entries(data));
+        } catch (error) {
+            console.error(`💾 Failed to load collection ${collection}:`, error);
+            return new Map();
+        }
+    }
+
+    loadLog(collection) {
+        const filePath = this.logPath(collection);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    console.error(`💾 Skipping corrupted record in ${collection}:`, error.message);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    set(collection, key, value) {
+        super.set(collection, key, value);
+        this.markDirty(collection);
+        return value;
+    }
+
+    delete(collection, key) {
+        const deleted = super.delete(collection, key);
+        if (deleted) {
+            this.markDirty(collection);
+        }
+        return deleted;
+    }
+
+    // Logs ficam só no disco: os stores leem o log uma vez na carga e mantêm os próprios índices,
+    // então uma cópia em memória aqui cresceria sem limite
+    append(collection, record) {
+        fs.appendFileSync(this.logPath(collection), `${JSON.stringify(record)}\n`);
+        return record;
+    }
+
+    readLog(collection) {
+        return this.loadLog(collection);
+    }
+
+    markDirty(collection) {
+        this.dirtyCollections.add(collection);
+
+        if (this.flushTimeout) {
+            return;
+        }
+
+        this.flushTimeout = setTimeout(() => {
+            this.flushTimeout = null;
+            this.flush();
+        }, this.flushDelay);
+
+        if (typeof this.flushTimeout.unref === 'function') {
+            this.flushTimeout.unref();
+        }
+    }
+
+    flush() {
+        if (this.flushTimeout) {
+            clearTimeout(this.flushTimeout);
+            this.flushTimeout = null;
+        }
+
+        for (const collection of this.dirtyCollections) {
+            const filePath = this.collectionPath(collection);
+            const tempPath = `${filePath}.tmp`;
+            const data = Object.fromEntries(this.getCollection(collection));
+
+            try {
+                fs.writeFileSync(tempPath, JSON.stringify(data));
+                fs.renameSync(tempPath, filePath);
+            } catch (error) {
+                console.error(`💾 Failed to flush collection ${collection}:`, error);
+            }
+        }
+
+        this.dirtyCollections.clear();
+    }
+}
+
+function createStorage(options = {}) {
+    const driver = options.driver || 'file';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'file':
+            return new FileStorage({
+                directory: options.directory,
+                flushDelay: options.flushDelay
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    MemoryStorage,
+    FileStorage,
+    createStorage
+};
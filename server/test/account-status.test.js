@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ACCOUNT_STATES,
+    resolveStatus,
+    isAllowed,
+    validateStatusChange,
+    createStatus,
+    describeStatus
+} = require('../account-status');
+
+const NOW = 1700000000000;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('account status', () => {
+    it('treats missing, unknown and expired states as active', () => {
+        assert.equal(resolveStatus(null, NOW).state, ACCOUNT_STATES.ACTIVE);
+        assert.equal(resolveStatus({ state: 'frozen' }, NOW).state, ACCOUNT_STATES.ACTIVE);
+        assert.equal(resolveStatus({ state: ACCOUNT_STATES.SUSPENDED, until: NOW }, NOW).state, ACCOUNT_STATES.ACTIVE);
+        assert.equal(resolveStatus({ state: ACCOUNT_STATES.SUSPENDED, until: NOW + 1 }, NOW).state, ACCOUNT_STATES.SUSPENDED);
+        assert.equal(resolveStatus({ state: ACCOUNT_STATES.BANNED, until: null }, NOW).state, ACCOUNT_STATES.BANNED);
+    });
+
+    it('blocks renaming, betting and joining according to the state', () => {
+        const allowed = state => ['join', 'bet', 'rename'].map(action => isAllowed({ state, until: null }, action, NOW));
+
+        assert.deepEqual(allowed(ACCOUNT_STATES.MUTED), [true, true, false]);
+        assert.deepEqual(allowed(ACCOUNT_STATES.SUSPENDED), [true, false, false]);
+        assert.deepEqual(allowed(ACCOUNT_STATES.BANNED), [false, false, false]);
+        assert.deepEqual(allowed(ACCOUNT_STATES.SELF_EXCLUDED), [false, false, false]);
+        assert.equal(isAllowed(null, 'bet', NOW), true);
+    });
+
+    it('validates state changes', () => {
+        assert.equal(validateStatusChange({ state: ACCOUNT_STATES.BANNED }, NOW), null);
+        assert.equal(validateStatusChange({ state: ACCOUNT_STATES.SELF_EXCLUDED, until: NOW + DAY }, NOW), null);
+        assert.match(validateStatusChange({ state: 'frozen' }, NOW), /State must be one of/);
+        assert.match(validateStatusChange({ state: ACCOUNT_STATES.MUTED, until: NOW - 1 }, NOW), /future timestamp/);
+        assert.match(validateStatusChange({ state: ACCOUNT_STATES.MUTED, until: NaN }, NOW), /future timestamp/);
+        assert.match(validateStatusChange({ state: ACCOUNT_STATES.ACTIVE, until: NOW + DAY }, NOW), /no end date/);
+        assert.match(validateStatusChange({ state: ACCOUNT_STATES.SELF_EXCLUDED }, NOW), /needs an end date/);
+        assert.match(validateStatusChange({ state: ACCOUNT_STATES.SELF_EXCLUDED, until: NOW + 6 * 365 * DAY }, NOW), /cannot exceed/);
+    });
+
+    it('stores active as null and describes a status without internal fields', () => {
+        assert.equal(createStatus({ state: ACCOUNT_STATES.ACTIVE }, NOW), null);
+
+        const status = createStatus({ state: ACCOUNT_STATES.SUSPENDED, until: NOW + DAY, reason: 'chargeback', by: 'ana' }, NOW);
+        assert.deepEqual(status, { state: 'suspended', reason: 'chargeback', until: NOW + DAY, since: NOW, by: 'ana' });
+        assert.deepEqual(describeStatus(status, NOW), {
+            state: 'suspended',
+            reason: 'chargeback',
+            until: NOW + DAY,
+            canBet: false,
+            canRename: false
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdminAuditLog = require('../admin-audit');
+const { AUDIT_ACTIONS } = require('../admin-audit');
+const { MemoryStorage } = require('../storage');
+
+describe('AdminAuditLog', () => {
+    it('appends frozen entries and reloads them from the storage', () => {
+        const storage = new MemoryStorage();
+        const log = new AdminAuditLog(storage);
+        const entry = log.record({ action: AUDIT_ACTIONS.FORCE_CRASH, actor: 'ana', target: 'round:3', after: { crashMultiplier: 2.5 } });
+
+        assert.equal(entry.id, 1);
+        assert.ok(Object.isFrozen(entry));
+        assert.throws(() => log.record({ actor: 'ana' }), /requires an action/);
+
+        mock.method(console, 'log', () => {});
+        const reloaded = new AdminAuditLog(storage);
+        mock.restoreAll();
+        assert.deepEqual(reloaded.query(), [entry]);
+        assert.equal(reloaded.record({ action: AUDIT_ACTIONS.BOTS_STOP }).id, 2);
+    });
+
+    it('filters by action, actor, target and time, most recent first', (t) => {
+        const now = t.mock.method(Date, 'now', () => 1000);
+        const log = new AdminAuditLog(new MemoryStorage());
+        log.record({ action: AUDIT_ACTIONS.FORCE_CRASH, actor: 'ana', target: 'round:1' });
+        now.mock.mockImplementation(() => 2000);
+        log.record({ action: AUDIT_ACTIONS.BOTS_START, actor: 'bia', target: 'bots' });
+        now.mock.mockImplementation(() => 3000);
+        log.record({ action: AUDIT_ACTIONS.FORCE_CRASH, actor: 'bia', target: 'round:2' });
+
+        const ids = filters => log.query(filters).map(entry => entry.id);
+        assert.deepEqual(ids(), [3, 2, 1]);
+        assert.deepEqual(ids({ action: AUDIT_ACTIONS.FORCE_CRASH }), [3, 1]);
+        assert.deepEqual(ids({ action: [AUDIT_ACTIONS.BOTS_START, AUDIT_ACTIONS.FORCE_CRASH], actor: 'bia' }), [3, 2]);
+        assert.deepEqual(ids({ target: 'round:1' }), [1]);
+        assert.deepEqual(ids({ since: 2000, until: 2999 }), [2]);
+        assert.deepEqual(ids({ limit: 1 }), [3]);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdminAuth = require('../admin-auth');
+const { hashPassword, verifyPassword, hasRole, validateAdminUsers } = require('../admin-auth');
+const { MemoryStorage } = require('../storage');
+const { VirtualClock } = require('../clock');
+
+const SECRET = 's'.repeat(32);
+
+describe('password hashes', () => {
+    it('verifies the right password and rejects the wrong one', async () => {
+        const hash = await hashPassword('correct horse');
+
+        assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+        assert.equal(await verifyPassword('correct horse', hash), true);
+        assert.equal(await verifyPassword('wrong horse', hash), false);
+        assert.equal(await verifyPassword('correct horse', 'plain-text'), false);
+        await assert.rejects(() => hashPassword('short'), /at least 8 characters/);
+    });
+});
+
+describe('AdminAuth', () => {
+    let users;
+
+    before(async () => {
+        users = [
+            { username: 'ana', passwordHash: await hashPassword('ana-password'), role: 'operator' },
+            { username: 'bia', passwordHash: await hashPassword('bia-password'), role: 'viewer' }
+        ];
+    });
+
+    const createAuth = (options = {}) => new AdminAuth({
+        users,
+        sessionSecret: SECRET,
+        sessionTtl: 60000,
+        storage: new MemoryStorage(),
+        clock: new VirtualClock(),
+        ...options
+    });
+
+    it('issues a token that verifies until it expires', async () => {
+        const auth = createAuth();
+        const { token, session } = await auth.login('ana', 'ana-password');
+
+        assert.equal(session.role, 'operator');
+        assert.equal(session.expiresAt, auth.clock.now() + 60000);
+        assert.equal(auth.verify(token).username, 'ana');
+
+        auth.clock.advance(60000);
+        assert.equal(auth.verify(token), null);
+    });
+
+    it('rejects wrong credentials, unknown users and tampered tokens', async () => {
+        const auth = createAuth();
+        assert.equal(await auth.login('ana', 'bia-password'), null);
+        assert.equal(await auth.login('carla', 'ana-password'), null);
+
+        const { token } = await auth.login('bia', 'bia-password');
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'ana' })).toString('base64url');
+
+        assert.equal(auth.verify(`${forged}.${signature}`), null);
+        assert.equal(createAuth({ sessionSecret: 't'.repeat(32) }).verify(token), null);
+        assert.equal(auth.verify('garbage'), null);
+    });
+
+    it('revokes a single session or every session of a user', async () => {
+        const storage = new MemoryStorage();
+        const auth = createAuth({ storage });
+        const first = await auth.login('ana', 'ana-password');
+        const second = await auth.login('ana', 'ana-password');
+
+        auth.revoke(auth.verify(first.token));
+        assert.equal(auth.verify(first.token), null);
+        assert.notEqual(auth.verify(second.token), null);
+
+        auth.revokeUser('ana');
+        assert.equal(auth.verify(second.token), null);
+
+        // Revogações valem após reiniciar, desde que o storage seja o mesmo
+        auth.clock.advance(1);
+        const third = await auth.login('ana', 'ana-password');
+        const restarted = createAuth({ storage, clock: auth.clock });
+        assert.equal(restarted.verify(second.token), null);
+        assert.equal(restarted.verify(third.token).username, 'ana');
+    });
+
+    it('takes the role from the current users and drops removed users', async () => {
+        const { token } = await createAuth().login('ana', 'ana-password');
+        const demoted = createAuth({ users: [{ ...users[0], role: 'viewer' }] });
+        const removed = createAuth({ users: [users[1]] });
+
+        assert.equal(demoted.verify(token).role, 'viewer');
+        assert.equal(removed.verify(token), null);
+    });
+});
+
+describe('roles and user validation', () => {
+    it('orders the roles viewer < operator < superadmin', () => {
+        assert.equal(hasRole('superadmin', 'operator'), true);
+        assert.equal(hasRole('operator', 'operator'), true);
+        assert.equal(hasRole('viewer', 'operator'), false);
+        assert.equal(hasRole(undefined, 'viewer'), false);
+    });
+
+    it('explains what is wrong with the configured users', async () => {
+        const passwordHash = await hashPassword('some-password');
+
+        assert.equal(validateAdminUsers([{ username: 'ana', passwordHash, role: 'viewer' }]), null);
+        assert.match(validateAdminUsers({}), /JSON list/);
+        assert.match(validateAdminUsers([{ username: 'ana', passwordHash: 'secret', role: 'viewer' }]), /scrypt passwordHash/);
+        assert.match(validateAdminUsers([{ username: 'ana', passwordHash, role: 'root' }]), /needs a role/);
+        assert.match(
+            validateAdminUsers([{ username: 'ana', passwordHash, role: 'viewer' }, { username: 'ana', passwordHash, role: 'viewer' }]),
+            /more than once/
+        );
+    });
+});
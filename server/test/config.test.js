@@ -0,0 +1,200 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, describeConfig, updateConfig, ConfigError, SOURCES } = require('../config');
+
+describe('loadConfig', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crash-rocket-config-'));
+
+    const writeConfigFile = (values) => {
+        const file = path.join(tempDir, `config-${Date.now()}-${Math.random()}.json`);
+        fs.writeFileSync(file, JSON.stringify(values));
+        return file;
+    };
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('uses the defaults when nothing is configured', () => {
+        const config = loadConfig({ env: {} });
+
+        assert.equal(config.server.port, 3001);
+        assert.deepEqual(config.server.corsOrigin, ['*']);
+        assert.deepEqual(config.game.waitTime, { min: 3000, max: 7000 });
+        assert.equal(config.growth.rate, 0.2);
+        assert.equal(config.crash.maxMultiplier, null);
+        assert.deepEqual(config.bets, { min: 1, max: 1000000000 });
+        assert.equal(config.players.startingBalance, 1000);
+    });
+
+    it('applies file < env < overrides and parses env strings', () => {
+        const file = writeConfigFile({ game: { countdownTime: 5000, historySize: 30 }, players: { startingBalance: 500 } });
+        const config = loadConfig({
+            file,
+            env: { GAME_COUNTDOWN_TIME: '4000', CORS_ORIGIN: 'https://a.example, https://b.example' },
+            overrides: { players: { startingBalance: 250 } }
+        });
+
+        assert.equal(config.game.countdownTime, 4000);
+        assert.equal(config.game.historySize, 30);
+        assert.equal(config.players.startingBalance, 250);
+        assert.deepEqual(config.server.corsOrigin, ['https://a.example', 'https://b.example']);
+
+        const sources = Object.fromEntries(describeConfig(config).options.map(option => [option.path, option.source]));
+        assert.equal(sources['game.countdownTime'], SOURCES.ENV);
+        assert.equal(sources['game.historySize'], SOURCES.FILE);
+        assert.equal(sources['players.startingBalance'], SOURCES.OVERRIDE);
+        assert.equal(sources['growth.rate'], SOURCES.DEFAULT);
+    });
+
+    it('reads CONFIG_FILE from the environment', () => {
+        const file = writeConfigFile({ growth: { rate: 0.3 } });
+        assert.equal(loadConfig({ env: { CONFIG_FILE: file } }).growth.rate, 0.3);
+    });
+
+    it('reports every invalid value at once', () => {
+        assert.throws(
+            () => loadConfig({ env: { PORT: 'abc', GAME_COUNTDOWN_TIME: '-1', CRASH_MODEL: 'nope', STORAGE_DRIVER: 'redis' } }),
+            (error) => {
+                assert.ok(error instanceof ConfigError);
+                assert.equal(error.problems.length, 4);
+                assert.match(error.message, /server\.port \(PORT\) must be an integer/);
+                assert.match(error.message, /game\.countdownTime \(GAME_COUNTDOWN_TIME\) must be >= 0/);
+                assert.match(error.message, /crash\.model \(CRASH_MODEL\) must be one of: inverse/);
+                assert.match(error.message, /storage\.driver \(STORAGE_DRIVER\) must be one of: file, memory/);
+                return true;
+            }
+        );
+    });
+
+    it('rejects unknown keys and inconsistent combinations', () => {
+        const file = writeConfigFile({ game: { countdown: 10 } });
+        assert.throws(() => loadConfig({ file, env: {} }), /Unknown option "game\.countdown"/);
+
+        assert.throws(
+            () => loadConfig({ env: { GAME_MIN_WAIT_TIME: '8000', BET_MIN: '10', BET_MAX: '5' } }),
+            (error) => {
+                assert.deepEqual(error.problems, [
+                    'game.waitTime.min must not exceed game.waitTime.max',
+                    'bets.min must not exceed bets.max'
+                ]);
+                return true;
+            }
+        );
+
+        assert.throws(
+            () => loadConfig({ env: { CRASH_MAX_MULTIPLIER: '500' } }),
+            /crash\.maxMultiplier cannot exceed the growth cap \(250x\)/
+        );
+    });
+
+    it('rejects a max game time that ends rounds before the crash cap', () => {
+        assert.throws(
+            () => loadConfig({ env: { GROWTH_RATE: '0.01' } }),
+            /game\.maxGameTime is too short for growth\.rate 0\.01/
+        );
+        assert.throws(
+            () => loadConfig({ env: { GAME_MAX_TIME: '10000' } }),
+            /below the crash cap \(250x\)/
+        );
+        assert.doesNotThrow(() => loadConfig({ env: { GROWTH_RATE: '0.01', CRASH_MAX_MULTIPLIER: '2' } }));
+        assert.throws(() => updateConfig(loadConfig({ env: {} }), { 'growth.rate': 0.05 }), /game\.maxGameTime is too short/);
+    });
+
+    it('parses and validates the admin users from ADMIN_USERS', () => {
+        const passwordHash = `scrypt$16384$8$1$${'a'.repeat(24)}$${'b'.repeat(88)}`;
+        const users = [{ username: 'ana', passwordHash, role: 'operator' }];
+
+        assert.deepEqual(loadConfig({ env: { ADMIN_USERS: JSON.stringify(users) } }).admin.users, users);
+        assert.throws(
+            () => loadConfig({ env: { ADMIN_USERS: '[{"username":"ana","passwordHash":"123456","role":"operator"}]', ADMIN_SESSION_SECRET: 'short' } }),
+            (error) => {
+                assert.match(error.problems[0], /admin\.users \(ADMIN_USERS\) entry "ana" needs a scrypt passwordHash/);
+                assert.match(error.problems[1], /admin\.sessionSecret \(ADMIN_SESSION_SECRET\) must have at least 32 characters/);
+                return true;
+            }
+        );
+    });
+
+    it('parses booleans and validates the rate limit options', () => {
+        const config = loadConfig({ env: { RATE_LIMIT_ENABLED: 'false', RATE_LIMIT_EXEMPT_IPS: '10.0.0.1, 10.0.0.2' } });
+        assert.equal(config.rateLimit.enabled, false);
+        assert.deepEqual(config.rateLimit.exemptIps, ['10.0.0.1', '10.0.0.2']);
+        assert.equal(loadConfig({ env: {} }).rateLimit.exemptIps, null);
+
+        assert.throws(
+            () => loadConfig({ env: { TRUST_PROXY: 'maybe', RATE_LIMIT_EVENTS: '{"place_bet":{"burst":0,"perSecond":1}}' } }),
+            (error) => {
+                assert.match(error.problems[0], /server\.trustProxy \(TRUST_PROXY\) must be true or false/);
+                assert.match(error.problems[1], /rateLimit\.events \(RATE_LIMIT_EVENTS\) entry "place_bet" needs an integer burst/);
+                return true;
+            }
+        );
+    });
+
+    it('returns a frozen config', () => {
+        const config = loadConfig({ env: {} });
+        assert.ok(Object.isFrozen(config.game.waitTime));
+        config.game.waitTime.min = 0;
+        assert.equal(config.game.waitTime.min, 3000);
+    });
+});
+
+describe('describeConfig', () => {
+    it('masks secrets and keeps the environment variable of each option', () => {
+        const { values, options } = describeConfig(loadConfig({ env: { ADMIN_SECRET: 'top-secret' } }));
+
+        assert.equal(values.server.adminSecret, '********');
+        assert.ok(!JSON.stringify(options).includes('top-secret'));
+        assert.equal(options.find(option => option.path === 'bets.max').env, 'BET_MAX');
+    });
+
+    it('never exposes the admin password hashes', () => {
+        const passwordHash = `scrypt$16384$8$1$${'a'.repeat(24)}$${'b'.repeat(88)}`;
+        const config = loadConfig({ env: { ADMIN_USERS: JSON.stringify([{ username: 'ana', passwordHash, role: 'viewer' }]) } });
+        const described = JSON.stringify(describeConfig(config));
+
+        assert.ok(!described.includes(passwordHash));
+        assert.ok(described.includes('"username":"ana"'));
+    });
+});
+
+describe('updateConfig', () => {
+    const base = loadConfig({ env: {} });
+
+    it('returns a new frozen config with the runtime changes', () => {
+        const next = updateConfig(base, { 'growth.rate': 0.25, 'bets.min': 5 });
+
+        assert.equal(next.growth.rate, 0.25);
+        assert.equal(next.bets.min, 5);
+        assert.equal(base.growth.rate, 0.2);
+        assert.ok(Object.isFrozen(next.bets));
+
+        const sources = Object.fromEntries(describeConfig(next).options.map(option => [option.path, option.source]));
+        assert.equal(sources['growth.rate'], SOURCES.RUNTIME);
+        assert.equal(sources['game.historySize'], SOURCES.DEFAULT);
+    });
+
+    it('only accepts options that can change at runtime', () => {
+        assert.throws(
+            () => updateConfig(base, { 'server.port': 80, 'game.nope': 1 }),
+            (error) => {
+                assert.deepEqual(error.problems, [
+                    'server.port cannot be changed at runtime',
+                    'Unknown option "game.nope"'
+                ]);
+                return true;
+            }
+        );
+    });
+
+    it('validates the values and the relations with the rest of the config', () => {
+        assert.throws(() => updateConfig(base, { 'growth.rate': '0.3' }), /growth\.rate must be a number/);
+        assert.throws(() => updateConfig(base, { 'bets.max': 0.5 }), /bets\.min must not exceed bets\.max/);
+        assert.throws(() => updateConfig(base, {}), /No changes given/);
+    });
+});
@@ -0,0 +1,470 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameEngine = require('../game-logic');
+const { VirtualClock } = require('../clock');
+const { createSeededRandom } = require('../random');
+const { loadConfig, updateConfig } = require('../config');
+const { MemoryStorage } = require('../storage');
+const { payout } = require('../money');
+
+const { GAME_STATES, ROUND_OUTCOMES } = GameEngine;
+
+function createEngine(seed = 'engine-tests', options = {}) {
+    const clock = new VirtualClock();
+    const engine = new GameEngine(null, { clock, random: createSeededRandom(seed), ...options });
+    return { engine, clock };
+}
+
+// Leva a rodada atual até a decolagem com o crash point escolhido
+function flyRound(engine, clock, crashPoint) {
+    if (engine.state !== GAME_STATES.WAITING || !engine.round) {
+        throw new Error('flyRound expects a prepared round in WAITING');
+    }
+    engine.round.crashPoint = crashPoint;
+    clock.runNext(); // WAITING -> STARTING
+    clock.runNext(); // STARTING -> FLYING
+    assert.equal(engine.state, GAME_STATES.FLYING);
+}
+
+function runUntilCrash(engine, clock) {
+    while (engine.state === GAME_STATES.FLYING) {
+        clock.runNext();
+    }
+}
+
+describe('GameEngine', () => {
+    let engine;
+    let clock;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ engine, clock } = createEngine());
+        engine.start();
+    });
+
+    afterEach(() => {
+        engine.stop();
+        mock.restoreAll();
+    });
+
+    describe('round lifecycle', () => {
+        it('moves through WAITING -> STARTING -> FLYING -> CRASHED -> WAITING', () => {
+            const states = [];
+            engine.on('game_state_changed', ({ state }) => {
+                if (states[states.length - 1] !== state) states.push(state);
+            });
+
+            flyRound(engine, clock, 2);
+            runUntilCrash(engine, clock);
+            clock.runNext();
+
+            assert.deepEqual(states, [
+                GAME_STATES.STARTING,
+                GAME_STATES.FLYING,
+                GAME_STATES.CRASHED,
+                GAME_STATES.WAITING
+            ]);
+        });
+
+        it('waits the configured countdown before liftoff', () => {
+            clock.runNext();
+            assert.equal(engine.state, GAME_STATES.STARTING);
+
+            clock.advance(engine.config.countdownTime - 1);
+            assert.equal(engine.state, GAME_STATES.STARTING);
+
+            clock.advance(1);
+            assert.equal(engine.state, GAME_STATES.FLYING);
+        });
+
+        it('crashes exactly at the pre-committed crash point', () => {
+            flyRound(engine, clock, 3.5);
+            const crashed = new Promise(resolve => engine.once('round_settled', resolve));
+
+            runUntilCrash(engine, clock);
+
+            assert.equal(engine.state, GAME_STATES.CRASHED);
+            assert.equal(engine.multiplier, 3.5);
+            return crashed.then(({ finalMultiplier }) => assert.equal(finalMultiplier, 3.5));
+        });
+
+        it('replays the same crash points for the same random seed', () => {
+            const crashPoints = (seed) => {
+                const { engine: seeded, clock: seededClock } = createEngine(seed);
+                const points = [];
+                seeded.on('round_recorded', round => points.push(round.crashPoint));
+                seeded.start();
+                while (points.length < 5) seededClock.runNext();
+                seeded.stop();
+                return points;
+            };
+
+            assert.deepEqual(crashPoints('same-seed'), crashPoints('same-seed'));
+            assert.notDeepEqual(crashPoints('same-seed'), crashPoints('other-seed'));
+        });
+
+        it('writes its logs to the injected logger instead of the console', () => {
+            const lines = [];
+            const consoleCalls = console.log.mock.callCount();
+            const { engine: logged } = createEngine('logger', { logger: { log: line => lines.push(line), error: () => {} } });
+            logged.start();
+            logged.stop();
+
+            assert.equal(console.log.mock.callCount(), consoleCalls);
+            assert.ok(lines.some(line => line.includes('Game engine starting')));
+        });
+    });
+
+    describe('queueSettings', () => {
+        it('keeps the current round untouched and applies the settings at the next round', () => {
+            const applied = [];
+            engine.on('settings_applied', data => applied.push(data));
+            const next = updateConfig(loadConfig({ env: {} }), { 'growth.rate': 0.4, 'game.countdownTime': 1000 });
+
+            engine.queueSettings(next);
+            flyRound(engine, clock, 2);
+            assert.equal(engine.growth.rate, 0.2);
+            assert.equal(applied.length, 0);
+
+            runUntilCrash(engine, clock);
+            clock.runNext(); // CRASHED -> WAITING
+
+            assert.equal(engine.growth.rate, 0.4);
+            assert.equal(engine.config.countdownTime, 1000);
+            assert.deepEqual(applied.map(data => data.gameId), [engine.gameId]);
+            assert.equal(applied[0].settings, next);
+        });
+    });
+
+    describe('placeBet', () => {
+        it('accepts a bet while waiting for the round', () => {
+            assert.deepEqual(engine.placeBet('p1', 10, 2), { success: true, slotId: 0 });
+            assert.equal(engine.getPlayerBets('p1')[0].stake, 10);
+        });
+
+        it('rejects bets once the round is flying', () => {
+            flyRound(engine, clock, 5);
+            assert.equal(engine.placeBet('p1', 10).error, 'Cannot place bet at this time');
+        });
+
+        it('rejects invalid slots and slots already in use', () => {
+            assert.equal(engine.placeBet('p1', 10, null, engine.config.maxBetSlots).error, 'Invalid bet slot');
+
+            engine.placeBet('p1', 10, null, 0);
+            assert.equal(engine.placeBet('p1', 20, null, 0).error, 'Bet slot already in use');
+            assert.equal(engine.placeBet('p1', 20, null, 1).success, true);
+        });
+
+        it('rejects auto cash out targets below 1.01x', () => {
+            assert.equal(engine.placeBet('p1', 10, 1.005).error, 'Invalid auto cash out');
+        });
+
+        it('requires the remainder target to be above the first target', () => {
+            const result = engine.placeBet('p1', 10, 2, 0, { autoCashOutFraction: 0.5, remainderAutoCashOut: 1.5 });
+            assert.equal(result.error, 'Remainder auto cash out must be above the first target');
+        });
+    });
+
+    describe('auto cash out', () => {
+        it('pays the bet once the multiplier reaches the target', () => {
+            const autoCashOuts = [];
+            engine.on('player_auto_cashed_out', data => autoCashOuts.push(data));
+            let settlement = null;
+            engine.on('round_settled', data => { settlement = data; });
+
+            engine.placeBet('p1', 1000, 2);
+            flyRound(engine, clock, 3);
+            runUntilCrash(engine, clock);
+
+            assert.equal(autoCashOuts.length, 1);
+            const [cashOut] = autoCashOuts;
+            assert.equal(cashOut.playerId, 'p1');
+            assert.equal(cashOut.multiplier, 2);
+            // Valores em centavos
+            assert.equal(cashOut.winAmount, 2000);
+            assert.equal(cashOut.partial, false);
+
+            assert.deepEqual(settlement.losers, []);
+            assert.equal(settlement.participants[0].hasWon, true);
+        });
+
+        it('pays at the target even when the tick that reaches it overshoots', () => {
+            let cashOut = null;
+            let tickMultiplier = null;
+            engine.on('player_auto_cashed_out', data => {
+                cashOut = data;
+                tickMultiplier = engine.multiplier;
+            });
+
+            // Com taxa 0.2 e ticks de 100 ms o multiplicador vai de ~1.0202x para ~1.0408x
+            engine.placeBet('p1', 777, 1.03);
+            flyRound(engine, clock, 10);
+            runUntilCrash(engine, clock);
+
+            assert.ok(tickMultiplier > 1.03);
+            assert.equal(cashOut.multiplier, 1.03);
+            assert.equal(cashOut.winAmount, payout(777, 1.03));
+        });
+
+        it('pays the target, not the crash point, when the crash tick jumps past both', () => {
+            let cashOut = null;
+            engine.on('player_auto_cashed_out', data => { cashOut = data; });
+
+            // O tick anterior fica em ~1.8965x; o seguinte (~1.9348x) já passa do crash point
+            engine.placeBet('p1', 1000, 1.9);
+            flyRound(engine, clock, 1.93);
+            runUntilCrash(engine, clock);
+
+            assert.equal(engine.multiplier, 1.93);
+            assert.equal(cashOut.multiplier, 1.9);
+            assert.equal(cashOut.winAmount, 1900);
+        });
+
+        it('loses the bet when the round crashes below the target', () => {
+            const autoCashOuts = [];
+            engine.on('player_auto_cashed_out', data => autoCashOuts.push(data));
+            let settlement = null;
+            engine.on('round_settled', data => { settlement = data; });
+
+            engine.placeBet('p1', 10, 5);
+            flyRound(engine, clock, 3);
+            runUntilCrash(engine, clock);
+
+            assert.equal(autoCashOuts.length, 0);
+            assert.deepEqual(settlement.losers, [{ playerId: 'p1', slotId: 0, betAmount: 10 }]);
+        });
+
+        it('pays a target equal to the crash point on the crash tick', () => {
+            let cashOut = null;
+            engine.on('player_auto_cashed_out', data => { cashOut = data; });
+
+            engine.placeBet('p1', 10, 2);
+            flyRound(engine, clock, 2);
+            runUntilCrash(engine, clock);
+
+            assert.equal(cashOut.multiplier, 2);
+        });
+
+        it('cashes out part of the bet at the first target and the rest at the remainder target', () => {
+            const legs = [];
+            engine.on('player_auto_cashed_out', data => legs.push(data));
+
+            engine.placeBet('p1', 10, 1.5, 0, { autoCashOutFraction: 0.5, remainderAutoCashOut: 2 });
+            flyRound(engine, clock, 4);
+            runUntilCrash(engine, clock);
+
+            assert.deepEqual(legs.map(leg => [leg.betAmount, leg.multiplier, leg.partial]), [[5, 1.5, true], [5, 2, false]]);
+        });
+    });
+
+    describe('cashOut', () => {
+        it('pays the open stake at the current multiplier', () => {
+            engine.placeBet('p1', 1000);
+            flyRound(engine, clock, 10);
+            clock.advance(engine.config.updateInterval * 20);
+
+            const result = engine.cashOut('p1');
+            assert.equal(result.success, true);
+            assert.equal(result.winAmount, Math.floor(1000 * engine.multiplier));
+            assert.equal(engine.cashOut('p1').error, 'Already cashed out');
+        });
+
+        it('rejects players without a bet', () => {
+            flyRound(engine, clock, 10);
+            assert.equal(engine.cashOut('nobody').error, 'No active bet found');
+        });
+    });
+
+    describe('forceCrash', () => {
+        it('only works while the rocket is flying', () => {
+            assert.deepEqual(engine.forceCrash(), { success: false, error: 'Game is not currently flying' });
+        });
+
+        it('crashes the round at the current multiplier and records the reason', () => {
+            let record = null;
+            engine.on('round_recorded', data => { record = data; });
+
+            engine.placeBet('p1', 10, 50);
+            flyRound(engine, clock, 100);
+            clock.advance(engine.config.updateInterval * 10);
+
+            const result = engine.forceCrash('test_override');
+            assert.equal(result.success, true);
+            assert.equal(engine.state, GAME_STATES.CRASHED);
+            assert.equal(record.reason, 'test_override');
+            assert.equal(record.finalMultiplier, Number(result.multiplier.toFixed(2)));
+            assert.equal(record.bets[0].lostAmount, 10);
+
+            // A próxima rodada é agendada normalmente
+            clock.runNext();
+            assert.equal(engine.state, GAME_STATES.WAITING);
+        });
+    });
+
+    describe('max game time', () => {
+        it('records a round ended by the time limit as forced', () => {
+            let record = null;
+            engine.on('round_recorded', data => { record = data; });
+
+            engine.config.maxGameTime = 1000;
+            flyRound(engine, clock, 100);
+            runUntilCrash(engine, clock);
+
+            assert.equal(record.reason, 'max_game_time');
+            assert.ok(record.finalMultiplier < 100);
+        });
+    });
+
+    describe('removePlayer', () => {
+        it('keeps the bets of a player that disconnects during the flight until they settle', () => {
+            let settlement = null;
+            let record = null;
+            engine.on('round_settled', data => { settlement = data; });
+            engine.on('round_recorded', data => { record = data; });
+
+            engine.placeBet('p1', 10);
+            engine.placeBet('p2', 10, 1.5);
+            flyRound(engine, clock, 2);
+            assert.deepEqual(engine.removePlayer('p1'), { refunds: [], openBets: 1 });
+            assert.deepEqual(engine.removePlayer('p2'), { refunds: [], openBets: 1 });
+            runUntilCrash(engine, clock);
+
+            assert.deepEqual(settlement.losers, [{ playerId: 'p1', slotId: 0, betAmount: 10 }]);
+            assert.deepEqual(record.bets.map(bet => bet.playerId), ['p1', 'p2']);
+            assert.equal(record.cashouts[0].playerId, 'p2');
+            assert.equal(engine.stats.totalBets, 20);
+        });
+
+        it('takes the bets placed before liftoff out of the round for a refund', () => {
+            engine.placeBet('p1', 10, null, 0);
+            engine.placeBet('p1', 5, null, 1);
+
+            assert.deepEqual(engine.removePlayer('p1'), {
+                refunds: [{ slotId: 0, betAmount: 10 }, { slotId: 1, betAmount: 5 }],
+                openBets: 0
+            });
+            assert.deepEqual(engine.getPlayerBets('p1'), []);
+            assert.equal(engine.stats.totalBets, 0);
+        });
+
+        it('moves the bets of a reconnected account to the new socket', () => {
+            engine.placeBet('old', 10);
+            flyRound(engine, clock, 2);
+
+            assert.equal(engine.transferPlayer('old', 'new'), 1);
+            assert.deepEqual(engine.getPlayerBets('old'), []);
+            assert.equal(engine.cashOut('new', 0).success, true);
+        });
+    });
+
+    describe('internal errors', () => {
+        beforeEach(() => {
+            mock.method(console, 'error', () => {});
+        });
+
+        it('voids the round and schedules the next one when a game step throws', () => {
+            let voided = null;
+            engine.on('round_voided', data => { voided = data; });
+
+            engine.placeBet('p1', 1000);
+            flyRound(engine, clock, 10);
+            mock.method(engine, 'updateGame', () => { throw new Error('boom'); });
+            clock.runNext();
+
+            assert.equal(voided.reason, 'internal_error');
+            assert.deepEqual(voided.refunds, [{ playerId: 'p1', slotId: 0, betAmount: 1000 }]);
+            assert.equal(engine.state, GAME_STATES.WAITING);
+
+            engine.updateGame.mock.restore();
+            clock.runNext();
+            assert.ok(engine.round);
+        });
+
+        it('keeps retrying without throwing when scheduling the next round keeps failing', () => {
+            flyRound(engine, clock, 1.5);
+            runUntilCrash(engine, clock);
+            const scheduleNextGame = mock.method(engine, 'scheduleNextGame', () => { throw new Error('boom'); });
+
+            for (let i = 0; i < 5; i++) {
+                assert.doesNotThrow(() => clock.runNext());
+            }
+            assert.equal(scheduleNextGame.mock.callCount(), 5);
+            assert.equal(engine.state, GAME_STATES.WAITING);
+
+            scheduleNextGame.mock.restore();
+            clock.runNext();
+            assert.ok(engine.round);
+            assert.equal(engine.state, GAME_STATES.WAITING);
+        });
+    });
+
+    describe('voidRound', () => {
+        it('refunds the open stake of every bet and records the round as voided', () => {
+            let voided = null;
+            engine.on('round_voided', data => { voided = data; });
+
+            engine.placeBet('p1', 10);
+            engine.placeBet('p2', 20);
+            flyRound(engine, clock, 10);
+            clock.advance(engine.config.updateInterval * 5);
+            engine.cashOut('p1', 0, { fraction: 0.5 });
+
+            const result = engine.voidRound('test_void');
+
+            assert.equal(result.success, true);
+            assert.deepEqual(voided.refunds, [
+                { playerId: 'p1', slotId: 0, betAmount: 5 },
+                { playerId: 'p2', slotId: 0, betAmount: 20 }
+            ]);
+            assert.equal(engine.getHistory()[0].outcome, ROUND_OUTCOMES.VOIDED);
+            assert.equal(engine.state, GAME_STATES.WAITING);
+        });
+    });
+
+    describe('verifyRound', () => {
+        it('reports an unknown round instead of throwing when there is no seed to check', () => {
+            assert.equal(engine.verifyRound().success, false);
+            assert.equal(engine.verifyRound({ gameId: 999 }).success, false);
+        });
+
+        it('verifies rounds from before a restart with the recorded seed and the stored chain', () => {
+            const storage = new MemoryStorage();
+            const { engine: before, clock: beforeClock } = createEngine('before-restart', { storage });
+            let record = null;
+            before.once('round_recorded', round => { record = round; });
+            before.start();
+            while (!record) beforeClock.runNext();
+            before.stop();
+
+            const { engine: after } = createEngine('after-restart', { storage });
+            assert.equal(after.verifyRound({ gameId: record.gameId }).success, false);
+
+            const result = after.verifyRound({ gameId: record.gameId, record });
+            assert.equal(result.success, true);
+            assert.equal(result.chainVerified, true);
+            assert.equal(result.matches, true);
+            assert.equal(result.crashPoint, record.crashPoint);
+            assert.equal(after.getFairnessInfo().previousChains.length, 1);
+        });
+
+        it('recomputes past rounds with the distribution they were drawn from', () => {
+            const records = [];
+            engine.on('round_recorded', round => records.push(round));
+            while (records.length < 5) clock.runNext();
+
+            const { engine: after } = createEngine('new-edge', {
+                config: loadConfig({ env: { CRASH_HOUSE_EDGE: '0.3', CRASH_INSTANT_PROBABILITY: '0.1' } })
+            });
+
+            records.forEach(record => {
+                const result = after.verifyRound({ gameId: record.gameId, record });
+                assert.equal(result.matches, true);
+                assert.deepEqual(result.distribution, record.distribution);
+            });
+
+            const current = records.map(({ serverSeed, clientSeed }) => after.verifyRound({ serverSeed, clientSeed }).crashPoint);
+            assert.notDeepEqual(current, records.map(record => record.crashPoint));
+        });
+    });
+});
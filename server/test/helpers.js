@@ -0,0 +1,157 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_ENTRY = path.join(__dirname, '..', 'server.js');
+const BOOT_TIMEOUT = 10000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Sobe o server.js real em um processo filho, numa porta livre e com storage temporário
+async function startServer(env = {}) {
+    const port = await getFreePort();
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crash-rocket-test-'));
+    const child = spawn(process.execPath, [SERVER_ENTRY], {
+        env: { ...process.env, NODE_ENV: 'test', PORT: String(port), STORAGE_DIR: storageDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`Server did not start in ${BOOT_TIMEOUT}ms:\n${output}`));
+        }, BOOT_TIMEOUT);
+
+        child.stdout.on('data', () => {
+            if (output.includes('running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        port,
+        url: `http://localhost:${port}`,
+        storageDir,
+        getOutput: () => output,
+        stop: () => new Promise(resolve => {
+            const forceKill = setTimeout(() => child.kill('SIGKILL'), 5000);
+            child.once('exit', () => {
+                clearTimeout(forceKill);
+                fs.rmSync(storageDir, { recursive: true, force: true });
+                resolve();
+            });
+            child.kill('SIGTERM');
+        })
+    };
+}
+
+function connect(url) {
+    const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    // O servidor envia estado e histórico logo na conexão, antes de qualquer listener do teste
+    socket.on('game_state', (data) => {
+        socket.lastState = data.state;
+    });
+    socket.on('game_history', (data) => {
+        socket.lastHistory = data.history;
+    });
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+// Espera o próximo evento que satisfaça `predicate`
+function waitForEvent(socket, event, predicate = () => true, timeout = 20000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error(`Timed out waiting for "${event}"`));
+        }, timeout);
+
+        function handler(data) {
+            if (predicate(data)) {
+                clearTimeout(timer);
+                socket.off(event, handler);
+                resolve(data);
+            }
+        }
+
+        socket.on(event, handler);
+    });
+}
+
+function waitForState(socket, state, timeout = 20000) {
+    return waitForEvent(socket, 'game_state', data => data.state === state, timeout);
+}
+
+// Resolve já se a rodada está aceitando apostas; senão espera o próximo WAITING
+function waitForBettingWindow(socket, timeout = 20000) {
+    if (socket.lastState === 'waiting') {
+        return Promise.resolve();
+    }
+    return waitForState(socket, 'waiting', timeout);
+}
+
+// Espera o primeiro entre vários eventos: [[event, predicate?], ...] -> { event, data }
+function waitForAny(socket, events, timeout = 20000) {
+    return new Promise((resolve, reject) => {
+        const handlers = [];
+        const cleanup = () => handlers.forEach(([event, handler]) => socket.off(event, handler));
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out waiting for ${events.map(([event]) => `"${event}"`).join(', ')}`));
+        }, timeout);
+
+        events.forEach(([event, predicate = () => true]) => {
+            const handler = (data) => {
+                if (!predicate(data)) return;
+                clearTimeout(timer);
+                cleanup();
+                resolve({ event, data });
+            };
+            handlers.push([event, handler]);
+            socket.on(event, handler);
+        });
+    });
+}
+
+// Conecta e entra no jogo; devolve o socket e a sessão da conta criada
+async function joinGame(url, playerName, accountToken = null) {
+    const socket = await connect(url);
+    const session = waitForEvent(socket, 'account_session');
+    socket.emit('join_game', { playerName, accountToken });
+    return { socket, session: await session };
+}
+
+module.exports = {
+    startServer,
+    connect,
+    waitForEvent,
+    waitForState,
+    waitForBettingWindow,
+    waitForAny,
+    joinGame
+};
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    toCents,
+    fromCents,
+    roundMoney,
+    convertFields,
+    payout,
+    splitStake,
+    formatMoney
+} = require('../money');
+
+describe('money', () => {
+    it('converts between reais and integer cents', () => {
+        assert.equal(toCents(12.34), 1234);
+        assert.equal(toCents(0.1 + 0.2), 30);
+        assert.equal(toCents('7.5'), 750);
+        assert.equal(toCents(NaN), 0);
+        assert.equal(fromCents(1234), 12.34);
+        assert.equal(fromCents(null), 0);
+        assert.equal(roundMoney(19.999), 20);
+    });
+
+    it('converts only the listed numeric fields of a record', () => {
+        assert.deepEqual(
+            convertFields({ amount: 10.5, balance: null, reason: 'bet', count: 3 }, ['amount', 'balance'], toCents),
+            { amount: 1050, balance: null, reason: 'bet', count: 3 }
+        );
+        assert.equal(convertFields(null, ['amount'], toCents), null);
+    });
+
+    it('keeps sums exact once the amounts are in cents', () => {
+        // Mil apostas de R$ 0,10 subtraídas em reais acumulam erro; em centavos o saldo é exato
+        let balance = toCents(1000);
+        for (let i = 0; i < 1000; i++) {
+            balance -= toCents(0.1);
+        }
+        assert.equal(balance, 90000);
+        assert.equal(fromCents(balance), 900);
+    });
+
+    it('floors payouts to the cent', () => {
+        assert.equal(payout(1000, 2.519), 2519);
+        assert.equal(payout(1000, 2.5199999), 2519);
+        assert.equal(payout(1000, 2.51), 2510);
+        assert.equal(payout(101, 1.99), 200);
+        assert.equal(payout(0, 5), 0);
+    });
+
+    it('splits a stake to the nearest cent without leaving less than a cent behind', () => {
+        assert.equal(splitStake(1000, 0.5), 500);
+        assert.equal(splitStake(5, 0.5), 3);
+        assert.equal(splitStake(1000, 0.9999), 1000);
+        assert.equal(splitStake(1000, 1), 1000);
+    });
+
+    it('formats cents for the logs', () => {
+        assert.equal(formatMoney(500), 'R$ 5.00');
+        assert.equal(formatMoney(30), 'R$ 0.30');
+    });
+});
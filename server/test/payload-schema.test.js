@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENT_SCHEMAS, BODY_SCHEMAS, parsePayload } = require('../payload-schema');
+
+const errorOf = (schema, data) => parsePayload(schema, data).error;
+
+describe('payload schemas', () => {
+    const placeBet = EVENT_SCHEMAS.place_bet.payload;
+
+    it('normalizes amounts and multipliers to two decimals and fills defaults', () => {
+        assert.deepEqual(parsePayload(placeBet, { amount: 10.005, autoCashOut: 2.499, timestamp: 1700000000000 }).value, {
+            amount: 10.01,
+            autoCashOut: 2.5,
+            slotId: 0,
+            timestamp: 1700000000000
+        });
+        assert.deepEqual(parsePayload(EVENT_SCHEMAS.get_transactions.payload, undefined).value, { limit: 50 });
+    });
+
+    it('rejects unknown fields, missing fields and wrong types with a code and a field', () => {
+        assert.deepEqual(errorOf(placeBet, { amount: 10, admin: true }), {
+            code: 'unknown_field',
+            field: 'admin',
+            message: 'Unknown field "admin"'
+        });
+        assert.deepEqual(errorOf(placeBet, {}), { code: 'required', field: 'amount', message: '"amount" is required' });
+        assert.equal(errorOf(placeBet, { amount: '10' }).code, 'invalid_type');
+        assert.equal(errorOf(placeBet, { amount: NaN }).code, 'invalid_type');
+        assert.equal(errorOf(placeBet, { amount: 10, slotId: 1.5 }).code, 'invalid_type');
+        assert.equal(errorOf(placeBet, [10]).code, 'invalid_payload');
+        assert.equal(errorOf(placeBet, 'bet').code, 'invalid_payload');
+    });
+
+    it('reports ranges with their bounds', () => {
+        assert.deepEqual(errorOf(placeBet, { amount: 0.004 }), {
+            code: 'out_of_range',
+            field: 'amount',
+            message: '"amount" must be between 0.01 and 1000000000',
+            min: 0.01,
+            max: 1e9
+        });
+        assert.equal(errorOf(placeBet, { amount: 10, autoCashOut: 1.001 }).field, 'autoCashOut');
+        assert.equal(parsePayload(placeBet, { amount: 10, autoCashOut: null }).value.autoCashOut, null);
+        assert.equal(errorOf(EVENT_SCHEMAS.cooling_off.payload, { hours: 5000 }).code, 'out_of_range');
+    });
+
+    it('trims strings and rejects long ones or control characters', () => {
+        const rename = EVENT_SCHEMAS.update_player_name.payload;
+        assert.equal(parsePayload(rename, '  Ana  ').value, 'Ana');
+        assert.equal(errorOf(rename, '   ').code, 'required');
+        assert.equal(errorOf(rename, 42).code, 'invalid_type');
+        assert.deepEqual(errorOf(rename, 'a'.repeat(21)), {
+            code: 'too_long',
+            field: 'name',
+            message: '"name" must be at most 20 characters',
+            maxLength: 20
+        });
+        assert.equal(errorOf(rename, 'Ana\u0007').code, 'invalid_value');
+    });
+
+    it('checks nested objects field by field', () => {
+        const setLimits = EVENT_SCHEMAS.set_limits.payload;
+        assert.deepEqual(parsePayload(setLimits, { limits: { maxDailyLoss: 99.999, maxSessionMinutes: null } }).value, {
+            limits: { maxDailyLoss: 100, maxSessionMinutes: null }
+        });
+        assert.equal(errorOf(setLimits, { limits: { maxDeposit: 1 } }).field, 'limits.maxDeposit');
+        assert.equal(errorOf(setLimits, { limits: { maxSessionMinutes: 2 } }).code, 'out_of_range');
+        assert.equal(errorOf(setLimits, { limits: [] }).code, 'invalid_type');
+    });
+
+    it('validates the admin bodies', () => {
+        assert.deepEqual(parsePayload(BODY_SCHEMAS.accountStatus, { state: 'banned', until: '2030-01-01T00:00:00Z', reason: ' fraud ' }).value, {
+            state: 'banned',
+            until: Date.parse('2030-01-01T00:00:00Z'),
+            reason: 'fraud'
+        });
+        assert.deepEqual(errorOf(BODY_SCHEMAS.accountStatus, { state: 'frozen' }).values, ['active', 'muted', 'suspended', 'banned', 'self_excluded']);
+        assert.equal(errorOf(BODY_SCHEMAS.accountStatus, { state: 'banned', until: 'soon' }).code, 'invalid_type');
+        assert.equal(errorOf(BODY_SCHEMAS.playerBalance, { balance: -1, reason: 'x' }).code, 'out_of_range');
+        assert.equal(parsePayload(BODY_SCHEMAS.playerBalance, { balance: 0, reason: 'x' }).value.balance, 0);
+        assert.equal(errorOf(BODY_SCHEMAS.settings, { changes: 'bets.min=1' }).code, 'invalid_type');
+        assert.equal(errorOf(BODY_SCHEMAS.adminLogin, { username: 'ana', password: '' }).code, 'required');
+    });
+});
@@ -0,0 +1,281 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlayerManager = require('../player-manager');
+const AccountStore = require('../account-store');
+const WalletLedger = require('../wallet-ledger');
+const { MemoryStorage } = require('../storage');
+const { checkBet, LIMIT_CODES } = require('../responsible-gaming');
+
+const { ENTRY_REASONS } = WalletLedger;
+
+// Valores em centavos; o saldo inicial padrão é R$ 1000 (100000)
+describe('PlayerManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        manager = new PlayerManager();
+        manager.addPlayer('p1', null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('placeBet', () => {
+        it('debits the balance and marks the player as playing', () => {
+            assert.equal(manager.placeBet('p1', 10000), true);
+
+            const player = manager.getPlayer('p1');
+            assert.equal(player.balance, 90000);
+            assert.equal(player.currentBet, 10000);
+            assert.equal(player.isPlaying, true);
+        });
+
+        it('sums the open stakes of several bet slots', () => {
+            manager.placeBet('p1', 10000);
+            manager.placeBet('p1', 5000);
+            assert.equal(manager.getPlayer('p1').currentBet, 15000);
+        });
+
+        it('rejects bets above the balance without touching it', () => {
+            assert.equal(manager.placeBet('p1', 100001), false);
+            assert.equal(manager.getPlayer('p1').balance, 100000);
+            assert.equal(manager.getPlayer('p1').isPlaying, false);
+        });
+
+        it('rejects unknown players', () => {
+            assert.equal(manager.placeBet('ghost', 1000), false);
+        });
+    });
+
+    describe('recordWin', () => {
+        it('credits the winnings and closes the bet', () => {
+            manager.placeBet('p1', 10000);
+            const stats = manager.recordWin('p1', 25000, { betAmount: 10000, multiplier: 2.5 });
+
+            const player = manager.getPlayer('p1');
+            assert.equal(stats.balance, 115000);
+            assert.equal(player.currentBet, 0);
+            assert.equal(player.isPlaying, false);
+            assert.equal(player.gamesPlayed, 1);
+            assert.equal(player.biggestWin, 25000);
+            assert.equal(player.currentStreak, 1);
+        });
+
+        it('keeps the rest of the bet open on partial cash outs', () => {
+            manager.placeBet('p1', 10000);
+            manager.recordWin('p1', 10000, { betAmount: 5000, multiplier: 2, partial: true });
+
+            const player = manager.getPlayer('p1');
+            assert.equal(player.balance, 100000);
+            assert.equal(player.currentBet, 5000);
+            assert.equal(player.isPlaying, true);
+            assert.equal(player.gamesPlayed, 0);
+        });
+
+        it('counts the win streak once per settled bet, not once per cash out leg', () => {
+            manager.placeBet('p1', 10000);
+            manager.recordWin('p1', 10000, { betAmount: 5000, multiplier: 2, partial: true });
+            manager.recordWin('p1', 15000, { betAmount: 5000, multiplier: 3 });
+
+            const player = manager.getPlayer('p1');
+            assert.equal(player.currentStreak, 1);
+            assert.equal(player.longestStreak, 1);
+            assert.equal(player.totalWinnings, 25000);
+        });
+    });
+
+    describe('refundBet', () => {
+        it('returns the stake and reverts the bet statistics', () => {
+            manager.placeBet('p1', 10000);
+            const result = manager.refundBet('p1', 10000);
+
+            const player = manager.getPlayer('p1');
+            assert.deepEqual(result, { balance: 100000, amount: 10000 });
+            assert.equal(player.totalBets, 0);
+            assert.equal(player.isPlaying, false);
+        });
+    });
+
+    describe('resetPlayerGame', () => {
+        it('counts a lost bet and resets the streak', () => {
+            manager.placeBet('p1', 10000);
+            manager.recordWin('p1', 20000, { betAmount: 10000, multiplier: 2 });
+            manager.placeBet('p1', 10000);
+            manager.resetPlayerGame('p1', 10000);
+
+            const player = manager.getPlayer('p1');
+            assert.equal(player.balance, 100000);
+            assert.equal(player.currentStreak, 0);
+            assert.equal(player.gamesPlayed, 2);
+        });
+    });
+
+    describe('with accounts and ledger', () => {
+        let storage;
+        let ledger;
+
+        beforeEach(() => {
+            storage = new MemoryStorage();
+            ledger = new WalletLedger(storage);
+            manager = new PlayerManager({ accountStore: new AccountStore(storage), ledger });
+            manager.addPlayer('p1', null);
+        });
+
+        it('posts every balance change to the ledger', () => {
+            const session = manager.attachAccount('p1', null, { name: 'Ana' });
+            manager.placeBet('p1', 10000, { roundId: 7 });
+            manager.recordWin('p1', 15000, { betAmount: 10000, multiplier: 1.5, roundId: 7 });
+
+            const entries = ledger.getTransactions(session.accountId, { limit: 10 });
+            const reasons = entries.map(entry => entry.reason).sort();
+            assert.deepEqual(reasons, [ENTRY_REASONS.BET, ENTRY_REASONS.CASHOUT, ENTRY_REASONS.OPENING_BALANCE].sort());
+            assert.equal(ledger.getBalance(session.accountId), 105000);
+            assert.equal(manager.getPlayer('p1').balance, 105000);
+            assert.equal(manager.reconcileBalances().balanced, true);
+        });
+
+        it('restores the balance when the account reconnects with its token', () => {
+            const session = manager.attachAccount('p1', null, { name: 'Ana' });
+            manager.placeBet('p1', 10000);
+            manager.resetPlayerGame('p1', 10000);
+            manager.removePlayer('p1');
+
+            manager.addPlayer('p2', null);
+            const resumed = manager.attachAccount('p2', session.accountToken);
+
+            assert.equal(resumed.accountId, session.accountId);
+            assert.equal(resumed.isNew, false);
+            assert.equal(manager.getPlayer('p2').balance, 90000);
+        });
+
+        it('measures the session and daily losses from the ledger', () => {
+            manager.attachAccount('p1', null, { name: 'Ana' });
+            manager.placeBet('p1', 10000, { roundId: 1 });
+            manager.resetPlayerGame('p1', 10000);
+            manager.placeBet('p1', 5000, { roundId: 2 });
+            manager.recordWin('p1', 8000, { betAmount: 5000, multiplier: 1.6, roundId: 2 });
+            manager.setLimits('p1', { maxDailyLoss: 50000 });
+
+            const usage = manager.getLimitUsage('p1');
+            assert.equal(usage.sessionLoss, 7000);
+            assert.equal(usage.dailyLoss, 7000);
+
+            // Novas sessões começam do zero, mas as perdas das últimas 24 horas continuam contando
+            manager.getPlayer('p1').sessionStartedAt = Date.now() + 1;
+            assert.equal(manager.getLimitUsage('p1').sessionLoss, 0);
+            assert.equal(manager.getLimitUsage('p1').dailyLoss, 7000);
+            assert.deepEqual(storage.get('accounts', manager.getPlayer('p1').accountId).limits, { maxDailyLoss: 50000 });
+        });
+
+        it('keeps the session of the account across reconnects until the break has passed', () => {
+            let now = 1000000;
+            mock.method(Date, 'now', () => now);
+            const reconnect = (playerId, awayFor) => {
+                manager.removePlayer(manager.getAllPlayers()[0].id);
+                now += awayFor;
+                manager.addPlayer(playerId, null);
+                manager.attachAccount(playerId, session.accountToken);
+                return manager.getPlayer(playerId);
+            };
+
+            const session = manager.attachAccount('p1', null, { name: 'Ana' });
+            manager.setLimits('p1', { maxSessionLoss: 15000 });
+            manager.placeBet('p1', 10000, { roundId: 1 });
+            manager.resetPlayerGame('p1', 10000);
+
+            const resumed = reconnect('p2', manager.sessionBreak - 1);
+            assert.equal(resumed.sessionStartedAt, 1000000);
+            assert.equal(manager.getLimitUsage('p2').sessionLoss, 10000);
+            assert.equal(checkBet(resumed.limits, 10000, manager.getLimitUsage('p2')).code, LIMIT_CODES.SESSION_LOSS);
+
+            const fresh = reconnect('p3', manager.sessionBreak);
+            assert.equal(fresh.sessionStartedAt, now);
+            assert.equal(manager.getLimitUsage('p3').sessionLoss, 0);
+            assert.equal(checkBet(fresh.limits, 10000, manager.getLimitUsage('p3')), null);
+        });
+    });
+
+    describe('getSortedPlayers', () => {
+        it('orders by balance, then total winnings, then who joined first', () => {
+            const now = Date.now();
+            const players = {
+                rich: { balance: 2000, totalWinnings: 0, joinedAt: now },
+                lucky: { balance: 1500, totalWinnings: 900, joinedAt: now },
+                early: { balance: 1500, totalWinnings: 100, joinedAt: now - 2000 },
+                late: { balance: 1500, totalWinnings: 100, joinedAt: now - 1000 },
+                broke: { balance: 10, totalWinnings: 5000, joinedAt: now }
+            };
+
+            Object.entries(players).forEach(([id, fields]) => {
+                Object.assign(manager.addPlayer(id, null), fields);
+            });
+            manager.getPlayer('p1').balance = 500;
+
+            assert.deepEqual(
+                manager.getSortedPlayers().map(player => player.id),
+                ['rich', 'lucky', 'early', 'late', 'p1', 'broke']
+            );
+        });
+
+        it('numbers the leaderboard snapshot from the sorted order', () => {
+            Object.assign(manager.addPlayer('p2', null), { balance: 300000, name: 'Bia' });
+
+            const { entries, totalPlayers } = manager.getLeaderboardSnapshot(1);
+            assert.equal(totalPlayers, 2);
+            assert.deepEqual(entries.map(entry => [entry.rank, entry.name, entry.profit]), [[1, 'Bia', 200000]]);
+            assert.equal(manager.getPlayerRankInfo('p1').rank, 2);
+        });
+    });
+
+    describe('detachPlayer', () => {
+        it('keeps a disconnected player with open bets until the round settles', () => {
+            manager.addPlayer('p2', {});
+            manager.placeBet('p2', 10000);
+
+            manager.detachPlayer('p2');
+            assert.equal(manager.getPlayerSocket('p2'), undefined);
+            assert.equal(manager.recordWin('p2', 20000, { betAmount: 10000, multiplier: 2 }).balance, 110000);
+
+            assert.equal(manager.removeDetachedPlayers(), 1);
+            assert.equal(manager.getPlayer('p2'), undefined);
+            assert.ok(manager.getPlayer('p1'));
+        });
+
+        it('moves the open stake to the new session of the account', () => {
+            manager.placeBet('p1', 10000, { autoCashOut: 2 });
+            manager.addPlayer('p2', null);
+
+            manager.transferOpenBets('p1', 'p2');
+            assert.deepEqual(
+                ['p1', 'p2'].map(id => manager.getPlayer(id)).map(({ currentBet, isPlaying, autoCashOut }) => ({ currentBet, isPlaying, autoCashOut })),
+                [{ currentBet: 0, isPlaying: false, autoCashOut: null }, { currentBet: 10000, isPlaying: true, autoCashOut: 2 }]
+            );
+        });
+    });
+
+    describe('admin helpers', () => {
+        it('searches players by name, socket id or account id', () => {
+            Object.assign(manager.getPlayer('p1'), { name: 'Ana Souza', accountId: 'acc-123' });
+            Object.assign(manager.addPlayer('p2', null), { name: 'Bia' });
+
+            assert.deepEqual(manager.searchPlayers('souza').map(player => player.id), ['p1']);
+            assert.deepEqual(manager.searchPlayers('ACC-1').map(player => player.id), ['p1']);
+            assert.deepEqual(manager.searchPlayers('p2').map(player => player.id), ['p2']);
+            assert.equal(manager.searchPlayers('  ').length, 2);
+        });
+
+        it('removes inactive players and disconnects their sockets', () => {
+            const socket = { disconnect: mock.fn() };
+            manager.addPlayer('idle', socket);
+            manager.getPlayer('idle').lastSeenAt = Date.now() - 10 * 60000;
+
+            assert.equal(manager.cleanupInactivePlayers(5 * 60000), 1);
+            assert.equal(manager.getPlayer('idle'), undefined);
+            assert.deepEqual(socket.disconnect.mock.calls[0].arguments, [true]);
+            assert.ok(manager.getPlayer('p1'));
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RateLimiter = require('../rate-limiter');
+const { VirtualClock } = require('../clock');
+
+const { validateEventLimits } = RateLimiter;
+
+describe('RateLimiter', () => {
+    const rule = { burst: 3, perSecond: 2 };
+
+    it('allows a burst and then refills over time', () => {
+        const clock = new VirtualClock();
+        const limiter = new RateLimiter({ clock });
+
+        assert.deepEqual([1, 2, 3].map(() => limiter.consume('socket:a', 'place_bet', rule).allowed), [true, true, true]);
+        assert.deepEqual(limiter.consume('socket:a', 'place_bet', rule), { allowed: false, remaining: 0, retryAfter: 500 });
+
+        clock.advance(250);
+        assert.equal(limiter.consume('socket:a', 'place_bet', rule).retryAfter, 250);
+
+        clock.advance(250);
+        assert.equal(limiter.consume('socket:a', 'place_bet', rule).allowed, true);
+
+        // O balde nunca passa da capacidade, por mais tempo que fique parado
+        clock.advance(60000);
+        assert.equal(limiter.consume('socket:a', 'place_bet', rule).remaining, 2);
+    });
+
+    it('keeps separate buckets per owner and per name', () => {
+        const limiter = new RateLimiter({ clock: new VirtualClock() });
+        const single = { burst: 1, perSecond: 1 };
+
+        assert.equal(limiter.consume('socket:a', 'cash_out', single).allowed, true);
+        assert.equal(limiter.consume('socket:a', 'cash_out', single).allowed, false);
+        assert.equal(limiter.consume('socket:a', 'place_bet', single).allowed, true);
+        assert.equal(limiter.consume('socket:b', 'cash_out', single).allowed, true);
+
+        limiter.forget('socket:a');
+        assert.equal(limiter.consume('socket:a', 'cash_out', single).allowed, true);
+    });
+
+    it('drops buckets that are full again', () => {
+        const clock = new VirtualClock();
+        const limiter = new RateLimiter({ clock });
+        limiter.consume('http:1.2.3.4', 'requests', rule);
+        limiter.consume('http:5.6.7.8', 'requests', rule);
+        limiter.consume('http:5.6.7.8', 'requests', rule);
+
+        clock.advance(600);
+        limiter.prune();
+        assert.deepEqual(Array.from(limiter.buckets.keys()), ['http:5.6.7.8']);
+    });
+
+    it('validates the per-event limits from the config', () => {
+        assert.equal(validateEventLimits({ place_bet: { burst: 5, perSecond: 0.5 } }), null);
+        assert.match(validateEventLimits([]), /JSON object/);
+        assert.match(validateEventLimits({ place_bet: { burst: 0, perSecond: 1 } }), /entry "place_bet"/);
+        assert.match(validateEventLimits({ cash_out: { burst: 1, perSecond: 1, extra: true } }), /entry "cash_out"/);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCents, fromCents } = require('../money');
+const {
+    LIMIT_CODES,
+    resolveLimits,
+    convertLimitAmounts,
+    validateLimitChanges,
+    applyLimitChanges,
+    validateCoolingOff,
+    startCoolingOff,
+    checkBet,
+    isRealityCheckDue,
+    describeLimits
+} = require('../responsible-gaming');
+
+const NOW = 1700000000000;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('responsible gaming limits', () => {
+    it('validates the limit changes', () => {
+        assert.equal(validateLimitChanges({ maxBetPerRound: 50, maxDailyLoss: null, maxSessionMinutes: 60 }), null);
+        assert.match(validateLimitChanges({}), /No limits given/);
+        assert.match(validateLimitChanges([]), /must be an object/);
+        assert.match(validateLimitChanges({ maxDeposit: 10 }), /Unknown limit "maxDeposit"/);
+        assert.match(validateLimitChanges({ maxSessionLoss: 0 }), /at least 0\.01/);
+        assert.match(validateLimitChanges({ maxSessionLoss: '10' }), /at least 0\.01/);
+        assert.match(validateLimitChanges({ maxSessionMinutes: 2 }), /between 5 and 1440/);
+        assert.match(validateLimitChanges({ realityCheckMinutes: 7.5 }), /whole number/);
+    });
+
+    it('applies tighter limits at once and delays looser ones', () => {
+        const first = applyLimitChanges(null, { maxBetPerRound: 100, maxDailyLoss: 500 }, { now: NOW, increaseDelay: DAY });
+        assert.deepEqual(first.applied, ['maxBetPerRound', 'maxDailyLoss']);
+
+        const second = applyLimitChanges(first.limits, { maxBetPerRound: 50, maxDailyLoss: 800, realityCheckMinutes: 30 }, { now: NOW, increaseDelay: DAY });
+        assert.deepEqual(second.applied, ['maxBetPerRound', 'realityCheckMinutes']);
+        assert.deepEqual(second.pending, ['maxDailyLoss']);
+        assert.equal(second.limits.maxBetPerRound, 50);
+        assert.equal(second.limits.maxDailyLoss, 500);
+        assert.deepEqual(second.limits.pending.maxDailyLoss, { value: 800, effectiveAt: NOW + DAY });
+
+        assert.equal(resolveLimits(second.limits, NOW + DAY - 1).maxDailyLoss, 500);
+        assert.equal(resolveLimits(second.limits, NOW + DAY).maxDailyLoss, 800);
+        assert.deepEqual(resolveLimits(second.limits, NOW + DAY).pending, {});
+    });
+
+    it('treats removing a limit as loosening it and lets a tighter value cancel the wait', () => {
+        const { limits } = applyLimitChanges(null, { maxSessionLoss: 200 }, { now: NOW, increaseDelay: DAY });
+        const removed = applyLimitChanges(limits, { maxSessionLoss: null }, { now: NOW, increaseDelay: DAY });
+        assert.deepEqual(removed.pending, ['maxSessionLoss']);
+        assert.equal(resolveLimits(removed.limits, NOW + DAY).maxSessionLoss, null);
+
+        const tightened = applyLimitChanges(removed.limits, { maxSessionLoss: 150 }, { now: NOW, increaseDelay: DAY });
+        assert.equal(tightened.limits.maxSessionLoss, 150);
+        assert.deepEqual(tightened.limits.pending, {});
+    });
+
+    it('starts cooling-off periods without shortening the current one', () => {
+        assert.equal(validateCoolingOff(24), null);
+        assert.match(validateCoolingOff(0), /between 1 and 1008/);
+
+        const week = startCoolingOff(null, 168, NOW);
+        assert.equal(week.coolingOffUntil, NOW + 7 * DAY);
+        assert.equal(startCoolingOff(week, 1, NOW).coolingOffUntil, NOW + 7 * DAY);
+        assert.equal(resolveLimits(week, NOW + 7 * DAY).coolingOffUntil, null);
+    });
+
+    it('blocks bets that break a limit and reports the first one', () => {
+        const limits = { maxBetPerRound: 100, maxSessionLoss: 300, maxDailyLoss: 400, maxSessionMinutes: 60 };
+        const usage = { roundStake: 60, sessionLoss: 270, dailyLoss: 380, sessionStartedAt: NOW - 30 * MINUTE };
+
+        assert.equal(checkBet(limits, 40, { ...usage, sessionLoss: 0, dailyLoss: 0 }, NOW), null);
+        assert.deepEqual(checkBet(limits, 50, usage, NOW), {
+            code: LIMIT_CODES.BET_PER_ROUND,
+            error: 'Bet exceeds your limit per round',
+            limit: 100,
+            used: 60,
+            available: 40
+        });
+        assert.equal(checkBet(limits, 40, usage, NOW).code, LIMIT_CODES.SESSION_LOSS);
+        assert.equal(checkBet(limits, 40, { ...usage, sessionLoss: 0 }, NOW).code, LIMIT_CODES.DAILY_LOSS);
+        assert.equal(checkBet(limits, 1, { sessionStartedAt: NOW - 60 * MINUTE }, NOW).code, LIMIT_CODES.SESSION_TIME);
+        assert.equal(checkBet({ coolingOffUntil: NOW + 1 }, 1, {}, NOW).code, LIMIT_CODES.COOLING_OFF);
+        assert.equal(checkBet(null, 1000, usage, NOW), null);
+    });
+
+    it('schedules reality checks from the player interval or the server default', () => {
+        const lastCheckAt = NOW - 30 * MINUTE;
+        assert.equal(isRealityCheckDue({ limits: null, defaultMinutes: 60, lastCheckAt }, NOW), false);
+        assert.equal(isRealityCheckDue({ limits: null, defaultMinutes: 30, lastCheckAt }, NOW), true);
+        assert.equal(isRealityCheckDue({ limits: { realityCheckMinutes: 15 }, defaultMinutes: 0, lastCheckAt }, NOW), true);
+        assert.equal(isRealityCheckDue({ limits: null, defaultMinutes: 0, lastCheckAt }, NOW), false);
+    });
+
+    it('converts the amount limits, pending ones included, and leaves the minutes alone', () => {
+        const limits = {
+            maxSessionLoss: 150.5,
+            maxSessionMinutes: 60,
+            pending: { maxDailyLoss: { value: 800, effectiveAt: NOW }, realityCheckMinutes: { value: 30, effectiveAt: NOW } }
+        };
+        assert.deepEqual(convertLimitAmounts(limits, toCents), {
+            maxSessionLoss: 15050,
+            maxSessionMinutes: 60,
+            pending: { maxDailyLoss: { value: 80000, effectiveAt: NOW }, realityCheckMinutes: { value: 30, effectiveAt: NOW } }
+        });
+        assert.equal(limits.pending.maxDailyLoss.value, 800);
+        assert.equal(convertLimitAmounts(null, fromCents), null);
+    });
+
+    it('describes the limits for the player in reais', () => {
+        const { limits } = applyLimitChanges({ maxBetPerRound: 1000 }, { maxBetPerRound: 2000 }, { now: NOW, increaseDelay: DAY });
+        const described = describeLimits(limits, { sessionLoss: 5 }, NOW);
+
+        assert.equal(described.limits.maxBetPerRound, 10);
+        assert.equal(described.limits.pending, undefined);
+        assert.deepEqual(described.pending, [{ field: 'maxBetPerRound', value: 20, effectiveAt: NOW + DAY }]);
+        assert.deepEqual(described.usage, { sessionLoss: 5 });
+    });
+});
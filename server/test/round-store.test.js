@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RoundStore = require('../round-store');
+const { MemoryStorage } = require('../storage');
+
+// Registro mínimo de uma rodada como o GameEngine emite (valores em centavos)
+function round(gameId, crashPoint, { reason = null, outcome = 'crashed', bet = 1000, winAmount = 0 } = {}) {
+    return {
+        gameId,
+        outcome,
+        reason,
+        crashPoint,
+        startedAt: gameId * 1000,
+        endedAt: gameId * 1000 + 500,
+        bets: [{ playerId: 'p1', slotId: 0, amount: bet, lostAmount: winAmount ? 0 : bet, refundedAmount: 0 }],
+        cashouts: winAmount ? [{ playerId: 'p1', slotId: 0, betAmount: bet, winAmount }] : []
+    };
+}
+
+describe('RoundStore', () => {
+    let storage;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        storage = new MemoryStorage();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('keeps only the most recent rounds in memory and lists them newest first', () => {
+        const store = new RoundStore(storage, { maxRounds: 3 });
+        [1, 2, 3, 4, 5].forEach(gameId => store.record(round(gameId, 2)));
+
+        assert.equal(store.getRound(2), null);
+        assert.equal(store.getRound(5).gameId, 5);
+        assert.deepEqual(store.query().map(record => record.gameId), [5, 4, 3]);
+        assert.deepEqual(store.query({ to: 4000, limit: 1 }).map(record => record.gameId), [4]);
+        assert.equal(store.getLastRoundId(), 5);
+    });
+
+    it('computes the RTP over every recorded round, including the ones out of the window', () => {
+        const store = new RoundStore(storage, { maxRounds: 2 });
+        store.record(round(1, 1));
+        store.record(round(2, 3, { winAmount: 2000 }));
+        store.record(round(3, 1.5));
+        store.record(round(4, 5, { reason: 'admin_override' }));
+        store.record(round(5, 2, { outcome: 'voided' }));
+
+        const stats = store.getRtpStats({ target: 2 });
+        assert.equal(stats.rounds, 3);
+        assert.equal(stats.forcedRounds, 1);
+        assert.equal(stats.voidedRounds, 1);
+        assert.equal(stats.wagered, 40);
+        assert.equal(stats.paidOut, 20);
+        assert.equal(stats.rtp, 0.5);
+        assert.equal(stats.targetRtp, Number((2 / 3).toFixed(6)));
+        assert.equal(stats.instantCrashRate, Number((1 / 3).toFixed(6)));
+
+        const reloaded = new RoundStore(storage, { maxRounds: 2 });
+        assert.deepEqual(reloaded.getRtpStats({ target: 2 }), stats);
+        assert.deepEqual(reloaded.query().map(record => record.gameId), [5, 4]);
+    });
+});
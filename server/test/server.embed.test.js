@@ -0,0 +1,607 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const createServer = require('../server');
+const { CrashRocketServer } = require('../server');
+const { MemoryStorage } = require('../storage');
+const { VirtualClock } = require('../clock');
+const { loadConfig } = require('../config');
+const { hashPassword } = require('../admin-auth');
+const { connect, waitForEvent, joinGame } = require('./helpers');
+
+const PROCESS_EVENTS = ['SIGTERM', 'SIGINT', 'uncaughtException', 'unhandledRejection'];
+
+function countProcessListeners() {
+    return PROCESS_EVENTS.map(event => process.listenerCount(event));
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, () => resolve(server.address().port)));
+}
+
+describe('createServer', () => {
+    let listenersBefore;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        listenersBefore = countProcessListeners();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('does not listen or start the engine until start() is called', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage() });
+
+        assert.ok(crash instanceof CrashRocketServer);
+        assert.equal(crash.server.listening, false);
+        assert.equal(crash.gameEngine.stateTimeout, null);
+        assert.deepEqual(countProcessListeners(), listenersBefore);
+    });
+
+    it('resolves start() with the bound address and stop() once the sockets are closed', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed', startingBalance: 500 });
+        const { port, url } = await crash.start();
+
+        assert.ok(port > 0);
+        const health = await fetch(`${url}/health`);
+        assert.equal(health.status, 200);
+
+        const config = await (await fetch(`${url}/admin/config`, { headers: { 'x-admin-token': 'embed' } })).json();
+        assert.equal(config.values.players.startingBalance, 500);
+        assert.equal(config.values.server.adminSecret, '********');
+
+        const socket = await connect(url);
+        const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+        await crash.stop();
+        await disconnected;
+
+        assert.equal(crash.server.listening, false);
+        assert.equal(crash.isRunning, false);
+        assert.equal(crash.gameEngine.stateTimeout, null);
+        assert.deepEqual(countProcessListeners(), listenersBefore);
+    });
+
+    it('mounts inside a host Express app sharing its http server', async () => {
+        const host = express();
+        host.get('/host-only', (req, res) => res.json({ host: true }));
+        const httpServer = http.createServer(host);
+        const crash = createServer({ server: httpServer, storage: new MemoryStorage() });
+        host.use('/crash', crash.app);
+
+        await crash.start();
+        const port = await listen(httpServer);
+        const url = `http://localhost:${port}`;
+
+        try {
+            assert.deepEqual(await (await fetch(`${url}/host-only`)).json(), { host: true });
+            assert.equal((await (await fetch(`${url}/crash/health`)).json()).status, 'ok');
+
+            const socket = await connect(url);
+            assert.ok(socket.connected);
+            const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+
+            await crash.stop();
+            await disconnected;
+
+            // O http.Server é do app hospedeiro: continua no ar depois do stop()
+            assert.equal(httpServer.listening, true);
+            assert.equal((await fetch(`${url}/host-only`)).status, 200);
+        } finally {
+            await new Promise(resolve => httpServer.close(resolve));
+        }
+    });
+
+    it('queues admin settings changes for the next round and broadcasts them', async () => {
+        const clock = new VirtualClock();
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed', engineOptions: { clock } });
+        const { url } = await crash.start();
+        const headers = { 'Content-Type': 'application/json', 'x-admin-token': 'embed' };
+        const put = body => fetch(`${url}/admin/settings`, { method: 'PUT', headers, body: JSON.stringify(body) });
+
+        try {
+            assert.equal((await fetch(`${url}/admin/settings`)).status, 401);
+
+            const invalid = await put({ changes: { 'bets.min': 10, 'bets.max': 5 } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual((await invalid.json()).problems, ['bets.min must not exceed bets.max']);
+
+            const socket = await connect(url);
+            const accepted = await put({ changes: { 'growth.rate': 0.3, 'bets.min': 2 }, reason: 'tuning' });
+            const body = await accepted.json();
+            assert.equal(accepted.status, 202);
+            assert.equal(body.appliesAt, 'next_round');
+            assert.deepEqual(body.pending, { 'growth.rate': 0.3, 'bets.min': 2 });
+            assert.equal(crash.isValidBet(1), true);
+
+            const [change] = body.history;
+            assert.equal(change.action, 'config_change');
+            assert.deepEqual(change.before, { 'growth.rate': 0.2, 'bets.min': 1 });
+            assert.equal(change.reason, 'tuning');
+
+            // Ainda na rodada atual: nada muda até a próxima fronteira de rodada
+            const broadcast = waitForEvent(socket, 'game_settings', data => Boolean(data.appliedFrom));
+            const roundId = crash.gameEngine.gameId;
+            while (crash.gameEngine.gameId === roundId) {
+                clock.runNext();
+            }
+
+            const settings = await broadcast;
+            assert.equal(settings.growthRate, 0.3);
+            assert.deepEqual(settings.bets, { min: 2, max: 1000000000 });
+            assert.equal(settings.appliedFrom, roundId + 1);
+            assert.equal(crash.isValidBet(1), false);
+
+            const after = await (await fetch(`${url}/admin/settings`, { headers })).json();
+            assert.equal(after.pending, null);
+            assert.equal(after.history[0].action, 'config_applied');
+            socket.close();
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('logs admins in with signed sessions, enforces roles and revokes on logout', async () => {
+        const passwordHash = await hashPassword('viewer-password');
+        const config = loadConfig({
+            env: {},
+            overrides: { admin: { users: [{ username: 'ana', passwordHash, role: 'viewer' }], sessionSecret: 'x'.repeat(32) } }
+        });
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), config });
+        const { url } = await crash.start();
+        const post = (path, body, token) => fetch(`${url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body || {})
+        });
+
+        try {
+            assert.equal((await post('/admin/login', { username: 'ana', password: 'wrong-password' })).status, 401);
+
+            const login = await post('/admin/login', { username: 'ana', password: 'viewer-password' });
+            const session = await login.json();
+            assert.equal(login.status, 200);
+            assert.equal(session.role, 'viewer');
+
+            const auth = { headers: { Authorization: `Bearer ${session.token}` } };
+            assert.equal((await fetch(`${url}/admin/session`, auth)).status, 200);
+            assert.equal((await fetch(`${url}/admin/session?token=${session.token}`)).status, 401);
+            assert.equal((await post('/admin/logout', { token: session.token })).status, 401);
+            assert.equal((await fetch(`${url}/admin/settings`, auth)).status, 200);
+            assert.equal((await post('/admin/force-crash', {}, session.token)).status, 403);
+
+            assert.equal((await post('/admin/logout', {}, session.token)).status, 200);
+            assert.equal((await fetch(`${url}/admin/session`, auth)).status, 401);
+
+            const actions = crash.auditLog.query({ limit: 3 }).map(entry => entry.action);
+            assert.deepEqual(actions, ['admin_logout', 'admin_login', 'admin_login_failed']);
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('records privileged actions in the audit log and serves them filtered', async () => {
+        const clock = new VirtualClock();
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed', engineOptions: { clock } });
+        const { url } = await crash.start();
+        const headers = { 'Content-Type': 'application/json', 'x-admin-token': 'embed' };
+        const post = (path, body) => fetch(`${url}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+        const audit = async query => (await fetch(`${url}/admin/audit${query}`, { headers })).json();
+
+        try {
+            while (crash.gameEngine.state !== 'flying') {
+                clock.runNext();
+            }
+            const gameId = crash.gameEngine.gameId;
+            assert.equal((await post('/admin/force-crash', { reason: 'stuck round' })).status, 200);
+            assert.equal((await post('/admin/bots', { action: 'start', count: 5, settings: { betMin: 10, extra: 'x' } })).status, 200);
+            assert.equal((await post('/admin/bots', { action: 'launch' })).status, 400);
+
+            const [forced] = (await audit(`?action=force_crash&target=round:${gameId}`)).entries;
+            assert.equal(forced.actor, 'admin_token');
+            assert.equal(forced.reason, 'stuck round');
+            assert.ok(forced.ip);
+            assert.equal(typeof forced.before.crashPoint, 'number');
+            assert.equal(forced.after.crashMultiplier, crash.gameEngine.multiplier);
+
+            const { entries, actions } = await audit('?action=bots_start,force_crash&actor=admin_token');
+            assert.deepEqual(entries.map(entry => entry.action), ['bots_start', 'force_crash']);
+            assert.deepEqual(entries[0].after, { count: 5, settings: { betMin: 10 } });
+            assert.ok(actions.includes('void_round'));
+
+            assert.equal((await audit(`?since=${Date.now() + 60000}`)).entries.length, 0);
+            assert.equal((await fetch(`${url}/admin/audit?since=yesterday`, { headers })).status, 400);
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('lets admins inspect, adjust, export and kick connected players', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed' });
+        const { url } = await crash.start();
+        const headers = { 'Content-Type': 'application/json', 'x-admin-token': 'embed' };
+        const post = (path, body) => fetch(`${url}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+        const get = path => fetch(`${url}${path}`, { headers });
+
+        try {
+            const { socket, session } = await joinGame(url, 'Carla');
+            const playerId = socket.id;
+
+            const { players, total } = await (await get('/admin/players?search=carl')).json();
+            assert.equal(total, 1);
+            assert.equal(players[0].id, playerId);
+            assert.equal(players[0].accountId, session.accountId);
+            assert.deepEqual(players[0].currentBets, []);
+            assert.equal((await get('/admin/players/nope')).status, 404);
+
+            assert.equal((await post(`/admin/players/${playerId}/balance`, { balance: 50 })).status, 400);
+            const adjusted = waitForEvent(socket, 'balance_adjusted');
+            const balance = await post(`/admin/players/${playerId}/balance`, { balance: 250.555, reason: 'support ticket' });
+            assert.equal(balance.status, 200);
+            assert.deepEqual(await adjusted, { balance: 250.56, previousBalance: 1000 });
+
+            const detail = await (await get(`/admin/players/${playerId}`)).json();
+            assert.equal(detail.balance, 250.56);
+            assert.equal(detail.transactions[0].reason, 'admin_adjustment');
+
+            const exported = await get(`/admin/players/${playerId}/export`);
+            assert.match(exported.headers.get('content-disposition'), /attachment; filename="player-/);
+            assert.equal((await exported.json()).name, 'Carla');
+
+            const kicked = waitForEvent(socket, 'player_kicked');
+            const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+            assert.equal((await post(`/admin/players/${playerId}/kick`, { reason: 'abuse' })).status, 200);
+            assert.deepEqual(await kicked, { reason: 'abuse' });
+            assert.equal(await disconnected, 'io server disconnect');
+
+            const actions = crash.auditLog.query({ target: `player:${playerId}` }).map(entry => entry.action);
+            assert.deepEqual(actions, ['player_kick', 'player_export', 'balance_edit']);
+            const [edit] = crash.auditLog.query({ action: 'balance_edit' });
+            assert.deepEqual([edit.before, edit.after, edit.reason], [{ balance: 1000 }, { balance: 250.56 }, 'support ticket']);
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('refunds bets placed before liftoff and settles the flying bets of disconnected players', async () => {
+        const clock = new VirtualClock();
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), engineOptions: { clock } });
+        const { url } = await crash.start();
+        const engine = crash.gameEngine;
+        const bet = async (socket, data) => {
+            const reply = waitForEvent(socket, 'bet_placed');
+            socket.emit('place_bet', { slotId: 0, ...data });
+            return reply;
+        };
+
+        try {
+            const observer = await connect(url);
+            const leave = async (socket) => {
+                const playerId = socket.id;
+                const left = waitForEvent(observer, 'player_left', data => data.playerId === playerId);
+                socket.close();
+                await left;
+            };
+
+            // Recarregar a página antes da decolagem devolve a aposta
+            let { socket, session } = await joinGame(url, 'Gil');
+            const token = session.accountToken;
+            assert.equal((await bet(socket, { amount: 100 })).balance, 900);
+            await leave(socket);
+            ({ socket, session } = await joinGame(url, 'Gil', token));
+            assert.equal(session.balance, 1000);
+            assert.deepEqual(engine.getPlayerBets(socket.id), []);
+
+            // Em voo a aposta continua na rodada e é paga no auto retirar, mesmo sem o jogador
+            assert.equal((await bet(socket, { amount: 100, autoCashOut: 2 })).success, true);
+            engine.round.crashPoint = 3;
+            clock.runNext();
+            clock.runNext();
+            const playerId = socket.id;
+            await leave(socket);
+            assert.ok(crash.playerManager.getPlayer(playerId));
+
+            const gameId = engine.gameId;
+            while (engine.state === 'flying') {
+                clock.runNext();
+            }
+            assert.equal(crash.playerManager.getPlayer(playerId), undefined);
+
+            const round = await (await fetch(`${url}/rounds/${gameId}`)).json();
+            assert.deepEqual(round.bets.map(entry => [entry.amount, entry.lostAmount]), [[100, 0]]);
+            const { winAmount } = round.cashouts[0];
+            assert.ok(winAmount >= 200);
+
+            ({ socket, session } = await joinGame(url, 'Gil', token));
+            assert.equal(session.balance, 900 + winAmount);
+            socket.close();
+            observer.close();
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('enforces account states in join, bet and rename and supports self-exclusion', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed' });
+        const { url } = await crash.start();
+        const headers = { 'Content-Type': 'application/json', 'x-admin-token': 'embed' };
+        const setStatus = (accountId, body) => fetch(`${url}/admin/accounts/${accountId}/status`, {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify(body)
+        });
+        const rejoin = async (token) => {
+            const socket = await connect(url);
+            const refused = waitForEvent(socket, 'join_refused');
+            const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+            socket.emit('join_game', { playerName: 'Dora', accountToken: token });
+            return { refused: await refused, reason: await disconnected };
+        };
+
+        try {
+            const { socket, session } = await joinGame(url, 'Dora');
+            const { accountId, accountToken } = session;
+            assert.equal(session.status.state, 'active');
+
+            // Suspensa: continua conectada, mas não aposta nem troca de nome
+            const notified = waitForEvent(socket, 'account_status');
+            assert.equal((await setStatus(accountId, { state: 'suspended', reason: 'review' })).status, 200);
+            assert.deepEqual(await notified, { state: 'suspended', reason: 'review', until: null, canBet: false, canRename: false });
+
+            const bet = waitForEvent(socket, 'bet_placed');
+            socket.emit('place_bet', { amount: 10, slotId: 0 });
+            assert.equal((await bet).error, 'Betting is blocked for this account');
+
+            const renamed = waitForEvent(socket, 'player_name_updated');
+            socket.emit('update_player_name', 'Other');
+            assert.equal((await renamed).success, false);
+
+            // Reativada, a própria jogadora pede a autoexclusão e fica fora até a data escolhida
+            assert.equal((await setStatus(accountId, { state: 'active' })).status, 200);
+            const excluded = waitForEvent(socket, 'self_exclusion');
+            socket.emit('self_exclude', { days: 7 });
+            const exclusion = await excluded;
+            assert.equal(exclusion.success, true);
+            assert.equal(exclusion.state, 'self_excluded');
+
+            const refusedAfterExclusion = await rejoin(accountToken);
+            assert.equal(refusedAfterExclusion.refused.state, 'self_excluded');
+            assert.equal(refusedAfterExclusion.reason, 'io server disconnect');
+
+            const { accounts } = await (await fetch(`${url}/admin/accounts?restricted=1`, { headers })).json();
+            assert.deepEqual(accounts.map(account => [account.id, account.status.state, account.online]), [[accountId, 'self_excluded', false]]);
+
+            assert.equal((await setStatus(accountId, { state: 'banned', until: 'not a date' })).status, 400);
+            assert.equal((await setStatus('nope', { state: 'banned' })).status, 404);
+            assert.equal((await setStatus(accountId, { state: 'banned', reason: 'fraud' })).status, 200);
+            assert.equal((await rejoin(accountToken)).refused.state, 'banned');
+
+            const changes = crash.auditLog.query({ action: 'account_status_change', target: `account:${accountId}` });
+            assert.deepEqual(changes.map(entry => entry.after.state), ['banned', 'active', 'suspended']);
+            assert.equal(changes[0].before.state, 'self_excluded');
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('drops the bet from the round when the ledger debit fails', async () => {
+        const clock = new VirtualClock();
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), engineOptions: { clock } });
+        const { url } = await crash.start();
+
+        try {
+            const { socket } = await joinGame(url, 'Lia');
+            const balance = crash.playerManager.getPlayer(socket.id).balance;
+            mock.method(crash.playerManager, 'placeBet', () => false);
+
+            const reply = waitForEvent(socket, 'bet_placed');
+            socket.emit('place_bet', { amount: 10, slotId: 0 });
+            const result = await reply;
+
+            assert.equal(result.success, false);
+            assert.equal(result.error, 'Failed to debit bet');
+            assert.equal(crash.gameEngine.activePlayers.has(socket.id), false);
+            assert.equal(crash.playerManager.getPlayer(socket.id).balance, balance);
+            assert.equal(crash.gameEngine.getStats().totalBets, 0);
+            socket.close();
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('enforces the player limits on bets and sends reality checks', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage() });
+        const { url } = await crash.start();
+        const request = async (socket, event, data) => {
+            const reply = waitForEvent(socket, 'responsible_limits');
+            socket.emit(event, data);
+            return reply;
+        };
+        const bet = async (socket, amount) => {
+            const reply = waitForEvent(socket, 'bet_placed');
+            socket.emit('place_bet', { amount, slotId: 0 });
+            return reply;
+        };
+
+        try {
+            const { socket, session } = await joinGame(url, 'Eva');
+            assert.equal(session.limits.limits.maxBetPerRound, null);
+            assert.equal(session.limits.defaultRealityCheckMinutes, 60);
+
+            const saved = await request(socket, 'set_limits', { limits: { maxBetPerRound: 50, realityCheckMinutes: 5 } });
+            assert.equal(saved.success, true);
+            assert.deepEqual(saved.applied, ['maxBetPerRound', 'realityCheckMinutes']);
+
+            const blocked = await bet(socket, 60);
+            assert.equal(blocked.success, false);
+            assert.equal(blocked.limit.code, 'bet_per_round');
+            assert.equal(blocked.limit.available, 50);
+
+            // Aumentar o limite só vale depois do prazo de espera
+            const raised = await request(socket, 'set_limits', { limits: { maxBetPerRound: 500 } });
+            assert.deepEqual(raised.pendingFields, ['maxBetPerRound']);
+            assert.equal(raised.limits.maxBetPerRound, 50);
+            assert.equal(raised.pending[0].value, 500);
+
+            assert.match((await request(socket, 'set_limits', { limits: { maxSessionMinutes: 2 } })).error, /between 5 and 1440/);
+
+            const coolingOff = await request(socket, 'cooling_off', { hours: 24 });
+            assert.ok(coolingOff.coolingOffUntil > Date.now());
+            assert.equal((await bet(socket, 10)).limit.code, 'cooling_off');
+
+            const player = crash.playerManager.getPlayer(socket.id);
+            player.joinedAt -= 5 * 60 * 1000;
+            player.lastRealityCheckAt = player.joinedAt;
+            const reminder = waitForEvent(socket, 'reality_check');
+            crash.sendRealityChecks();
+            const check = await reminder;
+            assert.equal(check.sessionMinutes, 5);
+            assert.equal(check.sessionResult, 0);
+            assert.equal(check.limits.limits.maxBetPerRound, 50);
+
+            assert.equal(crash.getAdminPlayerView(player).limits.coolingOffUntil, coolingOff.coolingOffUntil);
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('rate limits socket events, connections and HTTP routes per IP', async () => {
+        const config = loadConfig({
+            env: {},
+            overrides: {
+                rateLimit: {
+                    events: { update_player_name: { burst: 2, perSecond: 0.001 } },
+                    http: { burst: 3, perSecond: 0.001 },
+                    login: { burst: 1, perSecond: 0.001 },
+                    maxConnectionsPerIp: 2,
+                    maxViolations: 3
+                }
+            }
+        });
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), config });
+        const { url } = await crash.start();
+        const rename = (socket, name) => {
+            const reply = Promise.race([
+                waitForEvent(socket, 'player_name_updated').then(data => ({ event: 'player_name_updated', data })),
+                waitForEvent(socket, 'rate_limited').then(data => ({ event: 'rate_limited', data }))
+            ]);
+            socket.emit('update_player_name', name);
+            return reply;
+        };
+
+        try {
+            const spammer = await connect(url);
+            const other = await connect(url);
+            assert.equal((await rename(spammer, 'Ana')).event, 'player_name_updated');
+            assert.equal((await rename(spammer, 'Bia')).event, 'player_name_updated');
+
+            const limited = await rename(spammer, 'Cora');
+            assert.equal(limited.event, 'rate_limited');
+            assert.equal(limited.data.code, 'rate_limited');
+            assert.equal(limited.data.scope, 'socket');
+            assert.equal(limited.data.event, 'update_player_name');
+            assert.ok(limited.data.retryAfter > 0);
+
+            // O balde é da conexão: outro socket do mesmo IP ainda pode renomear
+            assert.equal((await rename(other, 'Dani')).event, 'player_name_updated');
+
+            await assert.rejects(connect(url), (error) => {
+                assert.equal(error.data.code, 'rate_limited');
+                assert.equal(error.data.scope, 'connections');
+                return true;
+            });
+
+            // Quem insiste depois de recusado é desconectado e libera a vaga do IP
+            const kicked = new Promise(resolve => spammer.once('disconnect', resolve));
+            for (let i = 0; i < 3; i++) {
+                spammer.emit('update_player_name', `Spam${i}`);
+            }
+            assert.equal(await kicked, 'io server disconnect');
+            const replacement = await connect(url);
+            assert.ok(replacement.connected);
+            replacement.close();
+            other.close();
+
+            const statuses = [];
+            for (let i = 0; i < 4; i++) {
+                statuses.push((await fetch(`${url}/health`)).status);
+            }
+            assert.deepEqual(statuses, [200, 200, 200, 429]);
+            const blocked = await fetch(`${url}/health`);
+            assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+            assert.equal((await blocked.json()).scope, 'http');
+
+            const login = body => fetch(`${url}/admin/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            assert.notEqual((await login({ username: 'x', password: 'y' })).status, 429);
+            assert.equal((await login({ username: 'x', password: 'y' })).status, 429);
+        } finally {
+            await crash.stop();
+        }
+    });
+
+    it('validates socket payloads and HTTP bodies against the schemas', async () => {
+        const crash = createServer({ port: 0, storage: new MemoryStorage(), adminSecret: 'embed' });
+        const { url } = await crash.start();
+        const send = (socket, event, data, reply) => {
+            const received = waitForEvent(socket, reply);
+            socket.emit(event, data);
+            return received;
+        };
+        const post = (path, body, headers = { 'x-admin-token': 'embed' }) => fetch(`${url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        try {
+            const { socket } = await joinGame(url, 'Fabi');
+
+            const extra = await send(socket, 'place_bet', { amount: 10, slotId: 1, hack: true }, 'bet_placed');
+            assert.deepEqual(
+                [extra.success, extra.code, extra.field, extra.slotId, extra.event],
+                [false, 'unknown_field', 'hack', 1, 'place_bet']
+            );
+            assert.equal((await send(socket, 'place_bet', null, 'bet_placed')).code, 'required');
+            const target = await send(socket, 'place_bet', { amount: 10, autoCashOut: '2x' }, 'bet_placed');
+            assert.deepEqual([target.code, target.field], ['invalid_type', 'autoCashOut']);
+
+            assert.equal((await send(socket, 'update_player_name', '   ', 'player_name_updated')).code, 'required');
+            const long = await send(socket, 'update_player_name', 'x'.repeat(21), 'player_name_updated');
+            assert.deepEqual([long.code, long.maxLength], ['too_long', 20]);
+
+            const cashOut = await send(socket, 'cash_out', { slotId: 'a' }, 'error');
+            assert.deepEqual([cashOut.event, cashOut.code, cashOut.field], ['cash_out', 'invalid_type', 'slotId']);
+
+            // Valores em reais chegam ao handler já arredondados para centavos
+            const saved = await send(socket, 'set_limits', { limits: { maxBetPerRound: 12.345 } }, 'responsible_limits');
+            assert.equal(saved.limits.maxBetPerRound, 12.35);
+            const unknownLimit = await send(socket, 'set_limits', { limits: { maxDeposit: 1 } }, 'responsible_limits');
+            assert.deepEqual([unknownLimit.code, unknownLimit.field], ['unknown_field', 'limits.maxDeposit']);
+
+            const cleanup = await post('/admin/players/cleanup', { inactiveMinutes: '5' });
+            assert.equal(cleanup.status, 400);
+            assert.deepEqual(await cleanup.json(), {
+                error: '"inactiveMinutes" must be an integer',
+                code: 'invalid_type',
+                field: 'inactiveMinutes'
+            });
+            assert.equal((await (await post('/admin/force-crash', { reason: 'x', force: true })).json()).code, 'unknown_field');
+            assert.equal((await (await post('/admin/force-crash', '{"reason":')).json()).code, 'invalid_payload');
+            assert.equal((await post('/admin/force-crash', { force: true }, {})).status, 401);
+
+            const login = await post('/admin/login', { username: 'ana' }, {});
+            assert.equal(login.status, 400);
+            assert.equal((await login.json()).field, 'password');
+        } finally {
+            await crash.stop();
+        }
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    startServer,
+    connect,
+    waitForEvent,
+    waitForState,
+    waitForBettingWindow,
+    waitForAny,
+    joinGame
+} = require('./helpers');
+
+const ROUND_TIMEOUT = 30000;
+const ADMIN_SECRET = 'integration-secret';
+
+// O crash point é aleatório: a rodada pode explodir antes de a ação chegar ao servidor.
+// Nesses casos a tentativa é repetida na rodada seguinte.
+class RoundCrashedError extends Error {}
+
+async function inNextRounds(attempts, attempt) {
+    let lastError = null;
+    for (let i = 0; i < attempts; i++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            if (!(error instanceof RoundCrashedError)) throw error;
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+async function placeBet(socket, bet) {
+    const reply = waitForEvent(socket, 'bet_placed', data => Number(data.slotId ?? 0) === (bet.slotId ?? 0));
+    socket.emit('place_bet', bet);
+    return reply;
+}
+
+describe('CrashRocketServer', { timeout: 240000 }, () => {
+    let server;
+    const sockets = [];
+
+    const track = (socket) => {
+        sockets.push(socket);
+        return socket;
+    };
+
+    before(async () => {
+        server = await startServer({ ADMIN_SECRET });
+    });
+
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        if (server) await server.stop();
+    });
+
+    it('answers the health check', async () => {
+        const response = await fetch(`${server.url}/health`);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).status, 'ok');
+    });
+
+    it('sends the game state and history on connect', async () => {
+        const socket = await connect(server.url);
+        track(socket);
+        const history = socket.lastHistory || (await waitForEvent(socket, 'game_history')).history;
+
+        assert.ok(['waiting', 'starting', 'flying', 'crashed'].includes(socket.lastState));
+        assert.ok(Array.isArray(history));
+    });
+
+    it('creates an account with the starting balance on join', async () => {
+        const { socket, session } = await joinGame(server.url, 'Ana');
+        track(socket);
+
+        assert.equal(session.isNew, true);
+        assert.equal(session.name, 'Ana');
+        assert.equal(session.balance, 1000);
+        assert.ok(session.accountToken);
+    });
+
+    it('refuses bets from sockets that have not joined', async () => {
+        const socket = track(await connect(server.url));
+        const reply = await placeBet(socket, { amount: 10 });
+
+        assert.equal(reply.success, false);
+        assert.equal(reply.error, 'Join the game before betting');
+    });
+
+    it('validates the bet amount (isValidBet)', async () => {
+        const { socket } = await joinGame(server.url, 'Bia');
+        track(socket);
+
+        const cases = [[0, 'out_of_range'], [0.5, 'out_of_range'], [-10, 'out_of_range'], ['10', 'invalid_type'], [null, 'required'], [1e10, 'out_of_range']];
+        for (const [amount, code] of cases) {
+            const reply = await placeBet(socket, { amount });
+            assert.equal(reply.success, false, `amount ${amount}`);
+            assert.equal(reply.code, code, `amount ${amount}`);
+            assert.equal(reply.field, 'amount');
+        }
+    });
+
+    it('rejects bets above the balance', async () => {
+        const { socket } = await joinGame(server.url, 'Caio');
+        track(socket);
+
+        await waitForBettingWindow(socket, ROUND_TIMEOUT);
+        const reply = await placeBet(socket, { amount: 5000 });
+
+        assert.equal(reply.success, false);
+        assert.equal(reply.error, 'Insufficient balance');
+    });
+
+    it('debits the bet and credits the cash out', async () => {
+        const { socket } = await joinGame(server.url, 'Duda');
+        const observer = track(await connect(server.url));
+        track(socket);
+
+        await inNextRounds(3, async () => {
+            await waitForBettingWindow(socket, ROUND_TIMEOUT);
+            const seenByOthers = waitForEvent(observer, 'player_bet', data => data.playerId === socket.id);
+            const bet = await placeBet(socket, { amount: 100 });
+            assert.equal(bet.success, true);
+            assert.equal((await seenByOthers).amount, 100);
+
+            await waitForState(socket, 'flying', ROUND_TIMEOUT);
+            const reply = waitForAny(socket, [
+                ['player_cashed_out', data => data.isCurrentPlayer],
+                ['error']
+            ]);
+            socket.emit('cash_out', { slotId: 0 });
+            const { event, data } = await reply;
+            if (event === 'error') {
+                throw new RoundCrashedError(data.message);
+            }
+
+            assert.equal(data.success, true);
+            assert.equal(data.betAmount, 100);
+            assert.ok(data.multiplier >= 1);
+            assert.equal(data.balance, Number((bet.balance + data.amount).toFixed(2)));
+        });
+    });
+
+    it('forfeits the bet of a player that disconnects during the flight', async () => {
+        const observer = track(await connect(server.url));
+        let { socket, session } = await joinGame(server.url, 'Enzo');
+
+        await waitForBettingWindow(socket, ROUND_TIMEOUT);
+        const bet = await placeBet(socket, { amount: 100 });
+        assert.equal(bet.balance, 900);
+
+        await waitForState(socket, 'flying', ROUND_TIMEOUT);
+        const playerId = socket.id;
+        const left = waitForEvent(observer, 'player_left', data => data.playerId === playerId);
+        socket.close();
+        await left;
+        await waitForState(observer, 'crashed', ROUND_TIMEOUT);
+
+        ({ socket, session } = await joinGame(server.url, 'Enzo', session.accountToken));
+        track(socket);
+        assert.equal(session.isNew, false);
+        assert.equal(session.balance, 900);
+    });
+
+    it('lets an admin force the crash of a flying round', async () => {
+        const socket = track(await connect(server.url));
+
+        const unauthorized = await fetch(`${server.url}/admin/force-crash`, { method: 'POST' });
+        assert.equal(unauthorized.status, 401);
+
+        await inNextRounds(3, async () => {
+            await waitForState(socket, 'flying', ROUND_TIMEOUT);
+            const crashed = waitForState(socket, 'crashed', ROUND_TIMEOUT);
+            const response = await fetch(`${server.url}/admin/force-crash`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-admin-token': ADMIN_SECRET },
+                body: JSON.stringify({ reason: 'integration_test' })
+            });
+            const body = await response.json();
+            if (response.status === 400 && body.error === 'Game is not currently flying') {
+                throw new RoundCrashedError(body.error);
+            }
+
+            assert.equal(response.status, 200);
+            assert.equal(body.success, true);
+
+            const state = await crashed;
+            const round = await (await fetch(`${server.url}/rounds/${state.gameId}`)).json();
+            assert.equal(round.reason, 'integration_test');
+        });
+    });
+});
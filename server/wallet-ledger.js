@@ -0,0 +1,177 @@
+const { fromCents, convertFields } = require('./money');
+
+const LEDGER_COLLECTION = 'ledger';
+
+const ENTRY_TYPES = {
+    DEBIT: 'debit',
+    CREDIT: 'credit'
+};
+
+const ENTRY_REASONS = {
+    OPENING_BALANCE: 'opening_balance',
+    BET: 'bet',
+    CASHOUT: 'cashout',
+    AUTO_CASHOUT: 'auto_cashout',
+    ADMIN_ADJUSTMENT: 'admin_adjustment',
+    REFUND: 'refund'
+};
+
+const GAME_REASONS = [ENTRY_REASONS.BET, ENTRY_REASONS.CASHOUT, ENTRY_REASONS.AUTO_CASHOUT, ENTRY_REASONS.REFUND];
+
+const MONEY_FIELDS = ['amount', 'balanceAfter'];
+
+// Entrada em reais para respostas da API
+function toPublicEntry(entry) {
+    return convertFields(entry, MONEY_FIELDS, fromCents);
+}
+
+// Relatório de reconcile em reais para respostas da API
+function toPublicReport(report) {
+    return report && {
+        ...report,
+        drifts: report.drifts.map(drift => convertFields(drift, ['playerBalance', 'ledgerBalance', 'drift'], fromCents))
+    };
+}
+
+// Livro-razão somente-anexação: cada movimentação de saldo vira uma entrada imutável e o
+// saldo da conta é sempre derivado da soma das entradas. Valores e saldos em centavos (money.js).
+class WalletLedger {
+    constructor(storage) {
+        this.storage = storage;
+        this.entriesByAccount = new Map(); // accountId -> entries (ordem cronológica)
+        this.balances = new Map(); // accountId -> saldo derivado
+        this.sequence = 0;
+
+        this.load();
+    }
+
+    load() {
+        const entries = this.storage.readLog(LEDGER_COLLECTION);
+        entries.forEach(entry => this.index(Object.freeze(entry)));
+
+        if (entries.length > 0) {
+            console.log(`📒 Ledger loaded: ${entries.length} entries for ${this.balances.size} accounts`);
+        }
+    }
+
+    index(entry) {
+        if (!this.entriesByAccount.has(entry.accountId)) {
+            this.entriesByAccount.set(entry.accountId, []);
+        }
+        this.entriesByAccount.get(entry.accountId).push(entry);
+        this.balances.set(entry.accountId, entry.balanceAfter);
+        this.sequence = Math.max(this.sequence, entry.id);
+    }
+
+    hasAccount(accountId) {
+        return this.entriesByAccount.has(accountId);
+    }
+
+    getBalance(accountId) {
+        return this.balances.get(accountId) || 0;
+    }
+
+    post({ accountId, type, amount, reason, roundId = null, meta = null }) {
+        if (!accountId) {
+            return { success: false, error: 'Missing account' };
+        }
+
+        if (type !== ENTRY_TYPES.DEBIT && type !== ENTRY_TYPES.CREDIT) {
+            return { success: false, error: 'Invalid entry type' };
+        }
+
+        if (!Number.isInteger(amount) || amount <= 0) {
+            return { success: false, error: 'Invalid amount' };
+        }
+
+        const current = this.getBalance(accountId);
+        if (type === ENTRY_TYPES.DEBIT && amount > current) {
+            return { success: false, error: 'Insufficient balance' };
+        }
+
+        const balanceAfter = type === ENTRY_TYPES.DEBIT ? current - amount : current + amount;
+
+        const entry = Object.freeze({
+            id: this.sequence + 1,
+            accountId,
+            type,
+            reason,
+            amount,
+            balanceAfter,
+            roundId,
+            meta,
+            createdAt: Date.now()
+        });
+
+        this.storage.append(LEDGER_COLLECTION, entry);
+        this.index(entry);
+
+        return { success: true, entry };
+    }
+
+    debit(accountId, amount, reason, details = {}) {
+        return this.post({ ...details, accountId, amount, reason, type: ENTRY_TYPES.DEBIT });
+    }
+
+    credit(accountId, amount, reason, details = {}) {
+        return this.post({ ...details, accountId, amount, reason, type: ENTRY_TYPES.CREDIT });
+    }
+
+    getTransactions(accountId, { limit = 50 } = {}) {
+        const entries = this.entriesByAccount.get(accountId) || [];
+        return entries.slice(-limit).reverse();
+    }
+
+    // Resultado do jogo desde `since` (ms): retiradas e reembolsos menos apostas. Ajustes
+    // administrativos e o saldo de abertura não contam.
+    getNetResult(accountId, since = 0) {
+        const entries = this.entriesByAccount.get(accountId) || [];
+        let net = 0;
+
+        for (let i = entries.length - 1; i >= 0 && entries[i].createdAt >= since; i--) {
+            const entry = entries[i];
+            if (!GAME_REASONS.includes(entry.reason)) continue;
+            net += entry.type === ENTRY_TYPES.CREDIT ? entry.amount : -entry.amount;
+        }
+
+        return net;
+    }
+
+    // Compara o saldo em memória de cada jogador com o saldo derivado do ledger
+    reconcile(players = []) {
+        const drifts = [];
+
+        players.forEach(player => {
+            if (!player || !player.accountId) {
+                return;
+            }
+
+            const ledgerBalance = this.getBalance(player.accountId);
+            const playerBalance = Number(player.balance || 0);
+            const drift = playerBalance - ledgerBalance;
+
+            if (drift !== 0) {
+                drifts.push({
+                    playerId: player.id,
+                    accountId: player.accountId,
+                    playerBalance,
+                    ledgerBalance,
+                    drift
+                });
+            }
+        });
+
+        return {
+            checkedAt: Date.now(),
+            accountsChecked: players.filter(player => player && player.accountId).length,
+            balanced: drifts.length === 0,
+            drifts
+        };
+    }
+}
+
+module.exports = WalletLedger;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.ENTRY_REASONS = ENTRY_REASONS;
+module.exports.toPublicEntry = toPublicEntry;
+module.exports.toPublicReport = toPublicReport;